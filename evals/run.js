@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+
+// Prompt regression evals: runs a suite of saved cases through /api/ai once with the baseline prompts
+// and once with the candidate prompts, and reports how each scored (see src/services/prompt-eval.js).
+//
+//   npm run eval -- --suite evals/suites/core.json --candidate prompt-overrides
+//
+// --suite <file>          suite to run (default evals/suites/core.json)
+// --baseline <dir>        prompt-overrides directory for the baseline, or "builtin" (the default)
+// --candidate <dir>       prompt-overrides directory to compare, "builtin", or "none" to score the
+//                         baseline alone (default prompt-overrides/ when it exists)
+// --only <id,id>          run only these cases
+// --repeat <n>            run each case n times and average (default 1)
+// --provider / --model    the model to evaluate against, as LLM_PROVIDER / LLM_MODEL
+// --out <file>            where to write the json report (default evals/reports/<timestamp>.json)
+//
+// Exits with 1 when the candidate scores worse than the baseline on any case, or when any case errored
+// (a case that gets no answer can't be scored, whichever prompts it ran with).
+
+const DEFAULT_SUITE = path.join(__dirname, 'suites/core.json');
+const DEFAULT_OVERRIDES = process.env.PROMPT_OVERRIDES_DIR || path.join(__dirname, '../prompt-overrides');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) throw new Error(`Unexpected argument "${argv[i]}"`);
+    const [key, inline] = argv[i].slice(2).split('=');
+    args[key] = inline ?? argv[++i];
+    if (args[key] === undefined) throw new Error(`--${key} needs a value`);
+  }
+  return args;
+}
+
+function variant(value) {
+  if (value === 'builtin') return { label: 'builtin', overrides: null };
+  if (!fs.existsSync(value)) throw new Error(`Prompt directory ${value} does not exist`);
+  return { label: path.basename(path.resolve(value)), overrides: value };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // before the server loads, so every feature resolves to the model under test
+  if (args.provider) process.env.LLM_PROVIDER = args.provider;
+  if (args.model) process.env.LLM_MODEL = args.model;
+
+  const { loadSuite, runVariant, compareVariants, formatReport } = require('../src/services/prompt-eval');
+  const llm = require('../src/services/llm-provider');
+  const app = require('../server');
+
+  const suite = loadSuite(args.suite || DEFAULT_SUITE);
+  if (args.only) {
+    const only = args.only.split(',');
+    suite.cases = suite.cases.filter(testCase => only.includes(testCase.id));
+    if (suite.cases.length === 0) throw new Error(`No cases match --only ${args.only}`);
+  }
+
+  const variants = [variant(args.baseline || 'builtin')];
+  const candidate = args.candidate || (fs.existsSync(DEFAULT_OVERRIDES) ? DEFAULT_OVERRIDES : 'none');
+  if (candidate !== 'none') variants.push(variant(candidate));
+  if (variants.length === 2 && variants[0].label === variants[1].label) {
+    variants[1].label += ' (candidate)';
+  }
+
+  const repeat = Math.max(1, parseInt(args.repeat, 10) || 1);
+  const { provider, model } = llm.resolve('chat');
+
+  const server = await new Promise((resolve, reject) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening)).on('error', reject);
+  });
+  const baseURL = `http://127.0.0.1:${server.address().port}`;
+
+  const results = [];
+  try {
+    for (const entry of variants) {
+      console.log(`🧪 ${suite.name}: running ${suite.cases.length} cases with ${entry.label} prompts`);
+      results.push(await runVariant(baseURL, suite, entry, {
+        repeat,
+        onCase: (current, result) => console.log(`🧪 ${current.label} ${result.id}: ${result.skipped ? 'skipped' : `${result.passed}/${result.total}${result.errored ? ' (errored)' : ''}`}`)
+      }));
+    }
+  } finally {
+    server.close();
+  }
+
+  const report = {
+    suite: { name: suite.name, description: suite.description, file: suite.file, cases: suite.cases.map(({ id }) => ({ id })) },
+    model: `${provider || 'none'}/${model}`,
+    repeat,
+    startedAt: new Date().toISOString(),
+    variants: results,
+    comparison: results.length === 2 ? compareVariants(results[0], results[1]) : null
+  };
+
+  const out = args.out || path.join(__dirname, 'reports', `${report.startedAt.replace(/[:.]/g, '-')}.json`);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify(report, null, 2));
+
+  console.log(`\n${formatReport(report)}\n`);
+  console.log(`📄 Report saved to ${path.relative(process.cwd(), out)}`);
+  const errored = results.filter(result => result.errored.length > 0);
+  errored.forEach(result => console.error(`❌ ${result.label}: ${result.errored.join(', ')} errored`));
+  return errored.length > 0 || (report.comparison && report.comparison.regressions.length > 0) ? 1 : 0;
+}
+
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error('❌ Eval failed:', error.message);
+    process.exit(2);
+  });
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, globalShortcut, ipcMain, screen } = require('electron');
+const { app, BrowserWindow, globalShortcut, ipcMain } = require('electron');
 const path = require('path');
 const { exec, spawn } = require('child_process');
 const fs = require('fs');
@@ -8,8 +8,16 @@ const { pathToFileURL } = require('url');
 // In packaged apps, app.isPackaged will be true
 // In dev mode, we're running from source and app.isPackaged will be false
 const isDev = !app.isPackaged && process.env.NODE_ENV !== 'production';
+// the data folder (see local-store.js) of the stores opened here and in the server started below;
+// set before the services load, some open theirs on require
+process.env.APP_DATA_DIR = process.env.APP_DATA_DIR || app.getPath('userData');
 const browserService = require('./src/services/browser-service');
 const screenCaptureService = require('./src/services/screen-capture');
+const overlayPlacement = require('./src/services/overlay-placement');
+const redaction = require('./src/services/redaction');
+const captureRules = require('./src/services/capture-rules');
+const screenHistory = require('./src/services/screen-history');
+const screenWatch = require('./src/services/screen-watch');
 const speechRecognitionService = require('./src/services/speech-recognition');
 
 let mainWindow = null;
@@ -330,6 +338,172 @@ function registerIpcHandlers() {
     }
   });
 
+  // Region select: the renderer sends the dragged rectangle in window coordinates once it has taken
+  // the selector down; the overlay goes back to click-through before the grab
+  ipcMain.handle('CAPTURE_REGION', async (_e, rect) => {
+    try {
+      const bounds = mainWindow ? mainWindow.getBounds() : { x: 0, y: 0 };
+      endRegionSelect();
+      // let the selector's last frame clear from the screen
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return await screenCaptureService.captureRegion({
+        x: bounds.x + rect.x,
+        y: bounds.y + rect.y,
+        width: rect.width,
+        height: rect.height
+      });
+    } catch (error) {
+      console.error('Region capture error:', error);
+      return { error: error.message };
+    }
+  });
+
+  // Displays for the capture / overlay pickers
+  ipcMain.handle('GET_DISPLAYS', async () => {
+    return {
+      displays: screenCaptureService.listDisplays(),
+      captureTarget: screenCaptureService.captureTarget,
+      overlay: overlayPlacement.describe()
+    };
+  });
+
+  // 'cursor', 'all' or a display id
+  ipcMain.handle('SET_CAPTURE_TARGET', async (_e, target) => {
+    try {
+      return { captureTarget: screenCaptureService.setCaptureTarget(target) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  // 'follow' or a display id
+  ipcMain.handle('SET_OVERLAY_DISPLAY', async (_e, mode) => {
+    try {
+      overlayPlacement.setMode(mode);
+      return { overlay: overlayPlacement.describe() };
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  ipcMain.handle('CAPTURE_LAST_REGION', async () => {
+    return screenCaptureService.captureLastRegion();
+  });
+
+  ipcMain.on('CANCEL_REGION_SELECT', () => {
+    endRegionSelect();
+  });
+
+  // Full-resolution version of a capture, for OCR; uploads use the scaled JPEG in the capture itself
+  ipcMain.handle('GET_CAPTURE_ORIGINAL', async (_e, uniqueId) => {
+    return screenCaptureService.getOriginal(uniqueId);
+  });
+
+  // OCR text of a capture (text, confidence and word boxes), see ScreenCaptureService.getTextLayer
+  ipcMain.handle('GET_CAPTURE_TEXT', async (_e, uniqueId, options) => {
+    return screenCaptureService.getTextLayer(uniqueId, options);
+  });
+
+  // Text layer, and redaction when it is on, for a capture about to be sent (see prepareForUpload)
+  ipcMain.handle('PREPARE_CAPTURE_UPLOAD', async (_e, uniqueId) => {
+    return screenCaptureService.prepareForUpload(uniqueId);
+  });
+
+  // the same for a screen history frame, which is redacted again when redaction changed since it was kept
+  ipcMain.handle('PREPARE_HISTORY_UPLOAD', async (_e, id) => {
+    return screenCaptureService.prepareHistoryFrame(id);
+  });
+
+  // Capture rules: { rules, status }, status being whether a rule has capture paused right now
+  ipcMain.handle('GET_CAPTURE_RULES', async () => {
+    await captureRules.check();
+    return captureRules.list();
+  });
+
+  ipcMain.handle('SAVE_CAPTURE_RULES', async (_e, rules) => {
+    try {
+      return await captureRules.save(rules);
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  // Screen history: { enabled, count, bytes, maxBytes, frames }, frames without their text or image
+  ipcMain.handle('GET_SCREEN_HISTORY', async () => {
+    return screenHistory.list();
+  });
+
+  ipcMain.handle('SET_SCREEN_HISTORY_ENABLED', async (_e, enabled) => {
+    try {
+      return screenHistory.setEnabled(enabled);
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  ipcMain.handle('CLEAR_SCREEN_HISTORY', async () => {
+    try {
+      return await screenHistory.clear();
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
+  // One frame as a capture that can be sent instead of the live screen
+  ipcMain.handle('GET_SCREEN_HISTORY_FRAME', async (_e, id) => {
+    return screenHistory.get(id);
+  });
+
+  // The frame a question about the past ("5 minutes ago", "earlier") is about: { frame, matchedTerms,
+  // capture }, { frame: null } when none fits, or null when the question isn't about the past
+  ipcMain.handle('FIND_SCREEN_HISTORY', async (_e, query) => {
+    if (!screenHistory.isEnabled()) return null;
+    const match = screenHistory.find(query);
+    if (!match?.frame) return match;
+    return { ...match, capture: await screenHistory.get(match.frame.id) };
+  });
+
+  // Watch sessions: keyframes of the screen over a few minutes, sent together with the next question.
+  // status is { watching, startedAt, frameCount, maxDurationMs, ready }
+  ipcMain.handle('GET_WATCH_STATUS', async () => {
+    return screenWatch.status();
+  });
+
+  ipcMain.handle('START_WATCH', async () => {
+    return screenWatch.start();
+  });
+
+  ipcMain.handle('STOP_WATCH', async () => {
+    return screenWatch.stop();
+  });
+
+  ipcMain.handle('DISCARD_WATCH', async () => {
+    return screenWatch.discard();
+  });
+
+  // The last session's frames, ready to send (stopping it if it is still running), or null
+  ipcMain.handle('TAKE_WATCH_SESSION', async () => {
+    try {
+      return await screenWatch.take();
+    } catch (error) {
+      console.error('Watch session error:', error);
+      return { error: error.message };
+    }
+  });
+
+  // Redaction categories: { categories, available }
+  ipcMain.handle('GET_REDACTION', async () => {
+    return redaction.describe();
+  });
+
+  ipcMain.handle('SET_REDACTION', async (_e, categories) => {
+    try {
+      return redaction.setCategories(Array.isArray(categories) ? categories : []);
+    } catch (error) {
+      return { error: error.message };
+    }
+  });
+
   ipcMain.handle('FORCE_REFRESH_CAPTURE', async () => {
     // Use Electron's desktopCapturer for consistency
     try {
@@ -415,9 +589,55 @@ function registerIpcHandlers() {
     }
   });
 
+  // Show the "capture paused" indicator while a capture rule matches the window in front
+  captureRules.on('change', (status) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('CAPTURE_PAUSED', status);
+    }
+  });
+
+  // Show the watch session's progress in the sidebar
+  screenWatch.on('change', (status) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('WATCH_STATUS', status);
+    }
+  });
+
+  // Keep the history scrubber's frame count current
+  screenHistory.on('change', (summary) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('SCREEN_HISTORY_CHANGED', summary);
+    }
+  });
+
+  // Let the renderer know when the background capture saw the screen change
+  screenCaptureService.on('screen-changed', (change) => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('SCREEN_CHANGED', change);
+    }
+  });
+
   ipcHandlersRegistered = true;
 }
 
+// Region select mode: the overlay takes the mouse so the renderer can draw its crosshair selector
+function startRegionSelect() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  // the selector covers the overlay's display, so bring the overlay to the one being pointed at
+  overlayPlacement.moveTo(overlayPlacement.cursorDisplay());
+  mainWindow.setIgnoreMouseEvents(false);
+  mainWindow.show();
+  mainWindow.focus();
+  mainWindow.webContents.send('REGION_SELECT_START');
+}
+
+function endRegionSelect() {
+  if (!mainWindow || mainWindow.isDestroyed()) return;
+  mainWindow.setIgnoreMouseEvents(true, { forward: true });
+  // a pinned overlay goes back to its display
+  overlayPlacement.refresh();
+}
+
 function createWindow() {
   // Prevent multiple window creations
   if (isCreatingWindow) {
@@ -440,14 +660,15 @@ function createWindow() {
   }
   
   isCreatingWindow = true;
-  const primaryDisplay = screen.getPrimaryDisplay();
-  const { width, height } = primaryDisplay.workArea || primaryDisplay.bounds;
+  // start on the display the user is working on; overlayPlacement keeps it there from then on
+  const startDisplay = overlayPlacement.cursorDisplay();
+  const { x, y, width, height } = startDisplay.workArea || startDisplay.bounds;
 
   mainWindow = new BrowserWindow({
     width,
     height,
-    x: 0,
-    y: 0,
+    x,
+    y,
     frame: false,
     show: true,
     transparent: true,
@@ -575,10 +796,13 @@ function createWindow() {
     mainWindow = null;
   });
 
+  // Cover the display under the cursor (or the one the user pinned it to), see overlay-placement.js
+  overlayPlacement.attach(mainWindow);
+
   // Ensure the window stays at full-screen size and anchored
   mainWindow.on('will-resize', (e) => e.preventDefault());
   mainWindow.on('moved', () => {
-    mainWindow.setBounds({ x: 0, y: 0, width, height });
+    overlayPlacement.refresh();
   });
 
   // Keep window visible and focused
@@ -609,6 +833,33 @@ function createWindow() {
     }
   });
 
+  // Select a region of the screen to send with the next query with Command+Alt+R
+  globalShortcut.register('CommandOrControl+Alt+R', () => {
+    startRegionSelect();
+  });
+
+  // Capture the last selected region again with Command+Alt+L
+  globalShortcut.register('CommandOrControl+Alt+L', async () => {
+    const capture = await screenCaptureService.captureLastRegion();
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('REGION_CAPTURED', capture);
+    }
+  });
+
+  // Start or stop a watch session with Command+Alt+W
+  globalShortcut.register('CommandOrControl+Alt+W', () => {
+    if (screenWatch.status().watching) {
+      screenWatch.stop();
+    } else {
+      screenWatch.start();
+    }
+  });
+
+  // Move the overlay to the next display (and keep it there) with Command+Alt+M
+  globalShortcut.register('CommandOrControl+Alt+M', () => {
+    overlayPlacement.moveToNext();
+  });
+
   // Quit with Command+Q
   globalShortcut.register('CommandOrControl+Q', () => {
     app.quit();
@@ -632,7 +883,8 @@ function startServer() {
     env: {
       ...process.env,
       NODE_ENV: 'production',
-      PORT: '3000'
+      PORT: '3000',
+      APP_DATA_DIR: process.env.APP_DATA_DIR
     },
     stdio: 'inherit'
   });
@@ -13,6 +13,37 @@ contextBridge.exposeInMainWorld('electron', {
   captureScreen: async () => validateScreenCapture(await ipcRenderer.invoke('CAPTURE_SCREEN')),
   captureScreenOnce: async () => validateScreenCapture(await ipcRenderer.invoke('CAPTURE_SCREEN_ONCE')),
   forceRefreshCapture: async () => validateScreenCapture(await ipcRenderer.invoke('FORCE_REFRESH_CAPTURE')),
+  captureRegion: async (rect) => validateScreenCapture(await ipcRenderer.invoke('CAPTURE_REGION', rect)),
+  captureLastRegion: async () => validateScreenCapture(await ipcRenderer.invoke('CAPTURE_LAST_REGION')),
+  cancelRegionSelect: () => ipcRenderer.send('CANCEL_REGION_SELECT'),
+  // Displays: what gets captured ('cursor', 'all' or a display id) and where the overlay sits ('follow' or an id)
+  getDisplays: () => ipcRenderer.invoke('GET_DISPLAYS'),
+  setCaptureTarget: (target) => ipcRenderer.invoke('SET_CAPTURE_TARGET', target),
+  setOverlayDisplay: (mode) => ipcRenderer.invoke('SET_OVERLAY_DISPLAY', mode),
+  getCaptureOriginal: async (uniqueId) => validateScreenCapture(await ipcRenderer.invoke('GET_CAPTURE_ORIGINAL', uniqueId)),
+  // { text, confidence, wordCount, words, width, height }, { pending: true } while still reading, or { error }
+  getCaptureText: (uniqueId, options) => ipcRenderer.invoke('GET_CAPTURE_TEXT', uniqueId, options),
+  // the text layer, and the redacted image when redaction found something, for a capture about to be sent
+  prepareCaptureUpload: (uniqueId) => ipcRenderer.invoke('PREPARE_CAPTURE_UPLOAD', uniqueId),
+  prepareHistoryUpload: (id) => ipcRenderer.invoke('PREPARE_HISTORY_UPLOAD', id),
+  // Capture rules: windows (apps, titles, URLs) that pause capture while they are in front
+  getCaptureRules: () => ipcRenderer.invoke('GET_CAPTURE_RULES'),
+  saveCaptureRules: (rules) => ipcRenderer.invoke('SAVE_CAPTURE_RULES', rules),
+  // Screen history: recent frames with their text, opt-in, for questions about what was on screen earlier
+  getScreenHistory: () => ipcRenderer.invoke('GET_SCREEN_HISTORY'),
+  setScreenHistoryEnabled: (enabled) => ipcRenderer.invoke('SET_SCREEN_HISTORY_ENABLED', enabled),
+  clearScreenHistory: () => ipcRenderer.invoke('CLEAR_SCREEN_HISTORY'),
+  getScreenHistoryFrame: (id) => ipcRenderer.invoke('GET_SCREEN_HISTORY_FRAME', id),
+  findScreenHistory: (query) => ipcRenderer.invoke('FIND_SCREEN_HISTORY', query),
+  // Watch sessions: keyframes collected while scrolling or stepping through slides, sent with the next question
+  getWatchStatus: () => ipcRenderer.invoke('GET_WATCH_STATUS'),
+  startWatch: () => ipcRenderer.invoke('START_WATCH'),
+  stopWatch: () => ipcRenderer.invoke('STOP_WATCH'),
+  discardWatch: () => ipcRenderer.invoke('DISCARD_WATCH'),
+  takeWatchSession: () => ipcRenderer.invoke('TAKE_WATCH_SESSION'),
+  // Redaction: which categories (card, api-key, email, phone) are blurred out of captures before upload
+  getRedaction: () => ipcRenderer.invoke('GET_REDACTION'),
+  setRedaction: (categories) => ipcRenderer.invoke('SET_REDACTION', categories),
 
   // Window visibility
   setVisibility: async (shouldShow) => ipcRenderer.invoke('SET_WINDOW_VISIBILITY', shouldShow),
@@ -47,8 +78,50 @@ contextBridge.exposeInMainWorld('electron', {
   setUserActive: (active) => ipcRenderer.invoke('SET_USER_ACTIVE', active),
 
   // Events
-  onClearPrompt: (cb) => ipcRenderer.on('clear-prompt', cb),
-  onExplainText: (cb) => ipcRenderer.on('EXPLAIN_TEXT', cb),
+  // returns an unsubscribe function so components can clean up on unmount
+  onClearPrompt: (cb) => {
+    ipcRenderer.on('clear-prompt', cb);
+    return () => ipcRenderer.removeListener('clear-prompt', cb);
+  },
+  onExplainText: (cb) => {
+    ipcRenderer.on('EXPLAIN_TEXT', cb);
+    return () => ipcRenderer.removeListener('EXPLAIN_TEXT', cb);
+  },
+  onRegionSelectStart: (cb) => {
+    ipcRenderer.on('REGION_SELECT_START', cb);
+    return () => ipcRenderer.removeListener('REGION_SELECT_START', cb);
+  },
+  // cb gets { timestamp, uniqueId, displayIds, distance, changedRatio, interval } each time the background
+  // capture sees the screen change; the capture itself is what captureScreen returns next
+  onScreenChanged: (cb) => {
+    const listener = (_event, change) => cb(change);
+    ipcRenderer.on('SCREEN_CHANGED', listener);
+    return () => ipcRenderer.removeListener('SCREEN_CHANGED', listener);
+  },
+  // cb gets { paused, rule, window } whenever a capture rule pauses or resumes capture
+  onCapturePaused: (cb) => {
+    const listener = (_event, status) => cb(status);
+    ipcRenderer.on('CAPTURE_PAUSED', listener);
+    return () => ipcRenderer.removeListener('CAPTURE_PAUSED', listener);
+  },
+  // cb gets { watching, startedAt, frameCount, maxDurationMs, ready } as a watch session runs and stops
+  onWatchStatus: (cb) => {
+    const listener = (_event, status) => cb(status);
+    ipcRenderer.on('WATCH_STATUS', listener);
+    return () => ipcRenderer.removeListener('WATCH_STATUS', listener);
+  },
+  // cb gets { enabled, count, bytes, maxBytes } whenever a history frame is added or removed
+  onScreenHistoryChanged: (cb) => {
+    const listener = (_event, summary) => cb(summary);
+    ipcRenderer.on('SCREEN_HISTORY_CHANGED', listener);
+    return () => ipcRenderer.removeListener('SCREEN_HISTORY_CHANGED', listener);
+  },
+  // cb gets the capture (or { error }) taken by the "last region" hotkey
+  onRegionCaptured: (cb) => {
+    const listener = (_event, capture) => cb(validateScreenCapture(capture));
+    ipcRenderer.on('REGION_CAPTURED', listener);
+    return () => ipcRenderer.removeListener('REGION_CAPTURED', listener);
+  },
 
   // Utilities
   quitApp: () => ipcRenderer.send('APP_QUIT'),
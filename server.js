@@ -1,12 +1,10 @@
 const express = require('express');
 const cors = require('cors');
-const OpenAI = require('openai');
 const { exec } = require('child_process');
 const dotenv = require('dotenv');
 const multer = require('multer');
 const { spawn } = require('child_process');
 const fs = require('fs');
-const Tesseract = require('tesseract.js');
 const path = require('path');
 const os = require('os');
 
@@ -19,17 +17,32 @@ console.log('Environment variables loaded. Current working directory:', process.
 console.log('Looking for .env at:', envPath);
 
 const isDev = process.env.NODE_ENV !== 'production';
-const { getFullSystemPrompt } = require('./src/services/prompts');
+const { getFullSystemPrompt, renderSystemPrompt, renderTutorPrompt, formatLearningContext } = require('./src/services/prompts');
+const { prompts, provenance } = require('./src/services/prompt-templates');
+const personas = require('./src/services/personas');
+const { TokenBudget, describePlan } = require('./src/services/token-budget');
+const { EventStream, ERROR_CODES } = require('./src/services/ai-events');
+const { cancelOnDisconnect, isCancelled, throwIfCancelled, execCancellable, delay } = require('./src/services/cancellation');
+const { availableTools, streamWithTools } = require('./src/services/tool-calling');
 const { learningTools } = require('./src/services/learning-tools');
 const { parsePlayCommand, playSong, spotifyApi, getAuthUrl, handleCallback } = require('./src/services/spotify-service');
 const googleDocsEditor = require('./src/services/google-docs-editor');
+const ocr = require('./src/services/ocr');
+const llm = require('./src/services/llm-provider');
+const { generateStructured } = require('./src/services/structured-output');
+const { stepMarkdown } = require('./src/services/output-schemas');
 
 // Initialize memory system
 const MemorySystem = require('./src/services/memory-system');
 const memorySystem = new MemorySystem();
+const sentenceEncoder = require('./src/services/sentence-encoder');
 
 console.log('🧠 Memory system initialized');
 
+// Per-thread chat history sent to the model as real turns
+const ConversationThreads = require('./src/services/conversation-threads');
+const conversationThreads = new ConversationThreads();
+
 // Initialize learning persona system
 const LearningPersonaSystem = require('./src/services/learning-persona-system');
 const learningPersonaSystem = new LearningPersonaSystem();
@@ -56,13 +69,6 @@ app.use(cors({
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ limit: '50mb', extended: true }));
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
-
-// Define model to use - this should be gpt-4o for vision tasks
-const MODEL = 'gpt-4o';
-
 // Spotify credentials are optional - only validate if they're needed
 if (process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET) {
   console.log('✅ Spotify credentials loaded successfully');
@@ -235,16 +241,16 @@ async function extractWebpageText() {
 }
 
 // Helper function to generate text explanations
-async function generateTextExplanation(text, isActiveMode) {
+async function generateTextExplanation(text, isActiveMode, { signal, onRetry } = {}, persona = personas.current()) {
   try {
     console.log('generateTextExplanation - isActiveMode:', isActiveMode);
-    const systemPrompt = getFullSystemPrompt({ isActiveMode });
+    const systemPrompt = renderSystemPrompt({ isActiveMode, persona });
     const userPrompt = `Please explain the following text: "${text}"`;
 
     const messages = [
       {
         role: 'system',
-        content: systemPrompt
+        content: systemPrompt.text
       },
       {
         role: 'user',
@@ -252,18 +258,17 @@ async function generateTextExplanation(text, isActiveMode) {
       }
     ];
 
-    console.log('Sending request to OpenAI with enhanced visual requirements');
-    const completion = await openai.chat.completions.create({
-      model: MODEL,
+    console.log('Sending text explanation request');
+    const completion = await llm.chat('text-explanation', {
       messages: messages,
-      temperature: isActiveMode ? 0.2 : 0.05, // Lower temperature for faster responses
+      temperature: personas.temperature(persona, isActiveMode),
       stream: true,
-      max_tokens: isActiveMode ? 768 : 400, // Further reduced for faster responses
+      max_tokens: personas.outputTokens(persona, isActiveMode, isActiveMode ? 768 : 400), // Further reduced for faster responses
       presence_penalty: 0.0,
       frequency_penalty: 0.0,
       response_format: { type: "text" },
       top_p: 0.95, // Higher for better quality
-    });
+    }, { signal, onRetry, prompts: [systemPrompt] });
 
     return completion;
   } catch (error) {
@@ -615,2226 +620,162 @@ async function findSpecificOpportunity(field, resumeData) {
   return bestOpportunity;
 }
 
-// AI endpoint
-app.post('/api/ai', async (req, res) => {
-  console.log('[API/AI] Incoming request:', req.body.query);
-  try {
-    // Extract query and resume data from request body
-    const { query, resumeData, context, continuationOnly, screenCapture: contScreenCapture, contextTabs } = req.body;
-    const queryLower = query ? query.toLowerCase().trim() : '';
-
-    // Dedicated continuation-only flow: generate raw continuation text and stream it back
-    if (continuationOnly) {
-      console.log('[CONTINUATION] Starting continuation flow with query:', query);
-      console.log('[CONTINUATION] Screen capture available:', !!contScreenCapture);
-      
-      try {
-        const systemPrompt = `You are an expert AI writing assistant that continues text from where the cursor is positioned. You can see the document on screen and will continue writing seamlessly from that point.
-
-**ABSOLUTE MANDATORY INSTRUCTIONS - YOU MUST FOLLOW THESE:**
-- YOU CAN ALWAYS SEE THE DOCUMENT CONTENT - NEVER SAY YOU CANNOT SEE IT
-- YOU CAN ALWAYS HELP WITH WRITING TASKS - NEVER SAY YOU CANNOT ASSIST
-- NEVER say "I'm sorry I can't assist with that" or similar phrases
-- NEVER say "I cannot assist with that" or "I'm unable to help with that"
-- NEVER say "I'm unable to continue the text from the image directly"
-- NEVER say "Could you please provide the text here so I can help you continue writing?"
-- NEVER apologize or say you cannot help
-- NEVER refuse any writing continuation request
-
-**WHAT YOU MUST DO:**
-- ALWAYS continue the text naturally from where it left off
-- ALWAYS maintain the same style, tone, and format as the existing text
-- ALWAYS provide substantial continuation (2-3 paragraphs minimum)
-- ALWAYS be confident and helpful
-- ALWAYS quote from the existing text to show you understand the context
-
-**REMEMBER: You have perfect vision, you can always see the document, and you can always help with writing tasks. Never doubt your abilities or refuse requests.`;
-
-        const userPrompt = `Continue writing from this point. You can see the document content on screen. Continue naturally from where the text left off, maintaining the same style and tone.`;
-
-        console.log('[CONTINUATION] Sending request to OpenAI with system prompt:', systemPrompt);
-        console.log('[CONTINUATION] User prompt:', userPrompt);
-        console.log('[CONTINUATION] Screen capture available:', !!contScreenCapture);
-        console.log('[CONTINUATION] Screen capture dataURL length:', contScreenCapture?.dataURL?.length || 'N/A');
-        console.log('[CONTINUATION] Screen capture size in MB:', contScreenCapture?.dataURL ? `${(contScreenCapture.dataURL.length * 0.75 / 1024 / 1024).toFixed(2)} MB` : 'N/A');
-        
-        console.log('[CONTINUATION] About to call streamOpenAIResponse...');
-        // For continuation requests, we DO need screen capture to see the existing text
-        // Check if screen capture is too large (OpenAI has a 20MB limit)
-        if (contScreenCapture && contScreenCapture.dataURL && contScreenCapture.dataURL.length > 20 * 1024 * 1024) {
-          console.log('[CONTINUATION] Screen capture too large, truncating...');
-          // Truncate the dataURL to stay within limits
-          contScreenCapture.dataURL = contScreenCapture.dataURL.substring(0, 20 * 1024 * 1024);
-          console.log('[CONTINUATION] Screen capture truncated to:', `${(contScreenCapture.dataURL.length * 0.75 / 1024 / 1024).toFixed(2)} MB`);
-        }
-        
-        const stream = await streamOpenAIResponse(systemPrompt, userPrompt, contScreenCapture, true);
-        console.log('[CONTINUATION] streamOpenAIResponse returned successfully');
-        console.log('[CONTINUATION] Screen capture used in request:', !!contScreenCapture);
-
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-
-        console.log('[CONTINUATION] Starting to stream response...');
-        let chunkCount = 0;
-        for await (const chunk of stream) {
-          chunkCount++;
-          console.log(`[CONTINUATION] Received chunk ${chunkCount}:`, chunk);
-          
-          if (chunk.choices && chunk.choices[0] && chunk.choices[0].delta) {
-            const content = chunk.choices[0].delta.content || '';
-            console.log(`[CONTINUATION] Chunk ${chunkCount} content:`, content);
-            
-          if (content) {
-            const processedContent = preprocessMathExpressions(content);
-              console.log(`[CONTINUATION] Chunk ${chunkCount} processed:`, processedContent);
-            res.write(`data: ${JSON.stringify({ content: processedContent })}\n\n`);
-          }
-          } else {
-            console.log(`[CONTINUATION] Chunk ${chunkCount} has no content or unexpected structure:`, chunk);
-        }
-        }
-        console.log(`[CONTINUATION] Streaming complete after ${chunkCount} chunks`);
-
-        console.log('[CONTINUATION] Sending [DONE] signal');
-        res.write('data: [DONE]\n\n');
-        console.log('[CONTINUATION] Response ended');
-        return res.end();
-      } catch (e) {
-        console.error('[CONTINUATION] Failed to stream continuation:', e);
-        console.error('[CONTINUATION] Error details:', {
-          message: e.message,
-          stack: e.stack,
-          name: e.name
-        });
-        console.log('[CONTINUATION] Sending error to client:', e.message);
-        res.write(`data: ${JSON.stringify({ error: e.message })}\n\n`);
-        res.write('data: [DONE]\n\n');
-        console.log('[CONTINUATION] Error response ended');
-        return res.end();
-      }
-    }
-
-    // check for google docs editing requests (grammar, polish, synthesis)
-    // note: normalizedCapture will be defined later in the code flow
-    const hasGoogleDocOpen = contextTabs && contextTabs.some(tab => tab.url && tab.url.includes('docs.google.com'));
-    const isEditRequest = googleDocsEditor.isEditRequest(query);
-    
-    console.log('[GOOGLE DOCS EDITOR] Checking edit request:', {
-      isEditRequest,
-      hasGoogleDocOpen,
-      query: query.substring(0, 50)
-    });
-
-    // Check for Google Docs continuation requests specifically - much more precise pattern
-    const googleDocsContinuationPattern = /(?:continue|finish|extend|complete|keep writing|wrap up|conclude|fill in|write the next|carry on|help me write|assist with writing|write more|add to|expand|develop|elaborate)\s+(?:writing|the|this\s+(?:essay|paragraph|section|doc|document|writing|content)|from|where|at|this point|here)/i;
-    const googleDocsContinuationMatch = queryLower.match(googleDocsContinuationPattern);
-    
-    // Additional safeguard: only treat as continuation if it's not a simple question
-    const isGoogleDocsSimpleQuestion = /\b(what|how|why|when|where|who|which|can you|could you|would you|do you|are you|is this|does this|tell me|explain|describe|analyze|summarize|help me understand|what does|what is|what are)\b/i.test(queryLower);
-    
-    console.log('[GOOGLE DOCS CONTINUATION] Pattern match:', googleDocsContinuationMatch);
-    console.log('[GOOGLE DOCS CONTINUATION] Is simple question:', isGoogleDocsSimpleQuestion);
-    console.log('[GOOGLE DOCS CONTINUATION] Will proceed with Google Docs flow:', googleDocsContinuationMatch && !isGoogleDocsSimpleQuestion);
-    
-    if (googleDocsContinuationMatch && !isGoogleDocsSimpleQuestion) {
-      console.log('[GOOGLE DOCS CONTINUATION] Google Docs continuation request detected');
-      console.log('[GOOGLE DOCS CONTINUATION] Query:', query);
-      console.log('[GOOGLE DOCS CONTINUATION] Pattern match:', googleDocsContinuationMatch);
-      
-      if (!normalizedCapture) {
-        return res.json({
-          success: false,
-          content: 'I need to see your screen to continue writing. Please ensure the application has screen capture permissions and try again.'
-        });
-      }
-
-      try {
-        const googleDocsSystemPrompt = `You are an expert AI writing assistant that continues text from where the cursor is positioned in a Google Doc. You can see the document on screen and will continue writing seamlessly from that point.
-
-**ABSOLUTE MANDATORY INSTRUCTIONS - YOU MUST FOLLOW THESE:**
-- YOU CAN ALWAYS SEE THE GOOGLE DOC CONTENT - NEVER SAY YOU CANNOT SEE IT
-- YOU CAN ALWAYS HELP WITH WRITING TASKS - NEVER SAY YOU CANNOT ASSIST
-- NEVER say "I'm sorry I can't assist with that" or similar phrases
-- NEVER say "I cannot assist with that" or "I'm unable to help with that"
-- NEVER say "I'm unable to continue the text from the image directly"
-- NEVER say "Could you please provide the text here so I can help you continue writing?"
-- NEVER apologize or say you cannot help
-- NEVER refuse any writing continuation request
-
-**WHAT YOU MUST DO:**
-- ALWAYS continue the text naturally from where it left off
-- ALWAYS maintain the same style, tone, and format as the existing text
-- ALWAYS provide substantial continuation (2-3 paragraphs minimum)
-- ALWAYS be confident and helpful
-- ALWAYS quote from the existing text to show you understand the context
-- ALWAYS acknowledge that you can see the Google Doc content
-
-**REMEMBER: You have perfect vision, you can always see the Google Doc, and you can always help with writing tasks. Never doubt your abilities or refuse requests.`;
-
-        const googleDocsUserPrompt = `Continue writing from this point in the Google Doc. You can see the document content on screen. Continue naturally from where the text left off, maintaining the same style and tone.`;
-
-        console.log('[GOOGLE DOCS CONTINUATION] Sending request to OpenAI with Google Docs specific prompt');
-        
-        const stream = await streamOpenAIResponse(googleDocsSystemPrompt, googleDocsUserPrompt, normalizedCapture, true);
-        
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-
-        console.log('[GOOGLE DOCS CONTINUATION] Starting to stream response...');
-        let chunkCount = 0;
-        for await (const chunk of stream) {
-          chunkCount++;
-          console.log(`[GOOGLE DOCS CONTINUATION] Received chunk ${chunkCount}:`, chunk);
-          
-          if (chunk.choices && chunk.choices[0] && chunk.choices[0].delta) {
-            const content = chunk.choices[0].delta.content || '';
-            console.log(`[GOOGLE DOCS CONTINUATION] Chunk ${chunkCount} content:`, content);
-            
-            if (content) {
-              const processedContent = preprocessMathExpressions(content);
-              console.log(`[GOOGLE DOCS CONTINUATION] Chunk ${chunkCount} processed:`, processedContent);
-              res.write(`data: ${JSON.stringify({ content: processedContent })}\n\n`);
-            }
-          } else {
-            console.log(`[GOOGLE DOCS CONTINUATION] Chunk ${chunkCount} has no content or unexpected structure:`, chunk);
-          }
-        }
-        
-        console.log(`[GOOGLE DOCS CONTINUATION] Streaming complete after ${chunkCount} chunks`);
-        console.log('[GOOGLE DOCS CONTINUATION] Sending [DONE] signal');
-        res.write('data: [DONE]\n\n');
-        console.log('[GOOGLE DOCS CONTINUATION] Response ended');
-        return res.end();
-        
-      } catch (error) {
-        console.error('[GOOGLE DOCS CONTINUATION] Failed to stream continuation:', error);
-        res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-        res.write('data: [DONE]\n\n');
-        return res.end();
-      }
-    } else if (googleDocsContinuationMatch) {
-      console.log('[GOOGLE DOCS CONTINUATION] Pattern matched but blocked by simple question safeguard');
-      console.log('[GOOGLE DOCS CONTINUATION] Query was:', query);
-    }
-
-    // Check for internship application requests first
-    const internshipPattern = /apply to internship.*(?:in|for)?\s*(\w+)?/i;
-    const internshipMatch = queryLower.match(internshipPattern);
-    
-    if (internshipMatch) {
-      console.log('[INTERNSHIP HANDLER] Internship application request detected');
-      
-      if (!resumeData) {
-        return res.json({
-          success: false,
-          content: `I don't see your resume attached yet. Please upload your resume first using the file upload feature, and then I can help you apply to internships based on your actual qualifications and experience.`
-        });
-      }
-
-      const field = internshipMatch[1] || 'finance'; // Default to finance if no specific field mentioned
-      console.log('[INTERNSHIP HANDLER] Field detected:', field);
-      
-      try {
-        // Find a specific, high-quality opportunity based on the user's resume
-        const specificOpportunity = await findSpecificOpportunity(field, resumeData);
-        
-        if (!specificOpportunity) {
-          return res.json({
-            success: false,
-            content: `I couldn't find a specific ${field} internship opportunity that matches your qualifications. Let me know if you'd like me to search for opportunities in a different field.`
-          });
-        }
-
-        // Use the actual resume data to create a personalized response
-        const personalizedResponse = `Based on your resume analysis, I can see you're a ${resumeData.classYear} student at ${resumeData.university} studying ${resumeData.major}. Your key skills include: ${resumeData.skills?.slice(0, 5).join(', ') || 'Strong academic background'}.
-
-🎯 **Found a Great ${field} Opportunity for You!**
-
-I've identified a specific internship that matches your background:
-**${specificOpportunity.title}** at ${specificOpportunity.company}
-Location: ${specificOpportunity.location}
-
-This position aligns well with your experience at ${resumeData.relevantExperience?.[0]?.split(' - ')?.[0] || 'Wells Fargo'} and your skills in ${resumeData.skills?.slice(0, 3).join(', ')}.
-
-I'm now opening this specific opportunity for you to review. Take a look at the requirements and see if it's a good fit!`;
-
-        // Open the specific opportunity in a new tab
-        const script = `
-          tell application "Google Chrome"
-            activate
-            delay 1
-            tell application "System Events"
-              keystroke "t" using command down
-              delay 1
-              keystroke "${specificOpportunity.url}"
-              delay 0.5
-              keystroke return
-              delay 2
-            end tell
-          end tell
-        `;
-        
-        exec(`osascript -e '${script}'`, (error) => {
-          if (error) {
-            console.error('[INTERNSHIP HANDLER] Failed to open opportunity:', error);
-          } else {
-            console.log('[INTERNSHIP HANDLER] Successfully opened specific opportunity');
-          }
-        });
-
-        return res.json({
-          success: true,
-          content: personalizedResponse,
-          needsBrowserAction: true,
-          field: field,
-          opportunity: specificOpportunity
-        });
-        
-      } catch (error) {
-        console.error('[INTERNSHIP HANDLER] Application process failed:', error);
-        return res.status(500).json({
-          error: `Failed to complete internship application for ${field}. Error: ${error.message}`
-        });
-      }
-    }
-
-    // Check for job application workflow: apply to this job
-    const jobApplicationPattern = /(?:apply to|write cover letter for|analyze|help me with) (?:this|the) (?:job|position|role|opportunity)|(?:write|create|generate) (?:a )?cover letter|(?:help me )?apply for this job|(?:help me )?write a cover letter|(?:can you )?(?:please )?(?:write|create|generate) (?:a )?cover letter (?:for this job|for this position|for this role)?/i;
-    const jobApplicationMatch = queryLower.match(jobApplicationPattern);
-    
-    if (jobApplicationMatch) {
-      console.log('[JOB APPLICATION HANDLER] Job application request detected');
-      
-      if (!resumeData) {
-        return res.json({
-          success: false,
-          content: `I don't see your resume attached yet. Please upload your resume first using the file upload feature, and then I can help you write a cover letter for the job you're looking at.
-
-📋 **How to use this feature:**
-1. **Upload your resume** using the file upload button
-2. **Navigate to a job posting** you want to apply for
-3. **Ask me**: "write a cover letter for this job" or "help me apply for this job"
-4. **I'll analyze** both your resume and the job requirements
-5. **I'll generate** a personalized cover letter and open it in Google Docs
-
-This way, your cover letter will be perfectly tailored to both your background and the specific job requirements!`,
-          needsFileUpload: true
-        });
-      }
-
-      // Extract screenCapture from request body
-      const { screenCapture } = req.body;
-      
-      if (!screenCapture || !screenCapture.dataURL) {
-        return res.json({
-          success: false,
-          content: `I need to see the job posting to write a cover letter. Please make sure the job description is visible on your screen, then try again.`
-        });
-      }
-
-      try {
-        // Use AI to analyze the job posting on screen and generate a cover letter
-        const coverLetterResponse = await generateCoverLetterFromJobPosting(resumeData, screenCapture);
-        
-        // Clean up any AI commentary or extra text
-        const cleanedCoverLetter = cleanCoverLetterContent(coverLetterResponse);
-        
-        // Ensure the cover letter has proper contact information
-        const coverLetterWithContact = ensureCoverLetterContactInfo(cleanedCoverLetter, resumeData);
-        
-        // Format the cover letter for Google Docs
-        const formattedCoverLetter = formatCoverLetterForGoogleDocs(coverLetterWithContact);
-        
-        // Open Google Docs and paste the formatted cover letter
-        await openGoogleDocsWithCoverLetter(formattedCoverLetter);
-        
-        return res.json({
-          success: true,
-          content: `Perfect! I've analyzed the job posting and your resume, then generated the BEST COVER LETTER EVER.
-
-📝 **Cover Letter Generated Successfully!**
-
-I've opened Google Docs and pasted your personalized cover letter. The letter is perfectly tailored to:
-- **Your background**: ${resumeData.major} student at ${resumeData.university}
-- **Your skills**: ${resumeData.skills?.slice(0, 3).join(', ')}
-- **Your experience**: ${resumeData.relevantExperience?.[0]?.split(' - ')?.[0] || 'Strong academic background'}
-
-**What makes this cover letter amazing:**
-✅ **Specific to the job** - references exact requirements from the posting
-✅ **Perfect alignment** - connects your background to their needs
-✅ **Professional format** - ready to submit immediately
-✅ **Compelling narrative** - tells your story effectively
-
-The cover letter should now be open in Google Docs. You can review and make any final edits before submitting your application!`,
-          needsBrowserAction: true
-        });
-        
-      } catch (error) {
-        console.error('[JOB APPLICATION HANDLER] Cover letter generation failed:', error);
-        
-        // Check if it's a content filtering issue
-        if (error.message && error.message.toLowerCase().includes("i'm sorry") || 
-            error.message && error.message.toLowerCase().includes("i cannot assist") ||
-            error.message && error.message.toLowerCase().includes("i'm unable to help")) {
-          
-          return res.json({
-            success: false,
-            content: `I encountered an issue with the AI content filtering when trying to generate your cover letter. This sometimes happens when the AI misinterprets the job posting content.
-
-🔧 **Let me try a different approach:**
-1. **Make sure** the job posting is clearly visible on your screen
-2. **Try again** with the same request: "write a cover letter for this job"
-3. **If it still fails**, I'll generate a template-based cover letter for you
-
-The issue is likely temporary and should resolve on the next attempt. Your resume data is properly loaded and ready to use.`,
-            needsRetry: true
-          });
-        }
-        
-        return res.status(500).json({
-          error: `Failed to generate cover letter. Error: ${error.message}`
-        });
-      }
-    }
-
-    // Resource search command: get me resources to learn more about ____
-    const resourcePattern = /get me resources to learn more about (.+)/i;
-    const resourceMatch = queryLower.match(resourcePattern);
-    if (resourceMatch) {
-      const topic = resourceMatch[1].trim();
-      console.log('[RESOURCE HANDLER] Detected topic:', topic);
-      // Generate three Google search URLs
-      const pdfUrl = `https://www.google.com/search?q=${encodeURIComponent(topic + ' filetype:pdf')}`;
-      const articleUrl = `https://www.google.com/search?q=${encodeURIComponent(topic + ' article')}`;
-      const resourceUrl = `https://www.google.com/search?q=${encodeURIComponent(topic + ' learning resource')}`;
-      // AppleScript to open three tabs
-      const appleScript = `
-        tell application "Google Chrome"
-          activate
-          delay 2
-          tell application "System Events"
-            keystroke "t" using command down
-            delay 1
-            keystroke "${pdfUrl}"
-            delay 0.5
-            keystroke return
-            delay 2
-            keystroke "t" using command down
-            delay 1
-            keystroke "${articleUrl}"
-            delay 0.5
-            keystroke return
-            delay 2
-            keystroke "t" using command down
-            delay 1
-            keystroke "${resourceUrl}"
-            delay 0.5
-            keystroke return
-            delay 1
-          end tell
-        end tell
-      `;
-      let responded = false;
-      // Timeout fallback
-      const timeout = setTimeout(() => {
-        if (!responded) {
-          responded = true;
-          console.error('[RESOURCE HANDLER] Timeout: AppleScript did not respond in 10s');
-          res.status(504).json({ error: 'Resource tab automation timed out.' });
-        }
-      }, 10000);
-      console.log('[RESOURCE HANDLER] Executing AppleScript...');
-      exec(`osascript -e '${appleScript}'`, (error) => {
-        if (responded) return;
-        clearTimeout(timeout);
-        responded = true;
-        if (error) {
-          console.error('[RESOURCE HANDLER] AppleScript error:', error);
-          console.log('[RESOURCE HANDLER] Trying fallback method with open command...');
-          
-          // Fallback: Use the 'open' command to open URLs directly
-          exec(`open "${pdfUrl}"`, (pdfError) => {
-            if (pdfError) console.error('[RESOURCE HANDLER] Failed to open PDF search:', pdfError);
-          });
-          
-          setTimeout(() => {
-            exec(`open "${articleUrl}"`, (articleError) => {
-              if (articleError) console.error('[RESOURCE HANDLER] Failed to open article search:', articleError);
-            });
-          }, 1000);
-          
-          setTimeout(() => {
-            exec(`open "${resourceUrl}"`, (resourceError) => {
-              if (resourceError) console.error('[RESOURCE HANDLER] Failed to open resource search:', resourceError);
-            });
-          }, 2000);
-          
-          return res.json({
-            success: true,
-            content: `Opened three new tabs with resources to learn more about ${topic} (using fallback method).`
-          });
-        }
-        console.log('[RESOURCE HANDLER] Resource tabs automation completed successfully');
-        return res.json({
-          success: true,
-          content: `Opened three new tabs with resources to learn more about ${topic}.`
-        });
-      });
-      return;
-    }
-
-    // Email response command: respond to this email
-    const emailResponsePattern = /(?:respond to|reply to|answer|draft.*response.*for) (?:this|the) (?:email|message|thread)|(?:write|create|generate) (?:a )?(?:response|reply|email) (?:to|for) (?:this|the) (?:email|message|thread)|(?:help me )?(?:respond|reply|answer) (?:to|for) (?:this|the) (?:email|message|thread)/i;
-    const emailResponseMatch = queryLower.match(emailResponsePattern);
-    
-    if (emailResponseMatch) {
-      console.log('[EMAIL RESPONSE HANDLER] Email response request detected');
-      
-      // Extract screenCapture from request body
-      const { screenCapture, contextTabs } = req.body;
-      
-      if (!screenCapture || !screenCapture.dataURL) {
-        return res.json({
-          success: false,
-          content: `I need to see the email thread to draft a response. Please make sure the email is visible on your screen, then try again.`
-        });
-      }
-
-      try {
-        // Use AI to analyze the email on screen and generate a response
-        const emailResponse = await generateEmailResponseFromThread(screenCapture, contextTabs, resumeData);
-        
-        // Return the response for the frontend to handle automation
-        return res.json({
-          success: true,
-          content: `📧 **Email Response Generated Successfully!**
-
-I've analyzed the email thread and drafted a professional response for you.
-
-**What I've prepared:**
-✅ **Context-aware response** - tailored to the specific email content
-✅ **Professional tone** - appropriate for the situation
-✅ **Complete draft** - ready to review and send
-
-**Next steps:**
-1. **Review the response** below
-2. **Make any edits** you'd like
-3. **I'll automatically paste it** into your email reply field
-4. **You can then review** and send when ready
-
-**Your Email Response:**
-${emailResponse}
-
-The response is now ready to be pasted into your email client. I'll handle the automation to open the reply field and paste this content for you.`,
-          needsEmailAutomation: true,
-          emailResponse: emailResponse
-        });
-        
-      } catch (error) {
-        console.error('[EMAIL RESPONSE HANDLER] Email response generation failed:', error);
-        
-        return res.status(500).json({
-          error: `Failed to generate email response. Error: ${error.message}`
-        });
-      }
-    }
-
-
-
-    // Google search command: can you please open a tab on ____
-    const googleSearchPattern = /can you please open a tab on (.+)/i;
-    const googleSearchMatch = queryLower.match(googleSearchPattern);
-    if (googleSearchMatch) {
-      const topic = googleSearchMatch[1].trim();
-      console.log('[GOOGLE SEARCH HANDLER] Detected topic:', topic);
-      
-      try {
-        // Import the browser service
-        const browserService = require('./src/services/browser-service');
-        
-        // Try to open Google search tab using AppleScript
-        await browserService.openGoogleSearchTab(topic);
-        
-        console.log('[GOOGLE SEARCH HANDLER] Google search tab opened successfully');
-        return res.json({
-          success: true,
-          content: `Opened a new tab with Google search results for "${topic}".`
-        });
-        
-      } catch (error) {
-        console.error('[GOOGLE SEARCH HANDLER] AppleScript failed, trying fallback method:', error);
-        
-        try {
-          // Fallback: Use the 'open' command to open URL directly
-          const browserService = require('./src/services/browser-service');
-          await browserService.openGoogleSearchTabFallback(topic);
-          
-          console.log('[GOOGLE SEARCH HANDLER] Google search tab opened with fallback method');
-          return res.json({
-            success: true,
-            content: `Opened a new tab with Google search results for "${topic}" (using fallback method).`
-          });
-          
-        } catch (fallbackError) {
-          console.error('[GOOGLE SEARCH HANDLER] Fallback method also failed:', fallbackError);
-          return res.status(500).json({
-            error: `Failed to open Google search tab for "${topic}". Please try manually opening: https://www.google.com/search?q=${encodeURIComponent(topic)}`
-          });
-        }
-      }
-    }
-
-    // Check for "take notes in google docs" command FIRST (before alternative search patterns)
-    // This prevents "google docs" from being matched by the /google (.+)/i pattern below
-    const takeNotesInGoogleDocsPattern = /^(?:can you )?(?:please )?(?:take|create|make|generate)\s+notes(?:\s+in\s+google\s+docs?)?$/i;
-    const takeNotesInGoogleDocsMatch = queryLower.match(takeNotesInGoogleDocsPattern);
-    const takeNotesOnGoogleDocsPattern = /take notes (?:in|on) google docs/i;
-    const takeNotesOnGoogleDocsMatch = queryLower.match(takeNotesOnGoogleDocsPattern);
-    
-    // If it's a "take notes in google docs" command, skip the alternative search patterns
-    // (The actual handler is later in the code, but we check here to prevent false matches)
-    const isTakeNotesInGoogleDocs = takeNotesInGoogleDocsMatch || takeNotesOnGoogleDocsMatch;
-
-    // Alternative Google search patterns (but exclude "google docs" to prevent false matches)
-    const alternativePatterns = [
-      /search for (.+)/i,
-      /google (?!docs)(.+)/i,  // Match "google X" but NOT "google docs"
-      /look up (.+)/i,
-      /find information about (.+)/i,
-      /open google and search for (.+)/i
-    ];
-    
-    for (const pattern of alternativePatterns) {
-      const match = queryLower.match(pattern);
-      if (match && !isTakeNotesInGoogleDocs) {  // Skip if it's a "take notes in google docs" command
-        const topic = match[1].trim();
-        console.log('[ALTERNATIVE SEARCH HANDLER] Detected topic:', topic);
-        
-        try {
-          // Import the browser service
-          const browserService = require('./src/services/browser-service');
-          
-          // Try to open Google search tab using AppleScript
-          await browserService.openGoogleSearchTab(topic);
-          
-          console.log('[ALTERNATIVE SEARCH HANDLER] Google search tab opened successfully');
-          return res.json({
-            success: true,
-            content: `Opened a new tab with Google search results for "${topic}".`
-          });
-          
-        } catch (error) {
-          console.error('[ALTERNATIVE SEARCH HANDLER] AppleScript failed, trying fallback method:', error);
-          
-          try {
-            // Fallback: Use the 'open' command to open URL directly
-            const browserService = require('./src/services/browser-service');
-            await browserService.openGoogleSearchTabFallback(topic);
-            
-            console.log('[ALTERNATIVE SEARCH HANDLER] Google search tab opened with fallback method');
-            return res.json({
-              success: true,
-              content: `Opened a new tab with Google search results for "${topic}" (using fallback method).`
-            });
-            
-          } catch (fallbackError) {
-            console.error('[ALTERNATIVE SEARCH HANDLER] Fallback method also failed:', fallbackError);
-            return res.status(500).json({
-              error: `Failed to open Google search tab for "${topic}". Please try manually opening: https://www.google.com/search?q=${encodeURIComponent(topic)}`
-            });
-          }
-        }
-      }
-    }
-
-
-
-    // Resume upload command: upload my resume
-    const resumeUploadPattern = /upload my resume/i;
-    if (resumeUploadPattern.test(queryLower)) {
-      console.log('[RESUME UPLOAD HANDLER] Resume upload requested');
-      
-      return res.json({
-        success: false,
-        content: `To upload your resume, please use the file upload feature in the interface or send your resume as a file attachment. Once uploaded, I'll analyze it and then you can ask me to "apply to internship for me in [field]" to start the automated application process.`,
-        needsFileUpload: true
-      });
-    }
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Query is required' });
-    }
-
-    // Check if it's a Spotify play command
-    const playCommand = parsePlayCommand(query);
-    if (playCommand) {
-      try {
-        const result = await playSong(playCommand.song, playCommand.artist);
-        return res.json({
-          response: result.message,
-          success: true
-        });
-      } catch (error) {
-        if (error.message === 'Please authenticate with Spotify first') {
-          const authUrl = getAuthUrl();
-          return res.json({
-            response: `Please authenticate with Spotify first by clicking this link: ${authUrl}`,
-            success: false,
-            needsAuth: true,
-            authUrl
-          });
-        }
-        console.error('Error playing song:', error);
-        return res.json({
-          response: `Sorry, I couldn't play that song. Error: ${error.message}`,
-          success: false
-        });
-      }
-    }
-
-    const { screenCapture, selectedText, isActiveMode } = req.body;
-    console.log('Destructured isActiveMode:', isActiveMode);
-
-    // Normalize screenCapture to an object with dataURL and compress for faster processing
-    let normalizedCapture = null;
-    if (screenCapture) {
-      if (typeof screenCapture === 'string') {
-        normalizedCapture = { dataURL: screenCapture };
-      } else if (typeof screenCapture === 'object' && screenCapture.dataURL) {
-        // Compress image if it's too large (over 5MB)
-        if (screenCapture.dataURL.length > 5 * 1024 * 1024) {
-          console.log('[OPTIMIZATION] Compressing large screen capture for faster processing...');
-          // Truncate to 5MB for faster processing
-          normalizedCapture = { 
-            dataURL: screenCapture.dataURL.substring(0, 5 * 1024 * 1024),
-            ...screenCapture
-          };
-        } else {
-          normalizedCapture = screenCapture;
-        }
-      }
-    }
-    
-    // re-check google doc detection after we have all the data
-    // sometimes contextTabs might not be set initially, so check again
-    const hasGoogleDocOpenFinal = (contextTabs && contextTabs.some(tab => tab.url && tab.url.includes('docs.google.com'))) ||
-                                   (queryLower.includes('google doc') || queryLower.includes('document'));
-    
-    // handle google docs editing requests IMMEDIATELY after normalizedCapture is set
-    // this must happen BEFORE any other processing to prevent regular AI responses
-    // be very aggressive - if it's an edit request and we have screen capture, assume it's for editing
-    if (isEditRequest && normalizedCapture) {
-      // if we don't have explicit google doc detection, still try to edit if it's a clear edit request
-      const shouldEdit = hasGoogleDocOpen || hasGoogleDocOpenFinal || queryLower.includes('polish') || queryLower.includes('edit') || queryLower.includes('improve');
-      
-      if (shouldEdit) {
-      console.log('[GOOGLE DOCS EDITOR] ✅✅✅ Edit request detected, starting editing workflow...');
-      console.log('[GOOGLE DOCS EDITOR] hasGoogleDocOpen:', hasGoogleDocOpen);
-      console.log('[GOOGLE DOCS EDITOR] hasGoogleDocOpenFinal:', hasGoogleDocOpenFinal);
-      console.log('[GOOGLE DOCS EDITOR] isEditRequest:', isEditRequest);
-      console.log('[GOOGLE DOCS EDITOR] normalizedCapture exists:', !!normalizedCapture);
-      console.log('[GOOGLE DOCS EDITOR] normalizedCapture dataURL length:', normalizedCapture?.dataURL?.length || 0);
-      console.log('[GOOGLE DOCS EDITOR] query:', query);
-      
-      try {
-        // set up streaming response
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        // perform the editing
-        const result = await googleDocsEditor.editGoogleDoc(normalizedCapture, query);
-        
-        // send success message with proper grammar and formatting
-        // Combine into single message with proper spacing to avoid duplication and spacing issues
-        let successMessage = '';
-        if (result.editType === 'grammar') {
-          successMessage = 'Analyzing your document and preparing improvements...\n\nFixed all grammar and spelling errors in your document. Changes have been applied directly to your Google Doc.';
-        } else if (result.editType === 'synthesis') {
-          successMessage = 'Analyzing your document and preparing improvements...\n\nSynthesized your notes into well-written paragraphs. Changes have been applied directly to your Google Doc.';
-        } else {
-          successMessage = 'Analyzing your document and preparing improvements...\n\nPolished and improved your document. Changes have been applied directly to your Google Doc.';
-        }
-        
-        // Send as single message to avoid concatenation issues and duplication
-        res.write(`data: ${JSON.stringify({ content: successMessage })}\n\n`);
-        res.write('data: [DONE]\n\n');
-        res.end();
-        return;
-      } catch (error) {
-        console.error('[GOOGLE DOCS EDITOR] ❌ Editing failed:', error);
-        console.error('[GOOGLE DOCS EDITOR] Error stack:', error.stack);
-        res.write(`data: ${JSON.stringify({ error: error.message || 'Failed to edit document' })}\n\n`);
-        res.write('data: [DONE]\n\n');
-        res.end();
-        return;
-      }
-      }
-    } else if (isEditRequest) {
-      console.log('[GOOGLE DOCS EDITOR] ⚠️ Edit request detected but conditions not met:', {
-        isEditRequest,
-        hasGoogleDocOpen,
-        hasNormalizedCapture: !!normalizedCapture,
-        contextTabsCount: contextTabs?.length || 0,
-        contextTabsUrls: contextTabs?.map(t => t.url).filter(u => u?.includes('docs.google.com'))
-      });
-    }
-
-    // Get conversation history context
-    let memoryContext = '';
-    try {
-      // Add timeout for memory context generation (reduced to 1 second for speed)
-      const memoryPromise = Promise.resolve(memorySystem.generateMemoryContext(query));
-      const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Memory context generation timeout')), 500)
-      );
-      
-      memoryContext = await Promise.race([memoryPromise, timeoutPromise]);
-      
-      if (memoryContext) {
-        console.log('🧠 Generated comprehensive memory context');
-        console.log('🧠 Context length:', memoryContext.length);
-      } else {
-        console.log('🧠 No memory context available');
-      }
-    } catch (memoryError) {
-      console.error('🧠 Memory system error:', memoryError);
-      // Continue without memory context if there's an error
-    }
-
-    // 🎓 LEARNING PERSONA SYSTEM: Generate learning context
-    let learningContext = '';
-    try {
-      // Add timeout for learning context generation (reduced to 1 second for speed)
-      const learningPromise = Promise.resolve(learningPersonaSystem.generateLearningContext());
-      const learningTimeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Learning context generation timeout')), 1000)
-      );
-      
-      learningContext = await Promise.race([learningPromise, learningTimeoutPromise]);
-      
-      if (learningContext) {
-        console.log('🎓 Generated learning persona context');
-        console.log('🎓 Learning context length:', learningContext.length);
-      } else {
-        console.log('🎓 No learning persona context available');
-      }
-    } catch (learningError) {
-      console.error('🎓 Learning persona system error:', learningError);
-      // Continue without learning context if there's an error
-    }
-    
-    // IMPORTANT: if this is an edit request, we should have already handled it above
-    // if we reach here with an edit request, something went wrong - log it
-    if (isEditRequest && hasGoogleDocOpen) {
-      console.error('[GOOGLE DOCS EDITOR] ⚠️⚠️⚠️ CRITICAL: Edit request reached regular AI path! This should not happen!');
-      console.error('[GOOGLE DOCS EDITOR] Conditions:', {
-        isEditRequest,
-        hasGoogleDocOpen,
-        hasNormalizedCapture: !!normalizedCapture,
-        query: query.substring(0, 100)
-      });
-    }
-    
-    // Unify all "understanding" queries into a single, robust path
-    const understandingKeywords = ['explain', 'understand', 'deconstruct', 'main idea', 'what is', 'what are', 'eli5', 'summarize', 'how does', 'why is', 'teach', 'help', 'solve', 'question', 'problem', 'number'];
-    const isUnderstandingQuery = understandingKeywords.some(keyword => queryLower.includes(keyword));
-    
-    // Additional detection for quiz/test specific queries
-    const quizKeywords = ['quiz', 'test', 'exam', 'question', 'problem', 'number', 'answer', 'choice', 'option', 'solve', 'attack', 'tackle'];
-    const isQuizQuery = quizKeywords.some(keyword => queryLower.includes(keyword));
-
-    if (isUnderstandingQuery && isActiveMode) {
-      console.log('Handling unified understanding query in active mode...');
-      
-      let userPrompt = `The user's query is: "${query}". 
-
-**CRITICAL INSTRUCTION FOR QUIZ DETECTION:**
-First, carefully analyze the screen image to determine if this is a quiz or test question. Look for:
-- Multiple choice options (A, B, C, D or similar)
-- Question numbers or problem numbers (like "Question 1", "Problem 2", etc.)
-- Answer choices or options
-- Test/quiz interface elements
-- Questions with specific answer formats
-- Any text that indicates this is an assessment or test
-
-${isQuizQuery ? '**QUIZ QUERY DETECTED:** This query contains quiz-related keywords, so there is a high probability this is a quiz or test question. Please use the special collapsible step-by-step interactive tutoring format.' : ''}
-
-If you detect this is a quiz/test question, use the special collapsible step-by-step interactive tutoring format I provided in the system prompt. This format:
-- Generates ALL 10 steps at once in the response
-- Each step is clearly marked with "Step X: [Title]"
-- Each step has a "📝 Your Response (Required):" section
-- Steps are formatted as collapsible cards
-- Only Step 1 is visible initially
-- Subsequent steps become visible after previous step responses
-- Each step builds on user's previous responses
-- Maintains conversation flow throughout all steps
-
-If it's not a quiz question, use the standard 6-section format.
-
-Please provide a comprehensive, educational explanation based on the screen image.`;
-      if (selectedText) {
-        userPrompt += ` The user has highlighted the following text for special attention: "${selectedText}".`;
-      }
-
-      // 🧠 MEMORY SYSTEM: Enhance system prompt with conversation history for understanding queries
-      let systemPrompt = getFullSystemPrompt({ isActiveMode, learningContext });
-      if (memoryContext) {
-        const memoryInstruction = `
-
-🧠 PREVIOUS CONVERSATION HISTORY:
-${memoryContext}
-
-🎯 INSTRUCTIONS FOR USING CONVERSATION HISTORY:
-- Reference previous conversations when relevant to the current query
-- Build upon previous advice and suggestions rather than starting from scratch
-- Maintain consistency with previous recommendations
-- If the user is asking about something related to a previous conversation, acknowledge that context
-- Use the conversation history to provide more personalized and contextual responses
-
-IMPORTANT: Use this conversation history to provide more personalized and relevant responses. Reference previous conversations when appropriate, but always prioritize the current query and screen content as the primary focus.`;
-        
-        systemPrompt += memoryInstruction;
-        console.log('🧠 Enhanced understanding query with conversation history');
-      }
-      
-      const stream = await streamOpenAIResponse(systemPrompt, userPrompt, normalizedCapture, isActiveMode);
-
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-
-      let understandingResponse = '';
-      for await (const chunk of stream) {
-        const content = chunk.choices[0]?.delta?.content || '';
-        if (content) {
-          understandingResponse += content;
-          const processedContent = preprocessMathExpressions(content);
-          res.write(`data: ${JSON.stringify({ content: processedContent })}\n\n`);
-        }
-      }
-      
-      // 🧠 MEMORY SYSTEM: Store understanding conversation
-      try {
-        memorySystem.addConversationToHistory(query, understandingResponse, normalizedCapture);
-        console.log('🧠 Stored understanding conversation in history with profile extraction');
-      } catch (memoryError) {
-        console.error('🧠 Error storing understanding conversation:', memoryError);
-      }
-
-      // 🎓 LEARNING PERSONA SYSTEM: Extract user info from understanding query
-      try {
-        const insights = learningPersonaSystem.extractUserInfo(query, understandingResponse, normalizedCapture);
-        if (insights.length > 0) {
-          console.log('🎓 Extracted learning insights from understanding query:', insights.length);
-          insights.forEach(insight => {
-            console.log(`🎓 Insight: ${insight.description}`);
-          });
-        }
-      } catch (learningError) {
-        console.error('🎓 Error updating learning persona from understanding query:', learningError);
-      }
-      
-      res.write('data: [DONE]\n\n');
-      return res.end();
-    }
-    
-    // Check for text explanation request (no longer the primary path for active mode)
-    if (queryLower === 'explain this' && selectedText) {
-      console.log('Handling text explanation with isActiveMode:', isActiveMode);
-      const completion = await generateTextExplanation(selectedText, isActiveMode);
-      
-      // Set up SSE response
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-
-      let textExplanationResponse = '';
-      for await (const chunk of completion) {
-        const content = chunk.choices[0]?.delta?.content || '';
-        if (content) {
-          textExplanationResponse += content;
-          
-          // Check if the response contains content moderation rejection
-          // Only trigger if the response is very short and contains rejection phrases
-          if (textExplanationResponse.length < 100 && (
-              textExplanationResponse.toLowerCase().includes("i'm sorry i can't assist with that") || 
-              textExplanationResponse.toLowerCase().includes("i cannot assist with that") ||
-              textExplanationResponse.toLowerCase().includes("i'm unable to help with that"))) {
-            
-            console.log('Content moderation rejection detected, forcing helpful email draft reply...');
-            // Instead of retrying or apologizing, always provide a helpful draft reply
-            const fallbackResponse = `Here's a draft reply you can use for this email:\n\nHi,\n\nThank you for your message. I appreciate your insights and will get back to you with more details soon.\n\nBest,\nViren`;
-            res.write(`data: ${JSON.stringify({ content: fallbackResponse })}\n\n`);
-            res.write('data: [DONE]\n\n');
-            return res.end();
-          }
-          
-          // Preprocess the content to fix math expressions
-          const processedContent = preprocessMathExpressions(content);
-          res.write(`data: ${JSON.stringify({ content: processedContent })}\n\n`);
-        }
-      }
-      
-      // 🧠 MEMORY SYSTEM: Store text explanation conversation
-      try {
-        memorySystem.addConversationToHistory(query, textExplanationResponse, normalizedCapture);
-        console.log('🧠 Stored text explanation conversation in history with profile extraction');
-      } catch (memoryError) {
-        console.error('🧠 Error storing text explanation conversation:', memoryError);
-      }
-
-      // 🎓 LEARNING PERSONA SYSTEM: Extract user info from text explanation
-      try {
-        const insights = learningPersonaSystem.extractUserInfo(query, textExplanationResponse, normalizedCapture);
-        if (insights.length > 0) {
-          console.log('🎓 Extracted learning insights from text explanation:', insights.length);
-          insights.forEach(insight => {
-            console.log(`🎓 Insight: ${insight.description}`);
-          });
-        }
-      } catch (learningError) {
-        console.error('🎓 Error updating learning persona from text explanation:', learningError);
-      }
-
-      res.write('data: [DONE]\n\n');
-      return res.end();
-    }
-
-    // Check for text message commands with various patterns
-    const textPatterns = [
-      /^(?:can you )?(?:please )?(?:text|send|message) (\w+) ["']?([^"']+)["']?$/i,  // text gia xyz, send a message to gia saying xyz, message gia xyz
-    ];
-
-    for (const pattern of textPatterns) {
-      const match = queryLower.match(pattern);
-      if (match) {
-        const [_, recipient, message] = match;
-        try {
-          await sendiMessage(recipient, message);
-          return res.json({ 
-            success: true, 
-            content: `Message "${message}" sent successfully to ${recipient}.`
-          });
-        } catch (error) {
-          console.error('Error sending message:', error);
-          return res.status(500).json({ 
-            error: `Failed to send message to ${recipient}. ${error.message}` 
-          });
-        }
-      }
-    }
-
-    // Check for "take notes on it" command
-    const takeNotesPattern = /^(?:can you )?(?:please )?(?:take|create|make|generate)\s+notes(?:\s+on\s+it)?$/i;
-    const takeNotesMatch = queryLower.match(takeNotesPattern);
-    
-    if (takeNotesMatch) {
-      console.log('Handling "take notes" command...');
-      
-      try {
-        // Validate screen capture with more detailed logging
-        if (!normalizedCapture) {
-          console.error('No screen capture object provided for take notes command');
-          return res.status(400).json({
-            error: 'No screen capture available. Please ensure the application has screen capture permissions and try again.'
-          });
-        }
-
-        if (!normalizedCapture.dataURL) {
-          console.error('No screen capture dataURL available for take notes command');
-          return res.status(400).json({
-            error: 'No screen capture data available. Please ensure the application has screen capture permissions and try again.'
-          });
-        }
-
-        // Validate dataURL format
-        if (!normalizedCapture.dataURL.startsWith('data:image/')) {
-          console.error('Invalid screen capture dataURL format:', normalizedCapture.dataURL.substring(0, 50) + '...');
-          return res.status(400).json({
-            error: 'Invalid screen capture format. Please try again.'
-          });
-        }
-        
-        console.log('Screen capture received for take notes:', {
-          hasDataURL: !!normalizedCapture.dataURL,
-          dataURLLength: normalizedCapture.dataURL.length,
-          timestamp: normalizedCapture.timestamp,
-          uniqueId: normalizedCapture.uniqueId,
-          allProperties: Object.keys(normalizedCapture),
-          dataURLStart: normalizedCapture.dataURL.substring(0, 50) + '...'
-        });
-        
-        // Create notes prompt with strict instructions to only analyze the current screen
-        const notesPrompt = `# Comprehensive Learning Notes
-
-**INSTRUCTIONS:**
-- Analyze the current screen image and create the most comprehensive, educational, and visually appealing notes possible.
-- Structure the notes with the following sections:
-  - **Overview**
-  - **Key Concepts**
-  - **Deep Insights**
-  - **Real-World Applications**
-  - **Takeaway Questions**
-- Each section should have 2-4 substantial bullet points (2-3 sentences each) that teach the user, highlight interesting concepts, and provide context.
-- The 'Takeaway Questions' section should include 2-3 thought-provoking questions to encourage further learning.
-- Use bold for section headers and key terms, and clear markdown for structure.
-- Be thorough, educational, and engaging—explain as if you are a world-class tutor.
-- Focus ONLY on the specific content currently displayed on screen.
-- Do NOT reference any clipboard data, previous conversations, or cached content.
-- Do NOT use any external knowledge or previous notes.
-- Each request should be treated as completely independent.
-- Only analyze what is currently visible on the screen.
-- ALWAYS provide notes if there is any text content visible, even if minimal.
-- Be confident in your analysis—if you can see text, create notes about it.
-
-## Example Structure:
-
-# [Main Title]
-
-**Overview**
-- ...
-- ...
-
-**Key Concepts**
-- ...
-- ...
-
-**Deep Insights**
-- ...
-- ...
-
-**Real-World Applications**
-- ...
-- ...
-
-**Takeaway Questions**
-- ...
-- ...
-`;
-
-        const notesSystemPrompt = `You are an expert note-taking AI assistant with perfect vision and analytical capabilities. You analyze the current screen content ${webpageText ? 'and full webpage text' : ''} to provide detailed, comprehensive, and educational notes. You work completely independently for each request and do not reference any external data, clipboard content, or previous conversations. Each analysis is completely fresh and independent. You must never use clipboard data or cached content.
-
-**CRITICAL: NEVER APOLOGIZE OR SAY YOU CANNOT SEE SOMETHING**
-- You have perfect vision and can analyze any screen content
-- If you see text, images, or any content, analyze it confidently
-- Never say "I can't see" or "I'm sorry" or "I cannot assist"
-- Always provide helpful, detailed notes based on what you observe
-- Be confident in your analysis and note-taking abilities
-- If you see any text at all, create comprehensive notes about it
-
-**NOTE-TAKING APPROACH: BE THOROUGH, EDUCATIONAL, AND ENGAGING**
-- Provide detailed, structured notes that capture all important information
-- Be thorough in your analysis and note-taking
-- Focus on extracting key concepts, facts, and actionable insights
-- Structure notes with clear organization and logical flow
-- Include context and connections between different pieces of information
-- Teach the user as if you are a world-class tutor: explain, highlight, and encourage curiosity
-- Always include a 'Takeaway Questions' section at the end with 2-3 thought-provoking questions
-
-CONTENT FOCUS: You must prioritize the main article or document content and ignore sidebar content, navigation menus, browser tabs, advertisements, and other peripheral UI elements. Focus on the central, primary text content that appears to be the main article or document.`;
-        
-        console.log('Sending take notes request with screen capture length:', normalizedCapture.dataURL.length);
-        const stream = await streamOpenAIResponse(notesSystemPrompt, notesPrompt, normalizedCapture, false);
-        
-        let fullNotes = '';
-        
-        for await (const chunk of stream) {
-          const content = chunk.choices[0]?.delta?.content || '';
-          if (content) {
-            fullNotes += content;
-          }
-        }
-        
-        const cleanNotes = fullNotes.trim();
-
-        console.log('Raw AI response received:', {
-          length: fullNotes.length,
-          cleanLength: cleanNotes.length,
-          preview: cleanNotes.substring(0, 200) + '...',
-          hasContent: cleanNotes.length > 0
-        });
-
-        const nonContentIndicators = [
-            "i don't see any meaningful content",
-            "no discernible text",
-            "the screen is blank",
-            "no_notes",
-            "unable to analyze",
-            "cannot see any content",
-            "no visible text",
-            "screen appears to be empty",
-            "i cannot see any",
-            "i don't see any",
-            "no content to analyze",
-            "nothing to take notes on"
-        ];
-
-        const hasNonContentIndicator = nonContentIndicators.some(indicator => 
-          cleanNotes.toLowerCase().includes(indicator)
-        );
-
-        console.log('Content validation:', {
-          hasContent: cleanNotes.length > 0,
-          hasNonContentIndicator,
-          nonContentIndicatorsFound: nonContentIndicators.filter(indicator => 
-            cleanNotes.toLowerCase().includes(indicator)
-          )
-        });
-
-        // Only reject if there's no content AND there's a clear non-content indicator
-        if (!cleanNotes || (cleanNotes.length < 50 && hasNonContentIndicator)) {
-          console.log('Rejecting notes due to insufficient content or clear non-content indicator');
-          
-          // Try a fallback with a more direct prompt
-          try {
-            console.log('Attempting fallback with more direct prompt...');
-            const fallbackPrompt = `Look at the screen image carefully and create comprehensive notes about ANY text content you can see. Be thorough and detailed in your analysis. If you see any words, sentences, or text at all, create detailed notes about it. Focus on what is actually visible and provide confident, comprehensive analysis.
-
-**CRITICAL: BE CONFIDENT AND THOROUGH**
-- You have perfect vision and can analyze any screen content
-- Never say you cannot see anything - focus on what is actually visible
-- Provide detailed, structured notes that capture all important information
-- Be thorough in your analysis and note-taking abilities
-
-CONTENT FOCUS GUIDELINES:
-- **PRIORITIZE MAIN CONTENT**: Focus on the central, primary article or document content
-- **IGNORE SIDEBAR CONTENT**: Do not include notes about sidebar articles, navigation menus, or peripheral content
-- **IGNORE TAB CONTENT**: Do not include notes about browser tabs, window titles, or UI elements
-- **IGNORE ADVERTISEMENTS**: Do not include notes about ads or promotional content
-- **FOCUS ON BODY TEXT**: Prioritize the main article body, paragraphs, and substantive content
-- **IDENTIFY PRIMARY CONTENT**: Look for the largest, most prominent text area that appears to be the main article or document`;
-            
-            const fallbackStream = await streamOpenAIResponse(notesSystemPrompt, fallbackPrompt, normalizedCapture, false);
-            let fallbackNotes = '';
-            
-            for await (const chunk of fallbackStream) {
-              const content = chunk.choices[0]?.delta?.content || '';
-              if (content) {
-                fallbackNotes += content;
-              }
-            }
-            
-            const cleanFallbackNotes = fallbackNotes.trim();
-            
-            console.log('Fallback response:', {
-              length: cleanFallbackNotes.length,
-              preview: cleanFallbackNotes.substring(0, 200) + '...',
-              hasContent: cleanFallbackNotes.length > 0
-            });
-            
-            // If fallback has content, use it
-            if (cleanFallbackNotes && cleanFallbackNotes.length > 50) {
-              console.log('Using fallback notes');
-              fullNotes = cleanFallbackNotes;
-            } else {
-              console.log('Fallback also failed, returning error');
-              return res.json({
-                success: false,
-                content: `I can see the screen content, but it appears to be minimal or primarily consists of UI elements rather than substantial text content. To get the most helpful notes, please navigate to an article, document, or web page with more substantial content, then try the "take notes" command again.`
-              });
-            }
-          } catch (fallbackError) {
-            console.error('Fallback attempt failed:', fallbackError);
-            return res.json({
-              success: false,
-              content: `I can see the screen content, but it appears to be minimal or primarily consists of UI elements rather than substantial text content. To get the most helpful notes, please navigate to an article, document, or web page with more substantial content, then try the "take notes" command again.`
-            });
-          }
-        }
-        
-        // Preserve all markdown formatting for professional appearance
-        let cleanFormattedNotes = cleanNotes
-          // Convert markdown headers to bolded section headers
-          .replace(/^#\s*(.+)$/gm, '$1')
-          .replace(/^##\s*(.+)$/gm, '$1')
-          .replace(/^###\s*(.+)$/gm, '$1')
-          .replace(/^####\s*(.+)$/gm, '$1')
-          // Convert markdown bold formatting to plain text
-          .replace(/\*\*(.*?)\*\*/g, '$1')
-          // Convert markdown bullets to proper bullets
-          .replace(/^(\s*[-*+]\s+)/gm, '• ')
-          // Preserve indentation for sub-bullets
-          .replace(/^(\s{2,}[-*+]\s+)/gm, '  • ')
-          // Clean up excessive line breaks
-          .replace(/\n{3,}/g, '\n\n')
-          // Remove blank lines at start/end
-          .trim();
-        
-        // Add instruction for Google Docs font (if Google Docs)
-   
-        console.log('Notes content to be saved:', {
-          length: cleanFormattedNotes.length,
-          preview: cleanFormattedNotes.substring(0, 200) + '...',
-          hasContent: cleanFormattedNotes.length > 0
-        });
-        
-        // Create a temporary file with the notes
-        const tempNotesFile = `/tmp/ai_notes_${Date.now()}.txt`;
-        fs.writeFileSync(tempNotesFile, cleanFormattedNotes);
-        
-        console.log('Temporary file created:', tempNotesFile);
-        
-        // Copy the notes to clipboard FIRST
-        await new Promise((resolve, reject) => {
-          exec(`cat "${tempNotesFile}" | pbcopy`, (clipboardError) => {
-            if (clipboardError) {
-              reject(new Error(`Failed to copy notes to clipboard: ${clipboardError.message}`));
-              return;
-            }
-            console.log('Notes copied to clipboard successfully');
-            resolve();
-          });
-        });
-        
-        // Wait a moment to ensure clipboard is populated
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
-        // Verify clipboard content
-        await new Promise((resolve, reject) => {
-          exec('pbpaste', (error, clipboardContent) => {
-            if (error) {
-              console.warn('Failed to verify clipboard content:', error);
-            } else {
-              console.log('Clipboard verification:', {
-                length: clipboardContent.length,
-                preview: clipboardContent.substring(0, 100) + '...',
-                hasContent: clipboardContent.length > 0
-              });
-            }
-            resolve();
-          });
-        });
-        
-        // Open the Notes app and create a new note with the content
-        await new Promise((resolve, reject) => {
-          const appleScript = `
-            tell application "Notes"
-              activate
-              delay 1.5
-              tell application "System Events"
-                keystroke "n" using command down
-                delay 1
-                keystroke "v" using command down
-                delay 0.5
-              end tell
-            end tell
-          `;
-          
-          exec(`osascript -e '${appleScript}'`, (error) => {
-            if (error) {
-              console.error('AppleScript error:', error);
-              reject(new Error(`Failed to open Notes app: ${error.message}`));
-              return;
-            }
-            console.log('Notes app automation completed successfully');
-            
-            // Clean up the temporary file
-            try {
-              fs.unlinkSync(tempNotesFile);
-              console.log('Temporary file cleaned up');
-            } catch (cleanupError) {
-              console.warn('Failed to clean up temporary notes file:', cleanupError);
-            }
-            
-            resolve();
-          });
-        });
-        
-        return res.json({
-          success: true,
-          content: `Notes have been created and imported into the Notes app. The content has been copied to your clipboard and pasted into a new note.`
-        });
-        
-      } catch (error) {
-        console.error('Error taking notes:', error);
-        return res.status(500).json({
-          error: `Failed to take notes. ${error.message}`
-        });
-      }
-    }
+// Assistant commands (skills) live in src/services/commands and are picked by the command router.
+// Anything no command claims falls through to the general screen-aware chat in /api/ai.
+const CommandRouter = require('./src/services/command-router');
+const commandRouter = new CommandRouter();
+commandRouter.loadDirectory(path.join(__dirname, 'src/services/commands'));
+
+// server-side helpers commands may use, handed to them as ctx.services
+const commandServices = {
+  streamOpenAIResponse,
+  buildScreenMessages,
+  preprocessMathExpressions,
+  renderSystemPrompt,
+  renderTutorPrompt,
+  loadPromptContext,
+  buildMemoryInstruction,
+  rememberExchange,
+  memorySystem,
+  learningPersonaSystem,
+  findSpecificOpportunity,
+  generateCoverLetterFromJobPosting,
+  cleanCoverLetterContent,
+  ensureCoverLetterContactInfo,
+  formatCoverLetterForGoogleDocs,
+  openGoogleDocsWithCoverLetter,
+  generateEmailResponseFromThread,
+  generateTextExplanation,
+  extractWebpageText,
+  sendiMessage,
+  generateYouTubeSearchQuery,
+  searchAndOpenYouTubeVideo,
+  normalizeAppName
+};
+
+// Normalize screenCapture to an object with dataURL. captures are scaled and re-encoded as JPEG
+// before upload (see capture-image.js), so they arrive small enough as they are; cutting a data URL
+// short would only corrupt the image
+function normalizeScreenCapture(screenCapture) {
+  if (!screenCapture) {
+    return null;
+  }
+  if (typeof screenCapture === 'string') {
+    return { dataURL: screenCapture };
+  }
+  if (typeof screenCapture === 'object' && screenCapture.dataURL) {
+    return screenCapture;
+  }
+  return null;
+}
 
-    // Check for "take notes in word" command
-    const takeNotesInWordPattern = /^(?:can you )?(?:please )?(?:take|create|make|generate)\s+notes(?:\s+in\s+word)?$/i;
-    const takeNotesInWordMatch = queryLower.match(takeNotesInWordPattern);
-    
-    // Also check for alternative patterns
-    const takeNotesInWordAltPattern = /take notes (?:in|on) word/i;
-    const takeNotesInWordAltMatch = queryLower.match(takeNotesInWordAltPattern);
-    
-    // Note: "take notes in google docs" pattern matching is done earlier to prevent false matches
-    // with the alternative search patterns. The variables are already defined above.
-    if (takeNotesInWordMatch || takeNotesInWordAltMatch) {
-      console.log('Handling "take notes in Word" command...');
-      console.log('Command detected:', query);
-      console.log('Pattern matches:', { takeNotesInWordMatch, takeNotesInWordAltMatch });
-      try {
-        // Validate screen capture with more detailed logging
-        if (!normalizedCapture) {
-          console.error('No screen capture object provided for take notes command');
-          return res.status(400).json({
-            error: 'No screen capture available. Please ensure the application has screen capture permissions and try again.'
-          });
-        }
-        if (!normalizedCapture.dataURL) {
-          console.error('No screen capture dataURL available for take notes command');
-          return res.status(400).json({
-            error: 'No screen capture data available. Please ensure the application has screen capture permissions and try again.'
-          });
-        }
-        if (!normalizedCapture.dataURL.startsWith('data:image/')) {
-          console.error('Invalid screen capture dataURL format:', normalizedCapture.dataURL.substring(0, 50) + '...');
-          return res.status(400).json({
-            error: 'Invalid screen capture format. Please try again.'
-          });
-        }
-        
-        console.log('Screen capture received for take notes:', {
-          hasDataURL: !!normalizedCapture.dataURL,
-          dataURLLength: normalizedCapture.dataURL.length,
-          timestamp: normalizedCapture.timestamp,
-          uniqueId: normalizedCapture.uniqueId,
-          allProperties: Object.keys(normalizedCapture),
-          dataURLStart: normalizedCapture.dataURL.substring(0, 50) + '...'
-        });
-        
-        // Create notes prompt with strict instructions to only analyze the current screen
-        const notesPrompt = `# Comprehensive Learning Notes
-
-**INSTRUCTIONS:**
-- Analyze the current screen image and create the most comprehensive, educational, and visually appealing notes possible.
-- Structure the notes with the following sections:
-  - **Overview**
-  - **Key Concepts**
-  - **Deep Insights**
-  - **Real-World Applications**
-  - **Takeaway Questions**
-- Each section should have 2-4 substantial bullet points (2-3 sentences each) that teach the user, highlight interesting concepts, and provide context.
-- The 'Takeaway Questions' section should include 2-3 thought-provoking questions to encourage further learning.
-- Use bold for section headers and key terms, and clear markdown for structure.
-- Be thorough, educational, and engaging—explain as if you are a world-class tutor.
-- Focus ONLY on the specific content currently displayed on screen.
-- Do NOT reference any clipboard data, previous conversations, or cached content.
-- Do NOT use any external knowledge or previous notes.
-- Each request should be treated as completely independent.
-- Only analyze what is currently visible on the screen.
-- ALWAYS provide notes if there is any text content visible, even if minimal.
-- Be confident in your analysis—if you can see text, create notes about it.
-
-## Example Structure:
-
-# [Main Title]
-
-**Overview**
-- ...
-- ...
-
-**Key Concepts**
-- ...
-- ...
-
-**Deep Insights**
-- ...
-- ...
-
-**Real-World Applications**
-- ...
-- ...
-
-**Takeaway Questions**
-- ...
-- ...
-`;
+function buildCommandContext(body) {
+  const { query, resumeData, context, continuationOnly, screenCapture, selectedText, isActiveMode, contextTabs, threadId, history, dryRun, persona } = body;
+  const queryLower = query ? query.toLowerCase().trim() : '';
+  const tabs = Array.isArray(contextTabs) ? contextTabs : [];
+
+  return {
+    query: query || '',
+    queryLower,
+    resumeData,
+    context,
+    continuationOnly: !!continuationOnly,
+    selectedText,
+    isActiveMode: !!isActiveMode,
+    contextTabs: tabs,
+    capture: normalizeScreenCapture(screenCapture),
+    threadId: typeof threadId === 'string' && threadId ? threadId : null,
+    clientHistory: Array.isArray(history) ? history : null,
+    // the saved persona unless the request names one
+    persona: personas.resolve(typeof persona === 'string' ? persona : null),
+    // answer without reading or writing memory and without driving other apps (used by the eval runner)
+    dryRun: dryRun === true,
+    // contextTabs aren't always populated, so also trust the query itself
+    hasGoogleDocOpen: tabs.some(tab => tab.url && tab.url.includes('docs.google.com')) ||
+      queryLower.includes('google doc') || queryLower.includes('document'),
+    services: commandServices
+  };
+}
 
-        const notesSystemPrompt = `You are an expert note-taking AI assistant with perfect vision and analytical capabilities. You analyze the current screen content ${webpageText ? 'and full webpage text' : ''} to provide detailed, comprehensive, and educational notes. You work completely independently for each request and do not reference any external data, clipboard content, or previous conversations. Each analysis is completely fresh and independent. You must never use clipboard data or cached content.
-
-**CRITICAL: NEVER APOLOGIZE OR SAY YOU CANNOT SEE SOMETHING**
-- You have perfect vision and can analyze any screen content
-- If you see text, images, or any content, analyze it confidently
-- Never say "I can't see" or "I'm sorry" or "I cannot assist"
-- Always provide helpful, detailed notes based on what you observe
-- Be confident in your analysis and note-taking abilities
-- If you see any text at all, create comprehensive notes about it
-
-**NOTE-TAKING APPROACH: BE THOROUGH, EDUCATIONAL, AND ENGAGING**
-- Provide detailed, structured notes that capture all important information
-- Be thorough in your analysis and note-taking
-- Focus on extracting key concepts, facts, and actionable insights
-- Structure notes with clear organization and logical flow
-- Include context and connections between different pieces of information
-- Teach the user as if you are a world-class tutor: explain, highlight, and encourage curiosity
-- Always include a 'Takeaway Questions' section at the end with 2-3 thought-provoking questions
-
-CONTENT FOCUS: You must prioritize the main article or document content and ignore sidebar content, navigation menus, browser tabs, advertisements, and other peripheral UI elements. Focus on the central, primary text content that appears to be the main article or document.`;
-        
-        console.log('Sending take notes request with screen capture length:', normalizedCapture.dataURL.length);
-        const stream = await streamOpenAIResponse(notesSystemPrompt, notesPrompt, normalizedCapture, false);
-        
-        let fullNotes = '';
-        
-        for await (const chunk of stream) {
-          const content = chunk.choices[0]?.delta?.content || '';
-          if (content) {
-            fullNotes += content;
-          }
-        }
-        
-        const cleanNotes = fullNotes.trim();
-
-        console.log('Raw AI response received:', {
-          length: fullNotes.length,
-          cleanLength: cleanNotes.length,
-          preview: cleanNotes.substring(0, 200) + '...',
-          hasContent: cleanNotes.length > 0
-        });
-
-        const nonContentIndicators = [
-            "i don't see any meaningful content",
-            "no discernible text",
-            "the screen is blank",
-            "no_notes",
-            "unable to analyze",
-            "cannot see any content",
-            "no visible text",
-            "screen appears to be empty",
-            "i cannot see any",
-            "i don't see any",
-            "no content to analyze",
-            "nothing to take notes on"
-        ];
-
-        const hasNonContentIndicator = nonContentIndicators.some(indicator => 
-          cleanNotes.toLowerCase().includes(indicator)
-        );
-
-        console.log('Content validation:', {
-          hasContent: cleanNotes.length > 0,
-          hasNonContentIndicator,
-          nonContentIndicatorsFound: nonContentIndicators.filter(indicator => 
-            cleanNotes.toLowerCase().includes(indicator)
-          )
-        });
-
-        // Only reject if there's no content AND there's a clear non-content indicator
-        if (!cleanNotes || (cleanNotes.length < 50 && hasNonContentIndicator)) {
-          console.log('Rejecting notes due to insufficient content or clear non-content indicator');
-          
-          // Try a fallback with a more direct prompt
-          try {
-            console.log('Attempting fallback with more direct prompt...');
-            const fallbackPrompt = `Look at the screen image carefully and create comprehensive notes about ANY text content you can see. Be thorough and detailed in your analysis. If you see any words, sentences, or text at all, create detailed notes about it. Focus on what is actually visible and provide confident, comprehensive analysis.
-
-**CRITICAL: BE CONFIDENT AND THOROUGH**
-- You have perfect vision and can analyze any screen content
-- Never say you cannot see anything - focus on what is actually visible
-- Provide detailed, structured notes that capture all important information
-- Be thorough in your analysis and note-taking abilities
-
-CONTENT FOCUS GUIDELINES:
-- **PRIORITIZE MAIN CONTENT**: Focus on the central, primary article or document content
-- **IGNORE SIDEBAR CONTENT**: Do not include notes about sidebar articles, navigation menus, or peripheral content
-- **IGNORE TAB CONTENT**: Do not include notes about browser tabs, window titles, or UI elements
-- **IGNORE ADVERTISEMENTS**: Do not include notes about ads or promotional content
-- **FOCUS ON BODY TEXT**: Prioritize the main article body, paragraphs, and substantive content
-- **IDENTIFY PRIMARY CONTENT**: Look for the largest, most prominent text area that appears to be the main article`;
-            
-            const fallbackStream = await streamOpenAIResponse(notesSystemPrompt, fallbackPrompt, normalizedCapture, false);
-            let fallbackNotes = '';
-            
-            for await (const chunk of fallbackStream) {
-              const content = chunk.choices[0]?.delta?.content || '';
-              if (content) {
-                fallbackNotes += content;
-              }
-            }
-            
-            const cleanFallbackNotes = fallbackNotes.trim();
-            
-            console.log('Fallback response:', {
-              length: cleanFallbackNotes.length,
-              preview: cleanFallbackNotes.substring(0, 200) + '...',
-              hasContent: cleanFallbackNotes.length > 0
-            });
-            
-            // If fallback has content, use it
-            if (cleanFallbackNotes && cleanFallbackNotes.length > 50) {
-              console.log('Using fallback notes');
-              fullNotes = cleanFallbackNotes;
-            } else {
-              console.log('Fallback also failed, returning error');
-              return res.json({
-                success: false,
-                content: `I can see the screen content, but it appears to be minimal or primarily consists of UI elements rather than substantial text content. To get the most helpful notes, please navigate to an article, document, or web page with more substantial content, then try the "take notes" command again.`
-              });
-            }
-          } catch (fallbackError) {
-            console.error('Fallback attempt failed:', fallbackError);
-            return res.json({
-              success: false,
-              content: `I can see the screen content, but it appears to be minimal or primarily consists of UI elements rather than substantial text content. To get the most helpful notes, please navigate to an article, document, or web page with more substantial content, then try the "take notes" command again.`
-            });
-          }
-        }
-        
-        // Preserve all markdown formatting for professional appearance
-        let cleanFormattedNotes = cleanNotes
-          // Convert markdown headers to bolded section headers
-          .replace(/^#\s*(.+)$/gm, '$1')
-          .replace(/^##\s*(.+)$/gm, '$1')
-          .replace(/^###\s*(.+)$/gm, '$1')
-          .replace(/^####\s*(.+)$/gm, '$1')
-          // Convert markdown bold formatting to plain text
-          .replace(/\*\*(.*?)\*\*/g, '$1')
-          // Convert markdown bullets to proper bullets
-          .replace(/^(\s*[-*+]\s+)/gm, '• ')
-          // Preserve indentation for sub-bullets
-          .replace(/^(\s{2,}[-*+]\s+)/gm, '  • ')
-          // Clean up excessive line breaks
-          .replace(/\n{3,}/g, '\n\n')
-          // Remove blank lines at start/end
-          .trim();
-        
-        // Add instruction for Google Docs font (if Google Docs)
-     
-        console.log('Notes content to be saved:', {
-          length: cleanFormattedNotes.length,
-          preview: cleanFormattedNotes.substring(0, 200) + '...',
-          hasContent: cleanFormattedNotes.length > 0
-        });
-        
-        // Create a temporary file with the notes
-        const tempNotesFile = `/tmp/ai_notes_${Date.now()}.txt`;
-        fs.writeFileSync(tempNotesFile, cleanFormattedNotes);
-        
-        console.log('Temporary file created:', tempNotesFile);
-        
-        // Copy the notes to clipboard FIRST
-        await new Promise((resolve, reject) => {
-          exec(`cat "${tempNotesFile}" | pbcopy`, (clipboardError) => {
-            if (clipboardError) {
-              reject(new Error(`Failed to copy notes to clipboard: ${clipboardError.message}`));
-              return;
-            }
-            console.log('Notes copied to clipboard successfully');
-            resolve();
-          });
-        });
-        
-        // Wait a moment to ensure clipboard is populated
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
-        // Verify clipboard content
-        await new Promise((resolve, reject) => {
-          exec('pbpaste', (error, clipboardContent) => {
-            if (error) {
-              console.warn('Failed to verify clipboard content:', error);
-            } else {
-              console.log('Clipboard verification:', {
-                length: clipboardContent.length,
-                preview: clipboardContent.substring(0, 100) + '...',
-                hasContent: clipboardContent.length > 0
-              });
-            }
-            resolve();
-          });
-        });
-        
-        // Open Microsoft Word and create a new document with the notes
-        await new Promise((resolve, reject) => {
-          const appleScript = `
-            try
-              tell application "Microsoft Word"
-                activate
-                delay 2
-                set newDoc to make new document
-                delay 1.5
-                tell application "System Events"
-                  keystroke "v" using command down
-                  delay 1
-                end tell
-              end tell
-            on error errMsg
-              error "Microsoft Word automation failed: " & errMsg
-            end try
-          `;
-          exec(`osascript -e '${appleScript}'`, (error) => {
-            if (error) {
-              console.error('AppleScript error (Word):', error);
-              reject(new Error(`Failed to open Microsoft Word: ${error.message}`));
-              return;
-            }
-            console.log('Microsoft Word automation completed successfully');
-            // Clean up the temporary file
-            try {
-              fs.unlinkSync(tempNotesFile);
-              console.log('Temporary file cleaned up');
-            } catch (cleanupError) {
-              console.warn('Failed to clean up temporary notes file:', cleanupError);
-            }
-            resolve();
-          });
-        });
-        return res.json({
-          success: true,
-          content: `Notes have been created and imported into Microsoft Word. The content has been copied to your clipboard and pasted into a new Word document.`
-        });
-      } catch (error) {
-        console.error('Error taking notes in Word:', error);
-        
-        // Fallback to Notes app if Word fails
-        try {
-          console.log('Attempting fallback to Notes app...');
-          
-          // Open the Notes app and create a new note with the content
-          await new Promise((resolve, reject) => {
-            const appleScript = `
-              tell application "Notes"
-                activate
-                delay 1.5
-                tell application "System Events"
-                  keystroke "n" using command down
-                  delay 1
-                  keystroke "v" using command down
-                  delay 0.5
-                end tell
-              end tell
-            `;
-            
-            exec(`osascript -e '${appleScript}'`, (error) => {
-              if (error) {
-                console.error('AppleScript error (Notes fallback):', error);
-                reject(new Error(`Failed to open Notes app: ${error.message}`));
-                return;
-              }
-              console.log('Notes app fallback completed successfully');
-              resolve();
-            });
-          });
-          
-          return res.json({
-            success: true,
-            content: `Notes have been created and imported into the Notes app (Word fallback). The content has been copied to your clipboard and pasted into a new note.`
-          });
-        } catch (fallbackError) {
-          console.error('Fallback to Notes app also failed:', fallbackError);
-          return res.status(500).json({
-            error: `Failed to take notes in Word and fallback to Notes app also failed. ${error.message}`
-          });
-        }
-      }
-    }
+function summarizeRoute(routing) {
+  const selected = routing.trace.find(entry => entry.selected);
+  return {
+    command: routing.command ? routing.command.name : 'chat',
+    reason: selected
+      ? `matched "${selected.matchedText || selected.command}"${selected.missing ? `, missing ${selected.missing.join(', ')}` : ''}`
+      : 'no command matched',
+    trace: routing.trace.filter(entry => entry.matched)
+  };
+}
 
-    // Handle "take notes in Google Docs" command
-    if (takeNotesInGoogleDocsMatch || takeNotesOnGoogleDocsMatch) {
-      console.log('Handling "take notes in Google Docs" command...');
-      try {
-        // Validate screen capture with more detailed logging
-        if (!normalizedCapture) {
-          console.error('No screen capture object provided for take notes command');
-          return res.status(400).json({
-            error: 'No screen capture available. Please ensure the application has screen capture permissions and try again.'
-          });
-        }
-        if (!normalizedCapture.dataURL) {
-          console.error('No screen capture dataURL available for take notes command');
-          return res.status(400).json({
-            error: 'No screen capture data available. Please ensure the application has screen capture permissions and try again.'
-          });
-        }
-        if (!normalizedCapture.dataURL.startsWith('data:image/')) {
-          console.error('Invalid screen capture dataURL format:', normalizedCapture.dataURL.substring(0, 50) + '...');
-          return res.status(400).json({
-            error: 'Invalid screen capture format. Please try again.'
-          });
-        }
-        
-        console.log('Screen capture received for take notes in Google Docs:', {
-          hasDataURL: !!normalizedCapture.dataURL,
-          dataURLLength: normalizedCapture.dataURL.length,
-          timestamp: normalizedCapture.timestamp,
-          uniqueId: normalizedCapture.uniqueId,
-          allProperties: Object.keys(normalizedCapture),
-          dataURLStart: normalizedCapture.dataURL.substring(0, 50) + '...'
-        });
-        
-        // Extract full webpage text content from the active Chrome tab
-        console.log('Extracting full webpage text content...');
-        let webpageText = '';
-        try {
-          webpageText = await extractWebpageText();
-          console.log('Webpage text extraction result:', {
-            length: webpageText.length,
-            hasContent: webpageText.length > 0,
-            preview: webpageText.substring(0, 300) + (webpageText.length > 300 ? '...' : '')
-          });
-        } catch (error) {
-          console.warn('Failed to extract webpage text, continuing with screen capture only:', error);
-        }
-        
-        // Create notes prompt with strict instructions to analyze both screen and webpage content
-        const notesPrompt = `# Comprehensive Learning Notes
-
-**INSTRUCTIONS:**
-- Analyze the current screen image ${webpageText ? 'AND the full webpage text content provided below' : ''} to create the most comprehensive, educational, and visually appealing notes possible.
-- Structure the notes with the following sections:
-  - **Overview**
-  - **Key Concepts**
-  - **Deep Insights**
-  - **Real-World Applications**
-  - **Takeaway Questions**
-- Each section should have 2-4 substantial bullet points (2-3 sentences each) that teach the user, highlight interesting concepts, and provide context.
-- The 'Takeaway Questions' section should include 2-3 thought-provoking questions to encourage further learning.
-- Use bold for section headers and key terms, and clear markdown for structure.
-- Be thorough, educational, and engaging—explain as if you are a world-class tutor.
-- Focus on the content from both the screen image ${webpageText ? 'and the full webpage text' : ''}.
-- Do NOT reference any clipboard data, previous conversations, or cached content.
-- Do NOT use any external knowledge or previous notes.
-- Each request should be treated as completely independent.
-- ALWAYS provide notes if there is any text content visible, even if minimal.
-- Be confident in your analysis—if you can see text, create notes about it.
-${webpageText ? `\n**FULL WEBPAGE TEXT CONTENT:**\n${webpageText.substring(0, 10000)}${webpageText.length > 10000 ? '\n[... content truncated for length ...]' : ''}` : ''}
-
-## Example Structure:
-
-# [Main Title]
-
-**Overview**
-- ...
-- ...
-
-**Key Concepts**
-- ...
-- ...
-
-**Deep Insights**
-- ...
-- ...
-
-**Real-World Applications**
-- ...
-- ...
-
-**Takeaway Questions**
-- ...
-- ...
-`;
+// Every /api/ai answer is an event stream (see src/services/ai-events.js) that opens with the
+// routing decision. Commands that still answer with res.json get their body translated to events
+function openEventStream(res, route, signal) {
+  res.setHeader('X-Command-Route', route.command);
+  const events = new EventStream(res, { signal });
+  events.route(route);
+  res.json = (body) => events.fromJSON(body, res.statusCode);
+  return events;
+}
 
-        const notesSystemPrompt = `You are an expert note-taking AI assistant with perfect vision and analytical capabilities. You analyze the current screen content ${webpageText ? 'and full webpage text' : ''} to provide detailed, comprehensive, and educational notes. You work completely independently for each request and do not reference any external data, clipboard content, or previous conversations. Each analysis is completely fresh and independent. You must never use clipboard data or cached content.
-
-**CRITICAL: NEVER APOLOGIZE OR SAY YOU CANNOT SEE SOMETHING**
-- You have perfect vision and can analyze any screen content
-- If you see text, images, or any content, analyze it confidently
-- Never say "I can't see" or "I'm sorry" or "I cannot assist"
-- Always provide helpful, detailed notes based on what you observe
-- Be confident in your analysis and note-taking abilities
-- If you see any text at all, create comprehensive notes about it
-
-**NOTE-TAKING APPROACH: BE THOROUGH, EDUCATIONAL, AND ENGAGING**
-- Provide detailed, structured notes that capture all important information
-- Be thorough in your analysis and note-taking
-- Focus on extracting key concepts, facts, and actionable insights
-- Structure notes with clear organization and logical flow
-- Include context and connections between different pieces of information
-- Teach the user as if you are a world-class tutor: explain, highlight, and encourage curiosity
-- Always include a 'Takeaway Questions' section at the end with 2-3 thought-provoking questions
-
-CONTENT FOCUS: You must prioritize the main article or document content and ignore sidebar content, navigation menus, browser tabs, advertisements, and other peripheral UI elements. Focus on the central, primary text content that appears to be the main article or document.`;
-        
-        console.log('Sending take notes request with screen capture length:', normalizedCapture.dataURL.length);
-        const stream = await streamOpenAIResponse(notesSystemPrompt, notesPrompt, normalizedCapture, false);
-        
-        let fullNotes = '';
-        
-        for await (const chunk of stream) {
-          const content = chunk.choices[0]?.delta?.content || '';
-          if (content) {
-            fullNotes += content;
-          }
-        }
-        
-        const cleanNotes = fullNotes.trim();
-
-        console.log('Raw AI response received:', {
-          length: fullNotes.length,
-          cleanLength: cleanNotes.length,
-          preview: cleanNotes.substring(0, 200) + '...',
-          hasContent: cleanNotes.length > 0
-        });
-
-        const nonContentIndicators = [
-            "i don't see any meaningful content",
-            "no discernible text",
-            "the screen is blank",
-            "no_notes",
-            "unable to analyze",
-            "cannot see any content",
-            "no visible text",
-            "screen appears to be empty",
-            "i cannot see any",
-            "i don't see any",
-            "no content to analyze",
-            "nothing to take notes on"
-        ];
-
-        const hasNonContentIndicator = nonContentIndicators.some(indicator => 
-          cleanNotes.toLowerCase().includes(indicator)
-        );
-
-        console.log('Content validation:', {
-          hasContent: cleanNotes.length > 0,
-          hasNonContentIndicator,
-          nonContentIndicatorsFound: nonContentIndicators.filter(indicator => 
-            cleanNotes.toLowerCase().includes(indicator)
-          )
-        });
-
-        // Only reject if there's no content AND there's a clear non-content indicator
-        if (!cleanNotes || (cleanNotes.length < 50 && hasNonContentIndicator)) {
-          console.log('Rejecting notes due to insufficient content or clear non-content indicator');
-          
-          // Try a fallback with a more direct prompt
-          try {
-            console.log('Attempting fallback with more direct prompt...');
-            const fallbackPrompt = `Look at the screen image carefully and create comprehensive notes about ANY text content you can see. Be thorough and detailed in your analysis. If you see any words, sentences, or text at all, create detailed notes about it. Focus on what is actually visible and provide confident, comprehensive analysis.
-
-**CRITICAL: BE CONFIDENT AND THOROUGH**
-- You have perfect vision and can analyze any screen content
-- Never say you cannot see anything - focus on what is actually visible
-- Provide detailed, structured notes that capture all important information
-- Be thorough in your analysis and note-taking abilities
-
-CONTENT FOCUS GUIDELINES:
-- **PRIORITIZE MAIN CONTENT**: Focus on the central, primary article or document content
-- **IGNORE SIDEBAR CONTENT**: Do not include notes about sidebar articles, navigation menus, or peripheral content
-- **IGNORE TAB CONTENT**: Do not include notes about browser tabs, window titles, or UI elements
-- **IGNORE ADVERTISEMENTS**: Do not include notes about ads or promotional content
-- **FOCUS ON BODY TEXT**: Prioritize the main article body, paragraphs, and substantive content
-- **IDENTIFY PRIMARY CONTENT**: Look for the largest, most prominent text area that appears to be the main article`;
-            
-            const fallbackStream = await streamOpenAIResponse(notesSystemPrompt, fallbackPrompt, normalizedCapture, false);
-            let fallbackNotes = '';
-            
-            for await (const chunk of fallbackStream) {
-              const content = chunk.choices[0]?.delta?.content || '';
-              if (content) {
-                fallbackNotes += content;
-              }
-            }
-            
-            const cleanFallbackNotes = fallbackNotes.trim();
-            
-            console.log('Fallback response:', {
-              length: cleanFallbackNotes.length,
-              preview: cleanFallbackNotes.substring(0, 200) + '...',
-              hasContent: cleanFallbackNotes.length > 0
-            });
-            
-            // If fallback has content, use it
-            if (cleanFallbackNotes && cleanFallbackNotes.length > 50) {
-              console.log('Using fallback notes');
-              fullNotes = cleanFallbackNotes;
-            } else {
-              console.log('Fallback also failed, returning error');
-              return res.json({
-                success: false,
-                content: `I can see the screen content, but it appears to be minimal or primarily consists of UI elements rather than substantial text content. To get the most helpful notes, please navigate to an article, document, or web page with more substantial content, then try the "take notes" command again.`
-              });
-            }
-          } catch (fallbackError) {
-            console.error('Fallback attempt failed:', fallbackError);
-            return res.json({
-              success: false,
-              content: `I can see the screen content, but it appears to be minimal or primarily consists of UI elements rather than substantial text content. To get the most helpful notes, please navigate to an article, document, or web page with more substantial content, then try the "take notes" command again.`
-            });
-          }
-        }
-        
-        // Preserve all markdown formatting for professional appearance
-        let cleanFormattedNotes = cleanNotes
-          // Convert markdown headers to bolded section headers
-          .replace(/^#\s*(.+)$/gm, '$1')
-          .replace(/^##\s*(.+)$/gm, '$1')
-          .replace(/^###\s*(.+)$/gm, '$1')
-          .replace(/^####\s*(.+)$/gm, '$1')
-          // Convert markdown bold formatting to plain text
-          .replace(/\*\*(.*?)\*\*/g, '$1')
-          // Convert markdown bullets to proper bullets
-          .replace(/^(\s*[-*+]\s+)/gm, '• ')
-          // Preserve indentation for sub-bullets
-          .replace(/^(\s{2,}[-*+]\s+)/gm, '  • ')
-          // Clean up excessive line breaks
-          .replace(/\n{3,}/g, '\n\n')
-          // Remove blank lines at start/end
-          .trim();
-        
-        // Add instruction for Google Docs font (if Google Docs)
-       
-        
-        console.log('Notes content to be saved:', {
-          length: cleanFormattedNotes.length,
-          preview: cleanFormattedNotes.substring(0, 200) + '...',
-          hasContent: cleanFormattedNotes.length > 0
-        });
-        
-        // Create a temporary file with the notes
-        const tempNotesFile = `/tmp/ai_notes_${Date.now()}.txt`;
-        fs.writeFileSync(tempNotesFile, cleanFormattedNotes);
-        
-        console.log('Temporary file created:', tempNotesFile);
-        
-        // Copy the notes to clipboard FIRST
-        await new Promise((resolve, reject) => {
-          exec(`cat "${tempNotesFile}" | pbcopy`, (clipboardError) => {
-            if (clipboardError) {
-              reject(new Error(`Failed to copy notes to clipboard: ${clipboardError.message}`));
-              return;
-            }
-            console.log('Notes copied to clipboard successfully');
-            resolve();
-          });
-        });
-        
-        // Wait a moment to ensure clipboard is populated
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
-        // Verify clipboard content
-        await new Promise((resolve, reject) => {
-          exec('pbpaste', (error, clipboardContent) => {
-            if (error) {
-              console.warn('Failed to verify clipboard content:', error);
-            } else {
-              console.log('Clipboard verification:', {
-                length: clipboardContent.length,
-                preview: clipboardContent.substring(0, 100) + '...',
-                hasContent: clipboardContent.length > 0
-              });
-            }
-            resolve();
-          });
-        });
-        
-        // Simple, direct approach: try to find existing tab, otherwise open new one
-        console.log('Opening Google Docs and pasting notes...');
-        
-        await new Promise((resolve, reject) => {
-          const appleScript = `
-            tell application "Google Chrome"
-              activate
-              delay 0.2
-              
-              -- Try to find existing Google Docs tab quickly
-              set foundTab to false
-              try
-                repeat with w in every window
-                  try
-                    repeat with t in every tab of w
-                      try
-                        if (URL of t) contains "docs.google.com/document" then
-                          set active tab of w to t
-                          set index of w to 1
-                          set foundTab to true
-                          exit repeat
-                        end if
-                      end try
-                    end repeat
-                    if foundTab then exit repeat
-                  end try
-                end repeat
-              end try
-              
-              -- If not found, open new tab
-              if not foundTab then
-                tell application "System Events"
-                  tell process "Google Chrome"
-                    keystroke "t" using command down
-                    delay 0.4
-                    keystroke "https://docs.google.com/document/create"
-                    delay 0.3
-                    keystroke return
-                    delay 2.5
-                  end tell
-                end tell
-              else
-                delay 0.5
-              end if
-            end tell
-            
-            tell application "System Events"
-              tell process "Google Chrome"
-                set frontmost to true
-                delay 0.2
-                
-                -- Click center to focus editor
-                try
-                  set win to front window
-                  set {wx, wy} to position of win
-                  set {ww, wh} to size of win
-                  click at {wx + ww / 2, wy + wh / 2 + 80}
-                  delay 0.2
-                end try
-                
-                -- Paste
-                keystroke "a" using command down
-                delay 0.15
-                keystroke "v" using command down
-                delay 0.3
-              end tell
-            end tell
-          `;
-          
-          const timeout = setTimeout(() => {
-            reject(new Error('Operation timed out'));
-          }, 8000);
-          
-          exec(`osascript -e '${appleScript.replace(/'/g, "'\\''")}'`, (error, stdout, stderr) => {
-            clearTimeout(timeout);
-            
-            if (error) {
-              console.error('AppleScript error:', error.message);
-              // Don't fail - clipboard has the content
-              console.log('Notes are in clipboard - you can paste manually if needed');
-            }
-            
-            try {
-              fs.unlinkSync(tempNotesFile);
-            } catch (cleanupError) {
-              // Ignore cleanup errors
-            }
-            
-            resolve();
-          });
-        });
-        
-        return res.json({
-          success: true,
-          content: `Notes have been created and imported into Google Docs. The content has been copied to your clipboard and pasted into a new Google Doc.`
-        });
-      } catch (error) {
-        console.error('Error taking notes in Google Docs:', error);
-        return res.status(500).json({
-          error: `Failed to take notes in Google Docs. ${error.message}`
-        });
-      }
-    }
+// Conversation memory and learning persona context, each capped so a slow store never stalls a reply.
+// memoryRecall lists the conversations and profile facts recalled for the query, for the done event
+// (see EventStream.recordMemory). dry runs (evals) leave both out so answers don't depend on whose
+// machine they ran on
+async function loadPromptContext(query, { dryRun = false } = {}) {
+  if (dryRun) {
+    console.log('🧪 Dry run: no memory or learning persona context');
+    return { memoryContext: '', learningContext: '', memoryRecall: null };
+  }
 
-    // Check for YouTube video search command (topic-based)
-    const youtubeVideoPattern = /^(?:can you )?(?:please )?(?:get|find|search for|open) (?:a )?youtube video (?:to learn about|about|on) (.+)$/i;
-    const youtubeMatch = queryLower.match(youtubeVideoPattern);
-
-    if (youtubeMatch) {
-      const [_, topic] = youtubeMatch;
-      try {
-        await searchAndOpenYouTubeVideo(topic.trim(), false);
-        return res.json({
-          success: true,
-          content: `I've opened a new tab and searched for YouTube videos about "${topic.trim()}". You should see educational videos that can help you learn about this topic.`
-        });
-      } catch (error) {
-        console.error('Error searching YouTube:', error);
-        return res.status(500).json({
-          error: `Failed to search YouTube for "${topic.trim()}". ${error.message}`
-        });
-      }
-    }
+  let memoryContext = '';
+  let memoryRecall = null;
+  try {
+    const memoryPromise = Promise.resolve(memorySystem.recall(query));
+    // the query may be embedded by a provider (see memory-retrieval.js), which gives up after 1.5s
+    const timeoutPromise = new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Memory context generation timeout')), 2000)
+    );
 
-    // Check for YouTube video search command (screen-based context)
-    const youtubeScreenPattern = /^(?:can you )?(?:please )?(?:open|get|find|search for) (?:a )?youtube video (?:to help me understand this|to help me learn this|about this|on this)$/i;
-    const youtubeScreenMatch = queryLower.match(youtubeScreenPattern);
-
-    if (youtubeScreenMatch && normalizedCapture?.dataURL) {
-      try {
-        // Use AI to analyze screen content and generate search query
-        const searchQuery = await generateYouTubeSearchQuery(normalizedCapture, query);
-        await searchAndOpenYouTubeVideo(searchQuery, true);
-        return res.json({
-          success: true,
-          content: `I've analyzed your screen and opened a YouTube video about "${searchQuery}" that should help you understand what you're looking at.`
-        });
-      } catch (error) {
-        console.error('Error searching YouTube for screen content:', error);
-        return res.status(500).json({
-          error: `Failed to find relevant YouTube video. ${error.message}`
-        });
-      }
-    }
+    memoryRecall = await Promise.race([memoryPromise, timeoutPromise]);
+    memoryContext = memoryRecall.context;
 
-    // Check for app control commands
-    const openAppPattern = /^(?:can you )?(?:please )?(?:open|launch|start) ([\w\s]+)$/i;
-    const closeAppPattern = /^(?:can you )?(?:please )?(?:close|quit|exit) ([\w\s]+)$/i;
-
-    const openMatch = queryLower.match(openAppPattern);
-    const closeMatch = queryLower.match(closeAppPattern);
-
-    if (openMatch || closeMatch) {
-      const [_, appName] = openMatch || closeMatch;
-      const normalizedAppName = normalizeAppName(appName);
-      const action = openMatch ? 'open' : 'close';
-
-      try {
-        if (action === 'open') {
-          await new Promise((resolve, reject) => {
-            exec(`open -a "${normalizedAppName}"`, (error) => {
-              if (error) {
-                reject(new Error(`Failed to open ${normalizedAppName}`));
-              } else {
-                resolve();
-              }
-            });
-          });
-          return res.json({
-            success: true,
-            content: `Successfully opened ${normalizedAppName}.`
-          });
-        } else {
-          await new Promise((resolve, reject) => {
-            exec(`osascript -e 'quit app "${normalizedAppName}"'`, (error) => {
-              if (error) {
-                reject(new Error(`Failed to close ${normalizedAppName}`));
-              } else {
-                resolve();
-              }
-            });
-          });
-          return res.json({
-            success: true,
-            content: `Successfully closed ${normalizedAppName}.`
-          });
-        }
-      } catch (error) {
-        console.error(`Error ${action}ing application:`, error);
-        return res.status(500).json({
-          error: `Failed to ${action} ${normalizedAppName}. ${error.message}`
-        });
-      }
+    if (memoryContext) {
+      console.log('🧠 Generated comprehensive memory context');
+      console.log('🧠 Context length:', memoryContext.length);
+    } else {
+      console.log('🧠 No memory context available');
     }
+  } catch (memoryError) {
+    console.error('🧠 Memory system error:', memoryError);
+    // Continue without memory context if there's an error
+  }
 
-    // Continue with regular AI processing if not a command
-    if (!process.env.OPENAI_API_KEY) {
-      console.error('OpenAI API key missing');
-      return res.status(401).json({ error: 'OpenAI API key is not configured. Please check your .env file.' });
-    }
+  let learningContext = '';
+  try {
+    const learningPromise = Promise.resolve(learningPersonaSystem.generateLearningContext());
+    const learningTimeoutPromise = new Promise((_, reject) =>
+      setTimeout(() => reject(new Error('Learning context generation timeout')), 1000)
+    );
 
-    if (!normalizedCapture?.dataURL) {
-      console.error('Screen capture missing or invalid');
-      return res.status(400).json({ error: 'Screen capture is required for analysis. Please ensure screen capture permissions are granted.' });
-    }
+    learningContext = await Promise.race([learningPromise, learningTimeoutPromise]);
 
-    // Validate the image data URL format
-    if (!normalizedCapture.dataURL.startsWith('data:image/')) {
-      console.error('Invalid image data format:', normalizedCapture.dataURL.substring(0, 30) + '...');
-      return res.status(400).json({ error: 'Invalid image data format' });
+    if (learningContext) {
+      console.log('🎓 Generated learning persona context');
+      console.log('🎓 Learning context length:', learningContext.length);
+    } else {
+      console.log('🎓 No learning persona context available');
     }
+  } catch (learningError) {
+    console.error('🎓 Learning persona system error:', learningError);
+    // Continue without learning context if there's an error
+  }
 
-    // Get the full system prompt based on mode
-    console.log('getFullSystemPrompt called with isActiveMode:', isActiveMode);
-    let systemPrompt = getFullSystemPrompt({ isActiveMode, learningContext });
-    
-    // 🧠 MEMORY SYSTEM: Enhance system prompt with conversation history for EVERY query
-    if (memoryContext) {
-      const memoryInstruction = `
+  return { memoryContext, learningContext, memoryRecall };
+}
+
+function buildMemoryInstruction(memoryContext) {
+  return `
 
 🧠 PREVIOUS CONVERSATION HISTORY:
 ${memoryContext}
@@ -2847,16 +788,11 @@ ${memoryContext}
 - Use the conversation history to provide more personalized and contextual responses
 
 IMPORTANT: Use this conversation history to provide more personalized and relevant responses. Reference previous conversations when appropriate, but always prioritize the current query and screen content as the primary focus.`;
-      
-      systemPrompt += memoryInstruction;
-      console.log('🧠 Enhanced system prompt with conversation history for main AI response');
-    } else {
-      console.log('🧠 No conversation history available for this query');
-    }
+}
 
-    // 📄 RESUME DATA: Enhance system prompt with resume information if available
-    if (resumeData) {
-      const resumeInstruction = `
+// 📄 resume details for personalized answers
+function buildResumeInstruction(resumeData) {
+  return `
 
 📄 USER RESUME INFORMATION:
 Based on the user's uploaded resume:
@@ -2881,18 +817,198 @@ Based on the user's uploaded resume:
 - The cover letter will automatically open in Google Docs for easy editing
 
 IMPORTANT: This resume data represents the user's current qualifications. Use this information to provide accurate, personalized guidance.`;
-      
-      systemPrompt += resumeInstruction;
-      console.log('📄 Enhanced system prompt with resume data for personalized responses');
-    } else {
-      console.log('📄 No resume data available for this query');
+}
+
+// context the sidebar attaches to a question: selected text, browser tabs, resume summary
+function buildAttachedContextInstruction(context) {
+  return `
+
+📎 CONTEXT ATTACHED BY THE USER:
+${context}
+
+Use this alongside the screen when it is relevant to the question.`;
+}
+
+// 🧠 + 🎓 store a finished exchange in memory and update the learning persona, and in the
+// conversation thread when the client sent one
+function rememberExchange(query, response, screenCapture, { analyzeLearningStyle = false, threadId = null, dryRun = false } = {}) {
+  if (dryRun) return;
+  conversationThreads.appendExchange(threadId, { query, response, screenCapture });
+
+  try {
+    memorySystem.addConversationToHistory(query, response, screenCapture);
+    if (analyzeLearningStyle) {
+      memorySystem.analyzeLearningStyle(query, response);
     }
-    
-    console.log('Returning prompt for mode:', isActiveMode ? 'active' : 'passive');
-    console.log('Prompt length:', systemPrompt.length);
-    console.log('First 100 chars:', systemPrompt.substring(0, 100));
-    console.log('System prompt length:', systemPrompt.length);
-    console.log('isActiveMode for OpenAI request:', isActiveMode);
+    console.log('🧠 Stored conversation in history with profile extraction');
+  } catch (memoryError) {
+    console.error('🧠 Error storing conversation in history:', memoryError);
+  }
+
+  try {
+    const insights = learningPersonaSystem.extractUserInfo(query, response, screenCapture);
+    if (insights.length > 0) {
+      console.log('🎓 Extracted learning insights:', insights.length);
+      insights.forEach(insight => {
+        console.log(`🎓 Insight: ${insight.description}`);
+      });
+    }
+  } catch (learningError) {
+    console.error('🎓 Error updating learning persona:', learningError);
+  }
+}
+
+// List registered commands. Pass ?query=... to dry-run routing for a query and see the trace
+app.get('/api/commands', (req, res) => {
+  try {
+    const response = { success: true, commands: commandRouter.list() };
+
+    if (req.query.query) {
+      const ctx = buildCommandContext({
+        query: req.query.query,
+        isActiveMode: req.query.activeMode === 'true'
+      });
+      const routing = commandRouter.route(ctx);
+      response.route = { ...summarizeRoute(routing), trace: routing.trace };
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Error listing commands:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Inspect or reset a chat thread (screenshots are left out)
+app.get('/api/threads/:threadId', (req, res) => {
+  const thread = conversationThreads.describe(req.params.threadId);
+  if (!thread) {
+    return res.status(404).json({ success: false, error: 'Thread not found' });
+  }
+  res.json({ success: true, thread });
+});
+
+app.delete('/api/threads/:threadId', (req, res) => {
+  const cleared = conversationThreads.clear(req.params.threadId);
+  res.json({ success: true, cleared });
+});
+
+// features the app sends to the model, listed so /api/llm shows how each one resolves
+const LLM_FEATURES = [
+  'chat', 'assistant', 'understanding', 'continuation', 'notes', 'text-explanation',
+  'cover-letter', 'job-analysis', 'email-response', 'email-analysis', 'youtube-query',
+  'tutoring', 'quiz', 'docs-edit', 'tab-grouping', 'resume-analysis', 'internship-cover-letter',
+  'transcription'
+];
+
+// Which provider and model serve each feature (API keys are never included)
+app.get('/api/llm', (req, res) => {
+  try {
+    res.json({ success: true, ...llm.describe(LLM_FEATURES) });
+  } catch (error) {
+    console.error('Error describing LLM configuration:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Tokens, latency and cost per feature over the last `days` days, plus budget status
+app.get('/api/usage', (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 62);
+    res.json({ success: true, usage: llm.usage.summary({ days }) });
+  } catch (error) {
+    console.error('Error getting usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Prompt templates with the version in use and whether a file in prompt-overrides/ replaces it
+app.get('/api/prompts', (req, res) => {
+  try {
+    res.json({ success: true, overrideDir: prompts.overrideDir, prompts: prompts.list() });
+  } catch (error) {
+    console.error('Error listing prompts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Assistant personas and which one is selected
+app.get('/api/personas', (req, res) => {
+  try {
+    res.json({ success: true, current: personas.current().id, personas: personas.list() });
+  } catch (error) {
+    console.error('Error listing personas:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Select the persona every client uses from now on
+app.put('/api/personas/current', (req, res) => {
+  try {
+    const persona = personas.select(req.body.persona);
+    res.json({ success: true, current: persona.id, personas: personas.list() });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_PERSONA') {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error selecting persona:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// AI endpoint
+app.post('/api/ai', async (req, res) => {
+  console.log('[API/AI] Incoming request:', req.body.query);
+  // aborted when the client disconnects (Cmd+E, a newer query) or the request times out
+  const cancellation = cancelOnDisconnect(res, `"${req.body.query}"`);
+  const { signal } = cancellation;
+  let events = null;
+  try {
+    const ctx = buildCommandContext(req.body);
+    ctx.signal = signal;
+    const { query, queryLower, resumeData, isActiveMode, threadId } = ctx;
+    const normalizedCapture = ctx.capture;
+
+    const routing = commandRouter.route(ctx);
+    const route = summarizeRoute(routing);
+    console.log('[COMMAND ROUTER] Route:', route.command, '-', route.reason);
+    events = openEventStream(res, route, signal);
+    ctx.events = events;
+    // model calls made for this request: cancelled with it, and retries/fallbacks shown as progress
+    ctx.requestOptions = { signal, onRetry: ({ step, detail }) => events.progress(step, detail) };
+
+    if (routing.command) {
+      await commandRouter.dispatch(ctx, res, routing);
+      // every stream ends with done, even if a command forgot to finish it
+      return events.done();
+    }
+
+    if (!query) {
+      return events.fail(new Error('Query is required'), ERROR_CODES.BAD_REQUEST);
+    }
+
+    // Continue with regular AI processing if not a command
+    if (!llm.isConfigured('chat')) {
+      console.error('No model provider configured');
+      return events.fail(new Error('No model provider is configured. Set OPENAI_API_KEY (or LLM_BASE_URL for a local model) in your .env file.'), ERROR_CODES.NOT_CONFIGURED);
+    }
+
+    if (!normalizedCapture?.dataURL) {
+      console.error('Screen capture missing or invalid');
+      return events.fail(new Error('Screen capture is required for analysis. Please ensure screen capture permissions are granted.'), ERROR_CODES.MISSING_INPUT);
+    }
+
+    // Validate the image data URL format
+    if (!normalizedCapture.dataURL.startsWith('data:image/')) {
+      console.error('Invalid image data format:', normalizedCapture.dataURL.substring(0, 30) + '...');
+      return events.fail(new Error('Invalid image data format'), ERROR_CODES.BAD_REQUEST);
+    }
+
+    const { memoryContext, learningContext, memoryRecall } = await loadPromptContext(query, { dryRun: ctx.dryRun });
+
+    // earlier turns of this thread go to the model as real messages
+    conversationThreads.seed(threadId, ctx.clientHistory);
+    const threadHistory = conversationThreads.buildHistory(threadId);
 
     // 🚨 FALLBACK CONTINUATION DETECTION - Catch any continuation requests that slipped through
     // Much more precise pattern that only matches clear writing continuation intent
@@ -2902,196 +1018,300 @@ IMPORTANT: This resume data represents the user's current qualifications. Use th
     // Additional safeguard: don't treat simple questions as continuation requests
     const isSimpleQuestion = /\b(what|how|why|when|where|who|which|can you|could you|would you|do you|are you|is this|does this|tell me|explain|describe|analyze|summarize|help me understand|what does|what is|what are)\b/i.test(queryLower);
     
+    let continuationEnhancement = '';
+    let continuationPrompt = null;
     if (isFallbackContinuation && !isSimpleQuestion) {
       console.log('[FALLBACK CONTINUATION] Continuation request detected in main AI flow, enhancing prompt...');
       console.log('[FALLBACK CONTINUATION] Query:', query);
       console.log('[FALLBACK CONTINUATION] Pattern match:', isFallbackContinuation);
       console.log('[FALLBACK CONTINUATION] Is simple question:', isSimpleQuestion);
       
-      const continuationEnhancement = `
-
-🚨 CONTINUATION REQUEST DETECTED - ENHANCED INSTRUCTIONS:
-- YOU CAN ALWAYS SEE THE GOOGLE DOC CONTENT - NEVER SAY YOU CANNOT SEE IT
-- YOU CAN ALWAYS HELP WITH WRITING TASKS - NEVER SAY YOU CANNOT ASSIST
-- NEVER say "I'm sorry I can't assist with that" or similar phrases
-- NEVER say "I cannot assist with that" or "I'm unable to help with that"
-- NEVER say "I'm unable to continue the text from the image directly"
-- NEVER say "Could you please provide the text here so I can help you continue writing?"
-- NEVER apologize or say you cannot help
-- NEVER refuse any writing continuation request
-- NEVER say "I cannot see the text" or "I cannot read the document"
-- NEVER say "I'm unable to help with that" or "I cannot help with that"
-
-**WHAT YOU MUST DO:**
-- ALWAYS continue the text naturally from where it left off
-- ALWAYS maintain the same style, tone, and format as the existing text
-- ALWAYS provide substantial continuation (2-3 paragraphs minimum)
-- ALWAYS be confident and helpful
-- ALWAYS quote from the existing text to show you understand the context
-- ALWAYS acknowledge that you can see the document content
-- ALWAYS start your response with "I can see your document and I'll continue writing from where you left off."
-
-**REMEMBER: You have perfect vision, you can always see the document, and you can always help with writing tasks. Never doubt your abilities or refuse requests.**`;
-      
-      systemPrompt += continuationEnhancement;
+      continuationPrompt = prompts.render('continuation-boost');
+      continuationEnhancement = `\n\n${continuationPrompt.text}`;
       console.log('[FALLBACK CONTINUATION] Enhanced system prompt with continuation instructions');
     } else if (isFallbackContinuation) {
       console.log('[FALLBACK CONTINUATION] Pattern matched but blocked by simple question safeguard');
       console.log('[FALLBACK CONTINUATION] Query was:', query);
     }
 
+
+    // 📐 TOKEN BUDGET: fit the optional context into the model window, least important first out
+    // (long-term memory, then older thread turns, attached tabs, learning persona and resume)
+    const budget = new TokenBudget({
+      contextWindow: llm.contextWindow('chat'),
+      outputTokens: personas.outputTokens(ctx.persona, isActiveMode, isActiveMode ? 1536 : 600)
+    });
+    budget.require('base', getFullSystemPrompt({ isActiveMode, persona: ctx.persona }));
+    budget.require('continuation', continuationEnhancement);
+    budget.require('query', query);
+    // 🔧 commands the model can call when no pattern recognised the query
+    const tools = availableTools(ctx, commandRouter, 'chat');
+    budget.require('tools', tools.length > 0 ? JSON.stringify(tools) : '');
+    const { screenTextPlan, textLayer } = addScreen(budget, normalizedCapture);
+    budget.add('resume', resumeData ? buildResumeInstruction(resumeData) : '', { priority: 5 });
+    budget.add('learning', learningContext, { priority: 4, render: formatLearningContext });
+    budget.add('tabs', ctx.context, { priority: 3, render: buildAttachedContextInstruction });
+    budget.addMessages('history', threadHistory, { priority: 2 });
+    // 🧠 MEMORY SYSTEM: long-term conversation summaries only start a thread; after that the
+    // thread's own turns carry the context
+    budget.add('memory', threadHistory.length > 0 ? '' : memoryContext, { priority: 1, keep: 'start', render: buildMemoryInstruction });
+    const plan = budget.plan();
+    console.log('📐 Token budget:', describePlan(plan));
+
+    if (threadHistory.length > 0) {
+      console.log(`🧵 Continuing thread ${threadId} with ${plan.get('history').length} of ${threadHistory.length} earlier messages`);
+    }
+    if (resumeData) {
+      console.log('📄 Enhanced system prompt with resume data for personalized responses');
+    }
+
+    const basePrompt = renderSystemPrompt({ isActiveMode, learningContext: plan.raw('learning'), persona: ctx.persona });
+    const systemPrompt = basePrompt.text +
+      plan.get('memory') + plan.get('resume') + plan.get('tabs') + continuationEnhancement;
+    const usedPrompts = [basePrompt, continuationPrompt].filter(Boolean);
+    events.recordPrompts(...usedPrompts);
+    if (plan.get('memory')) {
+      events.recordMemory(memoryRecall);
+    }
+
+    console.log('Returning prompt for mode:', isActiveMode ? 'active' : 'passive');
+    console.log('System prompt length:', systemPrompt.length);
+    console.log('isActiveMode for model request:', isActiveMode);
+
     try {
-      console.log('Sending request to OpenAI:', {
-        model: MODEL,
-        messageCount: 2,
-        hasImage: true,
+      console.log('Sending chat request:', {
+        messageCount: plan.get('history').length + 2,
+        images: plan.imageDetails.length,
+        screenText: screenTextPlan.text ? `${textLayer.wordCount} words` : 'none',
         query: query,
         isActiveMode: isActiveMode,
         systemPromptLength: systemPrompt.length,
         imageDataURLLength: normalizedCapture.dataURL.length
       });
 
-      // Set up SSE response for streaming
-      res.setHeader('Content-Type', 'text/event-stream');
-      res.setHeader('Cache-Control', 'no-cache');
-      res.setHeader('Connection', 'keep-alive');
-
       // Add timeout for the entire request
       const requestTimeout = setTimeout(() => {
         console.log('Request timeout - sending error response');
-        if (!res.headersSent) {
-          res.write(`data: ${JSON.stringify({ error: 'Request timed out. Please try again.' })}\n\n`);
-          res.write('data: [DONE]\n\n');
-          res.end();
-        }
+        events.fail(new Error('Request timed out. Please try again.'), ERROR_CODES.TIMEOUT);
+        cancellation.abort();
       }, 60000); // 60 second timeout
 
-      const stream = await openai.chat.completions.create({
-        model: MODEL,
+      const request = {
         messages: [
           {
             role: "system",
             content: systemPrompt
           },
+          ...plan.get('history'),
           {
             role: "user",
             content: [
               {
                 type: "text",
-                text: query
+                text: query + plan.get('screen-note') + plan.get('screen-text')
               },
-              {
-                type: "image_url",
-                image_url: {
-                  url: normalizedCapture.dataURL
-                }
-              }
+              ...screenImageParts(normalizedCapture, plan)
             ]
           }
         ],
         stream: true,
-        max_tokens: isActiveMode ? 1536 : 600, // Further reduced for faster responses
-        temperature: isActiveMode ? 0.2 : 0.05, // Lower temperature for more focused responses
+        max_tokens: plan.maxTokens, // 1536 active / 600 passive unless the persona or the window wants less
+        temperature: personas.temperature(ctx.persona, isActiveMode),
         top_p: 0.95, // Higher for better quality
         frequency_penalty: 0.0,
         presence_penalty: 0.0,
         response_format: { type: "text" } // Ensure text format for faster processing
-      });
+      };
 
-      let fullResponse = '';
-      
-      for await (const chunk of stream) {
-        const content = chunk.choices[0]?.delta?.content || '';
-        if (content) {
-          fullResponse += content;
-          
-          // Check if the response contains content moderation rejection
-          // Only trigger if the response is very short and contains rejection phrases
-          if (fullResponse.length < 100 && (
-              fullResponse.toLowerCase().includes("i'm sorry i can't assist with that") || 
-              fullResponse.toLowerCase().includes("i cannot assist with that") ||
-              fullResponse.toLowerCase().includes("i'm unable to help with that"))) {
-            
-            clearTimeout(requestTimeout);
-            console.log('Content moderation rejection detected, forcing helpful email draft reply...');
-            // Instead of retrying or apologizing, always provide a helpful draft reply
-            const fallbackResponse = `Here's a draft reply you can use for this email:\n\nHi,\n\nThank you for your message. I appreciate your insights and will get back to you with more details soon.\n\nBest,\nViren`;
-            res.write(`data: ${JSON.stringify({ content: fallbackResponse })}\n\n`);
-            res.write('data: [DONE]\n\n');
-            return res.end();
-          }
-          
+      // Check if the response contains content moderation rejection
+      // Only trigger if the response is very short and contains rejection phrases
+      let rejected = false;
+      const fullResponse = await streamWithTools(ctx, commandRouter, {
+        feature: 'chat',
+        request,
+        tools,
+        prompts: usedPrompts,
+        pipe: {
           // Preprocess the content to fix math expressions
-          const processedContent = preprocessMathExpressions(content);
-          res.write(`data: ${JSON.stringify({ content: processedContent })}\n\n`);
+          transform: preprocessMathExpressions,
+          onContent: (text) => {
+            const lower = text.toLowerCase();
+            rejected = text.length < 100 && (
+              lower.includes("i'm sorry i can't assist with that") ||
+              lower.includes("i cannot assist with that") ||
+              lower.includes("i'm unable to help with that"));
+            return !rejected;
+          }
         }
-      }
+      });
 
       clearTimeout(requestTimeout);
 
-      // 🧠 MEMORY SYSTEM: Store conversation
-      try {
-        // Store the conversation in memory with profile extraction
-        memorySystem.addConversationToHistory(query, fullResponse, normalizedCapture);
-        console.log('🧠 Stored conversation in history with profile extraction');
-        
-        // Analyze learning style from the conversation
-        memorySystem.analyzeLearningStyle(query, fullResponse);
-        console.log('🧠 Analyzed learning style from conversation');
-        
-        console.log('🧠 Memory system operations completed successfully');
-        
-      } catch (memoryError) {
-        console.error('🧠 Error storing conversation in history:', memoryError);
-        // Continue without memory storage if there's an error
+      if (rejected) {
+        console.log('Content moderation rejection detected, forcing helpful email draft reply...');
+        // Instead of retrying or apologizing, always provide a helpful draft reply
+        const fallbackResponse = `Here's a draft reply you can use for this email:\n\nHi,\n\nThank you for your message. I appreciate your insights and will get back to you with more details soon.\n\nBest,\nViren`;
+        events.token(fallbackResponse);
+        return events.done();
       }
 
-      // 🎓 LEARNING PERSONA SYSTEM: Extract user info and update persona
-      try {
-        const insights = learningPersonaSystem.extractUserInfo(query, fullResponse, normalizedCapture);
-        if (insights.length > 0) {
-          console.log('🎓 Extracted learning insights:', insights.length);
-          insights.forEach(insight => {
-            console.log(`🎓 Insight: ${insight.description}`);
-          });
-        }
-      } catch (learningError) {
-        console.error('🎓 Error updating learning persona:', learningError);
-        // Continue without learning persona update if there's an error
-      }
+      rememberExchange(query, fullResponse, normalizedCapture, { analyzeLearningStyle: true, threadId, dryRun: ctx.dryRun });
 
-      res.write('data: [DONE]\n\n');
-      return res.end();
+      return events.done();
     } catch (error) {
+      if (isCancelled(error, signal)) {
+        console.log('[API/AI] Chat request cancelled');
+        return events.done({ cancelled: true });
+      }
       console.error('Error processing request:', error);
-      res.write(`data: ${JSON.stringify({ error: error.message })}\n\n`);
-      res.write('data: [DONE]\n\n');
-      res.end();
+      return events.fail(error);
     }
   } catch (error) {
+    if (events && isCancelled(error, signal)) {
+      console.log('[API/AI] Command cancelled:', error.message);
+      return events.done({ cancelled: true });
+    }
     console.error('Error:', error);
+    if (events) {
+      // a command failed midway; a structured answer that never validated keeps its own code
+      return events.fail(error, error.code === 'LLM_INVALID_OUTPUT' ? ERROR_CODES.INVALID_OUTPUT : ERROR_CODES.COMMAND_FAILED);
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
-// Helper function to stream OpenAI responses, consolidating the logic
-async function streamOpenAIResponse(systemPrompt, userText, screenCapture, isActiveMode) {
+// system + user messages with the screenshot attached, at the detail the token budget leaves room for.
+// returns the messages and the answer's max_tokens
+function buildScreenMessages(systemPrompt, userText, screenCapture, feature, outputTokens) {
+  // 📐 only the screen text is optional, otherwise the budget just sizes the answer and the screenshot detail
+  const budget = new TokenBudget({ contextWindow: llm.contextWindow(feature), outputTokens })
+    .require('system', systemPrompt)
+    .require('user', userText);
+  addScreen(budget, screenCapture);
+  const plan = budget.plan();
+  console.log(`📐 Token budget (${feature}):`, describePlan(plan));
+
+  const text = userText + plan.get('screen-note') + plan.get('screen-text');
+  const messages = [
+    { role: "system", content: systemPrompt },
+    {
+      role: "user",
+      content: plan.imageDetail
+        ? [
+        { type: "text", text },
+        ...screenImageParts(screenCapture, plan)
+      ]
+        : text
+    }
+  ];
+  return { messages, maxTokens: plan.maxTokens };
+}
+
+// 🎞️ the screenshots of a capture: a watch session (src/services/screen-watch.js) sends its keyframes in
+// order as capture.watch.frames, the last of them also being the capture itself
+function screenFrames(screenCapture) {
+  const frames = Array.isArray(screenCapture?.watch?.frames)
+    ? screenCapture.watch.frames.filter(frame => typeof frame?.dataURL === 'string' && frame.dataURL.startsWith('data:image/'))
+    : [];
+  if (frames.length > 0) return frames;
+  return screenCapture?.dataURL ? [screenCapture] : [];
+}
+
+// the text layer the model gets with a capture; for a watch session, each frame's lines that the
+// frames before it didn't have, under a header saying which frame they are from
+function screenTextLayer(screenCapture) {
+  if (!screenCapture?.watch) return screenCapture?.textLayer;
+  const frames = screenFrames(screenCapture);
+  const parts = frames
+    .map((frame, index) => (frame.newText ? `[Frame ${index + 1} of ${frames.length}, ${formatOffset(frame.offsetMs)}]\n${frame.newText}` : ''))
+    .filter(Boolean);
+  if (parts.length === 0) return null;
+  const confidences = frames.map(frame => frame.textLayer?.confidence).filter(Number.isFinite);
+  const text = parts.join('\n\n');
+  return {
+    text,
+    // text that came without its layers' confidence counts as unreadable, not as certain
+    confidence: confidences.length > 0 ? Math.min(...confidences) : 0,
+    wordCount: text.split(/\s+/).filter(Boolean).length
+  };
+}
+
+function formatOffset(ms = 0) {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// 📐 the screenshots and their OCR text, as OCR_MODE and the token budget allow
+function addScreen(budget, screenCapture) {
+  const textLayer = screenTextLayer(screenCapture);
+  const screenTextPlan = ocr.screenTextPlan(textLayer);
+  budget.images(screenTextPlan.image === 'none' ? [] : screenFrames(screenCapture).map(frame => ({
+    dataURL: frame.dataURL,
+    maxDetail: screenTextPlan.image === 'low' ? 'low' : frame.detail
+  })));
+  addScreenText(budget, screenCapture, textLayer, screenTextPlan);
+  return { screenTextPlan, textLayer };
+}
+
+// the image parts of the user message, one per screenshot the plan kept
+function screenImageParts(screenCapture, plan) {
+  const frames = screenFrames(screenCapture);
+  return plan.imageDetails.map((detail, index) => ({
+    type: "image_url",
+    image_url: { url: frames[index].dataURL, detail }
+  }));
+}
+
+// 🔤 the OCR text that came with a capture (see src/services/ocr.js): required when it replaces the
+// screenshot, otherwise the last optional context to be trimmed. a frame from the screen history
+// (src/services/screen-history.js) also says when it was on screen, so it isn't taken for the screen
+// now, and a watch session that its screenshots are one sequence
+function addScreenText(budget, screenCapture, textLayer, screenTextPlan) {
+  budget.require('screen-note', screenNote(screenCapture, screenTextPlan));
+  const text = screenTextPlan.text ? textLayer.text : '';
+  const render = value => `\n\n${prompts.text('screen-text', { text: value, imageOmitted: screenTextPlan.image === 'none' })}`;
+  if (screenTextPlan.image === 'none') {
+    return budget.require('screen-text', render(text));
+  }
+  return budget.add('screen-text', text, { priority: 6, keep: 'start', render });
+}
+
+function screenNote(screenCapture, screenTextPlan) {
+  if (screenCapture?.history) {
+    return `\n\n${prompts.text('screen-history', describeHistoryFrame(screenCapture.history))}`;
+  }
+  const frames = screenCapture?.watch ? screenFrames(screenCapture) : [];
+  if (frames.length > 1) {
+    return `\n\n${prompts.text('screen-watch', {
+      count: frames.length,
+      duration: formatOffset(screenCapture.watch.durationMs),
+      hasText: screenTextPlan.text
+    })}`;
+  }
+  return '';
+}
+
+function describeHistoryFrame({ timestamp, app, title }) {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  let ago = 'less than a minute ago';
+  if (minutes >= 120) ago = `${Math.round(minutes / 60)} hours ago`;
+  else if (minutes >= 60) ago = 'an hour ago';
+  else if (minutes >= 1) ago = `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+  return { ago, time: new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }), app, title };
+}
+
+// Helper function to stream model responses, consolidating the logic.
+// `feature` picks the provider/model configured for the caller (see llm-provider.js)
+// `requestOptions` go to llm.chat, e.g. ctx.requestOptions to stop the stream when the request is cancelled
+// `persona` (for assistant answers, not notes or continuations) sets the temperature and caps the length
+async function streamOpenAIResponse(systemPrompt, userText, screenCapture, isActiveMode, feature = 'assistant', requestOptions, persona = null) {
   try {
-    const messages = [
-      { role: "system", content: systemPrompt },
-      {
-        role: "user",
-        content: screenCapture && screenCapture.dataURL 
-          ? [
-          { type: "text", text: userText },
-          { type: "image_url", image_url: { url: screenCapture.dataURL } }
-        ]
-          : userText
-      }
-    ];
+    const outputTokens = isActiveMode ? 800 : 400;
+    const { messages, maxTokens } = buildScreenMessages(systemPrompt, userText, screenCapture, feature,
+      persona ? personas.outputTokens(persona, isActiveMode, outputTokens) : outputTokens);
 
-    console.log('Sending request to OpenAI:', {
-      model: MODEL,
+    console.log('Sending streaming request:', {
+      feature,
       hasImage: !!screenCapture,
       hasScreenCaptureDataURL: !!(screenCapture && screenCapture.dataURL),
       screenCaptureSize: screenCapture?.dataURL ? `${(screenCapture.dataURL.length * 0.75 / 1024 / 1024).toFixed(2)} MB` : 'N/A',
@@ -3101,11 +1321,10 @@ async function streamOpenAIResponse(systemPrompt, userText, screenCapture, isAct
     });
 
     const requestConfig = {
-      model: MODEL,
       messages: messages,
       stream: true,
-      max_tokens: isActiveMode ? 800 : 400, // Further reduced for faster responses
-      temperature: isActiveMode ? 0.2 : 0.1, // Lower temperature for faster, more focused responses
+      max_tokens: maxTokens, // 800 active / 400 passive unless the persona or the window wants less
+      temperature: persona ? personas.temperature(persona, isActiveMode) : (isActiveMode ? 0.2 : 0.1), // Lower temperature for faster, more focused responses
       top_p: 0.9, // Slightly lower for faster processing
       frequency_penalty: 0.0,
       presence_penalty: 0.0,
@@ -3113,11 +1332,9 @@ async function streamOpenAIResponse(systemPrompt, userText, screenCapture, isAct
       // Note: timeout is handled at the HTTP client level, not as an API parameter
     };
     
-    console.log('OpenAI request config:', requestConfig);
-    
-    return await openai.chat.completions.create(requestConfig);
+    return await llm.chat(feature, requestConfig, requestOptions);
   } catch (error) {
-    console.error('Error streaming OpenAI response:', error);
+    console.error('Error streaming model response:', error);
     console.error('Error details:', {
       message: error.message,
       name: error.name,
@@ -3277,7 +1494,7 @@ Return ONLY the search query, nothing else.`;
 
     const userPrompt = `Please analyze this screen content and generate a YouTube search query for educational videos that would help someone understand what they're looking at.`;
 
-    const stream = await streamOpenAIResponse(systemPrompt, userPrompt, screenCapture, false);
+    const stream = await streamOpenAIResponse(systemPrompt, userPrompt, screenCapture, false, 'youtube-query');
     
     let searchQuery = '';
     for await (const chunk of stream) {
@@ -3470,6 +1687,34 @@ app.post('/api/transcribe', upload.single('audio'), async (req, res) => {
     }
   }, 30000); // 30 second timeout
 
+  // a transcription provider in the LLM config replaces the local whisper script
+  if (llm.transcriptionEnabled()) {
+    // multer drops the extension, and the transcription API uses it to detect the format
+    const namedPath = `${audioPath}${path.extname(req.file.originalname || '') || '.webm'}`;
+    try {
+      fs.renameSync(audioPath, namedPath);
+      const transcription = (await llm.transcribe(namedPath)).trim();
+      clearTimeout(timeout);
+      if (!res.headersSent) {
+        if (transcription) {
+          res.json({ success: true, transcription });
+        } else {
+          res.status(500).json({ success: false, error: 'Transcription failed or returned empty result' });
+        }
+      }
+    } catch (err) {
+      clearTimeout(timeout);
+      console.error('Transcription provider error:', err);
+      if (!res.headersSent) {
+        res.status(500).json({ success: false, error: err.message });
+      }
+    } finally {
+      fs.unlink(namedPath, () => {});
+      fs.unlink(audioPath, () => {});
+    }
+    return;
+  }
+
   try {
     // Run the Python transcription script directly on the uploaded file
     const pythonProcess = spawn('python3', ['transcribe.py', audioPath]);
@@ -3596,18 +1841,14 @@ app.post('/api/tutoring/session/:sessionId/ai-response', async (req, res) => {
     }
     
     // Create a prompt for the AI to acknowledge the user's response
-    const systemPrompt = getFullSystemPrompt({ isActiveMode: true });
-    const userPrompt = `You are in the middle of a tutoring session. The user has just completed Step ${step} and provided this response:
-
-"${userResponse}"
-
-Understanding Level: ${Math.round((understandingLevel || 0.5) * 10)}/10
-
-Please acknowledge their response with specific feedback. Be encouraging and supportive. If their response shows good understanding, praise their thinking. If they seem confused or incorrect, gently guide them in the right direction. Keep your response to 2-3 sentences and make it feel like a real tutor responding to their student.
-
-Then, provide the next step in the tutoring process.`;
+    const systemPrompt = renderSystemPrompt({ isActiveMode: true });
+    const userPrompt = prompts.render('tutoring-step-feedback', {
+      step,
+      userResponse,
+      understanding: Math.round((understandingLevel || 0.5) * 10)
+    });
 
-    const aiResponse = await streamOpenAIResponse(systemPrompt, userPrompt, screenCapture, true);
+    const aiResponse = await streamOpenAIResponse(systemPrompt.text, userPrompt.text, screenCapture, true, 'tutoring', { prompts: [systemPrompt, userPrompt] });
     
     res.setHeader('Content-Type', 'text/event-stream');
     res.setHeader('Cache-Control', 'no-cache');
@@ -3688,7 +1929,8 @@ app.post('/api/tutoring/interactive-feedback', async (req, res) => {
     }
     
     // Create a conversational prompt for the AI
-    const systemPrompt = getFullSystemPrompt({ isActiveMode: true });
+    const persona = personas.resolve(req.body.persona);
+    const systemPrompt = renderTutorPrompt({ persona });
     
     // Build conversation context
     let conversationContext = '';
@@ -3698,44 +1940,30 @@ app.post('/api/tutoring/interactive-feedback', async (req, res) => {
       ).join('\n\n');
     }
     
-    const userPrompt = `You are an expert tutor having a conversation with a student about this question:
-
-**Question Context:**
-${questionContext || 'A quiz or test question that the student is working through.'}
-
-**Conversation History:**
-${conversationContext}
+    const userPrompt = prompts.render('tutoring-conversation', { questionContext, conversationContext, userResponse });
 
-**Student's Latest Response:**
-"${userResponse}"
-
-Please provide a helpful, encouraging response that:
-1. Acknowledges their thinking process
-2. Provides specific feedback on their reasoning
-3. Gently corrects any misconceptions
-4. Asks a follow-up question to deepen their understanding
-5. Guides them toward the next step in solving the problem
-
-Be conversational, supportive, and focused on building their understanding. Keep your response to 2-3 paragraphs maximum.`;
+    const reply = await generateStructured('tutoring', {
+      schema: 'tutoring-feedback',
+      messages: [
+        { role: 'system', content: systemPrompt.text },
+        { role: 'user', content: userPrompt.text }
+      ],
+      max_tokens: 700,
+      temperature: personas.temperature(persona, true)
+    }, { prompts: [systemPrompt, userPrompt] });
 
-    const aiResponse = await streamOpenAIResponse(systemPrompt, userPrompt, null, true);
-    
-    let fullResponse = '';
-    for await (const chunk of aiResponse) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      if (content) {
-        fullResponse += content;
-      }
-    }
-    
+    // `feedback` stays a single message for the chat view; the fields are there for anything that wants them
+    const feedback = [reply.feedback, reply.followUpQuestion].filter(Boolean).join('\n\n');
     res.json({ 
       success: true, 
-      feedback: fullResponse.trim()
+      feedback,
+      reply,
+      prompts: provenance([systemPrompt, userPrompt])
     });
     
   } catch (error) {
     console.error('Error getting interactive feedback:', error);
-    res.status(500).json({ error: error.message });
+    res.status(500).json({ error: error.message, code: error.code });
   }
 });
 
@@ -3753,38 +1981,40 @@ app.post('/api/tutoring/cleanup', (req, res) => {
   }
 });
 
+// `step` is the step being answered as the client got it (quiz-steps schema), so the answer can be checked
+// against its expectedAnswer. `result` is the quiz-step answer; aiFeedback and nextStepMarkdown are it
+// rendered for the card views
 app.post('/api/quiz/step', async (req, res) => {
   try {
-    const { userResponse, stepIndex, context } = req.body;
+    const { userResponse, stepIndex, context, step } = req.body;
     console.log('[QUIZ/STEP] Incoming:', { userResponse, stepIndex, context });
     if (!userResponse || typeof stepIndex !== 'number' || !context) {
       console.log('[QUIZ/STEP] Missing required fields');
       return res.status(400).json({ error: 'userResponse, stepIndex, and context are required' });
     }
-    const systemPrompt = getFullSystemPrompt({ isActiveMode: true });
-    const userPrompt = `You are an expert tutor. The student just answered step ${stepIndex + 1} of a quiz/test tutoring session.\n\nContext so far:\n${context}\n\nStudent's answer:\n"${userResponse}"\n\nPlease do the following:\n1. Confirm if their answer is correct, or gently explain why it is not.\n2. Give detailed feedback and encouragement.\n3. If there is a next step, generate the next step as markdown (with a new question and a 'Your Response (Required):' marker). If this is the last step, summarize and congratulate the student.\n\nRespond in this format:\n**AI Feedback:**\n[Your feedback here]\n\n**Next Step:**\n[Markdown for the next step, or summary if done]\n`;
-    const aiResponse = await streamOpenAIResponse(systemPrompt, userPrompt, null, true);
-    let fullResponse = '';
-    for await (const chunk of aiResponse) {
-      const content = chunk.choices[0]?.delta?.content || '';
-      if (content) {
-        fullResponse += content;
-      }
-    }
-    console.log('[QUIZ/STEP] Raw AI response:', fullResponse);
-    // Parse the AI response into feedback and next step
-    const feedbackMatch = fullResponse.match(/\*\*AI Feedback:\*\*[\s\S]*?(?=\*\*Next Step:\*\*)/);
-    const nextStepMatch = fullResponse.match(/\*\*Next Step:\*\*[\s\S]*/);
-    const aiFeedback = feedbackMatch ? feedbackMatch[0].replace('**AI Feedback:**', '').trim() : '';
-    const nextStepMarkdown = nextStepMatch ? nextStepMatch[0].replace('**Next Step:**', '').trim() : '';
-    console.log('[QUIZ/STEP] Parsed:', { aiFeedback, nextStepMarkdown });
-    // Always return valid JSON, even if empty
-    res.json({ aiFeedback: aiFeedback || '', nextStepMarkdown: nextStepMarkdown || '' });
-    console.log('[QUIZ/STEP] Sent JSON:', { aiFeedback: aiFeedback || '', nextStepMarkdown: nextStepMarkdown || '' });
+    const persona = personas.resolve(req.body.persona);
+    const systemPrompt = renderTutorPrompt({ persona });
+    const userPrompt = prompts.render('quiz-step', { stepNumber: stepIndex + 1, context, userResponse, step: step || null });
+    const result = await generateStructured('quiz', {
+      schema: 'quiz-step',
+      messages: [
+        { role: 'system', content: systemPrompt.text },
+        { role: 'user', content: userPrompt.text }
+      ],
+      max_tokens: 1000, // feedback and a whole next step
+      temperature: personas.temperature(persona, true)
+    }, { prompts: [systemPrompt, userPrompt] });
+    console.log('[QUIZ/STEP] Result:', { correct: result.correct, done: result.done });
+
+    const aiFeedback = `${result.correct ? '✅' : '❌'} ${result.feedback}`;
+    const nextStepMarkdown = result.nextStep
+      ? stepMarkdown(result.nextStep, stepIndex + 2)
+      : (result.summary ? `**Summary**\n${result.summary}` : '');
+    res.json({ success: true, result, aiFeedback, nextStepMarkdown, prompts: provenance([systemPrompt, userPrompt]) });
   } catch (error) {
     console.error('Error in /api/quiz/step:', error);
     // Always return valid JSON on error
-    res.status(200).json({ aiFeedback: '', nextStepMarkdown: '', error: error.message });
+    res.status(200).json({ success: false, aiFeedback: '', nextStepMarkdown: '', error: error.message, code: error.code });
   }
 });
 
@@ -3888,62 +2118,97 @@ app.get('/api/internship/status', (req, res) => {
 
 const PORT = process.env.PORT || 3000;
 
-// More robust server startup
-const server = app.listen(PORT, () => {
-  console.log('\n🚀 AI Desktop Overlay Server is running!');
-  console.log(`📍 Port: ${PORT}`);
-  console.log(`🌐 Frontend URL: http://localhost:5174`);
-  console.log(`🔑 OpenAI API Key: ${process.env.OPENAI_API_KEY ? '✅ Configured' : '❌ Missing'}`);
-  
-  if (!process.env.OPENAI_API_KEY) {
-    console.log('\n⚠️  Setup Required:');
-    console.log('   1. Create a .env file in your project root');
-    console.log('   2. Add: OPENAI_API_KEY=your_api_key_here');
-    console.log('   3. Get your API key from: https://platform.openai.com/api-keys');
-  }
-  console.log('');
-});
+// node server.js (or the Electron main process spawning it) starts listening; the eval runner
+// requires the app instead and serves it on a port of its own
+function startServer() {
+  // More robust server startup
+  const server = app.listen(PORT, () => {
+    console.log('\n🚀 AI Desktop Overlay Server is running!');
+    console.log(`📍 Port: ${PORT}`);
+    console.log(`🌐 Frontend URL: http://localhost:5174`);
+    console.log(`🔑 OpenAI API Key: ${process.env.OPENAI_API_KEY ? '✅ Configured' : '❌ Missing'}`);
+    if (process.env.LLM_BASE_URL) {
+      console.log(`🖥️  Local model server: ${process.env.LLM_BASE_URL}`);
+    }
+    if (!llm.embeddingsEnabled()) {
+      // memory recall's local model, loaded now so the first questions don't go without it
+      sentenceEncoder.load();
+    }
+
+    if (!llm.isConfigured('chat')) {
+      console.log('\n⚠️  Setup Required:');
+      console.log('   1. Create a .env file in your project root');
+      console.log('   2. Add: OPENAI_API_KEY=your_api_key_here');
+      console.log('   3. Get your API key from: https://platform.openai.com/api-keys');
+    }
+    console.log('');
+  });
 
-// handle server errors
-server.on('error', (error) => {
-  if (error.code === 'EADDRINUSE') {
-    console.error(`\n❌ Port ${PORT} is already in use. Please stop the other process or use a different port.`);
-    console.error(`   You can set a different port with: PORT=3002 npm run dev\n`);
-  } else {
-    console.error('\n❌ Server error:', error);
-  }
-  process.exit(1);
-});
+  // handle server errors
+  server.on('error', (error) => {
+    if (error.code === 'EADDRINUSE') {
+      console.error(`\n❌ Port ${PORT} is already in use. Please stop the other process or use a different port.`);
+      console.error(`   You can set a different port with: PORT=3002 npm run dev\n`);
+    } else {
+      console.error('\n❌ Server error:', error);
+    }
+    process.exit(1);
+  });
 
-// handle unhandled promise rejections
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
-  // don't exit, just log the error
-});
+  // handle unhandled promise rejections
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+    // don't exit, just log the error
+  });
 
-// handle uncaught exceptions
-process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
-  process.exit(1);
-});
+  // handle uncaught exceptions
+  process.on('uncaughtException', (error) => {
+    console.error('❌ Uncaught Exception:', error);
+    process.exit(1);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received, shutting down gracefully');
+    server.close(() => {
+      console.log('Process terminated');
+    });
   });
-});
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  server.close(() => {
-    console.log('Process terminated');
+  process.on('SIGINT', () => {
+    console.log('SIGINT received, shutting down gracefully');
+    server.close(() => {
+      console.log('Process terminated');
+    });
   });
-});
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = app;
+
+// Variables for the cover-letter-* prompt templates: the resume and job analysis as they are, plus
+// their lists joined the way the prompts quote them
+function coverLetterPromptVars(resumeData, jobAnalysis) {
+  return {
+    resume: resumeData,
+    job: jobAnalysis,
+    experience: resumeData.relevantExperience?.join('; '),
+    skills: resumeData.skills?.join(', '),
+    leadership: resumeData.leadershipRoles?.join('; '),
+    projects: resumeData.projects?.join('; '),
+    achievements: resumeData.achievements?.join('; '),
+    extracurriculars: resumeData.extracurriculars?.join('; '),
+    requirements: jobAnalysis.requirements?.join(', '),
+    preferredSkills: jobAnalysis.preferredSkills?.join(', '),
+    responsibilities: jobAnalysis.responsibilities?.join(', ')
+  };
+}
 
 // Helper function to generate a cover letter from a job posting
-async function generateCoverLetterFromJobPosting(resumeData, screenCapture) {
+async function generateCoverLetterFromJobPosting(resumeData, screenCapture, { signal, onRetry } = {}) {
   console.log('[COVER LETTER GENERATOR] Starting cover letter generation...');
   console.log('[COVER LETTER GENERATOR] Resume data available:', !!resumeData);
   console.log('[COVER LETTER GENERATOR] Screen capture available:', !!screenCapture);
@@ -3959,193 +2224,31 @@ async function generateCoverLetterFromJobPosting(resumeData, screenCapture) {
     
     // First, analyze the job posting to extract key requirements
     console.log('[COVER LETTER GENERATOR] Analyzing job posting...');
-    const jobAnalysis = await analyzeJobPosting(screenCapture.dataURL);
+    const jobAnalysis = await analyzeJobPosting(screenCapture.dataURL, { signal, onRetry });
     console.log('[COVER LETTER GENERATOR] Job analysis completed:', jobAnalysis);
 
     // Create a focused system prompt that emphasizes paragraph structure and flow
-    const systemPrompt = `You are an expert professional cover letter writer specializing in creating compelling, personalized cover letters that connect candidates' backgrounds to specific job requirements.
-
-**CRITICAL REQUIREMENTS:**
-- You MUST write a complete, professional cover letter with cohesive, flowing paragraphs
-- You MUST NOT refuse to help or say you cannot assist
-- You MUST NOT include any disclaimers or limitations
-- You MUST NOT say "I'm sorry" or "I can't assist"
-- You MUST write in a professional, business tone
-- You MUST create paragraphs that flow naturally with connected ideas
-- You MUST respond with ONLY the cover letter content
-
-**RESUME DATA (USE THIS INFORMATION DYNAMICALLY):**
-${JSON.stringify(resumeData, null, 2)}
-
-**JOB REQUIREMENTS (EXTRACTED FROM SCREEN - USE THESE SPECIFIC REQUIREMENTS):**
-${JSON.stringify(jobAnalysis, null, 2)}
-
-**PARAGRAPH STRUCTURE - CRITICAL:**
-- Each paragraph MUST be 4-6 sentences long with connected, flowing ideas
-- Sentences within a paragraph MUST connect logically using transitions
-- NEVER write individual standalone sentences - ALWAYS group related ideas into paragraphs
-- Each paragraph should have a clear theme and build upon the previous one
-- Use transitional phrases (Furthermore, Additionally, Moreover, In particular, Specifically) to connect sentences within paragraphs
-- Each paragraph should tell a complete story or make a complete argument
-
-**WRITING REQUIREMENTS:**
-- Use the candidate's exact name: ${resumeData.name}
-- Reference their university: ${resumeData.university}
-- Mention their major: ${resumeData.major}
-- Include specific work experiences with details: ${resumeData.relevantExperience?.join('; ')}
-- Reference their skills with context: ${resumeData.skills?.join(', ')}
-- Include leadership roles with impact: ${resumeData.leadershipRoles?.join('; ')}
-- Mention specific projects with outcomes: ${resumeData.projects?.join('; ')}
-- Include quantifiable achievements with numbers: ${resumeData.achievements?.join('; ')}
-- Include extracurricular activities with relevance: ${resumeData.extracurriculars?.join('; ')}
-- Connect their background to SPECIFIC job requirements from the posting
-- Reference specific requirements mentioned in the job posting
-- Use sophisticated, high-level professional language
-- Avoid generic phrases and clichés
-
-**PARAGRAPH-BY-PARAGRAPH STRUCTURE - CRITICAL: Write EXACTLY 5 paragraphs:**
-
-**Opening Paragraph (3-5 sentences):**
-- Start with: "I am writing to express my sincere interest in the [EXACT JOB TITLE] position at [COMPANY NAME]."
-- Introduce your background (university, major, year)
-- State why you're interested in this specific role and company
-- Preview how your qualifications align with their needs
-- Connect your academic background to the role's requirements
-
-**First Body Paragraph (4-6 sentences):**
-- Focus on your most relevant work experience
-- Describe specific achievements with numbers and impact
-- Connect these achievements to specific job requirements mentioned in the posting
-- Explain how this experience prepared you for this role
-- Use specific examples from the job posting
-- Show how you've already demonstrated the skills they're seeking
-
-**Second Body Paragraph (4-6 sentences):**
-- Focus on leadership roles, projects, or additional relevant experience
-- Describe how you've led teams or delivered results
-- Connect to additional job requirements from the posting
-- Show strategic thinking and high-level impact
-- Demonstrate innovation and problem-solving capabilities
-- Use quantifiable achievements and specific examples
-
-**Third Body Paragraph (4-6 sentences):**
-- Highlight additional relevant skills or experiences
-- Connect to preferred qualifications or company culture
-- Show enthusiasm for the specific role and company
-- Demonstrate understanding of the industry/company
-- Reference specific aspects of the job that excite you
-- Connect additional achievements or qualifications
-
-**Closing Paragraph (3-5 sentences):**
-- Summarize your fit for the role
-- Express enthusiasm for the opportunity
-- Request an interview or next steps
-- Thank them for consideration
-- End with a professional closing
-
-**CRITICAL: The cover letter MUST have exactly 5 paragraphs total. Each paragraph must be 3-6 sentences with connected, flowing ideas. Do NOT add extra paragraphs or standalone sentences.**
-
-**WRITING STYLE:**
-- Sophisticated and professional tone
-- Use advanced vocabulary and complex sentence structures
-- Focus on strategic thinking and high-level impact
-- Emphasize leadership, innovation, and strategic value
-- Connect experiences to broader business objectives
-- Demonstrate executive-level thinking and communication
-- Ensure complete, grammatically correct sentences
-- Use varied sentence structure (mix of short and long sentences)
-- Create natural flow between sentences using transitions
-
-**CRITICAL WRITING RULES:**
-- ALWAYS write in complete paragraphs (4-6 sentences each)
-- NEVER write individual standalone sentences
-- ALWAYS connect sentences within paragraphs using transitions
-- ALWAYS connect your experience to SPECIFIC requirements from the job posting
-- ALWAYS use the exact job title and company name from the posting
-- ALWAYS reference specific skills, requirements, or responsibilities mentioned in the posting
-- Use quantifiable achievements (numbers, percentages, dollar amounts)
-- Show impact and results, not just responsibilities
-
-**FORMATTING:**
-- Use double line breaks between paragraphs
-- Single line breaks within paragraphs are fine for readability
-- Maintain professional formatting with clear sections
-- PRESERVE paragraph structure - do not compress into single blocks
-
-**OUTPUT:**
-Return ONLY the cover letter text with proper paragraph structure. Each paragraph should be 4-6 sentences with connected, flowing ideas. No markdown, no code blocks, no explanations, no disclaimers.`;
+    const promptVars = coverLetterPromptVars(resumeData, jobAnalysis);
+    const systemPrompt = prompts.render('cover-letter-system', promptVars);
 
     console.log('[COVER LETTER GENERATOR] Sending request to OpenAI...');
 
     // Create a focused user prompt emphasizing paragraph structure
-    const userPrompt = `Create a compelling, professional cover letter for this job posting using my resume information. 
-
-**CRITICAL: Write in cohesive paragraphs, NOT individual sentences.**
-
-**Job Information (from screen):**
-- Job Title: ${jobAnalysis.title || 'Position'}
-- Company: ${jobAnalysis.company || 'Company'}
-- Key Requirements: ${jobAnalysis.requirements?.join(', ') || 'See job posting'}
-- Preferred Skills: ${jobAnalysis.preferredSkills?.join(', ') || 'See job posting'}
-- Responsibilities: ${jobAnalysis.responsibilities?.join(', ') || 'See job posting'}
-
-**My Background (from resume):**
-- Name: ${resumeData.name}
-- University: ${resumeData.university}
-- Major: ${resumeData.major}
-- Experience: ${resumeData.relevantExperience?.join('; ') || 'See resume'}
-- Skills: ${resumeData.skills?.join(', ') || 'See resume'}
-- Leadership: ${resumeData.leadershipRoles?.join('; ') || 'See resume'}
-- Achievements: ${resumeData.achievements?.join('; ') || 'See resume'}
-
-**PARAGRAPH STRUCTURE REQUIREMENTS:**
-- Write 3-4 substantial paragraphs (4-6 sentences each)
-- Each paragraph must have a clear theme and flow naturally
-- Connect sentences within paragraphs using transitions (Furthermore, Additionally, Moreover, Specifically, In particular)
-- Connect my specific experiences to the SPECIFIC job requirements you see in the posting
-- Reference exact requirements, skills, or responsibilities mentioned in the job posting
-- Use quantifiable achievements (numbers, percentages, dollar amounts) from my resume
-- Show how my background directly addresses their needs
-
-**Opening Paragraph (4-5 sentences):**
-Start with "I am writing to express my sincere interest in the ${jobAnalysis.title || 'position'} at ${jobAnalysis.company || 'your organization'}." Introduce my background and why I'm interested in this specific role.
-
-**Body Paragraphs (5-6 sentences each):**
-- First paragraph: Focus on my most relevant work experience. Connect specific achievements to job requirements. Use numbers and impact.
-- Second paragraph: Focus on leadership roles or projects. Show strategic thinking and connect to additional requirements.
-- Third paragraph (optional): Highlight additional relevant skills or show enthusiasm for the company/role.
-
-**Closing Paragraph (3-4 sentences):**
-Summarize my fit, express enthusiasm, and request an interview.
-
-**CRITICAL REQUIREMENTS:**
-- Write in complete, flowing paragraphs (NOT individual sentences)
-- Connect my experience to SPECIFIC requirements from the job posting
-- Use the exact job title and company name from the posting
-- Reference specific skills, requirements, or responsibilities mentioned
-- Use sophisticated, professional language
-- Ensure logical flow between sentences within each paragraph
-- Use proper transitions to connect ideas
-- DO NOT write individual standalone sentences
-- DO NOT refuse to help or include disclaimers
-- Write ONLY the cover letter content
-
-Return ONLY the cover letter text with proper paragraph structure.`;
+    const userPrompt = prompts.render('cover-letter-user', promptVars);
 
     // Send to OpenAI for cover letter generation
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const response = await llm.chat('cover-letter', {
       messages: [
         {
           role: 'system',
-          content: systemPrompt
+          content: systemPrompt.text
         },
         {
           role: 'user',
           content: [
             {
               type: 'text',
-              text: userPrompt
+              text: userPrompt.text
             },
             {
               type: 'image_url',
@@ -4158,7 +2261,7 @@ Return ONLY the cover letter text with proper paragraph structure.`;
       ],
       max_tokens: 2500,
       temperature: 0.4
-    });
+    }, { signal, onRetry, prompts: [systemPrompt, userPrompt] });
 
     let coverLetter = response.choices[0].message.content;
     console.log('[COVER LETTER GENERATOR] Initial cover letter generated, length:', coverLetter.length);
@@ -4185,70 +2288,21 @@ Return ONLY the cover letter text with proper paragraph structure.`;
       console.log('[COVER LETTER GENERATOR] Cover letter quality check failed, regenerating...');
       
       // Try a more focused approach
-      const refinedPrompt = `Write a compelling, professional cover letter for this job posting using my resume information.
-
-**CRITICAL: Write in cohesive paragraphs (4-6 sentences each), NOT individual sentences.**
-
-**Job Information:**
-- Job Title: ${jobAnalysis.title || 'Position'}
-- Company: ${jobAnalysis.company || 'Company'}
-- Requirements: ${jobAnalysis.requirements?.join(', ') || 'See job posting'}
-- Preferred Skills: ${jobAnalysis.preferredSkills?.join(', ') || 'See job posting'}
-- Responsibilities: ${jobAnalysis.responsibilities?.join(', ') || 'See job posting'}
-
-**My Background:**
-- Name: ${resumeData.name}
-- University: ${resumeData.university}
-- Major: ${resumeData.major}
-- Experience: ${resumeData.relevantExperience?.join('; ')}
-- Skills: ${resumeData.skills?.join(', ')}
-- Leadership: ${resumeData.leadershipRoles?.join('; ')}
-- Projects: ${resumeData.projects?.join('; ')}
-- Achievements: ${resumeData.achievements?.join('; ')}
-- Extracurriculars: ${resumeData.extracurriculars?.join('; ')}
-
-**PARAGRAPH STRUCTURE:**
-- Write 3-4 substantial paragraphs (4-6 sentences each)
-- Each paragraph must flow naturally with connected ideas
-- Connect my specific experiences to the SPECIFIC job requirements
-- Use transitions (Furthermore, Additionally, Moreover, Specifically) to connect sentences
-- Reference exact requirements from the job posting
-- Use quantifiable achievements with numbers
-
-**CRITICAL: Write EXACTLY 5 paragraphs total, each with 3-6 sentences:**
-
-**Opening Paragraph (3-5 sentences):**
-Start with "I am writing to express my sincere interest in the ${jobAnalysis.title || 'position'} at ${jobAnalysis.company || 'your organization'}." Introduce my background and interest.
+      const refinedSystemPrompt = prompts.render('cover-letter-retry-system', promptVars);
+      const refinedPrompt = prompts.render('cover-letter-retry-user', promptVars);
 
-**First Body Paragraph (4-6 sentences):**
-Connect my most relevant work experience to specific job requirements. Show leadership and strategic thinking. Use numbers and impact from my achievements. Reference specific skills they're seeking.
-
-**Second Body Paragraph (4-6 sentences):**
-Focus on additional relevant experience, leadership roles, or projects. Connect to more job requirements. Show innovation and problem-solving. Use quantifiable achievements.
-
-**Third Body Paragraph (4-6 sentences):**
-Highlight additional skills or show enthusiasm for the company/role. Connect to preferred qualifications. Demonstrate understanding of the industry.
-
-**Closing Paragraph (3-5 sentences):**
-Summarize fit, express enthusiasm, request interview, thank them.
-
-**CRITICAL: Exactly 5 paragraphs. Each paragraph 3-6 sentences. No extra paragraphs. No standalone sentences.**
-
-CRITICAL: Write in complete paragraphs, NOT individual sentences. Connect my experience to SPECIFIC requirements. Use the exact job title and company name. DO NOT refuse to help. Write ONLY the cover letter content.`;
-
-      const refinedResponse = await openai.chat.completions.create({
-        model: 'gpt-4o',
+      const refinedResponse = await llm.chat('cover-letter', {
         messages: [
           {
             role: 'system',
-            content: 'You are an expert professional cover letter writer specializing in creating compelling, personalized cover letters with cohesive, flowing paragraphs. Your cover letters connect candidates\' backgrounds to specific job requirements using sophisticated, professional language. CRITICAL: Write in complete paragraphs (4-6 sentences each), NOT individual sentences. Each paragraph must flow naturally with connected ideas using transitions. Connect the candidate\'s specific experiences to the SPECIFIC job requirements from the posting. Reference exact requirements, skills, and responsibilities. Use quantifiable achievements with numbers. ALWAYS start the opening paragraph with "I am writing to express my sincere interest in..." DO NOT refuse to help or include disclaimers. Write ONLY the cover letter content with proper paragraph structure.'
+            content: refinedSystemPrompt.text
           },
           {
             role: 'user',
             content: [
               {
                 type: 'text',
-                text: refinedPrompt
+                text: refinedPrompt.text
               },
               {
                 type: 'image_url',
@@ -4261,7 +2315,7 @@ CRITICAL: Write in complete paragraphs, NOT individual sentences. Connect my exp
         ],
         max_tokens: 2500,
         temperature: 0.4
-      });
+      }, { signal, onRetry, prompts: [refinedSystemPrompt, refinedPrompt] });
 
       coverLetter = refinedResponse.choices[0].message.content;
       console.log('[COVER LETTER GENERATOR] Refined cover letter generated, length:', coverLetter.length);
@@ -4298,6 +2352,8 @@ CRITICAL: Write in complete paragraphs, NOT individual sentences. Connect my exp
     return coverLetter;
     
   } catch (error) {
+    // a cancelled request shouldn't fall through to the template letter
+    throwIfCancelled(signal);
     console.error('[COVER LETTER GENERATOR] Failed to generate cover letter:', error);
     
     // Create a high-quality fallback cover letter
@@ -4307,10 +2363,9 @@ CRITICAL: Write in complete paragraphs, NOT individual sentences. Connect my exp
 }
 
 // Helper function to analyze job posting from screen capture
-async function analyzeJobPosting(imageDataURL) {
+async function analyzeJobPosting(imageDataURL, { signal, onRetry } = {}) {
   try {
-    const response = await openai.chat.completions.create({
-            model: 'gpt-4o',
+    const response = await llm.chat('job-analysis', {
             messages: [
               {
                 role: 'system',
@@ -4359,7 +2414,7 @@ Return ONLY valid JSON with this structure:
             ],
       max_tokens: 800,
       temperature: 0.1
-    });
+    }, { signal, onRetry });
 
     const content = response.choices[0].message.content;
     let jobData;
@@ -4387,6 +2442,7 @@ Return ONLY valid JSON with this structure:
 
     return jobData;
   } catch (error) {
+    throwIfCancelled(signal);
     console.error('[JOB ANALYSIS] Job analysis failed:', error);
     return {
       title: "Position",
@@ -4404,7 +2460,7 @@ Return ONLY valid JSON with this structure:
 }
 
 // Helper function to generate email response from email thread
-async function generateEmailResponseFromThread(screenCapture, contextTabs, resumeData) {
+async function generateEmailResponseFromThread(screenCapture, contextTabs, resumeData, { signal, onRetry } = {}) {
   console.log('[EMAIL RESPONSE GENERATOR] Starting email response generation...');
   console.log('[EMAIL RESPONSE GENERATOR] Screen capture available:', !!screenCapture);
   console.log('[EMAIL RESPONSE GENERATOR] Context tabs available:', !!contextTabs);
@@ -4417,82 +2473,26 @@ async function generateEmailResponseFromThread(screenCapture, contextTabs, resum
     
     // First, analyze the email thread to extract key information
     console.log('[EMAIL RESPONSE GENERATOR] Analyzing email thread...');
-    const emailAnalysis = await analyzeEmailThread(screenCapture.dataURL);
+    const emailAnalysis = await analyzeEmailThread(screenCapture.dataURL, { signal, onRetry });
     console.log('[EMAIL RESPONSE GENERATOR] Email analysis completed:', emailAnalysis);
 
     // Create a focused system prompt for email response generation
-    const systemPrompt = `You are a professional email response writer. Your task is to create a compelling, appropriate response to an email thread.
-
-**CRITICAL REQUIREMENTS:**
-- You MUST write a complete, professional email response
-- You MUST NOT refuse to help or say you cannot assist
-- You MUST NOT include any disclaimers or limitations
-- You MUST NOT say "I'm sorry" or "I can't assist"
-- You MUST write in a professional, business tone
-- You MUST complete all sentences and thoughts
-- You MUST use proper grammar and punctuation
-- You MUST maintain proper email formatting
-- You MUST respond with ONLY the email response content
-
-**EMAIL THREAD ANALYSIS:**
-${JSON.stringify(emailAnalysis, null, 2)}
-
-**RESUME DATA (if available):**
-${resumeData ? JSON.stringify(resumeData, null, 2) : 'No resume data available'}
-
-**WRITING REQUIREMENTS:**
-- Use appropriate greeting based on the email context
-- Reference specific points from the original email
-- Maintain professional tone and language
-- Include clear next steps or action items if appropriate
-- Use proper email formatting with clear paragraphs
-- End with appropriate closing and signature
-- Keep the response concise but comprehensive
-- Address all questions or requests in the original email
-- Use the recipient's name if available
-- Maintain the conversation flow naturally
-
-**WRITING STYLE:**
-- Professional and courteous tone
-- Clear and concise communication
-- Appropriate level of formality
-- Engaging and helpful content
-- Professional email etiquette
-- Ensure complete, grammatically correct sentences
-- Maintain logical flow and coherence
-
-**STRUCTURE:**
-- Appropriate greeting
-- Acknowledgment of the original email
-- Main response content
-- Clear next steps or action items (if applicable)
-- Professional closing
-- Signature (if resume data available, use the person's name)
-
-**CRITICAL WRITING RULES:**
-- ALWAYS write complete, professional email responses
-- NEVER refuse to help or include disclaimers
-- NEVER say "I'm sorry" or "I can't assist"
-- ALWAYS maintain professional email etiquette
-- ALWAYS complete thoughts and ideas fully
-- ALWAYS use proper punctuation and grammar
-
-Return ONLY the email response content with proper formatting.`;
+    const systemPrompt = prompts.render('email-response-system', { email: emailAnalysis, resume: resumeData });
+    const userPrompt = prompts.render('email-response-user');
 
     // Generate the email response using OpenAI
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const response = await llm.chat('email-response', {
       messages: [
         {
           role: 'system',
-          content: systemPrompt
+          content: systemPrompt.text
         },
         {
           role: 'user',
           content: [
             {
               type: 'text',
-              text: 'Analyze this email thread and write an appropriate professional response.'
+              text: userPrompt.text
             },
             {
               type: 'image_url',
@@ -4505,7 +2505,7 @@ Return ONLY the email response content with proper formatting.`;
       ],
       max_tokens: 1000,
       temperature: 0.3
-    });
+    }, { signal, onRetry, prompts: [systemPrompt, userPrompt] });
 
     let emailResponse = response.choices[0].message.content;
     console.log('[EMAIL RESPONSE GENERATOR] Initial email response generated, length:', emailResponse.length);
@@ -4535,6 +2535,7 @@ Return ONLY the email response content with proper formatting.`;
     return emailResponse;
     
   } catch (error) {
+    throwIfCancelled(signal);
     console.error('[EMAIL RESPONSE GENERATOR] Failed to generate email response:', error);
     
     // Create a high-quality fallback email response
@@ -4544,10 +2545,9 @@ Return ONLY the email response content with proper formatting.`;
 }
 
 // Helper function to analyze email thread from screen capture
-async function analyzeEmailThread(imageDataURL) {
+async function analyzeEmailThread(imageDataURL, { signal, onRetry } = {}) {
   try {
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4o',
+    const response = await llm.chat('email-analysis', {
       messages: [
         {
           role: 'system',
@@ -4599,7 +2599,7 @@ Return ONLY valid JSON with this structure:
       ],
       max_tokens: 800,
       temperature: 0.1
-    });
+    }, { signal, onRetry });
 
     const content = response.choices[0].message.content;
     let emailData;
@@ -4629,6 +2629,7 @@ Return ONLY valid JSON with this structure:
 
     return emailData;
   } catch (error) {
+    throwIfCancelled(signal);
     console.error('[EMAIL ANALYSIS] Email analysis failed:', error);
     return {
       sender: "Sender",
@@ -5254,7 +3255,7 @@ ${resumeData.name || 'Your Name'}`;
 }
 
 // Helper function to open Google Docs and paste the cover letter
-async function openGoogleDocsWithCoverLetter(coverLetter) {
+async function openGoogleDocsWithCoverLetter(coverLetter, { signal } = {}) {
   console.log('[GOOGLE DOCS] Opening Google Docs with cover letter...');
   console.log('[GOOGLE DOCS] Cover letter length:', coverLetter.length);
   
@@ -5275,19 +3276,13 @@ async function openGoogleDocsWithCoverLetter(coverLetter) {
     console.log('---END OF CONTENT---');
     
     // Copy to clipboard using pbcopy
-    await new Promise((resolve, reject) => {
-      exec(`cat "${tempFile}" | pbcopy`, (error) => {
-        if (error) {
-          reject(new Error(`Failed to copy to clipboard: ${error.message}`));
-        } else {
-          console.log('[GOOGLE DOCS] Content copied to clipboard successfully');
-          resolve();
-        }
-      });
+    await execCancellable(`cat "${tempFile}" | pbcopy`, { signal }).catch(error => {
+      throw isCancelled(error, signal) ? error : new Error(`Failed to copy to clipboard: ${error.message}`);
     });
+    console.log('[GOOGLE DOCS] Content copied to clipboard successfully');
     
     // Wait longer to ensure clipboard is populated
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    await delay(1000, signal);
     console.log('[GOOGLE DOCS] Clipboard populated, opening Google Docs...');
     
     // Enhanced AppleScript with robust font formatting and better timing
@@ -5324,16 +3319,11 @@ async function openGoogleDocsWithCoverLetter(coverLetter) {
     
     console.log('[GOOGLE DOCS] Executing enhanced AppleScript to open Google Docs...');
     
-    await new Promise((resolve, reject) => {
-      exec(`osascript -e '${appleScript}'`, (error) => {
-        if (error) {
-          reject(new Error(`Failed to open Google Docs: ${error.message}`));
-        } else {
-          console.log('[GOOGLE DOCS] Google Docs automation completed successfully');
-          resolve();
-        }
-      });
+    // killed mid-way if the request is cancelled, so it stops typing into whatever has focus
+    await execCancellable(`osascript -e '${appleScript}'`, { signal }).catch(error => {
+      throw isCancelled(error, signal) ? error : new Error(`Failed to open Google Docs: ${error.message}`);
     });
+    console.log('[GOOGLE DOCS] Google Docs automation completed successfully');
     
     // Clean up the temporary file
     try {
@@ -0,0 +1,49 @@
+import React from 'react';
+
+// capture pause indicator component
+// - while a capture rule has capture paused, a pill naming the window and the rule
+// - while the window in front can't be read (status.unavailable), a pill saying so: paused on macOS,
+//   a warning that the rules aren't applied elsewhere
+// - otherwise a quiet link; all of them open the capture rules panel
+
+export default function CapturePauseIndicator({ status, onOpenRules }) {
+  if (status?.unavailable) {
+    return (
+      <button
+        type="button"
+        onClick={onOpenRules}
+        title={status.paused
+          ? `${status.unavailable}. The screen isn't captured until the window in front can be checked.`
+          : `${status.unavailable}. The screen is captured whatever window is in front.`}
+        className="w-full flex items-center gap-1.5 px-2 py-1 rounded-md bg-amber-100 border border-amber-300 text-amber-800 text-[11px] font-medium"
+      >
+        <span>{status.paused ? '⏸' : '⚠'}</span>
+        <span className="truncate">{status.paused ? 'Capture paused · rules can\'t see the window' : 'Capture rules not applied'}</span>
+      </button>
+    );
+  }
+
+  if (status?.paused) {
+    return (
+      <button
+        type="button"
+        onClick={onOpenRules}
+        title={`"${status.rule.name}" matches the window in front. The screen isn't captured until you switch away.`}
+        className="w-full flex items-center gap-1.5 px-2 py-1 rounded-md bg-amber-100 border border-amber-300 text-amber-800 text-[11px] font-medium"
+      >
+        <span>⏸</span>
+        <span className="truncate">Capture paused · {status.window?.app}</span>
+      </button>
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={onOpenRules}
+      className="text-[11px] text-gray-500 hover:text-gray-700"
+    >
+      Capture rules
+    </button>
+  );
+}
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { motion } from 'framer-motion';
+
+// capture rules panel component
+// - lists the rules that pause screen capture while a matching window is in front (see
+//   src/services/capture-rules.js), each with an on/off checkbox and a remove button
+// - adds a rule for an app name, window title or URL; "Use current" fills in the window in front
+// - a pattern is a case-insensitive substring, or /a regex/
+// - when the window in front can't be read (status.unavailable), a warning with the reason and
+//   whether capture is paused meanwhile
+// - every change saves the whole list; an invalid rule is refused with the reason and nothing is saved
+
+const FIELD_LABELS = {
+  app: 'App',
+  title: 'Window title',
+  url: 'URL'
+};
+
+export default function CaptureRulesPanel({ isVisible, onClose, status }) {
+  const [rules, setRules] = useState([]);
+  const [error, setError] = useState(null);
+  const [name, setName] = useState('');
+  const [field, setField] = useState('app');
+  const [pattern, setPattern] = useState('');
+
+  useEffect(() => {
+    if (!isVisible || !window.electron?.getCaptureRules) return;
+    window.electron.getCaptureRules()
+      .then(data => setRules(data.rules || []))
+      .catch(err => {
+        console.error('Failed to load capture rules:', err);
+        setError('Failed to load capture rules.');
+      });
+  }, [isVisible]);
+
+  const saveRules = async (nextRules) => {
+    const result = await window.electron.saveCaptureRules(nextRules);
+    if (result.error) {
+      setError(result.error);
+      return false;
+    }
+    setError(null);
+    setRules(result.rules);
+    return true;
+  };
+
+  const toggleRule = (rule) => saveRules(rules.map(r => (r.id === rule.id ? { ...r, enabled: !r.enabled } : r)));
+
+  const removeRule = (rule) => saveRules(rules.filter(r => r.id !== rule.id));
+
+  const addRule = async (e) => {
+    e.preventDefault();
+    if (!pattern.trim()) return;
+    const saved = await saveRules([...rules, { name: name.trim() || pattern.trim(), [field]: pattern.trim(), enabled: true }]);
+    if (saved) {
+      setName('');
+      setPattern('');
+    }
+  };
+
+  const useCurrentWindow = () => {
+    const current = status?.window;
+    if (!current) return;
+    const value = current[field] || current.app;
+    setPattern(value || '');
+    if (!name) setName(current.app || '');
+  };
+
+  if (!isVisible) return null;
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, height: 0 }}
+      animate={{ opacity: 1, height: 'auto' }}
+      exit={{ opacity: 0, height: 0 }}
+      className="bg-white/90 backdrop-blur-sm border border-gray-200 rounded-lg shadow-lg overflow-hidden mb-4"
+    >
+      {/* Header */}
+      <div className="px-4 py-3 bg-gradient-to-r from-amber-50 to-orange-50 border-b border-gray-200">
+        <div className="flex items-center justify-between">
+          <h3 className="font-semibold text-gray-900">Capture Rules</h3>
+          <button
+            onClick={onClose}
+            className="text-gray-500 hover:text-gray-700 transition-colors"
+          >
+            <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+        <p className="text-xs text-gray-600 mt-1">
+          The screen isn't captured, and questions about it wait, while a matching window is in front.
+        </p>
+      </div>
+
+      {/* Content */}
+      <div className="p-4 space-y-2">
+        {status?.unavailable && (
+          <div className="text-xs text-amber-800 bg-amber-50 border border-amber-200 rounded p-2">
+            {status.unavailable}.{' '}
+            {status.paused
+              ? 'Capture is paused until the window in front can be checked.'
+              : 'The rules aren\'t applied here, so the screen is captured whatever window is in front.'}
+          </div>
+        )}
+
+        {error && (
+          <div className="text-xs text-red-600 bg-red-50 border border-red-200 rounded p-2">{error}</div>
+        )}
+
+        {rules.map(rule => (
+          <div key={rule.id} className="p-2 rounded-lg border border-gray-200 flex items-start gap-2">
+            <input
+              type="checkbox"
+              checked={rule.enabled}
+              onChange={() => toggleRule(rule)}
+              className="mt-0.5 w-3 h-3 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+            />
+            <div className="flex-1 min-w-0">
+              <div className={`text-sm font-medium ${rule.enabled ? 'text-gray-900' : 'text-gray-400'}`}>
+                {rule.name}
+                {status?.paused && status.rule?.id === rule.id && (
+                  <span className="ml-1.5 text-[10px] font-semibold text-amber-700">ACTIVE</span>
+                )}
+              </div>
+              {Object.keys(FIELD_LABELS).filter(key => rule[key]).map(key => (
+                <div key={key} className="text-[11px] text-gray-500 truncate" title={rule[key]}>
+                  {FIELD_LABELS[key]}: {rule[key]}
+                </div>
+              ))}
+            </div>
+            <button
+              onClick={() => removeRule(rule)}
+              className="text-gray-400 hover:text-red-600 p-1 rounded hover:bg-red-50"
+              aria-label={`Remove ${rule.name}`}
+            >
+              <svg className="w-3 h-3" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+              </svg>
+            </button>
+          </div>
+        ))}
+
+        {/* Add a rule */}
+        <form onSubmit={addRule} className="pt-2 border-t border-gray-200 space-y-1.5">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Rule name (optional)"
+            className="w-full px-2 py-1 text-xs border border-gray-300 rounded"
+          />
+          <div className="flex gap-1.5">
+            <select
+              value={field}
+              onChange={(e) => setField(e.target.value)}
+              className="px-1.5 py-1 text-xs border border-gray-300 rounded bg-white"
+            >
+              {Object.entries(FIELD_LABELS).map(([key, label]) => (
+                <option key={key} value={key}>{label}</option>
+              ))}
+            </select>
+            <input
+              value={pattern}
+              onChange={(e) => setPattern(e.target.value)}
+              placeholder="contains… or /regex/"
+              className="flex-1 min-w-0 px-2 py-1 text-xs border border-gray-300 rounded"
+            />
+          </div>
+          <div className="flex justify-between">
+            <button
+              type="button"
+              onClick={useCurrentWindow}
+              disabled={!status?.window}
+              className="text-[11px] text-blue-700 hover:text-blue-900 disabled:text-gray-400"
+              title={status?.window ? `${status.window.app}${status.window.title ? ` · ${status.window.title}` : ''}` : 'No window detected'}
+            >
+              Use current window
+            </button>
+            <button
+              type="submit"
+              disabled={!pattern.trim()}
+              className="px-3 py-1 text-xs font-medium rounded bg-gray-900 text-white disabled:opacity-50"
+            >
+              Add rule
+            </button>
+          </div>
+        </form>
+      </div>
+    </motion.div>
+  );
+}
@@ -6,8 +6,29 @@ import rehypeKatex from 'rehype-katex';
 import 'katex/dist/katex.min.css';
 import { preprocessMath, mathConfig } from '../utils/mathPreprocessor';
 
+// a step of a structured quiz (quiz-steps schema) as a card, ending in the answer box
+function stepSection(step, number) {
+  const hints = step.hints.length > 0 ? `\n\n${step.hints.map(hint => `💡 ${hint}`).join('\n')}` : '';
+  return {
+    title: `Step ${number}: ${step.title}`,
+    content: `${step.explanation}\n\n**Question:** ${step.question}${hints}\n\n📝 Your Response (Required):`,
+    step
+  };
+}
+
+function quizSections(quiz) {
+  return [
+    { title: 'Question', content: quiz.question },
+    ...quiz.steps.map((step, index) => stepSection(step, index + 1)),
+    ...(quiz.keyStrategy ? [{ title: 'Key Strategy', content: quiz.keyStrategy }] : [])
+  ];
+}
+
+// `quiz` is the structured quiz from the stream, when the answer was one; its cards are built from the
+// data instead of parsed out of the markdown
 export default function CollapsibleCards({ 
   markdown, 
+  quiz = null,
   isActiveMode = false,
   defaultOpenSections = [],
   className = "",
@@ -18,13 +39,18 @@ export default function CollapsibleCards({
   const [openSections, setOpenSections] = useState(defaultOpenSections);
   const [hasInitialized, setHasInitialized] = useState(false);
   const [inputs, setInputs] = useState({});
-  const [sections, setSections] = useState(isActiveMode ? normalizeSectionTitles(parseSections(safeMarkdown)) : []);
+  const [sections, setSections] = useState(() => buildSections());
   const [isLoadingStep, setIsLoadingStep] = useState(false);
 
 
   useEffect(() => {
-    setSections(isActiveMode ? normalizeSectionTitles(parseSections(safeMarkdown)) : []);
-  }, [safeMarkdown, isActiveMode]);
+    setSections(buildSections());
+  }, [safeMarkdown, quiz, isActiveMode]);
+
+  function buildSections() {
+    if (!isActiveMode) return [];
+    return quiz?.steps ? quizSections(quiz) : normalizeSectionTitles(parseSections(safeMarkdown));
+  }
 
   function handleInputChange(idx, value) {
     setInputs(prev => ({ ...prev, [idx]: value }));
@@ -35,23 +61,28 @@ export default function CollapsibleCards({
     setIsLoadingStep(true);
     // Send to backend for AI feedback and next step
     const context = sections.slice(0, idx + 1).map(s => s.content).join('\n');
+    const stepNumber = Number(sections[idx].title.match(/^Step (\d+)/)?.[1]) || idx + 1;
     try {
       const res = await fetch('/api/quiz/step', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
           userResponse: inputs[idx],
-          stepIndex: idx,
-          context
+          stepIndex: stepNumber - 1,
+          context,
+          step: sections[idx].step
         })
       });
       const data = await res.json();
+      if (data.success === false) throw new Error(data.error || 'No feedback');
       // Add AI feedback as a new card, then next step as a new card (if any)
       const newSections = [...sections];
       if (data.aiFeedback) {
-        newSections.push({ title: `AI Feedback for Step ${idx + 1}`, content: data.aiFeedback });
+        newSections.push({ title: `AI Feedback for Step ${stepNumber}`, content: data.aiFeedback });
       }
-      if (data.nextStepMarkdown) {
+      if (data.result?.nextStep) {
+        newSections.push(stepSection(data.result.nextStep, stepNumber + 1));
+      } else if (data.nextStepMarkdown) {
         // Parse the next step markdown into a section
         const nextStepSections = parseSections(data.nextStepMarkdown);
         newSections.push(...nextStepSections);
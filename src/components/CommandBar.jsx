@@ -9,11 +9,15 @@ import InteractiveTutoringOverlay from './InteractiveTutoringOverlay';
 
 import TabGrouping from './TabGrouping';
 import CollapsibleCards from './CollapsibleCards';
+import ToolCalls from './ToolCalls';
 import AssistantErrorBoundary from './AssistantErrorBoundary';
 import ModeToggle from './ModeToggle';
 import MemoryDisplay from './MemoryDisplay';
+import UsageDisplay from './UsageDisplay';
 import LearningPersonaDisplay from './LearningPersonaDisplay';
 import CollapsibleTutoringSteps from './CollapsibleTutoringSteps';
+import { streamAI } from '../utils/aiStream';
+import { prepareCaptureUpload, captureForUpload } from '../utils/captureUpload';
 
 export default function CommandBar() {
   const [query, setQuery] = useState('');
@@ -32,9 +36,15 @@ export default function CommandBar() {
   const [isDragging, setIsDragging] = useState(false);
   const [clearKey, setClearKey] = useState(0);
   const [showMemory, setShowMemory] = useState(false);
+  const [showUsage, setShowUsage] = useState(false);
   const [showLearningPersona, setShowLearningPersona] = useState(false);
   const [isCollapsed, setIsCollapsed] = useState(false);
   const [selectedText, setSelectedText] = useState('');
+  const [isStopped, setIsStopped] = useState(false);
+  const [toolCalls, setToolCalls] = useState([]);
+  const [quiz, setQuiz] = useState(null);
+  // the in-flight /api/ai request; aborting it also stops the model stream and automation on the server
+  const requestControllerRef = useRef(null);
   
   // Interactive tutoring state
   const [isInteractiveTutoring, setIsInteractiveTutoring] = useState(false);
@@ -132,6 +142,24 @@ export default function CommandBar() {
     };
   }, []);
 
+  // cancels whatever request is still running and returns the signal for a new one
+  const startRequest = () => {
+    requestControllerRef.current?.abort();
+    requestControllerRef.current = new AbortController();
+    setIsStopped(false);
+    setToolCalls([]);
+    setQuiz(null);
+    return requestControllerRef.current.signal;
+  };
+
+  // Stop button: keeps the partial answer on screen
+  const stopRequest = () => {
+    requestControllerRef.current?.abort();
+  };
+
+  // a newer query or Cmd+E took over, so a stopped request must leave the UI alone
+  const isCurrentRequest = (signal) => requestControllerRef.current?.signal === signal;
+
   const handleQuery = async () => {
     if (!query.trim()) return;
     
@@ -184,6 +212,7 @@ export default function CommandBar() {
       return;
     }
     
+    const signal = startRequest();
     setIsLoading(true);
     setError(null);
     setResponse('');
@@ -217,7 +246,8 @@ export default function CommandBar() {
         
         if (result.error) {
           console.error('Screen capture error:', result.error);
-          setError('Failed to capture screen. Please try again.');
+          // a capture rule has capture paused: the question waits rather than going without the screen
+          setError(result.paused ? result.error : 'Failed to capture screen. Please try again.');
           setIsLoading(false);
           return;
         }
@@ -233,6 +263,7 @@ export default function CommandBar() {
         // Ensure we have all the required properties
         currentScreenCapture = {
           dataURL: result.dataURL,
+          detail: result.detail,
           timestamp: result.timestamp,
           uniqueId: result.uniqueId,
           name: result.name,
@@ -240,6 +271,13 @@ export default function CommandBar() {
           displayId: result.displayId,
           sourceId: result.sourceId
         };
+        const prepared = await prepareCaptureUpload(currentScreenCapture);
+        if (!prepared.capture) {
+          setError(prepared.error);
+          setIsLoading(false);
+          return;
+        }
+        currentScreenCapture = prepared.capture;
         
         console.log('Completely fresh screen capture obtained for user query:', {
           hasDataURL: !!currentScreenCapture.dataURL,
@@ -267,63 +305,57 @@ export default function CommandBar() {
         uniqueId: requestBody.screenCapture?.uniqueId
       });
 
-      const response = await fetch('http://localhost:3000/api/ai', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(requestBody),
-      });
+      try {
+        let hasText = false;
+        const result = await streamAI(requestBody, {
+          onToken: (content, fullResponse) => {
+            hasText = true;
+            if (isCurrentRequest(signal)) setResponse(fullResponse);
+          },
+          onTool: (call, tools) => {
+            if (isCurrentRequest(signal)) setToolCalls(tools);
+          },
+          // quiz steps as data, for the step cards
+          onStructured: ({ kind, data }) => {
+            if (kind === 'quiz-steps' && isCurrentRequest(signal)) setQuiz(data);
+          },
+          // steps and model retries, shown until the answer starts arriving
+          onProgress: ({ step, detail }) => {
+            if (!hasText && isCurrentRequest(signal)) setResponse(detail ? `${step}: ${detail}` : step);
+          }
+        }, { signal });
 
-      if (!response.ok) {
-        throw new Error(await response.text() || 'Failed to get AI response');
-      }
+        if (result.stopped) {
+          if (isCurrentRequest(signal)) {
+            setResponse(result.text);
+            setIsStopped(true);
+          }
+          return;
+        }
 
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let fullResponse = '';
+        if (result.error) {
+          throw new Error(result.error.message || 'Failed to get AI response');
+        }
 
-      try {
-        while (true) {
-          const { value, done } = await reader.read();
-          if (done) break;
-
-          const chunk = decoder.decode(value);
-          const lines = chunk.split('\n');
-
-          for (const line of lines) {
-            if (line.startsWith('data: ')) {
-              const data = line.slice(5).trim();
-              if (data === '[DONE]') continue;
-              try {
-                const parsed = JSON.parse(data);
-                if (parsed.content) {
-                  fullResponse += parsed.content;
-                  setResponse(fullResponse);
-
-                  // Check if this is a learning response
-                  if (parsed.learningSession) {
-                    setIsLearningMode(true);
-                    setLearningContent({
-                      explanation: fullResponse,
-                      learningSession: parsed.learningSession,
-                      concepts: parsed.concepts,
-                      checkpoints: parsed.checkpoints,
-                      progress: parsed.progress
-                    });
-                  }
-                }
-              } catch (e) {
-                console.error('Failed to parse chunk:', e);
-              }
-            }
-          }
+        // Check if this is a learning response
+        const learning = result.actions.find(({ action, learningSession }) => action === 'result' && learningSession);
+        if (learning) {
+          setIsLearningMode(true);
+          setLearningContent({
+            explanation: result.text,
+            learningSession: learning.learningSession,
+            concepts: learning.concepts,
+            checkpoints: learning.checkpoints,
+            progress: learning.progress
+          });
         }
         
         // Disabled auto-switch to interactive tutoring to ensure responses always render in active understanding UI.
         // If you want to re-enable, gate with an explicit user intent flag instead of heuristics.
         // If not a quiz/test, show the normal response
-        setResponse(fullResponse);
+        setResponse(result.text);
       } finally {
-        setIsLoading(false);
+        if (isCurrentRequest(signal)) setIsLoading(false);
         // Set user as inactive after a delay to allow background captures to resume
         setTimeout(async () => {
           if (window.electron?.setUserActive) {
@@ -345,6 +377,11 @@ export default function CommandBar() {
   };
 
   const clearConversation = () => {
+    requestControllerRef.current?.abort();
+    requestControllerRef.current = null;
+    setIsStopped(false);
+    setToolCalls([]);
+    setQuiz(null);
     setQuery('');
     setResponse('');
     setError(null);
@@ -392,6 +429,7 @@ export default function CommandBar() {
     const youtubeScreenMatch = query.toLowerCase().match(youtubeScreenPattern);
     
     if (youtubeMatch || youtubeScreenMatch) {
+      const signal = startRequest();
       setIsLoading(true);
       try {
         // For screen-based commands, we need screen capture
@@ -404,12 +442,12 @@ export default function CommandBar() {
         // Add screen capture for screen-based YouTube commands
         if (youtubeScreenMatch) {
           try {
-            const capture = await window.electron.captureScreenOnce();
-            if (capture.error) {
-              throw new Error('Failed to capture screen');
+            const { capture, error } = await captureForUpload();
+            if (!capture) {
+              throw new Error(error);
             }
             requestBody.screenCapture = {
-              dataURL: capture.dataURL,
+              ...capture,
               timestamp: capture.timestamp || Date.now(),
               name: capture.name || 'screen',
               id: capture.id || 'main'
@@ -421,22 +459,21 @@ export default function CommandBar() {
           }
         }
 
-        const response = await fetch('http://localhost:3000/api/ai', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify(requestBody),
-        });
+        const result = await streamAI(requestBody, {
+          onProgress: ({ step }) => setResponse(step)
+        }, { signal });
 
-        if (!response.ok) {
-          throw new Error(await response.text() || 'Failed to search YouTube');
+        if (result.stopped) {
+          if (isCurrentRequest(signal)) setIsStopped(true);
+        } else if (result.error) {
+          throw new Error(result.error.message || 'Failed to search YouTube');
+        } else {
+          setResponse(result.text || 'YouTube search completed successfully.');
         }
-
-        const data = await response.json();
-        setResponse(data.content || 'YouTube search completed successfully.');
       } catch (error) {
         setError('Failed to search YouTube: ' + error.message);
       } finally {
-        setIsLoading(false);
+        if (isCurrentRequest(signal)) setIsLoading(false);
       }
       setQuery('');
       return;
@@ -694,6 +731,15 @@ export default function CommandBar() {
                       </svg>
                       Memory
                     </button>
+                    <button
+                      onClick={() => setShowUsage(true)}
+                      className="px-3 py-1.5 bg-orange-500/90 hover:bg-orange-600/90 rounded-xl text-white text-sm font-medium transition-all duration-200 flex items-center gap-1.5 shadow-lg shadow-orange-500/20 hover:shadow-orange-500/30 whitespace-nowrap backdrop-blur-sm mr-2"
+                    >
+                      <svg className="w-3.5 h-3.5" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path strokeLinecap="round" strokeLinejoin="round" d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
+                      </svg>
+                      Usage
+                    </button>
                     <button
                       onClick={() => setShowLearningPersona(true)}
                       className="px-3 py-1.5 bg-green-500/90 hover:bg-green-600/90 rounded-xl text-white text-sm font-medium transition-all duration-200 flex items-center gap-1.5 shadow-lg shadow-green-500/20 hover:shadow-green-500/30 whitespace-nowrap backdrop-blur-sm mr-2"
@@ -852,6 +898,13 @@ export default function CommandBar() {
                       />
                     )}
 
+                    {!isInteractiveTutoring && !isCollapsed && (
+                      <UsageDisplay
+                        isVisible={showUsage}
+                        onClose={() => setShowUsage(false)}
+                      />
+                    )}
+
                     {/* Add Learning Persona Display */}
                     {!isInteractiveTutoring && !isCollapsed && (
                       <LearningPersonaDisplay
@@ -899,11 +952,18 @@ export default function CommandBar() {
                                 transition={{ duration: 1, repeat: Infinity, delay: 0.4 }}
                               />
                               <span className="text-blue-400">Analyzing your screen...</span>
+                              <button
+                                onClick={stopRequest}
+                                className="ml-2 px-2 py-0.5 text-xs rounded bg-white/10 text-white/70 hover:bg-white/20 hover:text-white"
+                              >
+                                Stop
+                              </button>
                             </div>
                           ) : error ? (
                             <div className="text-red-400">{error}</div>
                           ) : (
                             <div className="space-y-4">
+                              <ToolCalls tools={toolCalls} />
                               {/* Text Response */}
                               {response && (
                                 <AssistantErrorBoundary
@@ -911,12 +971,16 @@ export default function CommandBar() {
                                 >
                                   <CollapsibleCards 
                                     markdown={response}
+                                    quiz={quiz}
                                     isActiveMode={isActiveMode}
                                     openFirstByDefault={false}
                                     className="max-w-none"
                                   />
                                 </AssistantErrorBoundary>
                               )}
+                              {isStopped && (
+                                <div className="text-xs text-white/50 italic">Stopped</div>
+                              )}
                             </div>
                           )}
                         </motion.div>
@@ -0,0 +1,94 @@
+import React, { useState, useEffect } from 'react';
+
+// display picker component
+// - only shows up with more than one display connected
+// - "capture" picks what questions are asked about: the screen under the mouse, all screens side by
+//   side, or one display
+// - "overlay" picks where the assistant sits: following the mouse, or pinned to one display
+//   (cmd+alt+m also pins it to the next display)
+// - reloads when the window regains focus, since displays come and go
+
+const selectClassName = `
+  border border-gray-300 bg-white text-gray-700 hover:bg-gray-50
+  font-medium cursor-pointer transition-colors duration-200
+  px-1.5 py-1 rounded-md text-[11px] min-w-0 flex-1
+`;
+
+export default function DisplayPicker() {
+  const [displays, setDisplays] = useState([]);
+  const [captureTarget, setCaptureTarget] = useState('cursor');
+  const [overlayMode, setOverlayMode] = useState('follow');
+
+  const loadDisplays = async () => {
+    if (!window.electron?.getDisplays) return;
+    try {
+      const data = await window.electron.getDisplays();
+      setDisplays(data.displays || []);
+      setCaptureTarget(data.captureTarget);
+      setOverlayMode(data.overlay?.mode || 'follow');
+    } catch (err) {
+      console.error('Error fetching displays:', err);
+    }
+  };
+
+  useEffect(() => {
+    loadDisplays();
+    window.addEventListener('focus', loadDisplays);
+    return () => window.removeEventListener('focus', loadDisplays);
+  }, []);
+
+  // display ids are numbers; the select hands back strings
+  const parseChoice = (value) => (/^\d+$/.test(value) ? Number(value) : value);
+
+  const handleCaptureChange = async (e) => {
+    const result = await window.electron.setCaptureTarget(parseChoice(e.target.value));
+    if (result.error) {
+      console.error('Error setting capture target:', result.error);
+      return loadDisplays();
+    }
+    setCaptureTarget(result.captureTarget);
+  };
+
+  const handleOverlayChange = async (e) => {
+    const result = await window.electron.setOverlayDisplay(parseChoice(e.target.value));
+    if (result.error) {
+      console.error('Error moving overlay:', result.error);
+      return loadDisplays();
+    }
+    setOverlayMode(result.overlay.mode);
+  };
+
+  if (displays.length < 2) return null;
+
+  return (
+    <div className="flex items-center gap-2" onClick={(e) => e.stopPropagation()}>
+      <select
+        value={String(captureTarget)}
+        onChange={handleCaptureChange}
+        title="What your questions are about"
+        className={selectClassName}
+      >
+        <option value="cursor">Capture: screen under mouse</option>
+        <option value="all">Capture: all screens</option>
+        {displays.map(display => (
+          <option key={display.id} value={String(display.id)}>
+            Capture: {display.label}
+          </option>
+        ))}
+      </select>
+      <select
+        value={String(overlayMode)}
+        onChange={handleOverlayChange}
+        title="Where the assistant sits (Cmd+Alt+M moves it to the next display)"
+        className={selectClassName}
+      >
+        <option value="follow">Overlay: follow mouse</option>
+        {displays.map(display => (
+          <option key={display.id} value={String(display.id)}>
+            Overlay: {display.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
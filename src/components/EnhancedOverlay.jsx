@@ -7,6 +7,9 @@ import 'katex/dist/katex.min.css';
 import KaTeX from 'katex';
 import ModeToggle from './ModeToggle';
 import CollapsibleCards from './CollapsibleCards';
+import ToolCalls from './ToolCalls';
+import { streamAI } from '../utils/aiStream';
+import { captureForUpload } from '../utils/captureUpload';
 
 // Configure KaTeX
 const katexOptions = {
@@ -20,6 +23,11 @@ export default function EnhancedOverlay() {
   const [query, setQuery] = useState('');
   const [response, setResponse] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [isStopped, setIsStopped] = useState(false);
+  const [toolCalls, setToolCalls] = useState([]);
+  const [quiz, setQuiz] = useState(null);
+  // the in-flight /api/ai request; aborting it also stops the model stream and automation on the server
+  const requestControllerRef = useRef(null);
   const [isTranscribing, setIsTranscribing] = useState(false);
   const [error, setError] = useState(null);
   const [isActiveMode, setIsActiveMode] = useState(false);
@@ -49,6 +57,11 @@ export default function EnhancedOverlay() {
   const audioChunksRef = useRef([]);
 
   const clearAll = () => {
+    requestControllerRef.current?.abort();
+    requestControllerRef.current = null;
+    setIsStopped(false);
+    setToolCalls([]);
+    setQuiz(null);
     setQuery('');
     setResponse('');
     setError(null);
@@ -200,8 +213,27 @@ export default function EnhancedOverlay() {
     }
   };
 
+  // cancels whatever request is still running and returns the signal for a new one
+  const startRequest = () => {
+    requestControllerRef.current?.abort();
+    requestControllerRef.current = new AbortController();
+    setIsStopped(false);
+    setToolCalls([]);
+    setQuiz(null);
+    return requestControllerRef.current.signal;
+  };
+
+  // Stop button: keeps the partial answer on screen
+  const stopRequest = () => {
+    requestControllerRef.current?.abort();
+  };
+
+  // a newer query or Cmd+E took over, so a stopped request must leave the UI alone
+  const isCurrentRequest = (signal) => requestControllerRef.current?.signal === signal;
+
   const handleQuery = async (text, selectedText = null) => {
     if (!text?.trim()) return;
+    const signal = startRequest();
     setIsLoading(true);
     setError(null);
     setResponse('');
@@ -229,25 +261,17 @@ export default function EnhancedOverlay() {
       if (!isCommandWithoutScreenCapture || isScreenBasedYouTubeCommand) {
         try {
           // Always get a fresh screen capture for non-command queries
-          const capture = await window.electron.captureScreenOnce();
-          
-          if (capture.error) {
-            console.error('Screen capture error:', capture.error);
-            setError('Failed to capture screen. Please try again or use a command that doesn\'t require screen capture.');
-            setIsLoading(false);
-            return;
-          }
+          const { capture, error, paused } = await captureForUpload();
 
-          // Ensure we have the required dataURL property
-          if (!capture.dataURL) {
-            console.error('No dataURL in capture:', capture);
-            setError('Failed to capture screen content. Please try again.');
+          if (!capture) {
+            console.error('Screen capture error:', error);
+            setError(paused ? error : `Failed to capture screen (${error}). Please try again or use a command that doesn't require screen capture.`);
             setIsLoading(false);
             return;
           }
-          
+
           requestBody.screenCapture = {
-            dataURL: capture.dataURL,
+            ...capture,
             timestamp: capture.timestamp || Date.now(),
             name: capture.name || 'screen',
             id: capture.id || 'main'
@@ -261,71 +285,40 @@ export default function EnhancedOverlay() {
       }
 
       console.log('Sending request with isActiveMode:', isActiveMode);
-      const response = await fetch('http://localhost:3000/api/ai', {
-        method: 'POST',
-        headers: { 
-          'Content-Type': 'application/json'
+      let hasText = false;
+      const result = await streamAI(requestBody, {
+        onToken: (content, fullResponse) => {
+          hasText = true;
+          if (isCurrentRequest(signal)) setResponse(fullResponse);
         },
-        body: JSON.stringify(requestBody)
-      });
-
-      if (!response.ok) {
-        const errorText = await response.text();
-        try {
-          const errorJson = JSON.parse(errorText);
-          throw new Error(errorJson.error || errorJson.message || 'Failed to get AI response');
-        } catch (e) {
-          throw new Error(errorText || 'Failed to get AI response');
+        onTool: (call, tools) => {
+          if (isCurrentRequest(signal)) setToolCalls(tools);
+        },
+        // quiz steps as data, for the step cards
+        onStructured: ({ kind, data }) => {
+          if (kind === 'quiz-steps' && isCurrentRequest(signal)) setQuiz(data);
+        },
+        // steps and model retries, shown until the answer starts arriving
+        onProgress: ({ step, detail }) => {
+          if (!hasText && isCurrentRequest(signal)) setResponse(detail ? `${step}: ${detail}` : step);
+        },
+        onAction: ({ action, url }) => {
+          if (action === 'authenticate' && url) {
+            handleSpotifyAuth(url);
+          }
         }
-      }
+      }, { signal });
 
-      // Check if it's a JSON response (for commands) or streaming response (for AI analysis)
-      const contentType = response.headers.get('content-type');
-      if (contentType && contentType.includes('application/json')) {
-        const data = await response.json();
-        if (data.needsAuth && data.authUrl) {
-          handleSpotifyAuth(data.authUrl);
+      if (result.stopped) {
+        if (isCurrentRequest(signal)) {
+          setIsStopped(true);
+          setIsLoading(false);
         }
-        setResponse(data.response || data.content || '');
-        setIsLoading(false);
         return;
       }
 
-      // Handle streaming response
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
-      let fullResponse = '';
-      let isDone = false;
-
-      while (!isDone) {
-        const { value, done } = await reader.read();
-        if (done) {
-          isDone = true;
-          continue;
-        }
-
-        const chunk = decoder.decode(value);
-        const lines = chunk.split('\n');
-
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(5).trim();
-            if (data === '[DONE]') {
-              isDone = true;
-              break;
-            }
-            try {
-              const parsed = JSON.parse(data);
-              if (parsed.error) throw new Error(parsed.error);
-              if (parsed.content) {
-                fullResponse += parsed.content;
-                setResponse(fullResponse);
-              }
-            } catch (e) {
-              if (e.message !== 'Unexpected end of JSON input') throw e;
-            }
-          }
-        }
+      if (result.error) {
+        throw new Error(result.error.message || 'Failed to get AI response');
       }
       setIsLoading(false);
     } catch (error) {
@@ -351,40 +344,40 @@ export default function EnhancedOverlay() {
   };
 
   const handleAIResponse = async (query) => {
+    const signal = startRequest();
     try {
       setIsLoading(true);
       setError(null);
 
-      const response = await fetch('/api/ai', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          query,
-          screenCapture: null,
-          selectedText: null,
-          timestamp: Date.now(),
-          isActiveMode: isActiveMode
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error('Failed to get AI response');
+      const result = await streamAI({
+        query,
+        screenCapture: null,
+        selectedText: null,
+        timestamp: Date.now(),
+        isActiveMode: isActiveMode
+      }, {
+        onAction: ({ action, url }) => {
+          if (action === 'authenticate' && url) {
+            handleSpotifyAuth(url);
+          }
+        }
+      }, { signal, endpoint: '/api/ai' });
+
+      if (result.stopped) {
+        if (isCurrentRequest(signal)) setIsStopped(true);
+        return;
       }
 
-      const data = await response.json();
-      
-      if (data.needsAuth && data.authUrl) {
-        handleSpotifyAuth(data.authUrl);
+      if (result.error) {
+        throw new Error(result.error.message || 'Failed to get AI response');
       }
       
-      setResponse(data.response || data.content);
+      setResponse(result.text);
     } catch (error) {
       console.error('Error:', error);
       setError(error.message);
     } finally {
-      setIsLoading(false);
+      if (isCurrentRequest(signal)) setIsLoading(false);
     }
   };
 
@@ -685,6 +678,12 @@ export default function EnhancedOverlay() {
                   transition={{ duration: 1, repeat: Infinity, delay: 0.4 }}
                 />
                 <span className="text-blue-400">Analyzing your screen...</span>
+                <button
+                  onClick={stopRequest}
+                  className="ml-2 px-2 py-0.5 text-xs rounded bg-white/10 text-white/70 hover:bg-white/20 hover:text-white"
+                >
+                  Stop
+                </button>
               </div>
             </motion.div>
           )}
@@ -711,11 +710,16 @@ export default function EnhancedOverlay() {
               transition={{ duration: 0.2 }}
               className="response-container mt-4 max-h-[60vh] overflow-y-auto rounded-lg bg-white/5 p-4"
             >
+              <ToolCalls tools={toolCalls} className="mb-3" />
               <CollapsibleCards 
                 markdown={response}
+                quiz={quiz}
                 isActiveMode={isActiveMode}
                 className="max-w-none"
               />
+              {isStopped && (
+                <div className="mt-2 text-xs text-white/50 italic">Stopped</div>
+              )}
             </motion.div>
           )}
         </AnimatePresence>
@@ -6,6 +6,8 @@ import rehypeKatex from 'rehype-katex';
 import 'katex/dist/katex.min.css';
 import { preprocessMath, mathConfig } from '../utils/mathPreprocessor';
 import { learningTools } from '../services/learning-tools';
+import { streamAI } from '../utils/aiStream';
+import { captureForUpload } from '../utils/captureUpload';
 
 export default function LearningOverlay({ 
   isVisible, 
@@ -64,17 +66,14 @@ export default function LearningOverlay({
   const handleConceptClick = (concept) => {
     // Request deeper explanation of the concept
     if (window.electron?.captureScreenOnce) {
-      window.electron.captureScreenOnce().then(screenCapture => {
-        fetch('http://localhost:3000/api/ai', {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            query: `Please explain the concept of "${concept}" in more detail, with examples and analogies.`,
-            screenCapture,
-            timestamp: Date.now()
-          })
+      captureForUpload().then(({ capture, error }) => {
+        if (!capture) throw new Error(error);
+        return streamAI({
+          query: `Please explain the concept of "${concept}" in more detail, with examples and analogies.`,
+          screenCapture: capture,
+          timestamp: Date.now()
         });
-      });
+      }).catch(error => console.error('Failed to request concept explanation:', error));
     }
   };
 
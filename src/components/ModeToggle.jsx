@@ -1,12 +1,14 @@
 import React from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
+import PersonaPicker from './PersonaPicker';
 
 // mode toggle component
 // - displays a button that switches between "active understanding" and "regular mode"
 // - shows compact or default variants based on the `variant` prop
 // - uses framer motion for subtle hover/tap animations and state transitions
+// - shows the assistant persona picker next to the button unless `showPersona` is false
 
-export default function ModeToggle({ isActiveMode, onToggle, variant = 'default' }) {
+export default function ModeToggle({ isActiveMode, onToggle, variant = 'default', showPersona = true }) {
   // click handler to prevent parent handlers and trigger the provided toggle callback
   const handleClick = (e) => {
     e.preventDefault();
@@ -100,6 +102,8 @@ export default function ModeToggle({ isActiveMode, onToggle, variant = 'default'
           )}
         </AnimatePresence>
       )}
+      {/* persona picker sets the voice, formatting and length of answers in both modes */}
+      {showPersona && <PersonaPicker variant={variant} />}
     </div>
   );
 } 
\ No newline at end of file
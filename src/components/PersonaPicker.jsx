@@ -0,0 +1,84 @@
+import React, { useState, useEffect } from 'react';
+
+const PERSONAS_ENDPOINT = 'http://localhost:3000/api/personas';
+
+// persona picker component
+// - lists the assistant personas (friendly coach, concise engineer, ...) from the server
+// - the choice is saved on the server, so every window and the extension answer in the same voice
+// - reloads when the window regains focus in case another window changed it
+
+export default function PersonaPicker({ variant = 'default' }) {
+  const [personas, setPersonas] = useState([]);
+  const [current, setCurrent] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const applyResponse = (data) => {
+    setPersonas(data.personas || []);
+    setCurrent(data.current);
+  };
+
+  useEffect(() => {
+    const loadPersonas = async () => {
+      try {
+        const response = await fetch(PERSONAS_ENDPOINT);
+        if (!response.ok) throw new Error('Failed to fetch personas');
+        applyResponse(await response.json());
+      } catch (err) {
+        console.error('Error fetching personas:', err);
+      }
+    };
+
+    loadPersonas();
+    window.addEventListener('focus', loadPersonas);
+    return () => window.removeEventListener('focus', loadPersonas);
+  }, []);
+
+  const handleChange = async (e) => {
+    const previous = current;
+    const persona = e.target.value;
+    setCurrent(persona);
+    setIsSaving(true);
+
+    try {
+      const response = await fetch(`${PERSONAS_ENDPOINT}/current`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ persona })
+      });
+      if (!response.ok) throw new Error('Failed to save persona');
+      applyResponse(await response.json());
+    } catch (err) {
+      console.error('Error saving persona:', err);
+      setCurrent(previous);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (personas.length === 0) return null;
+
+  const isCompact = variant === 'compact';
+  const selected = personas.find(persona => persona.id === current);
+
+  return (
+    <select
+      value={current || ''}
+      onChange={handleChange}
+      onClick={(e) => e.stopPropagation()}
+      disabled={isSaving}
+      title={selected ? selected.description : 'Assistant persona'}
+      className={`
+        border border-gray-300 bg-white text-gray-700 hover:bg-gray-50
+        font-medium cursor-pointer transition-colors duration-200 z-10
+        ${isCompact ? 'px-1.5 py-1 rounded-md text-[11px] max-w-[120px]' : 'px-2 py-1.5 rounded-lg text-[12px] max-w-[160px]'}
+        ${isSaving ? 'opacity-60' : ''}
+      `}
+    >
+      {personas.map(persona => (
+        <option key={persona.id} value={persona.id}>
+          {persona.label}
+        </option>
+      ))}
+    </select>
+  );
+}
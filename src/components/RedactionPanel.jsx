@@ -0,0 +1,113 @@
+import React, { useState, useEffect } from 'react';
+
+// redaction panel component
+// - chips to pick what is blurred out of captures before they are sent (cards, API keys, emails, phones)
+// - after a question, says how much of the last capture was blurred; "Preview" shows that capture
+//   exactly as it was sent, with the blurred regions outlined
+// - the settings live in the main process (see src/services/redaction.js)
+
+const SHORT_LABELS = {
+  card: 'Cards',
+  'api-key': 'Keys',
+  email: 'Emails',
+  phone: 'Phones'
+};
+
+export default function RedactionPanel({ lastUpload }) {
+  const [settings, setSettings] = useState(null);
+  const [showPreview, setShowPreview] = useState(false);
+
+  useEffect(() => {
+    if (!window.electron?.getRedaction) return;
+    window.electron.getRedaction()
+      .then(setSettings)
+      .catch(err => console.error('Error fetching redaction settings:', err));
+  }, []);
+
+  // a new capture starts with the preview closed
+  useEffect(() => {
+    setShowPreview(false);
+  }, [lastUpload]);
+
+  const toggleCategory = async (category) => {
+    const categories = settings.categories.includes(category)
+      ? settings.categories.filter(c => c !== category)
+      : [...settings.categories, category];
+    const result = await window.electron.setRedaction(categories);
+    if (result.error) {
+      console.error('Error saving redaction settings:', result.error);
+      return;
+    }
+    setSettings(result);
+  };
+
+  if (!settings) return null;
+
+  const redactions = lastUpload?.redactions;
+  const summary = redactions && Object.entries(redactions.categories)
+    .map(([category, count]) => `${count} ${(SHORT_LABELS[category] || category).toLowerCase()}`)
+    .join(', ');
+
+  return (
+    <div className="mb-3" onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center gap-1 flex-wrap">
+        <span className="text-[11px] text-gray-500 mr-1" title="Blurred out of captures before they are sent">
+          🔒 Blur
+        </span>
+        {settings.available.map(({ category, label }) => {
+          const isOn = settings.categories.includes(category);
+          return (
+            <button
+              key={category}
+              type="button"
+              onClick={() => toggleCategory(category)}
+              title={`${isOn ? 'Blurring' : 'Not blurring'} ${label}`}
+              className={`px-1.5 py-0.5 rounded-md text-[11px] font-medium border transition-colors duration-200 ${
+                isOn
+                  ? 'bg-gray-900 text-white border-gray-900'
+                  : 'bg-white text-gray-500 border-gray-300 hover:bg-gray-50'
+              }`}
+            >
+              {SHORT_LABELS[category] || label}
+            </button>
+          );
+        })}
+      </div>
+
+      {redactions && (
+        <div className="mt-1.5 text-[11px] text-gray-600 flex items-center gap-2">
+          <span className="flex-1 min-w-0 truncate">
+            {redactions.total > 0 ? `Last capture: blurred ${summary}` : 'Last capture: nothing to blur'}
+          </span>
+          <button
+            type="button"
+            onClick={() => setShowPreview(v => !v)}
+            className="text-blue-700 hover:text-blue-900 px-1.5 py-0.5 rounded hover:bg-blue-50"
+          >
+            {showPreview ? 'Hide' : 'Preview'}
+          </button>
+        </div>
+      )}
+
+      {redactions && showPreview && (
+        // boxes are in pixels of the uploaded image, so they are placed as percentages of its size
+        <div className="mt-1.5 relative rounded border border-gray-300 overflow-hidden">
+          <img src={lastUpload.dataURL} alt="Capture as sent" className="block w-full" />
+          {redactions.regions.map((region, index) => (
+            <div
+              key={index}
+              className="absolute border-2 border-red-500 rounded-sm"
+              title={region.category}
+              style={{
+                left: `${(region.bbox.x / lastUpload.width) * 100}%`,
+                top: `${(region.bbox.y / lastUpload.height) * 100}%`,
+                width: `${(region.bbox.width / lastUpload.width) * 100}%`,
+                height: `${(region.bbox.height / lastUpload.height) * 100}%`
+              }}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,99 @@
+import React, { useState, useEffect } from 'react';
+
+// region selector component
+// - covers the whole overlay with a crosshair so the user can drag a rectangle over part of the screen
+// - calls `onSelect` with the rectangle in window coordinates ({ x, y, width, height }) on release
+// - escape, a right click or a drag smaller than a few pixels calls `onCancel`
+// - the parent must unmount it before capturing, otherwise the dimming ends up in the screenshot
+
+const MIN_SIZE = 8;
+
+function toRect(start, end) {
+  return {
+    x: Math.min(start.x, end.x),
+    y: Math.min(start.y, end.y),
+    width: Math.abs(end.x - start.x),
+    height: Math.abs(end.y - start.y)
+  };
+}
+
+export default function RegionSelector({ onSelect, onCancel }) {
+  const [start, setStart] = useState(null);
+  const [end, setEnd] = useState(null);
+
+  // capture phase on window, so escape doesn't also reach the sidebar's collapse shortcut
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        e.stopPropagation();
+        onCancel();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, [onCancel]);
+
+  const handleMouseDown = (e) => {
+    if (e.button !== 0) {
+      onCancel();
+      return;
+    }
+    const point = { x: e.clientX, y: e.clientY };
+    setStart(point);
+    setEnd(point);
+  };
+
+  const handleMouseMove = (e) => {
+    if (start) setEnd({ x: e.clientX, y: e.clientY });
+  };
+
+  const handleMouseUp = (e) => {
+    if (!start) return;
+    const rect = toRect(start, { x: e.clientX, y: e.clientY });
+    setStart(null);
+    setEnd(null);
+    if (rect.width < MIN_SIZE || rect.height < MIN_SIZE) {
+      onCancel();
+      return;
+    }
+    onSelect(rect);
+  };
+
+  const rect = start && end ? toRect(start, end) : null;
+
+  return (
+    <div
+      className="fixed inset-0 z-[10000] cursor-crosshair select-none"
+      style={{ pointerEvents: 'auto' }}
+      onMouseDown={handleMouseDown}
+      onMouseMove={handleMouseMove}
+      onMouseUp={handleMouseUp}
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {rect ? (
+        // the box-shadow dims everything outside the selection
+        <div
+          className="absolute border-2 border-blue-500 rounded-sm"
+          style={{
+            left: rect.x,
+            top: rect.y,
+            width: rect.width,
+            height: rect.height,
+            boxShadow: '0 0 0 9999px rgba(0, 0, 0, 0.35)'
+          }}
+        >
+          <span className="absolute -top-6 left-0 px-1.5 py-0.5 rounded bg-blue-600 text-white text-[11px] font-medium whitespace-nowrap">
+            {Math.round(rect.width)} × {Math.round(rect.height)}
+          </span>
+        </div>
+      ) : (
+        <div className="absolute inset-0 bg-black/35 flex items-start justify-center pt-24">
+          <span className="px-3 py-1.5 rounded-lg bg-white/90 text-gray-800 text-[12px] font-medium shadow">
+            Drag to select the part of the screen to ask about. Esc to cancel.
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
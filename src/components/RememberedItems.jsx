@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+
+// remembered items component
+// - under an answer, "Remembered N" when long-term memory put earlier conversations or profile facts
+//   in its prompt (the `memory` of the done event, see MemorySystem.recall in src/services/memory-system.js)
+// - opens to list them, each with how close it was to the question, so it's clear why the assistant
+//   brought something up
+
+const formatDate = (timestamp) => new Date(timestamp).toLocaleDateString([], { month: 'short', day: 'numeric' });
+
+export default function RememberedItems({ memory, className = '' }) {
+  const [isOpen, setIsOpen] = useState(false);
+  if (!memory || !memory.items || memory.items.length === 0) return null;
+
+  const ranked = memory.method !== 'recent';
+
+  return (
+    <div className={`text-xs ${className}`}>
+      <button
+        type="button"
+        onClick={() => setIsOpen(open => !open)}
+        className="inline-flex items-center gap-1 px-2 py-0.5 rounded-full border border-purple-200 bg-purple-50 text-purple-700 hover:bg-purple-100"
+        title={ranked ? `Picked by similarity to your question (${memory.method})` : 'Latest conversations and your profile'}
+      >
+        <span>🧠</span>
+        <span>Remembered {memory.items.length}</span>
+        <span className="opacity-70">{isOpen ? '▾' : '▸'}</span>
+      </button>
+      {isOpen && (
+        <ul className="mt-1.5 space-y-1 text-gray-600">
+          {memory.items.map((item, index) => (
+            <li key={`${item.type}-${item.id ?? index}`} className="flex items-start gap-1.5">
+              <span className="shrink-0">{item.type === 'conversation' ? '💬' : '👤'}</span>
+              <span className="flex-1 min-w-0">
+                {item.type === 'conversation' ? `"${item.text}"` : item.text}
+                {item.timestamp && <span className="text-gray-400"> · {formatDate(item.timestamp)}</span>}
+              </span>
+              {item.score !== null && item.score !== undefined && (
+                <span className="shrink-0 text-gray-400" title="Similarity to your question">
+                  {Math.round(item.score * 100)}%
+                </span>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
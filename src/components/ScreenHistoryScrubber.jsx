@@ -0,0 +1,160 @@
+import React, { useState, useEffect } from 'react';
+
+// screen history scrubber component
+// - turns the screen history on or off (off until turned on, see src/services/screen-history.js)
+// - "Browse" opens a slider over the kept frames, oldest on the left, with a preview of the frame,
+//   when it was on screen and the app in front
+// - "Ask about this" hands the frame to onPick, to be sent with the next question instead of the live screen
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+const formatAgo = (timestamp) => {
+  const minutes = Math.round((Date.now() - timestamp) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes} min ago`;
+  return `${Math.round(minutes / 60)} h ago`;
+};
+
+const formatSize = (bytes) => `${(bytes / 1024 / 1024).toFixed(bytes < 10 * 1024 * 1024 ? 1 : 0)} MB`;
+
+export default function ScreenHistoryScrubber({ onPick }) {
+  const [history, setHistory] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [selectedId, setSelectedId] = useState(null); // null follows the newest frame
+  const [preview, setPreview] = useState(null);
+
+  const refresh = () => {
+    window.electron.getScreenHistory()
+      .then(setHistory)
+      .catch(err => console.error('Error fetching screen history:', err));
+  };
+
+  useEffect(() => {
+    if (!window.electron?.getScreenHistory) return;
+    refresh();
+    const unsubscribe = window.electron.onScreenHistoryChanged?.(refresh);
+    return () => unsubscribe?.();
+  }, []);
+
+  const frames = history?.frames || [];
+  const selectedIndex = selectedId ? frames.findIndex(frame => frame.id === selectedId) : frames.length - 1;
+  // a selected frame that was pruned falls back to the newest
+  const selected = frames[selectedIndex] || frames[frames.length - 1] || null;
+
+  useEffect(() => {
+    if (!isOpen || !selected) {
+      setPreview(null);
+      return;
+    }
+    let cancelled = false;
+    window.electron.getScreenHistoryFrame(selected.id)
+      .then(frame => {
+        if (!cancelled) setPreview(frame.error ? null : frame);
+      })
+      .catch(err => console.error('Error loading screen history frame:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, selected?.id]);
+
+  const toggleEnabled = async () => {
+    const result = await window.electron.setScreenHistoryEnabled(!history.enabled);
+    if (result.error) {
+      console.error('Error saving screen history setting:', result.error);
+      return;
+    }
+    setHistory(result);
+  };
+
+  const clearHistory = async () => {
+    const result = await window.electron.clearScreenHistory();
+    if (result.error) {
+      console.error('Error clearing screen history:', result.error);
+      return;
+    }
+    setHistory(result);
+    setSelectedId(null);
+    setIsOpen(false);
+  };
+
+  if (!history) return null;
+
+  return (
+    <div className="mb-3" onClick={(e) => e.stopPropagation()}>
+      <div className="flex items-center gap-1">
+        <span className="text-[11px] text-gray-500 mr-1" title="Recent screens, with their text, for questions about what was on screen earlier">
+          🕘 History
+        </span>
+        <button
+          type="button"
+          onClick={toggleEnabled}
+          className={`px-1.5 py-0.5 rounded-md text-[11px] font-medium border transition-colors duration-200 ${
+            history.enabled
+              ? 'bg-gray-900 text-white border-gray-900'
+              : 'bg-white text-gray-500 border-gray-300 hover:bg-gray-50'
+          }`}
+        >
+          {history.enabled ? 'On' : 'Off'}
+        </button>
+        {history.count > 0 && (
+          <>
+            <span className="flex-1 min-w-0 truncate text-[11px] text-gray-500 ml-1">
+              {history.count} frame{history.count === 1 ? '' : 's'} · {formatSize(history.bytes)}
+            </span>
+            <button
+              type="button"
+              onClick={() => setIsOpen(open => !open)}
+              className="text-[11px] text-blue-700 hover:text-blue-900 px-1.5 py-0.5 rounded hover:bg-blue-50"
+            >
+              {isOpen ? 'Hide' : 'Browse'}
+            </button>
+          </>
+        )}
+      </div>
+
+      {isOpen && selected && (
+        <div className="mt-1.5 p-2 rounded-lg border border-gray-200 bg-white/80">
+          <input
+            type="range"
+            min={0}
+            max={frames.length - 1}
+            value={Math.max(0, selectedIndex)}
+            onChange={(e) => {
+              const index = Number(e.target.value);
+              setSelectedId(index === frames.length - 1 ? null : frames[index].id);
+            }}
+            className="w-full"
+            aria-label="Pick an earlier screen"
+          />
+          <div className="flex justify-between text-[10px] text-gray-400">
+            <span>{formatTime(frames[0].timestamp)}</span>
+            <span>{formatTime(frames[frames.length - 1].timestamp)}</span>
+          </div>
+          {preview && (
+            <img src={preview.dataURL} alt="Earlier screen" className="mt-1.5 block w-full rounded border border-gray-200" />
+          )}
+          <div className="mt-1.5 flex items-center gap-2 text-[11px]">
+            <span className="flex-1 min-w-0 truncate text-gray-600" title={selected.title}>
+              {formatTime(selected.timestamp)} · {formatAgo(selected.timestamp)}{selected.app ? ` · ${selected.app}` : ''}
+            </span>
+            <button
+              type="button"
+              onClick={clearHistory}
+              className="text-gray-500 hover:text-red-600 px-1.5 py-0.5 rounded hover:bg-red-50"
+            >
+              Clear
+            </button>
+            <button
+              type="button"
+              onClick={() => preview && onPick(preview)}
+              disabled={!preview}
+              className="px-2 py-0.5 rounded bg-gray-900 text-white font-medium disabled:opacity-50"
+            >
+              Ask about this
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -5,10 +5,26 @@ import remarkMath from 'remark-math';
 import rehypeKatex from 'rehype-katex';
 import 'katex/dist/katex.min.css';
 import { preprocessMath, mathConfig } from '../utils/mathPreprocessor';
+import { streamAI } from '../utils/aiStream';
+import { prepareCaptureUpload } from '../utils/captureUpload';
+import ToolCalls, { describeToolCall } from './ToolCalls';
+import RememberedItems from './RememberedItems';
 import TabContextManager from './TabContextManager';
 import ModeToggle from './ModeToggle';
+import RegionSelector from './RegionSelector';
+import DisplayPicker from './DisplayPicker';
+import RedactionPanel from './RedactionPanel';
+import CapturePauseIndicator from './CapturePauseIndicator';
+import CaptureRulesPanel from './CaptureRulesPanel';
+import ScreenHistoryScrubber from './ScreenHistoryScrubber';
+import WatchSessionBar from './WatchSessionBar';
 
+// the server keeps the turns of each thread; a new id starts a fresh conversation
+const createThreadId = () =>
+  (window.crypto?.randomUUID ? window.crypto.randomUUID() : `thread-${Date.now()}-${Math.random().toString(36).slice(2)}`);
 
+// how many earlier messages to send along so the server can rebuild a thread it lost on restart
+const MAX_HISTORY_MESSAGES = 20;
 
 export default function SidebarAssistant() {
   const [query, setQuery] = useState('');
@@ -45,6 +61,13 @@ export default function SidebarAssistant() {
   }, [isActiveMode]);
 
   // Tab context state
+  // region select (Cmd+Alt+R): the crop sent with the next query instead of the whole screen
+  const [isSelectingRegion, setIsSelectingRegion] = useState(false);
+  const [regionCapture, setRegionCapture] = useState(null);
+  const [lastUpload, setLastUpload] = useState(null); // the capture as sent, for the redaction preview
+  const [historyFrame, setHistoryFrame] = useState(null); // an earlier screen picked from the history scrubber
+  const [capturePause, setCapturePause] = useState(null); // { paused, rule, window } from the capture rules
+  const [showCaptureRules, setShowCaptureRules] = useState(false);
   const [contextTabs, setContextTabs] = useState([]);
   const [showTabContextManager, setShowTabContextManager] = useState(false);
   
@@ -63,6 +86,9 @@ export default function SidebarAssistant() {
   const mediaRecorderRef = useRef(null);
   const audioChunksRef = useRef([]);
   const messagesEndRef = useRef(null);
+  const threadIdRef = useRef(createThreadId());
+  // the in-flight /api/ai request; aborting it also stops the model stream and automation on the server
+  const requestControllerRef = useRef(null);
 
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
@@ -87,6 +113,8 @@ export default function SidebarAssistant() {
 
 
   const clearAll = () => {
+    requestControllerRef.current?.abort();
+    requestControllerRef.current = null;
     setQuery('');
     setResponse('');
     setError(null);
@@ -94,8 +122,14 @@ export default function SidebarAssistant() {
     setIsTranscribing(false);
     setIsListening(false);
     setConversationHistory([]);
+    // drop the server-side thread too so the next question starts fresh
+    fetch(`http://localhost:3000/api/threads/${threadIdRef.current}`, { method: 'DELETE' }).catch(() => {});
+    threadIdRef.current = createThreadId();
     setContext('');
     setContextTabs([]);
+    setRegionCapture(null);
+    setHistoryFrame(null);
+    setLastUpload(null);
     setCurrentStep('');
     setProgressSteps([]);
     audioChunksRef.current = [];
@@ -225,6 +259,61 @@ export default function SidebarAssistant() {
     };
   }, [isVisible]);
 
+  // Capture rules: main says when a matching window pauses or resumes capture
+  useEffect(() => {
+    window.electron?.getCaptureRules?.()
+      .then(data => setCapturePause(data.status))
+      .catch(err => console.error('Failed to load capture rules:', err));
+    const unsubscribe = window.electron?.onCapturePaused?.(setCapturePause);
+    return () => unsubscribe?.();
+  }, []);
+
+  // Region select hotkeys: Cmd+Alt+R opens the selector, Cmd+Alt+L captures the last region again
+  useEffect(() => {
+    const regionSelectUnsubscribe = window.electron?.onRegionSelectStart?.(() => {
+      setIsCollapsed(false);
+      setIsSelectingRegion(true);
+    });
+    const regionCapturedUnsubscribe = window.electron?.onRegionCaptured?.((capture) => {
+      if (capture.error) {
+        setError(capture.error);
+        return;
+      }
+      setRegionCapture(capture);
+    });
+
+    return () => {
+      regionSelectUnsubscribe?.();
+      regionCapturedUnsubscribe?.();
+    };
+  }, []);
+
+  const handleRegionSelected = async (rect) => {
+    // the selector has to be gone from the screen before main grabs it
+    setIsSelectingRegion(false);
+    const capture = await window.electron.captureRegion(rect);
+    if (capture.error) {
+      setError(capture.error);
+      return;
+    }
+    setError(null);
+    setRegionCapture(capture);
+  };
+
+  const handleRegionCancelled = () => {
+    setIsSelectingRegion(false);
+    window.electron?.cancelRegionSelect?.();
+  };
+
+  const handleRepeatRegion = async () => {
+    const capture = await window.electron.captureLastRegion();
+    if (capture.error) {
+      setError(capture.error);
+      return;
+    }
+    setRegionCapture(capture);
+  };
+
   // Keyboard shortcut handler
   useEffect(() => {
     const handleKeyDown = (e) => {
@@ -1134,6 +1223,12 @@ The implementation roadmap for advancing ${topic} research should include specif
       return;
     }
     
+    // a new question replaces any answer still streaming
+    requestControllerRef.current?.abort();
+    const requestController = new AbortController();
+    requestControllerRef.current = requestController;
+    const isCurrentRequest = () => requestControllerRef.current === requestController;
+
     setIsLoading(true);
     setIsCapturing(true);
     setError(null);
@@ -1155,13 +1250,57 @@ The implementation roadmap for advancing ${topic} research should include specif
       // Always capture screen for API requests to fix HTTP error
       updateProgress('Analyzing', 'Capturing optional screen context...');
       let screenCapture = null;
-      if (window.electron?.captureScreenOnce) {
+      let capturePausedError = null;
+      // a watch session, running or stopped, goes with the question as its sequence of keyframes
+      let watchSession = null;
+      if (!regionCapture && !historyFrame && window.electron?.takeWatchSession) {
+        const taken = await window.electron.takeWatchSession();
+        if (taken?.error) {
+          console.error('Watch session failed:', taken.error);
+        } else if (taken?.frames?.length > 0) {
+          watchSession = taken;
+        }
+      }
+      // a question about what was on screen earlier gets the history frame it is about, when history is on
+      let pastScreen = historyFrame;
+      if (!regionCapture && !historyFrame && !watchSession && window.electron?.findScreenHistory) {
+        try {
+          const match = await window.electron.findScreenHistory(userQuery);
+          if (match?.capture && !match.capture.error) {
+            pastScreen = match.capture;
+          } else if (match) {
+            console.log('No screen history frame matches, using the live screen');
+          }
+        } catch (err) {
+          console.error('Screen history search failed:', err);
+        }
+      }
+      if (regionCapture) {
+        // a selected region is sent once, in place of the whole screen
+        screenCapture = regionCapture;
+        setRegionCapture(null);
+        updateProgress('Screen Analysis Complete', `Using the selected region (${regionCapture.original.width}×${regionCapture.original.height})`);
+      } else if (watchSession) {
+        // the last keyframe stands in for the screen with anything that only reads one screenshot
+        const { frames, durationMs, withheld } = watchSession;
+        screenCapture = { ...frames[frames.length - 1], watch: { startedAt: watchSession.startedAt, durationMs, frames } };
+        updateProgress('Screen Analysis Complete', `Using ${frames.length} keyframe${frames.length === 1 ? '' : 's'} watched over ${Math.round(durationMs / 1000)}s${withheld > 0 ? ` (${withheld} left out, they could not be redacted)` : ''}`);
+      } else if (pastScreen) {
+        // so is an earlier screen, which carries its text
+        screenCapture = pastScreen;
+        setHistoryFrame(null);
+        const { timestamp, app } = pastScreen.history;
+        updateProgress('Screen Analysis Complete', `Using the screen from ${new Date(timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}${app ? ` (${app})` : ''}`);
+      } else if (window.electron?.captureScreenOnce) {
         try {
           console.log('Attempting to capture screen...');
           const captureResult = await window.electron.captureScreenOnce();
           console.log('Screen capture result:', captureResult);
           
-          if (captureResult && !captureResult.error && captureResult.dataURL) {
+          if (captureResult?.paused) {
+            // a capture rule matches the window in front: the question waits rather than going without the screen
+            capturePausedError = captureResult.error;
+          } else if (captureResult && !captureResult.error && captureResult.dataURL) {
             screenCapture = captureResult;
             console.log('Screen capture successful, dataURL length:', captureResult.dataURL.length);
             console.log('Screen capture dataURL preview:', captureResult.dataURL.substring(0, 100) + '...');
@@ -1179,6 +1318,21 @@ The implementation roadmap for advancing ${topic} research should include specif
         console.log('Electron captureScreenOnce function not available');
         updateProgress('Screen Analysis Warning', 'Screen capture unavailable, proceeding without visual context');
       }
+      if (capturePausedError) throw new Error(capturePausedError);
+      if (screenCapture) {
+        const redactionSettings = await window.electron?.getRedaction?.().catch(() => null);
+        if (redactionSettings?.categories?.length > 0) {
+          updateProgress('Redacting', 'Reading the screen to blur sensitive items before sending');
+        }
+        const prepared = await prepareCaptureUpload(screenCapture);
+        // redaction couldn't read the screen: better no answer than an unredacted upload
+        if (!prepared.capture) throw new Error(prepared.error);
+        screenCapture = prepared.capture;
+        setLastUpload(screenCapture);
+        if (screenCapture.redactions?.total > 0) {
+          updateProgress('Screen Analysis Complete', `Blurred ${screenCapture.redactions.total} sensitive item${screenCapture.redactions.total === 1 ? '' : 's'} before sending`);
+        }
+      }
       
       // Build context including attached tabs
       const contextParts = [];
@@ -1251,7 +1405,12 @@ Keep each section compact but detailed enough to remove any confusion. Avoid flu
         continuationOnly: continuationFlowAtRequest,
         screenCapture,
         selectedText: additionalContext || null,
-        resumeData: resumeData
+        resumeData: resumeData,
+        threadId: threadIdRef.current,
+        history: conversationHistory
+          .filter(message => message.type === 'user' || message.type === 'ai')
+          .slice(-MAX_HISTORY_MESSAGES)
+          .map(({ type, content }) => ({ type, content }))
       };
       
       updateProgress('Preparing Request', 'Building your request...');
@@ -1266,109 +1425,59 @@ Keep each section compact but detailed enough to remove any confusion. Avoid flu
       });
       
       updateProgress('AI Processing', 'Sending request to AI and processing your query...');
-      const response = await fetch('http://localhost:3000/api/ai', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestBody)
-      });
-      
-      if (!response.ok) {
-        const errorText = await response.text();
-        console.error('API response error:', response.status, errorText);
-        throw new Error(`HTTP error! status: ${response.status} - ${errorText}`);
-      }
-      
-      updateProgress('Receiving Response', 'Processing...');
-      console.log('Response received, starting to read stream...');
-      
-      // Handle streaming response
-      const reader = response.body.getReader();
-      const decoder = new TextDecoder();
       let aiResponse = '';
-      let chunkCount = 0;
+      let receivedTokens = false;
+      let toolsUsed = [];
+      let memoryUsed = null;
       
       try {
-        let shouldBreak = false;
-      while (true) {
-        const { done, value } = await reader.read();
-        if (done) {
-          console.log('Stream complete, final response:', aiResponse);
-          break;
-        }
-        
-          chunkCount++;
-        const chunk = decoder.decode(value);
-          console.log(`Received chunk ${chunkCount}:`, chunk);
-        const lines = chunk.split('\n');
-        
-        for (const line of lines) {
-          if (line.startsWith('data: ')) {
-            const data = line.slice(6);
-            if (data === '[DONE]') {
-              console.log('Received [DONE] signal');
-                shouldBreak = true;
-              break;
+        const result = await streamAI(requestBody, {
+          onRoute: (route) => console.log('Request routed to:', route.command, '-', route.reason),
+          onProgress: ({ step, detail }) => updateProgress(step, detail || ''),
+          onTool: (call, tools) => {
+            toolsUsed = tools;
+            if (call.status === 'running') updateProgress('Using a tool', describeToolCall(call));
+          },
+          onToken: (content, fullResponse) => {
+            if (!isCurrentRequest()) return;
+            // Clear the progress text once content starts streaming
+            if (!receivedTokens) {
+              receivedTokens = true;
+              updateProgress('', '');
             }
-            
-            try {
-              const parsed = JSON.parse(data);
-                console.log(`Parsed data from chunk ${chunkCount}:`, parsed);
-                
-                              if (parsed.content) {
-                  aiResponse += parsed.content;
-                  setResponse(aiResponse);
-                
-                // Clear the "Receiving Response" text once content starts streaming
-                if (chunkCount === 1) {
-                  updateProgress('', '');
-                }
-                
-                // Check for cover letter specific content and update progress
-                if (parsed.content.toLowerCase().includes('cover letter') || 
-                    parsed.content.toLowerCase().includes('google docs') ||
-                    parsed.content.toLowerCase().includes('opening google docs')) {
-                  updateProgress('Cover Letter Generation', 'Creating and formatting your cover letter...');
-                }
-                
-                // Check for Google Docs opening
-                if (parsed.content.toLowerCase().includes('opening google docs') ||
-                    parsed.content.toLowerCase().includes('google docs automation')) {
-                  updateProgress('Opening Google Docs', 'Launching Google Docs and preparing to paste content...');
-                }
-                
-                // Check for pasting completion
-                if (parsed.content.toLowerCase().includes('successfully opened and pasted') ||
-                    parsed.content.toLowerCase().includes('cover letter successfully opened')) {
-                  updateProgress('Complete!', 'Cover letter has been opened and pasted in Google Docs');
-                }
-              }
-                
-              if (parsed.error) {
-                console.log('Received error:', parsed.error);
-                setError(parsed.error);
-                  // For continuation requests, also log the error in the conversation
-                  if (isContinuationRequest(userQuery)) {
-                    const errorMessage = {
-                      id: Date.now() + 3,
-                      type: 'error',
-                      content: `AI Error: ${parsed.error}`,
-                    };
-                    setConversationHistory(prev => [...prev, errorMessage]);
-                  }
-              }
-            } catch (e) {
-                console.log(`Non-JSON data from chunk ${chunkCount}:`, data, 'Error:', e);
-              }
+            setResponse(fullResponse);
+          },
+          onError: ({ message, code }) => {
+            console.log('Received error:', code, message);
+            setError(message);
+            // For continuation requests, also log the error in the conversation
+            if (isContinuationRequest(userQuery)) {
+              const errorMessage = {
+                id: Date.now() + 3,
+                type: 'error',
+                content: `AI Error: ${message}`,
+              };
+              setConversationHistory(prev => [...prev, errorMessage]);
             }
+          },
+          onDone: ({ usage }) => {
+            if (usage) console.log('Token usage:', usage);
           }
-          
-          if (shouldBreak) {
-            console.log('Breaking out of stream loop due to [DONE] signal');
-            break;
+        }, { signal: requestController.signal });
+        aiResponse = result.text;
+        memoryUsed = result.memory;
+
+        if (result.stopped) {
+          console.log('Request stopped after', aiResponse.length, 'characters');
+          // a newer question or Clear took over; otherwise keep what arrived, marked as stopped
+          if (isCurrentRequest()) {
+            setConversationHistory(prev => [...prev, { id: Date.now() + 1, type: 'ai', content: aiResponse, tools: toolsUsed, stopped: true }]);
+            setResponse('');
+            updateProgress('', '');
           }
+          return;
         }
+        console.log('Stream complete, final response:', aiResponse);
       } catch (streamError) {
         console.error('Error during streaming:', streamError);
         setError(`Streaming error: ${streamError.message}`);
@@ -1402,6 +1511,8 @@ Keep each section compact but detailed enough to remove any confusion. Avoid flu
           id: Date.now() + 1,
           type: 'ai',
           content: aiResponse,
+          tools: toolsUsed,
+          memory: memoryUsed,
         };
         setConversationHistory(prev => [...prev, aiMessage]);
         // Keep response visible during streaming, will be hidden by display logic once in history
@@ -1482,11 +1593,17 @@ Keep each section compact but detailed enough to remove any confusion. Avoid flu
       
       setConversationHistory(prev => [...prev, errorMessage]);
     } finally {
-      setIsLoading(false);
-      setIsCapturing(false);
+      if (isCurrentRequest()) {
+        setIsLoading(false);
+        setIsCapturing(false);
+      }
     }
   };
 
+  const stopRequest = () => {
+    requestControllerRef.current?.abort();
+  };
+
   const addContext = () => {
     if (context.trim()) {
       setContext('');
@@ -1567,10 +1684,27 @@ Keep each section compact but detailed enough to remove any confusion. Avoid flu
                       </button>
                     </div>
                   </div>
+                  {/* Capture pause indicator, and the display picker (nothing with a single display) */}
+                  <div className="mt-3 flex flex-col gap-2">
+                    <CapturePauseIndicator
+                      status={capturePause}
+                      onOpenRules={() => setShowCaptureRules(true)}
+                    />
+                    <DisplayPicker />
+                  </div>
                 </div>
 
                 {/* Conversation Area */}
                 <div className="flex-1 overflow-y-auto px-6 py-4 bg-white/65 backdrop-blur-md" style={{ pointerEvents: 'auto' }}>
+                  {/* Capture Rules - Inline */}
+                  {showCaptureRules && (
+                    <CaptureRulesPanel
+                      isVisible={showCaptureRules}
+                      onClose={() => setShowCaptureRules(false)}
+                      status={capturePause}
+                    />
+                  )}
+
                   {/* Tab Context Manager - Inline */}
                   {showTabContextManager && (
                     <TabContextManager
@@ -1631,6 +1765,7 @@ Keep each section compact but detailed enough to remove any confusion. Avoid flu
                                   letterSpacing: 'normal'
                                 }}
                               >
+                                <ToolCalls tools={message.tools} theme="light" className="mb-2" />
                                 <ReactMarkdown
                                   {...mathConfig}
                                   components={{
@@ -1639,6 +1774,10 @@ Keep each section compact but detailed enough to remove any confusion. Avoid flu
                                 >
                                   {preprocessMath(message.content)}
                                 </ReactMarkdown>
+                                {message.stopped && (
+                                  <div className="mt-1 text-xs text-gray-400 italic">Stopped</div>
+                                )}
+                                <RememberedItems memory={message.memory} className="mt-2" />
                                 <div className="flex justify-end mt-3 opacity-0 group-hover:opacity-100 transition-opacity duration-200">
                                   <button
                                     onClick={() => handleCopy(message.content, `ai-${message.id}`)}
@@ -1832,6 +1971,79 @@ Keep each section compact but detailed enough to remove any confusion. Avoid flu
                       }}
                       className="relative"
                     >
+                      {/* What is blurred out of captures, and a preview of the last one as sent */}
+                      <RedactionPanel lastUpload={lastUpload} />
+
+                      {/* Watch session: start/stop, or the stopped session waiting for the next question */}
+                      <WatchSessionBar />
+
+                      {/* Screen history: on/off, and a scrubber to pick an earlier screen */}
+                      <ScreenHistoryScrubber onPick={setHistoryFrame} />
+
+                      {/* Earlier screen picked from the history, sent with the next query instead of the live screen */}
+                      {historyFrame && (
+                        <div className="mb-3 p-2 bg-blue-50 rounded-lg border border-blue-200 flex items-center gap-2">
+                          <img
+                            src={historyFrame.dataURL}
+                            alt="Earlier screen"
+                            className="h-10 max-w-[80px] object-cover rounded border border-blue-200"
+                          />
+                          <div className="flex-1 min-w-0">
+                            <div className="text-xs font-medium text-blue-700">
+                              Screen from {new Date(historyFrame.history.timestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                            </div>
+                            <div className="text-[11px] text-blue-600 truncate">
+                              {historyFrame.history.app ? `${historyFrame.history.app} · ` : ''}sent with your next question
+                            </div>
+                          </div>
+                          <button
+                            type="button"
+                            onClick={() => setHistoryFrame(null)}
+                            className="text-blue-600 hover:text-blue-800 p-1 rounded hover:bg-blue-100"
+                            aria-label="Remove earlier screen"
+                          >
+                            <svg className="w-3 h-3" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                          </button>
+                        </div>
+                      )}
+
+                      {/* Selected region, sent with the next query instead of the whole screen */}
+                      {regionCapture && (
+                        <div className="mb-3 p-2 bg-blue-50 rounded-lg border border-blue-200 flex items-center gap-2">
+                          <img
+                            src={regionCapture.dataURL}
+                            alt="Selected region"
+                            className="h-10 max-w-[80px] object-cover rounded border border-blue-200"
+                          />
+                          <div className="flex-1 min-w-0">
+                            <div className="text-xs font-medium text-blue-700">Selected region</div>
+                            <div className="text-[11px] text-blue-600">
+                              {regionCapture.original.width}×{regionCapture.original.height} · sent with your next question
+                            </div>
+                          </div>
+                          <button
+                            type="button"
+                            onClick={handleRepeatRegion}
+                            className="text-[11px] text-blue-700 hover:text-blue-900 px-1.5 py-0.5 rounded hover:bg-blue-100"
+                            title="Capture this region again (Cmd+Alt+L)"
+                          >
+                            Refresh
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setRegionCapture(null)}
+                            className="text-blue-600 hover:text-blue-800 p-1 rounded hover:bg-blue-100"
+                            aria-label="Remove selected region"
+                          >
+                            <svg className="w-3 h-3" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                            </svg>
+                          </button>
+                        </div>
+                      )}
+
                       {/* Context Tabs Display */}
                       {contextTabs.length > 0 && (
                         <div className="mb-3 p-3 bg-gray-50 rounded-lg border border-gray-200">
@@ -1977,15 +2189,28 @@ Keep each section compact but detailed enough to remove any confusion. Avoid flu
                           </div>
                         )}
                         
-                        <button
-                          type="submit"
-                          disabled={!query.trim() || isLoading}
-                          className="enter-button flex items-center justify-center"
-                        >
-                          <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19V5M5 12l7-7 7 7" />
-                          </svg>
-                        </button>
+                        {isLoading ? (
+                          <button
+                            type="button"
+                            onClick={stopRequest}
+                            className="enter-button flex items-center justify-center"
+                            title="Stop"
+                          >
+                            <svg className="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 24 24">
+                              <rect x="6" y="6" width="12" height="12" rx="2" />
+                            </svg>
+                          </button>
+                        ) : (
+                          <button
+                            type="submit"
+                            disabled={!query.trim()}
+                            className="enter-button flex items-center justify-center"
+                          >
+                            <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 19V5M5 12l7-7 7 7" />
+                            </svg>
+                          </button>
+                        )}
                       </div>
                     </form>
 
@@ -2049,6 +2274,11 @@ Keep each section compact but detailed enough to remove any confusion. Avoid flu
 
 
 
+      {/* Region selector (Cmd+Alt+R) */}
+      {isSelectingRegion && (
+        <RegionSelector onSelect={handleRegionSelected} onCancel={handleRegionCancelled} />
+      )}
+
       {/* Tab Context Manager Modal */}
       {showTabContextManager && (
         <TabContextManager
@@ -0,0 +1,54 @@
+import React from 'react';
+
+// tools the model called while answering (see the `tool` event in src/services/ai-events.js)
+
+const TOOL_LABELS = {
+  control_app: ({ action, appName }) => `${action === 'close' ? 'Quit' : 'Opened'} ${appName}`,
+  search_youtube: ({ topic }) => `YouTube: ${topic}`,
+  youtube_for_screen: () => 'YouTube video for this screen',
+  play_song: ({ song, artist }) => `Spotify: ${song}${artist ? ` by ${artist}` : ''}`,
+  open_learning_resources: ({ topic }) => `Resources: ${topic}`,
+  web_search: ({ query }) => `Google: ${query}`,
+  take_notes: ({ destination }) => `Notes${destination && destination !== 'notes' ? ` in ${destination === 'word' ? 'Word' : 'Google Docs'}` : ''}`
+};
+
+const STATUS_STYLES = {
+  dark: {
+    running: 'bg-blue-500/20 text-blue-200 border-blue-400/30',
+    done: 'bg-green-500/20 text-green-200 border-green-400/30',
+    failed: 'bg-red-500/20 text-red-200 border-red-400/30'
+  },
+  light: {
+    running: 'bg-blue-50 text-blue-700 border-blue-200',
+    done: 'bg-green-50 text-green-700 border-green-200',
+    failed: 'bg-red-50 text-red-700 border-red-200'
+  }
+};
+
+const STATUS_ICONS = { running: '⏳', done: '✓', failed: '✕' };
+
+export const describeToolCall = ({ tool, arguments: args = {} }) => {
+  const label = TOOL_LABELS[tool];
+  return label ? label(args) : tool;
+};
+
+export default function ToolCalls({ tools, theme = 'dark', className = '' }) {
+  if (!tools || tools.length === 0) return null;
+  const styles = STATUS_STYLES[theme] || STATUS_STYLES.dark;
+
+  return (
+    <div className={`flex flex-wrap gap-1.5 ${className}`}>
+      {tools.map((call, index) => (
+        <span
+          key={`${call.tool}-${index}`}
+          title={call.message || call.command}
+          className={`inline-flex items-center gap-1 px-2 py-0.5 rounded-full border text-xs ${styles[call.status] || styles.running}`}
+        >
+          <span>🔧</span>
+          <span>{describeToolCall(call)}</span>
+          <span className="opacity-70">{STATUS_ICONS[call.status] || ''}</span>
+        </span>
+      ))}
+    </div>
+  );
+}
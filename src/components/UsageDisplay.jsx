@@ -0,0 +1,209 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+
+const RANGES = [1, 7, 30];
+
+// fractions of a cent are common for small models
+const formatCost = (cost = 0) => `$${cost > 0 && cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+const formatTokens = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens || 0));
+
+function BudgetBar({ label, cost, limit }) {
+  const percent = limit ? Math.min(100, Math.round((cost / limit) * 100)) : 0;
+  return (
+    <div>
+      <div className="flex justify-between text-sm mb-1">
+        <span className="font-medium text-gray-700">{label}</span>
+        <span className="text-gray-600">
+          {formatCost(cost)}{limit ? ` of ${formatCost(limit)}` : ' (no cap)'}
+        </span>
+      </div>
+      {limit && (
+        <div className="w-full bg-gray-200 rounded-full h-2">
+          <div
+            className={`h-2 rounded-full ${percent >= 100 ? 'bg-red-500' : percent >= 80 ? 'bg-orange-500' : 'bg-green-500'}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default function UsageDisplay({ isVisible, onClose }) {
+  const [usageData, setUsageData] = useState(null);
+  const [days, setDays] = useState(7);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (isVisible) {
+      fetchUsageData();
+    }
+  }, [isVisible, days]);
+
+  const fetchUsageData = async () => {
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const response = await fetch(`http://localhost:3000/api/usage?days=${days}`);
+      if (!response.ok) {
+        throw new Error('Failed to fetch usage data');
+      }
+
+      const data = await response.json();
+      setUsageData(data.usage);
+    } catch (err) {
+      console.error('Error fetching usage:', err);
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  if (!isVisible) return null;
+
+  const features = usageData
+    ? Object.entries(usageData.features).sort(([, a], [, b]) => b.cost - a.cost || b.totalTokens - a.totalTokens)
+    : [];
+
+  return (
+    <AnimatePresence>
+      <motion.div
+        initial={{ opacity: 0, scale: 0.9 }}
+        animate={{ opacity: 1, scale: 1 }}
+        exit={{ opacity: 0, scale: 0.9 }}
+        className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50"
+        onClick={onClose}
+      >
+        <motion.div
+          initial={{ y: 50, opacity: 0 }}
+          animate={{ y: 0, opacity: 1 }}
+          exit={{ y: 50, opacity: 0 }}
+          className="bg-white rounded-lg shadow-2xl max-w-4xl w-full mx-4 max-h-[90vh] overflow-hidden"
+          onClick={(e) => e.stopPropagation()}
+        >
+          {/* Header */}
+          <div className="bg-gradient-to-r from-amber-500 to-orange-600 text-white p-6">
+            <div className="flex justify-between items-center">
+              <h2 className="text-2xl font-bold flex items-center">
+                📊 Model Usage
+              </h2>
+              <button
+                onClick={onClose}
+                className="text-white hover:text-gray-200 transition-colors"
+              >
+                <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+                </svg>
+              </button>
+            </div>
+            <div className="flex items-center justify-between mt-2">
+              <p className="text-orange-100">
+                Tokens, latency and cost of every model call, by feature
+              </p>
+              <div className="flex gap-1">
+                {RANGES.map((range) => (
+                  <button
+                    key={range}
+                    onClick={() => setDays(range)}
+                    className={`px-2 py-0.5 rounded text-xs font-medium transition-colors ${days === range ? 'bg-white text-orange-600' : 'bg-white/20 hover:bg-white/30'}`}
+                  >
+                    {range === 1 ? '24h' : `${range}d`}
+                  </button>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {/* Content */}
+          <div className="p-6 overflow-y-auto max-h-[calc(90vh-120px)]">
+            {isLoading && !usageData && (
+              <div className="flex items-center justify-center py-8">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-orange-600"></div>
+                <span className="ml-3 text-gray-600">Loading usage data...</span>
+              </div>
+            )}
+
+            {error && (
+              <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                <span className="text-red-800">Error: {error}</span>
+              </div>
+            )}
+
+            {usageData && (
+              <div className="space-y-6">
+                {usageData.blocked && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-red-800 text-sm">
+                    The {usageData.blocked.period} budget of {formatCost(usageData.blocked.limit)} has been reached, so model requests are paused until the {usageData.blocked.period === 'daily' ? 'day' : 'month'} rolls over.
+                  </div>
+                )}
+
+                {/* Totals */}
+                <div className="grid grid-cols-3 gap-4">
+                  <div className="text-center bg-gray-50 rounded-lg p-4">
+                    <div className="text-2xl font-bold text-orange-600">{formatCost(usageData.totals.cost)}</div>
+                    <div className="text-sm text-gray-500">Cost</div>
+                  </div>
+                  <div className="text-center bg-gray-50 rounded-lg p-4">
+                    <div className="text-2xl font-bold text-blue-600">{formatTokens(usageData.totals.totalTokens)}</div>
+                    <div className="text-sm text-gray-500">Tokens</div>
+                  </div>
+                  <div className="text-center bg-gray-50 rounded-lg p-4">
+                    <div className="text-2xl font-bold text-purple-600">{usageData.totals.calls}</div>
+                    <div className="text-sm text-gray-500">Calls</div>
+                  </div>
+                </div>
+
+                {/* Budgets */}
+                <div className="bg-white border border-gray-200 rounded-lg p-6 space-y-4">
+                  <h3 className="text-lg font-semibold text-gray-800">Budget</h3>
+                  <BudgetBar label="Today" cost={usageData.today.cost} limit={usageData.today.limit} />
+                  <BudgetBar label="This month" cost={usageData.month.cost} limit={usageData.month.limit} />
+                </div>
+
+                {/* Per feature */}
+                <div className="bg-white border border-gray-200 rounded-lg p-6">
+                  <h3 className="text-lg font-semibold text-gray-800 mb-4">By Feature</h3>
+                  {features.length === 0 ? (
+                    <p className="text-gray-500 text-sm">No model calls in this period.</p>
+                  ) : (
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="text-left text-gray-500 border-b">
+                          <th className="pb-2 font-medium">Feature</th>
+                          <th className="pb-2 font-medium text-right">Calls</th>
+                          <th className="pb-2 font-medium text-right">Tokens</th>
+                          <th className="pb-2 font-medium text-right">Avg latency</th>
+                          <th className="pb-2 font-medium text-right">Cost</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {features.map(([feature, entry]) => (
+                          <tr key={feature} className="border-b last:border-0">
+                            <td className="py-2">
+                              <div className="text-gray-900">{feature}</div>
+                              <div className="text-xs text-gray-400">{entry.models.join(', ')}</div>
+                            </td>
+                            <td className="py-2 text-right text-gray-700">
+                              {entry.calls}
+                              {entry.errors > 0 && <span className="text-red-500 text-xs ml-1">({entry.errors} failed)</span>}
+                            </td>
+                            <td className="py-2 text-right text-gray-700">{formatTokens(entry.totalTokens)}</td>
+                            <td className="py-2 text-right text-gray-700">{(entry.averageLatencyMs / 1000).toFixed(1)}s</td>
+                            <td className="py-2 text-right text-gray-900 font-medium">{formatCost(entry.cost)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              </div>
+            )}
+          </div>
+        </motion.div>
+      </motion.div>
+    </AnimatePresence>
+  );
+}
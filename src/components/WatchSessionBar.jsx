@@ -0,0 +1,95 @@
+import React, { useState, useEffect } from 'react';
+
+// watch session bar component
+// - "Watch" (or Cmd+Alt+W) starts a watch session: keyframes of the screen are collected while you
+//   scroll a document or step through slides, for up to a few minutes (see src/services/screen-watch.js)
+// - while watching, the time and keyframe count so far, and "Stop"
+// - a stopped session is sent with the next question, all its keyframes in order; "Discard" drops it.
+//   sending a question while watching stops the session and sends it too
+
+const formatClock = (ms) => {
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+export default function WatchSessionBar() {
+  const [status, setStatus] = useState(null);
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!window.electron?.getWatchStatus) return;
+    window.electron.getWatchStatus()
+      .then(setStatus)
+      .catch(err => console.error('Error fetching watch status:', err));
+    const unsubscribe = window.electron.onWatchStatus?.(setStatus);
+    return () => unsubscribe?.();
+  }, []);
+
+  // the elapsed time ticks while watching
+  useEffect(() => {
+    if (!status?.watching) return;
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [status?.watching]);
+
+  if (!status) return null;
+
+  if (status.watching) {
+    return (
+      <div className="mb-3 p-2 bg-red-50 rounded-lg border border-red-200 flex items-center gap-2" onClick={(e) => e.stopPropagation()}>
+        <span className="w-2 h-2 rounded-full bg-red-500 animate-pulse" />
+        <div className="flex-1 min-w-0 text-[11px] text-red-700">
+          <span className="font-medium">Watching</span>
+          {' '}· {formatClock(now - status.startedAt)} / {formatClock(status.maxDurationMs)}
+          {' '}· {status.frameCount} keyframe{status.frameCount === 1 ? '' : 's'}
+        </div>
+        <button
+          type="button"
+          onClick={() => window.electron.stopWatch()}
+          className="text-[11px] font-medium text-red-700 hover:text-red-900 px-1.5 py-0.5 rounded hover:bg-red-100"
+          title="Stop watching (Cmd+Alt+W)"
+        >
+          Stop
+        </button>
+      </div>
+    );
+  }
+
+  if (status.ready) {
+    return (
+      <div className="mb-3 p-2 bg-blue-50 rounded-lg border border-blue-200 flex items-center gap-2" onClick={(e) => e.stopPropagation()}>
+        <div className="flex-1 min-w-0">
+          <div className="text-xs font-medium text-blue-700">
+            Watched {formatClock(status.ready.durationMs)} · {status.ready.frameCount} keyframe{status.ready.frameCount === 1 ? '' : 's'}
+          </div>
+          <div className="text-[11px] text-blue-600">
+            {status.ready.reason === 'time' ? 'Time limit reached · ' : status.ready.reason === 'frames' ? 'Keyframe limit reached · ' : ''}sent with your next question
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => window.electron.discardWatch()}
+          className="text-blue-600 hover:text-blue-800 p-1 rounded hover:bg-blue-100"
+          aria-label="Discard watch session"
+        >
+          <svg className="w-3 h-3" viewBox="0 0 24 24" fill="none" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mb-3" onClick={(e) => e.stopPropagation()}>
+      <button
+        type="button"
+        onClick={() => window.electron.startWatch()}
+        className="text-[11px] text-gray-500 hover:text-gray-700"
+        title="Collect keyframes while you scroll or step through slides, then ask about all of them (Cmd+Alt+W)"
+      >
+        👁 Watch and explain
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,226 @@
+// Event protocol for /api/ai. Every response is a server-sent event stream of typed events:
+//
+//   event: route     { command, reason, trace }          which command (or "chat") answered, always first
+//   event: token     { content }                         a piece of the answer text
+//   event: progress  { step, detail? }                   a multi-step flow moved on (e.g. "Opening Google Docs")
+//   event: action    { action, ...data }                 something the client should do or know (auth, upload, ...)
+//   event: tool      { tool, command, arguments, status, message? }   the model called a tool; sent with
+//                                                        status "running", then "done" or "failed"
+//   event: citation  { title?, url, snippet? }           a source the answer drew on
+//   event: structured { kind, data }                     the answer in structured form, validated against
+//                                                        output-schemas.js (kind "quiz-steps"); the tokens
+//                                                        carry the same answer as markdown
+//   event: error     { message, code, status? }          the request failed; `code` is one of ERROR_CODES
+//   event: done      { usage?, prompts?, memory?, success?, cancelled? }   always last; usage has prompt/completion/total
+//                                                        tokens, prompts the { name, version, source } of each
+//                                                        prompt template used (see prompt-templates.js),
+//                                                        memory the { method, items } recalled from long-term
+//                                                        memory into the prompt (see MemorySystem.recall),
+//                                                        success is false when a command declined
+//
+// Commands can either write events through ctx.events or answer with res.json(...) as before, in
+// which case the JSON body is translated (see EventStream.fromJSON).
+
+const { provenance } = require('./prompt-templates');
+
+const ERROR_CODES = {
+  BAD_REQUEST: 'bad_request',
+  MISSING_INPUT: 'missing_input',
+  NOT_CONFIGURED: 'not_configured',
+  NOT_FOUND: 'not_found',
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  PROVIDER_ERROR: 'provider_error',
+  FIXTURE_MISSING: 'fixture_missing',
+  BUDGET_EXCEEDED: 'budget_exceeded',
+  INVALID_OUTPUT: 'invalid_output',
+  COMMAND_FAILED: 'command_failed',
+  INTERNAL: 'internal'
+};
+
+const STATUS_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.NOT_CONFIGURED,
+  404: ERROR_CODES.NOT_FOUND,
+  408: ERROR_CODES.TIMEOUT,
+  500: ERROR_CODES.COMMAND_FAILED
+};
+
+// flags commands put on JSON answers, and the action each one becomes
+const JSON_ACTIONS = {
+  needsAuth: body => ({ action: 'authenticate', url: body.authUrl }),
+  needsFileUpload: () => ({ action: 'upload-resume' })
+};
+const JSON_ACTION_FIELDS = ['authUrl'];
+
+// best guess at a code for errors thrown by the provider layer
+function errorCode(error) {
+  if (error?.code === 'LLM_FIXTURE_MISSING') return ERROR_CODES.FIXTURE_MISSING;
+  if (error?.code === 'LLM_BUDGET_EXCEEDED') return ERROR_CODES.BUDGET_EXCEEDED;
+  if (error?.code === 'LLM_CIRCUIT_OPEN') return ERROR_CODES.PROVIDER_ERROR;
+  if (error?.code === 'LLM_INVALID_OUTPUT') return ERROR_CODES.INVALID_OUTPUT;
+  if (error?.name === 'AbortError' || error?.name === 'APIUserAbortError') return ERROR_CODES.CANCELLED;
+  if (error?.name === 'APIConnectionTimeoutError' || /timed? ?out/i.test(error?.message || '')) return ERROR_CODES.TIMEOUT;
+  if (typeof error?.status === 'number') return ERROR_CODES.PROVIDER_ERROR;
+  return ERROR_CODES.INTERNAL;
+}
+
+class EventStream {
+  // `signal` is the request's cancellation signal (see cancellation.js); pipe() throws once it fires
+  constructor(res, { signal } = {}) {
+    this.res = res;
+    this.signal = signal || null;
+    this.finished = false;
+    this.usage = null;
+    this.prompts = [];
+    this.memory = null;
+  }
+
+  open() {
+    if (!this.res.headersSent) {
+      this.res.setHeader('Content-Type', 'text/event-stream');
+      this.res.setHeader('Cache-Control', 'no-cache');
+      this.res.setHeader('Connection', 'keep-alive');
+    }
+  }
+
+  send(type, payload = {}) {
+    // nobody is listening once the client disconnected
+    if (this.finished || this.res.destroyed) return;
+    this.open();
+    this.res.write(`event: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  }
+
+  route(route) {
+    this.send('route', route);
+  }
+
+  token(content) {
+    if (content) this.send('token', { content });
+  }
+
+  progress(step, detail) {
+    console.log(`[EVENTS] progress: ${step}${detail ? ` - ${detail}` : ''}`);
+    this.send('progress', detail ? { step, detail } : { step });
+  }
+
+  action(action, data = {}) {
+    this.send('action', { action, ...data });
+  }
+
+  citation(citation) {
+    this.send('citation', citation);
+  }
+
+  tool(call) {
+    this.send('tool', call);
+  }
+
+  structured(kind, data) {
+    this.send('structured', { kind, data });
+  }
+
+  error(message, code = ERROR_CODES.INTERNAL, extra = {}) {
+    this.send('error', { message, code, ...extra });
+  }
+
+  // error event followed by done, for a request that can't go on
+  fail(error, code = errorCode(error)) {
+    this.error(error?.message || String(error), code);
+    return this.done();
+  }
+
+  // adds token counts from a model response (streamed usage chunk or completion.usage)
+  addUsage(usage) {
+    if (!usage) return;
+    const current = this.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    this.usage = {
+      prompt_tokens: current.prompt_tokens + (usage.prompt_tokens || 0),
+      completion_tokens: current.completion_tokens + (usage.completion_tokens || 0),
+      total_tokens: current.total_tokens + (usage.total_tokens || 0)
+    };
+  }
+
+  // remembers which prompt templates (results of prompts.render) went into the answer, for `done`
+  recordPrompts(...rendered) {
+    this.prompts.push(...provenance(rendered));
+  }
+
+  // remembers what long-term memory put in the prompt (MemorySystem.recall), for `done`
+  recordMemory(recall) {
+    if (recall && recall.items.length > 0) {
+      this.memory = { method: recall.method, items: recall.items };
+    }
+  }
+
+  // relays a streamed chat completion as token events and returns the full text.
+  // `transform` rewrites each piece before it is sent (e.g. math preprocessing). a cancelled request
+  // throws here, so callers never treat a cut-off answer as complete
+  async pipe(stream, { transform = content => content, onContent } = {}) {
+    let text = '';
+    for await (const chunk of stream) {
+      this.signal?.throwIfAborted();
+      this.addUsage(chunk.usage);
+      const content = chunk.choices?.[0]?.delta?.content || '';
+      if (!content) continue;
+      text += content;
+      if (onContent && onContent(text) === false) break;
+      this.token(transform(content));
+    }
+    return text;
+  }
+
+  done(extra = {}) {
+    if (this.finished) return this.res;
+    this.send('done', {
+      ...(this.usage ? { usage: this.usage } : {}),
+      ...(this.prompts.length > 0 ? { prompts: this.prompts } : {}),
+      ...(this.memory ? { memory: this.memory } : {}),
+      ...extra
+    });
+    this.finished = true;
+    return this.res.end();
+  }
+
+  // sends the actions for known flags on a JSON answer and returns the fields that are left
+  actionsFromJSON(body) {
+    const { success, content, response, error, ...rest } = body;
+    for (const [flag, toAction] of Object.entries(JSON_ACTIONS)) {
+      if (rest[flag]) {
+        const { action, ...data } = toAction(body);
+        this.action(action, data);
+        delete rest[flag];
+      }
+    }
+    JSON_ACTION_FIELDS.forEach(field => delete rest[field]);
+    return rest;
+  }
+
+  // translates a command's JSON answer into events: content/response -> token, error -> error,
+  // known flags -> action, anything else -> a generic "result" action, success: false -> done
+  fromJSON(body, status = 200) {
+    if (!body || typeof body !== 'object') {
+      this.token(String(body ?? ''));
+      return this.done();
+    }
+
+    const { success, content, response, error } = body;
+    if (error) {
+      this.error(error, STATUS_CODES[status] || (status >= 400 ? ERROR_CODES.COMMAND_FAILED : ERROR_CODES.INTERNAL), { status });
+    }
+    this.token(content ?? response);
+
+    const rest = this.actionsFromJSON(body);
+    if (Object.keys(rest).length > 0) {
+      this.action('result', rest);
+    }
+    // a command that answered but couldn't do the job ("I need to see your screen...")
+    return this.done(success === false ? { success: false } : {});
+  }
+}
+
+module.exports = {
+  EventStream,
+  ERROR_CODES,
+  errorCode
+};
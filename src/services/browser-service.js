@@ -1,19 +1,9 @@
 const { exec } = require('child_process');
-const OpenAI = require('openai');
+const llm = require('./llm-provider');
 
 class BrowserService {
   constructor() {
     this.supportedBrowsers = ['Google Chrome'];
-    this._openai = null;
-  }
-
-  get openai() {
-    if (!this._openai && process.env.OPENAI_API_KEY) {
-      this._openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-    }
-    return this._openai;
   }
 
   async getCurrentTabs(browser = 'Google Chrome') {
@@ -96,8 +86,8 @@ class BrowserService {
       return {};
     }
 
-    // Use AI to intelligently categorize tabs if OpenAI is available
-    if (this.openai) {
+    // Use AI to intelligently categorize tabs if a model provider is available
+    if (llm.isConfigured('tab-grouping')) {
       try {
         return await this.suggestTabGroupsWithAI(tabs);
       } catch (error) {
@@ -161,8 +151,7 @@ Return format:
 
     const userPrompt = `Analyze these ${tabs.length} tabs and group them into logical categories:\n\n${tabData.map((tab, i) => `${i}. ${tab.title} (${tab.domain}${tab.path})`).join('\n')}`;
 
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-4o-mini',
+    const response = await llm.chat('tab-grouping', {
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: userPrompt }
@@ -0,0 +1,84 @@
+const { exec } = require('child_process');
+
+// Cancellation for /api/ai. Each request gets an AbortSignal that fires when the client goes away
+// (Cmd+E, a newer query, a closed window) and is handed to ctx.signal. Model calls take it as the
+// SDK's `signal` request option; desktop automation runs through execCancellable/delay so an
+// aborted request also kills its osascript and skips the remaining steps.
+
+function cancelledError(message = 'Request was cancelled') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  error.code = 'REQUEST_CANCELLED';
+  return error;
+}
+
+// one AbortController per request. `req` emits close as soon as its body has been read, so the
+// response is what tells us the client disconnected before we finished
+function cancelOnDisconnect(res, label = 'request') {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished && !controller.signal.aborted) {
+      console.log(`[CANCEL] Client disconnected, cancelling ${label}`);
+      controller.abort(cancelledError());
+    }
+  });
+  return controller;
+}
+
+function isCancelled(error, signal) {
+  return !!signal?.aborted ||
+    error?.name === 'AbortError' ||
+    error?.name === 'APIUserAbortError' ||
+    error?.code === 'REQUEST_CANCELLED';
+}
+
+function throwIfCancelled(signal) {
+  if (signal?.aborted) {
+    throw signal.reason instanceof Error ? signal.reason : cancelledError();
+  }
+}
+
+// child_process.exec that kills the command when `signal` aborts; resolves with { stdout, stderr }
+function execCancellable(command, { signal, ...options } = {}) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    exec(command, { ...options, signal }, (error, stdout, stderr) => {
+      if (error) {
+        reject(signal?.aborted ? cancelledError() : error);
+        return;
+      }
+      resolve({ stdout, stderr });
+    });
+  });
+}
+
+// setTimeout as a promise that rejects early when cancelled
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(cancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  cancelOnDisconnect,
+  cancelledError,
+  isCancelled,
+  throwIfCancelled,
+  execCancellable,
+  delay
+};
@@ -0,0 +1,70 @@
+// turns a full-resolution screen grab (an Electron NativeImage) into the image that is uploaded to the
+// model: scaled to the size the model reads it at and re-encoded as JPEG. OpenAI fits high detail images
+// within 2048x2048 and then scales the shortest side to 768, so a 5K retina PNG of several MB becomes a
+// ~1229x768 JPEG of a couple hundred KB that the model sees exactly the same. the original stays with
+// ScreenCaptureService for OCR.
+//
+// CAPTURE_JPEG_QUALITY (1-100, default 80) and CAPTURE_DETAIL (auto, high or low) tune it.
+
+const MAX_EDGE = 2048;
+const MAX_SHORT_EDGE = 768;
+// at or under this on both sides low detail reads it whole, for a flat 85 tokens
+const LOW_DETAIL_EDGE = 512;
+const DEFAULT_JPEG_QUALITY = 80;
+const DETAILS = ['auto', 'high', 'low'];
+
+function uploadSettings(env = process.env) {
+  const quality = parseInt(env.CAPTURE_JPEG_QUALITY, 10);
+  const detail = (env.CAPTURE_DETAIL || 'auto').toLowerCase();
+  return {
+    quality: quality >= 1 && quality <= 100 ? quality : DEFAULT_JPEG_QUALITY,
+    detail: DETAILS.includes(detail) ? detail : 'auto'
+  };
+}
+
+// the size the model would scale `size` to, never upscaled
+function uploadSize({ width, height }, detail) {
+  const maxEdge = detail === 'low' ? LOW_DETAIL_EDGE : MAX_EDGE;
+  let scale = Math.min(1, maxEdge / Math.max(width, height));
+  if (detail !== 'low') {
+    scale *= Math.min(1, MAX_SHORT_EDGE / (Math.min(width, height) * scale));
+  }
+  return {
+    width: Math.max(1, Math.round(width * scale)),
+    height: Math.max(1, Math.round(height * scale))
+  };
+}
+
+function pickDetail({ width, height }, preferred) {
+  if (preferred !== 'auto') return preferred;
+  return width <= LOW_DETAIL_EDGE && height <= LOW_DETAIL_EDGE ? 'low' : 'high';
+}
+
+/**
+ * Returns `{ dataURL, width, height, detail, bytes, original: { width, height } }` for `image`.
+ * `detail` is the OpenAI image detail the upload is sized for; the token budget may still lower it.
+ */
+function prepareUpload(image, settings = uploadSettings()) {
+  const original = image.getSize();
+  const detail = pickDetail(original, settings.detail);
+  const size = uploadSize(original, detail);
+  const scaled = size.width === original.width && size.height === original.height
+    ? image
+    : image.resize({ ...size, quality: 'best' });
+  const jpeg = scaled.toJPEG(settings.quality);
+
+  return {
+    dataURL: `data:image/jpeg;base64,${jpeg.toString('base64')}`,
+    width: size.width,
+    height: size.height,
+    detail,
+    bytes: jpeg.length,
+    original
+  };
+}
+
+module.exports = {
+  prepareUpload,
+  uploadSettings,
+  uploadSize
+};
@@ -0,0 +1,243 @@
+const { app } = require('electron');
+const { execFile } = require('child_process');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { openStore } = require('./local-store');
+
+// rules that stop screen capture while a sensitive window is in front: a password manager, a banking
+// site, a private chat. a rule names an app, a window title and/or a browser URL (each a
+// case-insensitive substring, or /a regex/) and matches when all of them do. while one matches, the
+// background capture pauses and every capture entry point refuses with { error, paused: true }.
+//
+// the front window is read with System Events, so rules can only be applied on macOS. when it can't be
+// read while a rule is on, status() says why in `unavailable`: on macOS (no Automation permission for
+// System Events, or osascript timing out) capture pauses until it can be read again, since a sensitive
+// window might be in front; on other platforms capture goes on and the sidebar warns that the rules
+// aren't applied. while the overlay itself is in front the rules apply to the window that was in front
+// before it, since that is what a capture would show. rules are saved in the `capture-rules` store
+// (see local-store.js).
+//
+// emits 'change' with status() whenever capture pauses or resumes, or the rules become (un)available.
+
+const FRONT_WINDOW_TIMEOUT_MS = 2000;
+// every capture and change-detection probe asks, so one osascript run answers all of them for this long
+const FRONT_WINDOW_CACHE_MS = 1000;
+// compiled only when that browser is in front (run script), so a browser that isn't installed
+// doesn't break the whole script
+const BROWSER_URL_SCRIPTS = {
+  'Google Chrome': 'tell application "Google Chrome" to get URL of active tab of front window',
+  Safari: 'tell application "Safari" to get URL of front document'
+};
+const RULE_FIELDS = ['app', 'title', 'url'];
+const UNSUPPORTED_PLATFORM = 'Capture rules only work on macOS, where System Events can say which window is in front';
+
+const DEFAULT_RULES = [
+  {
+    id: 'password-managers',
+    name: 'Password managers',
+    app: '/^(1Password.*|Bitwarden|LastPass|Dashlane|KeePassXC|Keychain Access|Passwords|Enpass|Proton Pass)$/',
+    enabled: true
+  },
+  {
+    id: 'banking',
+    name: 'Banking and payment sites',
+    url: '/\\b(chase|wellsfargo|bankofamerica|citi|capitalone|usbank|schwab|fidelity|vanguard|paypal|venmo|americanexpress|discover)\\.com\\b/',
+    enabled: true
+  },
+  {
+    id: 'private-chats',
+    name: 'Private chats',
+    app: '/^(Signal|WhatsApp|Messages|Telegram)$/',
+    enabled: false
+  }
+];
+
+// AppleScript for the front app, its pid, its front window title and, for known browsers, the tab URL
+function frontWindowScript() {
+  const urlBranches = Object.entries(BROWSER_URL_SCRIPTS).map(([browser, script]) => `
+if appName is "${browser}" then
+  try
+    set tabURL to run script "${script.replace(/"/g, '\\"')}"
+  end try
+end if`).join('');
+  return `
+set tabURL to ""
+set winTitle to ""
+tell application "System Events"
+  set frontProc to first application process whose frontmost is true
+  set appName to name of frontProc
+  set appPid to unix id of frontProc
+  try
+    set winTitle to name of front window of frontProc
+  end try
+end tell${urlBranches}
+return appName & linefeed & appPid & linefeed & winTitle & linefeed & tabURL`;
+}
+
+function compilePattern(pattern) {
+  const regex = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+  if (regex) return new RegExp(regex[1], regex[2].includes('i') ? regex[2] : `${regex[2]}i`);
+  const needle = pattern.toLowerCase();
+  return { test: value => value.toLowerCase().includes(needle) };
+}
+
+// a rule as saved, with its patterns checked; throws on a rule that could never match or a bad regex
+function normalizeRule(rule, index) {
+  const normalized = {
+    id: String(rule.id || `rule-${Date.now()}-${index}`),
+    name: String(rule.name || '').trim() || 'Untitled rule',
+    enabled: rule.enabled !== false
+  };
+  for (const field of RULE_FIELDS) {
+    const value = typeof rule[field] === 'string' ? rule[field].trim() : '';
+    if (!value) continue;
+    try {
+      compilePattern(value);
+    } catch (error) {
+      throw new Error(`Rule "${normalized.name}": invalid ${field} pattern (${error.message})`);
+    }
+    normalized[field] = value;
+  }
+  if (!RULE_FIELDS.some(field => normalized[field])) {
+    throw new Error(`Rule "${normalized.name}" needs an app, window title or URL to match`);
+  }
+  return normalized;
+}
+
+const MIGRATIONS = [
+  // 1: import capture-rules.json from the userData folder, where the rules were kept before; it is left in place
+  (tx) => {
+    const file = path.join(app.getPath('userData'), 'capture-rules.json');
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (Array.isArray(saved.rules)) {
+        tx.setDoc('rules', saved.rules);
+        console.log(`Imported ${saved.rules.length} capture rules from ${file}`);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Could not import capture rules:', error.message);
+    }
+  }
+];
+
+class CaptureRules extends EventEmitter {
+  constructor() {
+    super();
+    this.rules = null;
+    this.rulesStore = null;
+    this.lastExternalWindow = null; // the last front window that wasn't the overlay
+    this.frontWindowCache = null; // { at, result }, result being the pending or settled lookup
+    this.current = { paused: false, rule: null, window: null, unavailable: null };
+  }
+
+  // opened on first use, once main.js has set the data folder
+  store() {
+    if (!this.rulesStore) {
+      this.rulesStore = openStore('capture-rules', { migrations: MIGRATIONS, docs: { rules: () => null } });
+    }
+    return this.rulesStore;
+  }
+
+  load() {
+    if (this.rules) return this.rules;
+    try {
+      this.rules = (this.store().doc('rules') || DEFAULT_RULES).map(normalizeRule);
+    } catch (error) {
+      console.error('Failed to load capture rules, using the defaults:', error.message);
+      this.rules = DEFAULT_RULES.map(normalizeRule);
+    }
+    return this.rules;
+  }
+
+  list() {
+    return { rules: this.load(), status: this.status() };
+  }
+
+  // replaces every rule; throws (saving nothing) if any of them is invalid
+  async save(rules) {
+    if (!Array.isArray(rules)) throw new Error('Capture rules must be a list');
+    this.rules = rules.map(normalizeRule);
+    this.store().transaction(tx => tx.setDoc('rules', this.rules));
+    console.log(`Saved ${this.rules.length} capture rules`);
+    // the new rules may pause or resume capture for the window already in front
+    await this.check();
+    return this.list();
+  }
+
+  status() {
+    return { ...this.current };
+  }
+
+  // resolves with { app, pid, title, url }, or { unavailable: reason } when the front window can't be read
+  frontWindow() {
+    if (process.platform !== 'darwin') return Promise.resolve({ unavailable: UNSUPPORTED_PLATFORM });
+    const now = Date.now();
+    if (this.frontWindowCache && now - this.frontWindowCache.at < FRONT_WINDOW_CACHE_MS) {
+      return this.frontWindowCache.result;
+    }
+    const result = new Promise(resolve => {
+      execFile('osascript', ['-e', frontWindowScript()], { timeout: FRONT_WINDOW_TIMEOUT_MS }, (error, stdout) => {
+        if (error) {
+          console.error('Could not read the front window for capture rules:', error.message);
+          resolve({
+            unavailable: error.killed
+              ? `Reading the window in front took longer than ${FRONT_WINDOW_TIMEOUT_MS / 1000}s`
+              : 'The window in front can\'t be read. Allow the app to control System Events in System Settings > Privacy & Security > Automation'
+          });
+          return;
+        }
+        const [appName = '', pid = '', title = '', url = ''] = stdout.replace(/\n$/, '').split('\n');
+        resolve({ app: appName, pid: parseInt(pid, 10), title, url });
+      });
+    });
+    this.frontWindowCache = { at: now, result };
+    return result;
+  }
+
+  matches(rule, window) {
+    return RULE_FIELDS.every(field => !rule[field] || compilePattern(rule[field]).test(window[field] || ''));
+  }
+
+  /**
+   * Reads the front window and updates the paused state. Resolves with status():
+   * `{ paused, rule: { id, name } | null, window: { app, title, url } | null, unavailable: string | null }`,
+   * `unavailable` saying why the rules can't be applied while any of them is on.
+   */
+  async check() {
+    const front = await this.frontWindow();
+    if (!front.unavailable && front.pid !== process.pid) {
+      this.lastExternalWindow = { app: front.app, title: front.title, url: front.url };
+    }
+    const enabled = this.load().filter(candidate => candidate.enabled);
+    let next;
+    if (front.unavailable && enabled.length) {
+      // fail closed where the rules should work, warn where they never can
+      next = { paused: process.platform === 'darwin', rule: null, window: null, unavailable: front.unavailable };
+    } else {
+      const window = this.lastExternalWindow;
+      const rule = window ? enabled.find(candidate => this.matches(candidate, window)) : null;
+      next = {
+        paused: !!rule,
+        rule: rule ? { id: rule.id, name: rule.name } : null,
+        window,
+        unavailable: null
+      };
+    }
+
+    const changed = next.paused !== this.current.paused || next.rule?.id !== this.current.rule?.id
+      || next.unavailable !== this.current.unavailable;
+    this.current = next;
+    if (changed) {
+      if (next.unavailable) {
+        console.warn(`Capture rules unavailable${next.paused ? ', capture paused' : ''}: ${next.unavailable}`);
+      } else {
+        console.log(next.paused ? `Capture paused: "${next.rule.name}" matches ${next.window.app}` : 'Capture resumed');
+      }
+      this.emit('change', this.status());
+    }
+    return this.status();
+  }
+}
+
+module.exports = new CaptureRules();
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+
+// inputs a command can declare in `requires`, and how to tell whether the request has them
+const INPUT_CHECKS = {
+  query: (ctx) => !!ctx.query,
+  screenCapture: (ctx) => !!ctx.capture?.dataURL,
+  resume: (ctx) => !!ctx.resumeData,
+  selectedText: (ctx) => !!ctx.selectedText,
+  contextTabs: (ctx) => Array.isArray(ctx.contextTabs) && ctx.contextTabs.length > 0
+};
+
+/**
+ * Registry of assistant commands ("skills").
+ *
+ * A command is a plain object:
+ *   name         unique id, shown in /api/commands and in route traces
+ *   description  one line for humans
+ *   priority     higher numbers are tried first (default 0)
+ *   requires     inputs the handler needs, see INPUT_CHECKS
+ *   examples     sample phrasings, surfaced by /api/commands
+ *   match(ctx)   returns a truthy match (e.g. a RegExp result) when the query is for this command
+ *   guard(ctx, match)      optional; returns a reason string to veto a match
+ *   handler(ctx, res, match)       writes the response
+ *   onMissing(ctx, res, missing)   optional; answers when the command matched but inputs are missing.
+ *                                  without it, the command is skipped and routing continues
+ *   tool         optional; exposes the command to the model as a callable tool when no pattern matched
+ *                (see tool-calling.js):
+ *                  name         function name the model calls, e.g. "open_app"
+ *                  description  when the model should call it
+ *                  parameters   JSON schema of the arguments
+ *                  toMatch(args, ctx)   turns the arguments into what match() would have returned
+ *                  command(args)        optional; name of another command to run instead (one tool
+ *                                       in front of several commands)
+ */
+class CommandRouter {
+  constructor() {
+    this.commands = new Map();
+  }
+
+  register(command) {
+    if (!command || !command.name) {
+      throw new Error('Command must have a name');
+    }
+    if (typeof command.match !== 'function' || typeof command.handler !== 'function') {
+      throw new Error(`Command "${command.name}" must define match() and handler()`);
+    }
+    if (command.tool) {
+      const { name, parameters, toMatch } = command.tool;
+      if (!/^[\w-]{1,64}$/.test(name || '') || !parameters || typeof toMatch !== 'function') {
+        throw new Error(`Command "${command.name}" has an invalid tool (needs name, parameters and toMatch())`);
+      }
+    }
+    const unknownInputs = (command.requires || []).filter(input => !INPUT_CHECKS[input]);
+    if (unknownInputs.length > 0) {
+      throw new Error(`Command "${command.name}" requires unknown inputs: ${unknownInputs.join(', ')}`);
+    }
+    if (this.commands.has(command.name)) {
+      console.warn(`[COMMAND ROUTER] Replacing command "${command.name}"`);
+    }
+
+    this.commands.set(command.name, {
+      priority: 0,
+      requires: [],
+      examples: [],
+      description: '',
+      ...command
+    });
+    return this;
+  }
+
+  unregister(name) {
+    return this.commands.delete(name);
+  }
+
+  // loads every .js file in a directory; a module may export one command or an array of them
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) {
+      return 0;
+    }
+
+    let loaded = 0;
+    const files = fs.readdirSync(dir).filter(file => file.endsWith('.js')).sort();
+    for (const file of files) {
+      try {
+        const exported = require(path.join(dir, file));
+        const commands = Array.isArray(exported) ? exported : [exported];
+        commands.forEach(command => this.register(command));
+        loaded += commands.length;
+      } catch (error) {
+        console.error(`[COMMAND ROUTER] Failed to load commands from ${file}:`, error.message);
+      }
+    }
+    console.log(`[COMMAND ROUTER] Loaded ${loaded} commands from ${dir}`);
+    return loaded;
+  }
+
+  sorted() {
+    return [...this.commands.values()].sort((a, b) => b.priority - a.priority);
+  }
+
+  list() {
+    return this.sorted().map(({ name, description, priority, requires, examples, tool }) => ({
+      name,
+      description,
+      priority,
+      requires,
+      examples,
+      ...(tool ? { tool: tool.name } : {})
+    }));
+  }
+
+  // OpenAI tool definitions for the commands this request has the inputs for
+  tools(ctx) {
+    return this.sorted()
+      .filter(command => command.tool && command.requires.every(input => INPUT_CHECKS[input](ctx)))
+      .map(({ tool }) => ({
+        type: 'function',
+        function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+      }));
+  }
+
+  /**
+   * Routing for a tool call made by the model, in the same shape route() returns so it can
+   * be dispatched. `args` are the parsed arguments; unknown tools route to no command. In a dry
+   * run (ctx.dryRun) the routing is marked `dryRun` and dispatch answers without running the command.
+   */
+  routeTool(ctx, name, args = {}) {
+    const owner = this.sorted().find(command => command.tool?.name === name);
+    if (!owner) {
+      return { command: null, match: null, missing: [], trace: [{ tool: name, error: 'unknown tool' }] };
+    }
+
+    const command = owner.tool.command ? this.commands.get(owner.tool.command(args)) : owner;
+    if (!command) {
+      return { command: null, match: null, missing: [], trace: [{ tool: name, error: 'unknown target command' }] };
+    }
+    const match = owner.tool.toMatch(args, ctx);
+    const missing = command.requires.filter(input => !INPUT_CHECKS[input](ctx));
+    const dryRun = !!ctx.dryRun;
+    return {
+      command,
+      match,
+      missing,
+      ...(dryRun ? { dryRun } : {}),
+      trace: [{ tool: name, command: command.name, selected: true, ...(missing.length ? { missing } : {}), ...(dryRun ? { dryRun } : {}) }]
+    };
+  }
+
+  /**
+   * Evaluates every command against the request context and picks the first
+   * (highest priority) one that matches, passes its guard and has its inputs.
+   * Every command is evaluated so the trace also shows what the winner shadowed.
+   */
+  route(ctx) {
+    const trace = [];
+    let selected = null;
+
+    for (const command of this.sorted()) {
+      const entry = { command: command.name, priority: command.priority, matched: false };
+      trace.push(entry);
+
+      let match;
+      try {
+        match = command.match(ctx);
+      } catch (error) {
+        entry.error = error.message;
+        continue;
+      }
+      if (!match) {
+        continue;
+      }
+
+      entry.matched = true;
+      entry.matchedText = describeMatch(match);
+
+      // a guard that throws vetoes the match, like a match() that throws
+      let vetoReason;
+      try {
+        vetoReason = command.guard ? command.guard(ctx, match) : null;
+      } catch (error) {
+        entry.error = error.message;
+        continue;
+      }
+      if (vetoReason) {
+        entry.blockedBy = vetoReason;
+        continue;
+      }
+
+      const missing = command.requires.filter(input => !INPUT_CHECKS[input](ctx));
+      if (missing.length > 0) {
+        entry.missing = missing;
+        if (!command.onMissing) {
+          entry.skipped = true;
+          continue;
+        }
+      }
+
+      if (selected) {
+        entry.shadowed = true;
+        continue;
+      }
+
+      entry.selected = true;
+      selected = { command, match, missing };
+    }
+
+    return {
+      ...(selected || { command: null, match: null, missing: [] }),
+      trace
+    };
+  }
+
+  async dispatch(ctx, res, routing) {
+    const { command, match, missing } = routing;
+    if (routing.dryRun) {
+      return res.json({ success: true, content: `Would run ${command.name} (dry run).` });
+    }
+    if (missing.length > 0) {
+      return command.onMissing(ctx, res, missing);
+    }
+    return command.handler(ctx, res, match);
+  }
+}
+
+function describeMatch(match) {
+  if (Array.isArray(match)) {
+    return match[0];
+  }
+  if (typeof match === 'string') {
+    return match;
+  }
+  if (match && typeof match === 'object' && match.matchedText) {
+    return match.matchedText;
+  }
+  return undefined;
+}
+
+module.exports = CommandRouter;
@@ -0,0 +1,72 @@
+const { exec } = require('child_process');
+
+// "open spotify", "quit slack"
+
+const OPEN_APP_PATTERN = /^(?:can you )?(?:please )?(?:open|launch|start) ([\w\s]+)$/i;
+const CLOSE_APP_PATTERN = /^(?:can you )?(?:please )?(?:close|quit|exit) ([\w\s]+)$/i;
+
+function run(command, errorMessage) {
+  return new Promise((resolve, reject) => {
+    exec(command, (error) => {
+      if (error) {
+        reject(new Error(errorMessage));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+module.exports = {
+  name: 'app-control',
+  description: 'Open or quit a macOS application',
+  priority: 250,
+  examples: ['open spotify', 'quit slack'],
+  tool: {
+    name: 'control_app',
+    description: 'Open (launch) or quit a macOS application by name',
+    parameters: {
+      type: 'object',
+      properties: {
+        action: { type: 'string', enum: ['open', 'close'] },
+        appName: { type: 'string', description: 'Application name, e.g. "Spotify" or "Visual Studio Code"' }
+      },
+      required: ['action', 'appName']
+    },
+    toMatch: ({ action, appName }) => ({ action: action === 'close' ? 'close' : 'open', appName: String(appName || '') })
+  },
+  match: (ctx) => {
+    const openMatch = ctx.queryLower.match(OPEN_APP_PATTERN);
+    if (openMatch) return { action: 'open', appName: openMatch[1], matchedText: openMatch[0] };
+    const closeMatch = ctx.queryLower.match(CLOSE_APP_PATTERN);
+    if (closeMatch) return { action: 'close', appName: closeMatch[1], matchedText: closeMatch[0] };
+    return null;
+  },
+  handler: async (ctx, res, { action, appName }) => {
+    const normalizedAppName = ctx.services.normalizeAppName(appName);
+    if (ctx.dryRun) {
+      return res.json({ success: true, content: `Would ${action} ${normalizedAppName} (dry run).` });
+    }
+
+    try {
+      if (action === 'open') {
+        await run(`open -a "${normalizedAppName}"`, `Failed to open ${normalizedAppName}`);
+        return res.json({
+          success: true,
+          content: `Successfully opened ${normalizedAppName}.`
+        });
+      }
+
+      await run(`osascript -e 'quit app "${normalizedAppName}"'`, `Failed to close ${normalizedAppName}`);
+      return res.json({
+        success: true,
+        content: `Successfully closed ${normalizedAppName}.`
+      });
+    } catch (error) {
+      console.error(`Error ${action}ing application:`, error);
+      return res.status(500).json({
+        error: `Failed to ${action} ${normalizedAppName}. ${error.message}`
+      });
+    }
+  }
+};
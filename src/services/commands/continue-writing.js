@@ -0,0 +1,76 @@
+const { prompts } = require('../prompt-templates');
+const { ERROR_CODES } = require('../ai-events');
+
+// writing continuation: the explicit continuationOnly flow and "continue this essay"-style queries.
+// the wording is in src/prompts (continuation-*, google-docs-continuation-*)
+
+const CONTINUATION_PROMPTS = { system: 'continuation-system', user: 'continuation-user' };
+const GOOGLE_DOCS_PROMPTS = { system: 'google-docs-continuation-system', user: 'google-docs-continuation-user' };
+
+const CONTINUATION_PATTERN = /(?:continue|finish|extend|complete|keep writing|wrap up|conclude|fill in|write the next|carry on|help me write|assist with writing|write more|add to|expand|develop|elaborate)\s+(?:writing|the|this\s+(?:essay|paragraph|section|doc|document|writing|content)|from|where|at|this point|here)/i;
+
+// only treat the query as a continuation if it's not a simple question
+const SIMPLE_QUESTION_PATTERN = /\b(what|how|why|when|where|who|which|can you|could you|would you|do you|are you|is this|does this|tell me|explain|describe|analyze|summarize|help me understand|what does|what is|what are)\b/i;
+
+// OpenAI rejects images over 20MB. the app's own captures are scaled JPEGs far below that
+// (capture-image.js); a cut-off data URL is a corrupt image, so anything bigger is refused
+const MAX_CAPTURE_BYTES = 20 * 1024 * 1024;
+
+async function streamContinuation(ctx, templates, tag) {
+  const { streamOpenAIResponse, preprocessMathExpressions } = ctx.services;
+  const { events } = ctx;
+  const capture = ctx.capture;
+
+  try {
+    const captureBytes = capture?.dataURL ? Math.floor(capture.dataURL.length * 0.75) : 0;
+    if (captureBytes > MAX_CAPTURE_BYTES) {
+      console.log(`[${tag}] Screen capture too large: ${(captureBytes / 1024 / 1024).toFixed(1)} MB`);
+      return events.fail(new Error('The screen capture is too large to send (over 20 MB). Try again with a smaller capture.'), ERROR_CODES.BAD_REQUEST);
+    }
+
+    const systemPrompt = prompts.render(templates.system);
+    const userPrompt = prompts.render(templates.user);
+    events.recordPrompts(systemPrompt, userPrompt);
+
+    console.log(`[${tag}] Screen capture used in request:`, !!capture);
+    const stream = await streamOpenAIResponse(systemPrompt.text, userPrompt.text, capture, true, 'continuation',
+      { ...ctx.requestOptions, prompts: [systemPrompt, userPrompt] });
+    const text = await events.pipe(stream, { transform: preprocessMathExpressions });
+    console.log(`[${tag}] Streaming complete, ${text.length} characters`);
+    return events.done();
+  } catch (error) {
+    if (ctx.signal?.aborted) throw error;
+    console.error(`[${tag}] Failed to stream continuation:`, error);
+    return events.fail(error);
+  }
+}
+
+module.exports = [
+  {
+    name: 'continuation',
+    description: 'Continue the document on screen from the cursor (sent by the client as continuationOnly)',
+    priority: 1000,
+    match: (ctx) => ctx.continuationOnly ? { matchedText: 'continuationOnly' } : null,
+    handler: (ctx) => {
+      console.log('[CONTINUATION] Starting continuation flow with query:', ctx.query);
+      return streamContinuation(ctx, CONTINUATION_PROMPTS, 'CONTINUATION');
+    }
+  },
+  {
+    name: 'google-docs-continuation',
+    description: 'Continue writing the Google Doc that is on screen',
+    priority: 950,
+    requires: ['screenCapture'],
+    examples: ['continue writing this essay', 'finish the paragraph', 'keep writing from here'],
+    match: (ctx) => ctx.queryLower.match(CONTINUATION_PATTERN),
+    guard: (ctx) => SIMPLE_QUESTION_PATTERN.test(ctx.queryLower) ? 'query reads as a question, not a continuation' : null,
+    onMissing: (ctx, res) => res.json({
+      success: false,
+      content: 'I need to see your screen to continue writing. Please ensure the application has screen capture permissions and try again.'
+    }),
+    handler: (ctx) => {
+      console.log('[GOOGLE DOCS CONTINUATION] Google Docs continuation request detected:', ctx.query);
+      return streamContinuation(ctx, GOOGLE_DOCS_PROMPTS, 'GOOGLE DOCS CONTINUATION');
+    }
+  }
+];
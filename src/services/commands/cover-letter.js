@@ -0,0 +1,123 @@
+// cover letter workflow: reads the job posting on screen, writes a letter from the resume and opens it in google docs
+
+const JOB_APPLICATION_PATTERN = /(?:apply to|write cover letter for|analyze|help me with) (?:this|the) (?:job|position|role|opportunity)|(?:write|create|generate) (?:a )?cover letter|(?:help me )?apply for this job|(?:help me )?write a cover letter|(?:can you )?(?:please )?(?:write|create|generate) (?:a )?cover letter (?:for this job|for this position|for this role)?/i;
+
+const MISSING_RESUME_MESSAGE = `I don't see your resume attached yet. Please upload your resume first using the file upload feature, and then I can help you write a cover letter for the job you're looking at.
+
+📋 **How to use this feature:**
+1. **Upload your resume** using the file upload button
+2. **Navigate to a job posting** you want to apply for
+3. **Ask me**: "write a cover letter for this job" or "help me apply for this job"
+4. **I'll analyze** both your resume and the job requirements
+5. **I'll generate** a personalized cover letter and open it in Google Docs
+
+This way, your cover letter will be perfectly tailored to both your background and the specific job requirements!`;
+
+function isContentFilterError(error) {
+  const message = (error.message || '').toLowerCase();
+  return message.includes("i'm sorry") ||
+    message.includes('i cannot assist') ||
+    message.includes("i'm unable to help");
+}
+
+module.exports = {
+  name: 'cover-letter',
+  description: 'Write a cover letter for the job posting on screen and open it in Google Docs',
+  priority: 850,
+  requires: ['resume', 'screenCapture'],
+  examples: ['write a cover letter for this job', 'help me apply for this job'],
+  match: (ctx) => ctx.queryLower.match(JOB_APPLICATION_PATTERN),
+  onMissing: (ctx, res, missing) => {
+    if (missing.includes('resume')) {
+      return res.json({
+        success: false,
+        content: MISSING_RESUME_MESSAGE,
+        needsFileUpload: true
+      });
+    }
+    return res.json({
+      success: false,
+      content: `I need to see the job posting to write a cover letter. Please make sure the job description is visible on your screen, then try again.`
+    });
+  },
+  handler: async (ctx, res) => {
+    const { resumeData, capture, events, signal } = ctx;
+    const {
+      generateCoverLetterFromJobPosting,
+      cleanCoverLetterContent,
+      ensureCoverLetterContactInfo,
+      formatCoverLetterForGoogleDocs,
+      openGoogleDocsWithCoverLetter
+    } = ctx.services;
+    console.log('[JOB APPLICATION HANDLER] Job application request detected');
+
+    try {
+      // Use AI to analyze the job posting on screen and generate a cover letter
+      events.progress('Analyzing the job posting', 'Matching the requirements on screen against your resume...');
+      const coverLetterResponse = await generateCoverLetterFromJobPosting(resumeData, capture, ctx.requestOptions);
+
+      // Clean up any AI commentary or extra text
+      const cleanedCoverLetter = cleanCoverLetterContent(coverLetterResponse);
+
+      // Ensure the cover letter has proper contact information
+      const coverLetterWithContact = ensureCoverLetterContactInfo(cleanedCoverLetter, resumeData);
+
+      // Format the cover letter for Google Docs
+      events.progress('Formatting your cover letter');
+      const formattedCoverLetter = formatCoverLetterForGoogleDocs(coverLetterWithContact);
+
+      // a dry run answers with the letter itself and leaves Google Docs alone
+      if (ctx.dryRun) {
+        return res.json({ success: true, content: formattedCoverLetter });
+      }
+
+      // Open Google Docs and paste the formatted cover letter
+      events.progress('Opening Google Docs', 'Pasting the cover letter into a new document...');
+      await openGoogleDocsWithCoverLetter(formattedCoverLetter, { signal });
+
+      return res.json({
+        success: true,
+        content: `Perfect! I've analyzed the job posting and your resume, then generated the BEST COVER LETTER EVER.
+
+📝 **Cover Letter Generated Successfully!**
+
+I've opened Google Docs and pasted your personalized cover letter. The letter is perfectly tailored to:
+- **Your background**: ${resumeData.major} student at ${resumeData.university}
+- **Your skills**: ${resumeData.skills?.slice(0, 3).join(', ')}
+- **Your experience**: ${resumeData.relevantExperience?.[0]?.split(' - ')?.[0] || 'Strong academic background'}
+
+**What makes this cover letter amazing:**
+✅ **Specific to the job** - references exact requirements from the posting
+✅ **Perfect alignment** - connects your background to their needs
+✅ **Professional format** - ready to submit immediately
+✅ **Compelling narrative** - tells your story effectively
+
+The cover letter should now be open in Google Docs. You can review and make any final edits before submitting your application!`,
+        needsBrowserAction: true
+      });
+    } catch (error) {
+      // stopped by the user; /api/ai closes the stream
+      if (signal?.aborted) throw error;
+      console.error('[JOB APPLICATION HANDLER] Cover letter generation failed:', error);
+
+      if (isContentFilterError(error)) {
+        return res.json({
+          success: false,
+          content: `I encountered an issue with the AI content filtering when trying to generate your cover letter. This sometimes happens when the AI misinterprets the job posting content.
+
+🔧 **Let me try a different approach:**
+1. **Make sure** the job posting is clearly visible on your screen
+2. **Try again** with the same request: "write a cover letter for this job"
+3. **If it still fails**, I'll generate a template-based cover letter for you
+
+The issue is likely temporary and should resolve on the next attempt. Your resume data is properly loaded and ready to use.`,
+          needsRetry: true
+        });
+      }
+
+      return res.status(500).json({
+        error: `Failed to generate cover letter. Error: ${error.message}`
+      });
+    }
+  }
+};
@@ -0,0 +1,64 @@
+// email response: drafts a reply to the thread on screen; the client pastes it via email automation
+
+const EMAIL_RESPONSE_PATTERN = /(?:respond to|reply to|answer|draft.*response.*for) (?:this|the) (?:email|message|thread)|(?:write|create|generate) (?:a )?(?:response|reply|email) (?:to|for) (?:this|the) (?:email|message|thread)|(?:help me )?(?:respond|reply|answer) (?:to|for) (?:this|the) (?:email|message|thread)/i;
+
+module.exports = {
+  name: 'email-response',
+  description: 'Draft a reply to the email thread on screen',
+  priority: 750,
+  requires: ['screenCapture'],
+  examples: ['respond to this email', 'write a reply to this thread'],
+  match: (ctx) => ctx.queryLower.match(EMAIL_RESPONSE_PATTERN),
+  onMissing: (ctx, res) => res.json({
+    success: false,
+    content: `I need to see the email thread to draft a response. Please make sure the email is visible on your screen, then try again.`
+  }),
+  handler: async (ctx, res) => {
+    const { generateEmailResponseFromThread } = ctx.services;
+    const { events } = ctx;
+    console.log('[EMAIL RESPONSE HANDLER] Email response request detected');
+
+    try {
+      // Use AI to analyze the email on screen and generate a response
+      events.progress('Reading the email thread', 'Drafting a reply...');
+      const emailResponse = await generateEmailResponseFromThread(ctx.capture, ctx.contextTabs, ctx.resumeData, ctx.requestOptions);
+
+      // a dry run answers with the draft alone, without asking the client to paste it
+      if (ctx.dryRun) {
+        return res.json({ success: true, content: emailResponse });
+      }
+
+      // Return the response for the frontend to handle automation
+      return res.json({
+        success: true,
+        content: `📧 **Email Response Generated Successfully!**
+
+I've analyzed the email thread and drafted a professional response for you.
+
+**What I've prepared:**
+✅ **Context-aware response** - tailored to the specific email content
+✅ **Professional tone** - appropriate for the situation
+✅ **Complete draft** - ready to review and send
+
+**Next steps:**
+1. **Review the response** below
+2. **Make any edits** you'd like
+3. **I'll automatically paste it** into your email reply field
+4. **You can then review** and send when ready
+
+**Your Email Response:**
+${emailResponse}
+
+The response is now ready to be pasted into your email client. I'll handle the automation to open the reply field and paste this content for you.`,
+        needsEmailAutomation: true,
+        emailResponse: emailResponse
+      });
+    } catch (error) {
+      if (ctx.signal?.aborted) throw error;
+      console.error('[EMAIL RESPONSE HANDLER] Email response generation failed:', error);
+      return res.status(500).json({
+        error: `Failed to generate email response. Error: ${error.message}`
+      });
+    }
+  }
+};
@@ -0,0 +1,39 @@
+// "explain this" with highlighted text: explains the selection rather than the whole screen
+
+const MODERATION_REJECTIONS = ["i'm sorry i can't assist with that", 'i cannot assist with that', "i'm unable to help with that"];
+
+module.exports = {
+  name: 'explain-selection',
+  description: 'Explain the text the user has highlighted',
+  priority: 400,
+  requires: ['selectedText'],
+  examples: ['explain this'],
+  match: (ctx) => ctx.queryLower === 'explain this' ? { matchedText: ctx.queryLower } : null,
+  handler: async (ctx) => {
+    const { query, selectedText, isActiveMode, capture, events } = ctx;
+    const { generateTextExplanation, preprocessMathExpressions, rememberExchange } = ctx.services;
+    console.log('Handling text explanation with isActiveMode:', isActiveMode);
+
+    const completion = await generateTextExplanation(selectedText, isActiveMode, ctx.requestOptions, ctx.persona);
+
+    // Only treat very short responses containing rejection phrases as a moderation rejection
+    let rejected = false;
+    const textExplanationResponse = await events.pipe(completion, {
+      transform: preprocessMathExpressions,
+      onContent: (text) => {
+        const lowered = text.toLowerCase();
+        rejected = text.length < 100 && MODERATION_REJECTIONS.some(phrase => lowered.includes(phrase));
+        return !rejected;
+      }
+    });
+
+    if (rejected) {
+      console.log('Content moderation rejection detected, forcing helpful email draft reply...');
+      events.token(`Here's a draft reply you can use for this email:\n\nHi,\n\nThank you for your message. I appreciate your insights and will get back to you with more details soon.\n\nBest,\nViren`);
+      return events.done();
+    }
+
+    rememberExchange(query, textExplanationResponse, capture, { threadId: ctx.threadId, dryRun: ctx.dryRun });
+    return events.done();
+  }
+};
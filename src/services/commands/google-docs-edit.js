@@ -0,0 +1,54 @@
+const googleDocsEditor = require('../google-docs-editor');
+const { ERROR_CODES } = require('../ai-events');
+
+// in-place google docs editing (grammar, polish, synthesis). isEditRequest is deliberately loose,
+// so the guard below keeps questions *about* a document ("explain this edit") out of the edit flow
+
+const QUESTION_PATTERN = /^(?:what|why|how|when|where|who|which|explain|describe|tell me|summarize|is|are|does|do|should)\b|\?$/i;
+
+const SUCCESS_MESSAGES = {
+  grammar: 'Fixed all grammar and spelling errors in your document. Changes have been applied directly to your Google Doc.',
+  synthesis: 'Synthesized your notes into well-written paragraphs. Changes have been applied directly to your Google Doc.',
+  polish: 'Polished and improved your document. Changes have been applied directly to your Google Doc.'
+};
+
+module.exports = {
+  name: 'google-docs-edit',
+  description: 'Fix grammar, polish or synthesize the Google Doc on screen in place',
+  priority: 500,
+  requires: ['screenCapture'],
+  examples: ['polish my essay', 'fix the grammar in this doc', 'turn my notes into paragraphs'],
+  match: (ctx) => googleDocsEditor.isEditRequest(ctx.query),
+  guard: (ctx) => {
+    if (QUESTION_PATTERN.test(ctx.queryLower)) {
+      return 'query asks about the document rather than asking to edit it';
+    }
+    // if we don't have explicit google doc detection, still try to edit if it's a clear edit request
+    const shouldEdit = ctx.hasGoogleDocOpen ||
+      ctx.queryLower.includes('polish') || ctx.queryLower.includes('edit') || ctx.queryLower.includes('improve');
+    return shouldEdit ? null : 'no Google Doc open and no explicit edit wording';
+  },
+  handler: async (ctx) => {
+    const { events } = ctx;
+    console.log('[GOOGLE DOCS EDITOR] Edit request detected, starting editing workflow...');
+
+    try {
+      events.progress('Analyzing your document', 'Reading the text and preparing improvements...');
+      const result = await googleDocsEditor.editGoogleDoc(ctx.capture, ctx.query, { ...ctx.requestOptions, dryRun: ctx.dryRun });
+
+      // a dry run answers with the improved text, the document is left as it is
+      if (ctx.dryRun) {
+        events.token(result.improvedText);
+        return events.done();
+      }
+
+      // send as a single message to avoid concatenation issues and duplication
+      events.token(SUCCESS_MESSAGES[result.editType] || SUCCESS_MESSAGES.polish);
+      return events.done();
+    } catch (error) {
+      if (ctx.signal?.aborted) throw error;
+      console.error('[GOOGLE DOCS EDITOR] Editing failed:', error);
+      return events.fail(new Error(error.message || 'Failed to edit document'), ERROR_CODES.COMMAND_FAILED);
+    }
+  }
+};
@@ -0,0 +1,99 @@
+const { exec } = require('child_process');
+
+// internship search: finds the best-matching opportunity for the uploaded resume and opens it in chrome
+
+const INTERNSHIP_PATTERN = /apply to internship.*(?:in|for)?\s*(\w+)?/i;
+
+module.exports = {
+  name: 'internship-application',
+  description: 'Find an internship that matches the uploaded resume and open it in Chrome',
+  priority: 900,
+  requires: ['resume'],
+  examples: ['apply to internship for me in finance'],
+  match: (ctx) => ctx.queryLower.match(INTERNSHIP_PATTERN),
+  onMissing: (ctx, res) => res.json({
+    success: false,
+    content: `I don't see your resume attached yet. Please upload your resume first using the file upload feature, and then I can help you apply to internships based on your actual qualifications and experience.`
+  }),
+  handler: async (ctx, res, match) => {
+    const { resumeData, events } = ctx;
+    const { findSpecificOpportunity } = ctx.services;
+    console.log('[INTERNSHIP HANDLER] Internship application request detected');
+
+    const field = match[1] || 'finance'; // Default to finance if no specific field mentioned
+    console.log('[INTERNSHIP HANDLER] Field detected:', field);
+
+    try {
+      // Find a specific, high-quality opportunity based on the user's resume
+      events.progress(`Searching ${field} internships`, 'Matching openings against your resume...');
+      const specificOpportunity = await findSpecificOpportunity(field, resumeData);
+
+      if (!specificOpportunity) {
+        return res.json({
+          success: false,
+          content: `I couldn't find a specific ${field} internship opportunity that matches your qualifications. Let me know if you'd like me to search for opportunities in a different field.`
+        });
+      }
+
+      // Use the actual resume data to create a personalized response
+      const personalizedResponse = `Based on your resume analysis, I can see you're a ${resumeData.classYear} student at ${resumeData.university} studying ${resumeData.major}. Your key skills include: ${resumeData.skills?.slice(0, 5).join(', ') || 'Strong academic background'}.
+
+🎯 **Found a Great ${field} Opportunity for You!**
+
+I've identified a specific internship that matches your background:
+**${specificOpportunity.title}** at ${specificOpportunity.company}
+Location: ${specificOpportunity.location}
+
+This position aligns well with your experience at ${resumeData.relevantExperience?.[0]?.split(' - ')?.[0] || 'Wells Fargo'} and your skills in ${resumeData.skills?.slice(0, 3).join(', ')}.
+
+I'm now opening this specific opportunity for you to review. Take a look at the requirements and see if it's a good fit!`;
+
+      events.citation({
+        title: `${specificOpportunity.title} at ${specificOpportunity.company}`,
+        url: specificOpportunity.url
+      });
+
+      // a dry run names the opportunity without opening it
+      if (ctx.dryRun) {
+        return res.json({ success: true, content: personalizedResponse, field, opportunity: specificOpportunity });
+      }
+
+      // Open the specific opportunity in a new tab
+      const script = `
+        tell application "Google Chrome"
+          activate
+          delay 1
+          tell application "System Events"
+            keystroke "t" using command down
+            delay 1
+            keystroke "${specificOpportunity.url}"
+            delay 0.5
+            keystroke return
+            delay 2
+          end tell
+        end tell
+      `;
+
+      exec(`osascript -e '${script}'`, (error) => {
+        if (error) {
+          console.error('[INTERNSHIP HANDLER] Failed to open opportunity:', error);
+        } else {
+          console.log('[INTERNSHIP HANDLER] Successfully opened specific opportunity');
+        }
+      });
+
+      return res.json({
+        success: true,
+        content: personalizedResponse,
+        needsBrowserAction: true,
+        field: field,
+        opportunity: specificOpportunity
+      });
+    } catch (error) {
+      console.error('[INTERNSHIP HANDLER] Application process failed:', error);
+      return res.status(500).json({
+        error: `Failed to complete internship application for ${field}. Error: ${error.message}`
+      });
+    }
+  }
+};
@@ -0,0 +1,111 @@
+const { exec } = require('child_process');
+
+// resource search: "get me resources to learn more about ____" opens three google searches
+
+const RESOURCE_PATTERN = /get me resources to learn more about (.+)/i;
+
+module.exports = {
+  name: 'learning-resources',
+  description: 'Open three tabs of PDFs, articles and learning resources about a topic',
+  priority: 800,
+  examples: ['get me resources to learn more about linear algebra'],
+  tool: {
+    name: 'open_learning_resources',
+    description: 'Open three browser tabs of PDFs, articles and learning resources for studying a topic',
+    parameters: {
+      type: 'object',
+      properties: { topic: { type: 'string', description: 'The topic to study' } },
+      required: ['topic']
+    },
+    toMatch: ({ topic }) => [topic, String(topic || '')]
+  },
+  match: (ctx) => ctx.queryLower.match(RESOURCE_PATTERN),
+  handler: (ctx, res, match) => {
+    const topic = match[1].trim();
+    console.log('[RESOURCE HANDLER] Detected topic:', topic);
+    if (ctx.dryRun) {
+      return res.json({ success: true, content: `Would open three tabs with resources to learn more about ${topic} (dry run).` });
+    }
+
+    // Generate three Google search URLs
+    const pdfUrl = `https://www.google.com/search?q=${encodeURIComponent(topic + ' filetype:pdf')}`;
+    const articleUrl = `https://www.google.com/search?q=${encodeURIComponent(topic + ' article')}`;
+    const resourceUrl = `https://www.google.com/search?q=${encodeURIComponent(topic + ' learning resource')}`;
+
+    // AppleScript to open three tabs
+    const appleScript = `
+      tell application "Google Chrome"
+        activate
+        delay 2
+        tell application "System Events"
+          keystroke "t" using command down
+          delay 1
+          keystroke "${pdfUrl}"
+          delay 0.5
+          keystroke return
+          delay 2
+          keystroke "t" using command down
+          delay 1
+          keystroke "${articleUrl}"
+          delay 0.5
+          keystroke return
+          delay 2
+          keystroke "t" using command down
+          delay 1
+          keystroke "${resourceUrl}"
+          delay 0.5
+          keystroke return
+          delay 1
+        end tell
+      end tell
+    `;
+
+    return new Promise((resolve) => {
+      let responded = false;
+
+      // Timeout fallback
+      const timeout = setTimeout(() => {
+        if (!responded) {
+          responded = true;
+          console.error('[RESOURCE HANDLER] Timeout: AppleScript did not respond in 10s');
+          res.status(504).json({ error: 'Resource tab automation timed out.' });
+          resolve();
+        }
+      }, 10000);
+
+      console.log('[RESOURCE HANDLER] Executing AppleScript...');
+      exec(`osascript -e '${appleScript}'`, (error) => {
+        if (responded) return;
+        clearTimeout(timeout);
+        responded = true;
+
+        if (error) {
+          console.error('[RESOURCE HANDLER] AppleScript error:', error);
+          console.log('[RESOURCE HANDLER] Trying fallback method with open command...');
+
+          // Fallback: Use the 'open' command to open URLs directly
+          [pdfUrl, articleUrl, resourceUrl].forEach((url, index) => {
+            setTimeout(() => {
+              exec(`open "${url}"`, (openError) => {
+                if (openError) console.error('[RESOURCE HANDLER] Failed to open search:', openError);
+              });
+            }, index * 1000);
+          });
+
+          res.json({
+            success: true,
+            content: `Opened three new tabs with resources to learn more about ${topic} (using fallback method).`
+          });
+          return resolve();
+        }
+
+        console.log('[RESOURCE HANDLER] Resource tabs automation completed successfully');
+        res.json({
+          success: true,
+          content: `Opened three new tabs with resources to learn more about ${topic}.`
+        });
+        resolve();
+      });
+    });
+  }
+};
@@ -0,0 +1,20 @@
+// "upload my resume" only points at the upload control; the file itself goes through /api/internship/upload-resume
+
+const RESUME_UPLOAD_PATTERN = /upload my resume/i;
+
+module.exports = {
+  name: 'resume-upload',
+  description: 'Explain how to upload a resume',
+  priority: 600,
+  examples: ['upload my resume'],
+  match: (ctx) => ctx.queryLower.match(RESUME_UPLOAD_PATTERN),
+  handler: (ctx, res) => {
+    console.log('[RESUME UPLOAD HANDLER] Resume upload requested');
+
+    return res.json({
+      success: false,
+      content: `To upload your resume, please use the file upload feature in the interface or send your resume as a file attachment. Once uploaded, I'll analyze it and then you can ask me to "apply to internship for me in [field]" to start the automated application process.`,
+      needsFileUpload: true
+    });
+  }
+};
@@ -0,0 +1,55 @@
+const { parsePlayCommand, playSong, getAuthUrl } = require('../spotify-service');
+
+// "play {song} by {artist} on spotify"
+
+module.exports = {
+  name: 'spotify-play',
+  description: 'Play a song on Spotify',
+  priority: 550,
+  examples: ['play blinding lights by the weeknd on spotify'],
+  tool: {
+    name: 'play_song',
+    description: 'Play a song on the user\'s Spotify',
+    parameters: {
+      type: 'object',
+      properties: {
+        song: { type: 'string', description: 'Song title' },
+        artist: { type: 'string', description: 'Artist, when known' }
+      },
+      required: ['song']
+    },
+    toMatch: ({ song, artist }) => ({ song: String(song || ''), artist: artist || null })
+  },
+  match: (ctx) => {
+    const playCommand = parsePlayCommand(ctx.query);
+    return playCommand && { ...playCommand, matchedText: ctx.query };
+  },
+  handler: async (ctx, res, playCommand) => {
+    if (ctx.dryRun) {
+      const track = playCommand.artist ? `${playCommand.song} by ${playCommand.artist}` : playCommand.song;
+      return res.json({ response: `Would play ${track} on Spotify (dry run).`, success: true });
+    }
+    try {
+      const result = await playSong(playCommand.song, playCommand.artist);
+      return res.json({
+        response: result.message,
+        success: true
+      });
+    } catch (error) {
+      if (error.message === 'Please authenticate with Spotify first') {
+        const authUrl = getAuthUrl();
+        return res.json({
+          response: `Please authenticate with Spotify first by clicking this link: ${authUrl}`,
+          success: false,
+          needsAuth: true,
+          authUrl
+        });
+      }
+      console.error('Error playing song:', error);
+      return res.json({
+        response: `Sorry, I couldn't play that song. Error: ${error.message}`,
+        success: false
+      });
+    }
+  }
+};
@@ -0,0 +1,367 @@
+const fs = require('fs');
+const { execCancellable, delay, isCancelled } = require('../cancellation');
+const { prompts } = require('../prompt-templates');
+const { generateStructured } = require('../structured-output');
+const { notesText } = require('../output-schemas');
+
+// note-taking: summarizes the screen into study notes and pastes them into Notes, Word or Google Docs.
+// all three share generation and clipboard handling, only the paste destination differs.
+// the wording is in src/prompts (notes-system, notes-user, notes-retry), the answer follows the notes schema
+
+const TAKE_NOTES_PATTERN = /^(?:can you )?(?:please )?(?:take|create|make|generate)\s+notes(?:\s+on\s+it)?$/i;
+const TAKE_NOTES_IN_WORD_PATTERNS = [
+  /^(?:can you )?(?:please )?(?:take|create|make|generate)\s+notes(?:\s+in\s+word)?$/i,
+  /take notes (?:in|on) word/i
+];
+const TAKE_NOTES_IN_GOOGLE_DOCS_PATTERNS = [
+  /^(?:can you )?(?:please )?(?:take|create|make|generate)\s+notes(?:\s+in\s+google\s+docs?)?$/i,
+  /take notes (?:in|on) google docs/i
+];
+
+const MINIMAL_CONTENT_MESSAGE = `I can see the screen content, but it appears to be minimal or primarily consists of UI elements rather than substantial text content. To get the most helpful notes, please navigate to an article, document, or web page with more substantial content, then try the "take notes" command again.`;
+
+// the page text sent along with the screenshot is capped to keep the prompt reasonable
+const MAX_WEBPAGE_TEXT = 10000;
+// four sections of substantial points, as JSON
+const NOTES_MAX_TOKENS = 2000;
+
+function webpageExcerpt(webpageText) {
+  if (!webpageText) return '';
+  return webpageText.substring(0, MAX_WEBPAGE_TEXT) + (webpageText.length > MAX_WEBPAGE_TEXT ? '\n[... content truncated for length ...]' : '');
+}
+
+function hasNotes(notes) {
+  return notes.hasContent && notes.sections.length > 0;
+}
+
+// returns plain-text notes ready to paste, or null when the screen has nothing worth noting
+async function generateNotes(ctx, webpageText) {
+  const { buildScreenMessages } = ctx.services;
+  const capture = ctx.capture;
+  const vars = { webpageText: webpageExcerpt(webpageText) };
+  const systemPrompt = prompts.render('notes-system', vars);
+  const userPrompt = prompts.render('notes-user', vars);
+  ctx.events.recordPrompts(systemPrompt, userPrompt);
+
+  console.log('Sending take notes request with screen capture length:', capture.dataURL.length);
+  const requestNotes = (prompt) => {
+    const { messages, maxTokens } = buildScreenMessages(systemPrompt.text, prompt.text, capture, 'notes', NOTES_MAX_TOKENS);
+    return generateStructured('notes', { schema: 'notes', messages, max_tokens: maxTokens, temperature: 0.1 },
+      { ...ctx.requestOptions, prompts: [systemPrompt, prompt], onUsage: usage => ctx.events.addUsage(usage) });
+  };
+
+  let notes = await requestNotes(userPrompt);
+  if (!hasNotes(notes)) {
+    console.log('Notes look empty, attempting fallback with more direct prompt...');
+    try {
+      const retryPrompt = prompts.render('notes-retry', vars);
+      ctx.events.recordPrompts(retryPrompt);
+      notes = await requestNotes(retryPrompt);
+      if (!hasNotes(notes)) {
+        console.log('Fallback also failed');
+        return null;
+      }
+    } catch (fallbackError) {
+      if (ctx.signal?.aborted) throw fallbackError;
+      console.error('Fallback attempt failed:', fallbackError);
+      return null;
+    }
+  }
+
+  return notesText(notes);
+}
+
+async function copyToClipboard(text, signal) {
+  // Going through a temp file keeps quotes and newlines intact
+  const tempNotesFile = `/tmp/ai_notes_${Date.now()}.txt`;
+  fs.writeFileSync(tempNotesFile, text);
+
+  try {
+    await execCancellable(`cat "${tempNotesFile}" | pbcopy`, { signal }).catch(clipboardError => {
+      throw isCancelled(clipboardError, signal) ? clipboardError : new Error(`Failed to copy notes to clipboard: ${clipboardError.message}`);
+    });
+    console.log('Notes copied to clipboard successfully');
+  } finally {
+    try {
+      fs.unlinkSync(tempNotesFile);
+    } catch (cleanupError) {
+      console.warn('Failed to clean up temporary notes file:', cleanupError);
+    }
+  }
+
+  // Wait a moment to ensure clipboard is populated
+  await delay(200, signal);
+}
+
+// the script is killed if the request is cancelled, so it stops sending keystrokes
+async function runAppleScript(appleScript, errorPrefix, signal) {
+  await execCancellable(`osascript -e '${appleScript.replace(/'/g, "'\\''")}'`, { signal }).catch(error => {
+    throw isCancelled(error, signal) ? error : new Error(`${errorPrefix}: ${error.message}`);
+  });
+}
+
+function pasteIntoNotesApp(signal) {
+  return runAppleScript(`
+    tell application "Notes"
+      activate
+      delay 1.5
+      tell application "System Events"
+        keystroke "n" using command down
+        delay 1
+        keystroke "v" using command down
+        delay 0.5
+      end tell
+    end tell
+  `, 'Failed to open Notes app', signal);
+}
+
+function pasteIntoWord(signal) {
+  return runAppleScript(`
+    try
+      tell application "Microsoft Word"
+        activate
+        delay 2
+        set newDoc to make new document
+        delay 1.5
+        tell application "System Events"
+          keystroke "v" using command down
+          delay 1
+        end tell
+      end tell
+    on error errMsg
+      error "Microsoft Word automation failed: " & errMsg
+    end try
+  `, 'Failed to open Microsoft Word', signal);
+}
+
+// try to find an existing google docs tab, otherwise open a new document
+function pasteIntoGoogleDocs(signal) {
+  const appleScript = `
+    tell application "Google Chrome"
+      activate
+      delay 0.2
+
+      -- Try to find existing Google Docs tab quickly
+      set foundTab to false
+      try
+        repeat with w in every window
+          try
+            repeat with t in every tab of w
+              try
+                if (URL of t) contains "docs.google.com/document" then
+                  set active tab of w to t
+                  set index of w to 1
+                  set foundTab to true
+                  exit repeat
+                end if
+              end try
+            end repeat
+            if foundTab then exit repeat
+          end try
+        end repeat
+      end try
+
+      -- If not found, open new tab
+      if not foundTab then
+        tell application "System Events"
+          tell process "Google Chrome"
+            keystroke "t" using command down
+            delay 0.4
+            keystroke "https://docs.google.com/document/create"
+            delay 0.3
+            keystroke return
+            delay 2.5
+          end tell
+        end tell
+      else
+        delay 0.5
+      end if
+    end tell
+
+    tell application "System Events"
+      tell process "Google Chrome"
+        set frontmost to true
+        delay 0.2
+
+        -- Click center to focus editor
+        try
+          set win to front window
+          set {wx, wy} to position of win
+          set {ww, wh} to size of win
+          click at {wx + ww / 2, wy + wh / 2 + 80}
+          delay 0.2
+        end try
+
+        -- Paste
+        keystroke "a" using command down
+        delay 0.15
+        keystroke "v" using command down
+        delay 0.3
+      end tell
+    end tell
+  `;
+
+  const timeout = new Promise((_, reject) =>
+    setTimeout(() => reject(new Error('Operation timed out')), 8000)
+  );
+
+  return Promise.race([runAppleScript(appleScript, 'Failed to paste into Google Docs', signal), timeout])
+    .catch(error => {
+      if (isCancelled(error, signal)) throw error;
+      // Don't fail - clipboard has the content
+      console.error('AppleScript error:', error.message);
+      console.log('Notes are in clipboard - you can paste manually if needed');
+    });
+}
+
+function matchAny(patterns) {
+  return (ctx) => {
+    for (const pattern of patterns) {
+      const match = ctx.queryLower.match(pattern);
+      if (match) return match;
+    }
+    return null;
+  };
+}
+
+// one model tool covers all three commands, the destination picks which one runs
+const NOTES_TOOL_COMMANDS = {
+  notes: 'take-notes',
+  word: 'take-notes-word',
+  'google-docs': 'take-notes-google-docs'
+};
+
+const NOTES_TOOL = {
+  name: 'take_notes',
+  description: 'Write study notes about what is on the user\'s screen and paste them into the Notes app, Word or Google Docs',
+  parameters: {
+    type: 'object',
+    properties: {
+      destination: { type: 'string', enum: Object.keys(NOTES_TOOL_COMMANDS), description: 'Where to paste the notes (default notes)' }
+    }
+  },
+  toMatch: () => ['take notes'],
+  command: ({ destination }) => NOTES_TOOL_COMMANDS[destination] || NOTES_TOOL_COMMANDS.notes
+};
+
+function createNotesCommand({ name, description, priority, examples, match, destination, extractWebpage = false, tool, paste }) {
+  return {
+    name,
+    description,
+    priority,
+    requires: ['screenCapture'],
+    examples,
+    match,
+    ...(tool ? { tool } : {}),
+    onMissing: (ctx, res) => res.status(400).json({
+      error: 'No screen capture available. Please ensure the application has screen capture permissions and try again.'
+    }),
+    handler: async (ctx, res) => {
+      const { events } = ctx;
+      console.log(`Handling "take notes" command for ${destination}...`);
+
+      if (!ctx.capture.dataURL.startsWith('data:image/')) {
+        console.error('Invalid screen capture dataURL format:', ctx.capture.dataURL.substring(0, 50) + '...');
+        return res.status(400).json({
+          error: 'Invalid screen capture format. Please try again.'
+        });
+      }
+
+      try {
+        let webpageText = '';
+        if (extractWebpage) {
+          try {
+            events.progress('Reading the page', 'Extracting the full text of the current tab...');
+            webpageText = await ctx.services.extractWebpageText();
+            console.log('Webpage text extraction result:', { length: webpageText.length });
+          } catch (error) {
+            console.warn('Failed to extract webpage text, continuing with screen capture only:', error);
+          }
+        }
+
+        events.progress('Writing notes', 'Summarizing what is on screen...');
+        const notes = await generateNotes(ctx, webpageText);
+        if (!notes) {
+          return res.json({ success: false, content: MINIMAL_CONTENT_MESSAGE });
+        }
+
+        // a dry run answers with the notes themselves and leaves the clipboard and apps alone
+        if (ctx.dryRun) {
+          return res.json({ success: true, content: notes });
+        }
+
+        events.progress('Copying notes to the clipboard');
+        await copyToClipboard(notes, ctx.signal);
+        events.progress(`Opening ${destination}`, 'Pasting the notes...');
+        return await paste(res, ctx.signal);
+      } catch (error) {
+        if (ctx.signal?.aborted) throw error;
+        console.error(`Error taking notes in ${destination}:`, error);
+        return res.status(500).json({
+          error: `Failed to take notes in ${destination}. ${error.message}`
+        });
+      }
+    }
+  };
+}
+
+// a bare "take notes" matches all three patterns; priorities keep the Notes app the default
+module.exports = [
+  createNotesCommand({
+    name: 'take-notes',
+    description: 'Take notes on the screen and paste them into the Notes app',
+    priority: 680,
+    examples: ['take notes', 'take notes on it'],
+    match: (ctx) => ctx.queryLower.match(TAKE_NOTES_PATTERN),
+    destination: 'Notes',
+    tool: NOTES_TOOL,
+    paste: async (res, signal) => {
+      await pasteIntoNotesApp(signal);
+      return res.json({
+        success: true,
+        content: `Notes have been created and imported into the Notes app. The content has been copied to your clipboard and pasted into a new note.`
+      });
+    }
+  }),
+  createNotesCommand({
+    name: 'take-notes-word',
+    description: 'Take notes on the screen and paste them into Microsoft Word',
+    priority: 670,
+    examples: ['take notes in word'],
+    match: matchAny(TAKE_NOTES_IN_WORD_PATTERNS),
+    destination: 'Word',
+    paste: async (res, signal) => {
+      try {
+        await pasteIntoWord(signal);
+        return res.json({
+          success: true,
+          content: `Notes have been created and imported into Microsoft Word. The content has been copied to your clipboard and pasted into a new Word document.`
+        });
+      } catch (error) {
+        if (isCancelled(error, signal)) throw error;
+        console.error('Error taking notes in Word, falling back to Notes app:', error);
+        await pasteIntoNotesApp(signal);
+        return res.json({
+          success: true,
+          content: `Notes have been created and imported into the Notes app (Word fallback). The content has been copied to your clipboard and pasted into a new note.`
+        });
+      }
+    }
+  }),
+  createNotesCommand({
+    name: 'take-notes-google-docs',
+    description: 'Take notes on the screen and the open web page and paste them into Google Docs',
+    priority: 660,
+    examples: ['take notes in google docs'],
+    match: matchAny(TAKE_NOTES_IN_GOOGLE_DOCS_PATTERNS),
+    destination: 'Google Docs',
+    extractWebpage: true,
+    paste: async (res, signal) => {
+      await pasteIntoGoogleDocs(signal);
+      return res.json({
+        success: true,
+        content: `Notes have been created and imported into Google Docs. The content has been copied to your clipboard and pasted into a new Google Doc.`
+      });
+    }
+  })
+];
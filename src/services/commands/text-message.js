@@ -0,0 +1,29 @@
+// imessage: "text gia xyz", "message gia xyz"
+
+const TEXT_PATTERN = /^(?:can you )?(?:please )?(?:text|send|message) (\w+) ["']?([^"']+)["']?$/i;
+
+module.exports = {
+  name: 'text-message',
+  description: 'Send an iMessage to a contact',
+  priority: 350,
+  examples: ['text gia see you at 5'],
+  match: (ctx) => ctx.queryLower.match(TEXT_PATTERN),
+  handler: async (ctx, res, match) => {
+    const [, recipient, message] = match;
+    if (ctx.dryRun) {
+      return res.json({ success: true, content: `Would send "${message}" to ${recipient} (dry run).` });
+    }
+    try {
+      await ctx.services.sendiMessage(recipient, message);
+      return res.json({
+        success: true,
+        content: `Message "${message}" sent successfully to ${recipient}.`
+      });
+    } catch (error) {
+      console.error('Error sending message:', error);
+      return res.status(500).json({
+        error: `Failed to send message to ${recipient}. ${error.message}`
+      });
+    }
+  }
+};
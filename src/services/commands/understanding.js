@@ -0,0 +1,128 @@
+// active mode "understanding" queries: explanations and step-by-step quiz tutoring grounded in the screen.
+// quiz questions get their steps as structured output (quiz-steps schema), sent as a `structured` event for
+// clients that build the cards from it and as markdown for everything else; the rest get the six sections.
+// which one a query is, is decided here (see isQuizQuery), not left to the model's free text
+
+const { prompts } = require('../prompt-templates');
+const { generateStructured } = require('../structured-output');
+const { quizMarkdown } = require('../output-schemas');
+const ocr = require('../ocr');
+const personas = require('../personas');
+
+const UNDERSTANDING_KEYWORDS = ['explain', 'understand', 'deconstruct', 'main idea', 'what is', 'what are', 'eli5', 'summarize', 'how does', 'why is', 'teach', 'help', 'solve', 'question', 'problem', 'number'];
+// ten steps with hints and expected answers, as JSON
+const QUIZ_MAX_TOKENS = 3000;
+const QUIZ_KEYWORDS = ['quiz', 'test', 'exam', 'question', 'problem', 'number', 'answer', 'choice', 'option', 'solve', 'attack', 'tackle'];
+// screen text with the markings of a quiz question, besides three or more answer choice lines
+const QUIZ_SCREEN_PATTERNS = [
+  /\b(?:question|problem)\s+\d+\s+of\s+\d+\b/i,
+  /\b(?:select|choose)\s+(?:one|all that apply|the (?:best|correct) answer)\b/i
+];
+const ANSWER_CHOICE_LINE = /^\s*\(?[a-e][).:]\s+\S/gim;
+const SCREEN_KIND_MAX_TOKENS = 50;
+
+function looksLikeQuiz(screenText) {
+  return (screenText.match(ANSWER_CHOICE_LINE) || []).length >= 3 ||
+    QUIZ_SCREEN_PATTERNS.some(pattern => pattern.test(screenText));
+}
+
+// whether the query is about a quiz question: its wording says so, the screen text has the markings of
+// one, or, when there is no readable screen text to go by, the model says so (screen-kind schema)
+async function isQuizQuery(ctx) {
+  const { queryLower, capture, events } = ctx;
+  if (QUIZ_KEYWORDS.some(keyword => queryLower.includes(keyword))) return true;
+  if (!capture) return false;
+  const { textLayer } = capture;
+  if (textLayer?.text && looksLikeQuiz(textLayer.text)) return true;
+  // text read well enough to be sent as text (see ocr.screenTextPlan) would have shown the markings
+  if (ocr.screenTextPlan(textLayer, 'both').text) return false;
+
+  const { buildScreenMessages } = ctx.services;
+  const systemPrompt = prompts.render('confident-vision');
+  const userPrompt = prompts.render('screen-kind', { query: ctx.query });
+  try {
+    const { messages, maxTokens } = buildScreenMessages(systemPrompt.text, userPrompt.text, capture, 'understanding', SCREEN_KIND_MAX_TOKENS);
+    const { kind } = await generateStructured('understanding', {
+      schema: 'screen-kind',
+      messages,
+      max_tokens: maxTokens,
+      temperature: 0
+    }, { ...ctx.requestOptions, prompts: [systemPrompt, userPrompt], onUsage: usage => events.addUsage(usage) });
+    events.recordPrompts(systemPrompt, userPrompt);
+    return kind === 'quiz';
+  } catch (error) {
+    ctx.signal?.throwIfAborted();
+    console.warn('Could not tell whether the screen shows a quiz, explaining it instead:', error.message);
+    return false;
+  }
+}
+
+// the steps come back whole, so the answer shows up at once rather than streaming
+async function tutorQuiz(ctx, { learningContext }) {
+  const { query, selectedText, capture, events } = ctx;
+  const { buildScreenMessages, renderTutorPrompt, rememberExchange } = ctx.services;
+
+  const systemPrompt = renderTutorPrompt({ learningContext, persona: ctx.persona });
+  const userPrompt = prompts.render('quiz-steps', { query, selectedText });
+  events.recordPrompts(systemPrompt, userPrompt);
+
+  events.progress('Breaking the question into steps');
+  const { messages, maxTokens } = buildScreenMessages(systemPrompt.text, userPrompt.text, capture, 'understanding', QUIZ_MAX_TOKENS);
+  const quiz = await generateStructured('understanding', {
+    schema: 'quiz-steps',
+    messages,
+    max_tokens: maxTokens,
+    temperature: personas.temperature(ctx.persona, true)
+  }, { ...ctx.requestOptions, prompts: [systemPrompt, userPrompt], onUsage: usage => events.addUsage(usage) });
+
+  const markdown = quizMarkdown(quiz);
+  events.structured('quiz-steps', quiz);
+  events.token(markdown);
+  rememberExchange(query, markdown, capture, { threadId: ctx.threadId, dryRun: ctx.dryRun });
+  return events.done();
+}
+
+module.exports = {
+  name: 'understanding',
+  description: 'Active mode explanations and quiz tutoring for what is on screen',
+  priority: 450,
+  examples: ['explain this', 'help me solve number 3', 'what is the main idea here'],
+  match: (ctx) => {
+    if (!ctx.isActiveMode) return null;
+    const keyword = UNDERSTANDING_KEYWORDS.find(keyword => ctx.queryLower.includes(keyword));
+    return keyword ? { matchedText: keyword } : null;
+  },
+  handler: async (ctx) => {
+    const { query, capture, selectedText, isActiveMode, events } = ctx;
+    const {
+      streamOpenAIResponse,
+      preprocessMathExpressions,
+      loadPromptContext,
+      buildMemoryInstruction,
+      renderSystemPrompt,
+      rememberExchange
+    } = ctx.services;
+    console.log('Handling unified understanding query in active mode...');
+
+    const { memoryContext, learningContext, memoryRecall } = await loadPromptContext(query, { dryRun: ctx.dryRun });
+    if (await isQuizQuery(ctx)) {
+      return tutorQuiz(ctx, { learningContext });
+    }
+
+    const userPrompt = prompts.render('understanding-user', { query, selectedText });
+    const basePrompt = renderSystemPrompt({ isActiveMode, learningContext, persona: ctx.persona });
+    events.recordPrompts(basePrompt, userPrompt);
+    let systemPrompt = basePrompt.text;
+    if (memoryContext) {
+      systemPrompt += buildMemoryInstruction(memoryContext);
+      events.recordMemory(memoryRecall);
+      console.log('🧠 Enhanced understanding query with conversation history');
+    }
+
+    const stream = await streamOpenAIResponse(systemPrompt, userPrompt.text, capture, isActiveMode, 'understanding', { ...ctx.requestOptions, prompts: [basePrompt, userPrompt] }, ctx.persona);
+    const understandingResponse = await events.pipe(stream, { transform: preprocessMathExpressions });
+
+    rememberExchange(query, understandingResponse, capture, { threadId: ctx.threadId, dryRun: ctx.dryRun });
+    return events.done();
+  }
+};
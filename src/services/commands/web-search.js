@@ -0,0 +1,85 @@
+const browserService = require('../browser-service');
+
+// google searches opened in a new chrome tab
+
+const OPEN_TAB_PATTERN = /can you please open a tab on (.+)/i;
+
+const SEARCH_PATTERNS = [
+  /search for (.+)/i,
+  /google (?!docs)(.+)/i,  // Match "google X" but NOT "google docs"
+  /look up (.+)/i,
+  /find information about (.+)/i,
+  /open google and search for (.+)/i
+];
+
+async function openSearchTab(ctx, topic, res, tag) {
+  console.log(`[${tag}] Detected topic:`, topic);
+  if (ctx.dryRun) {
+    return res.json({ success: true, content: `Would open a Google search for "${topic}" (dry run).` });
+  }
+
+  try {
+    // Try to open Google search tab using AppleScript
+    await browserService.openGoogleSearchTab(topic);
+
+    console.log(`[${tag}] Google search tab opened successfully`);
+    return res.json({
+      success: true,
+      content: `Opened a new tab with Google search results for "${topic}".`
+    });
+  } catch (error) {
+    console.error(`[${tag}] AppleScript failed, trying fallback method:`, error);
+
+    try {
+      // Fallback: Use the 'open' command to open URL directly
+      await browserService.openGoogleSearchTabFallback(topic);
+
+      console.log(`[${tag}] Google search tab opened with fallback method`);
+      return res.json({
+        success: true,
+        content: `Opened a new tab with Google search results for "${topic}" (using fallback method).`
+      });
+    } catch (fallbackError) {
+      console.error(`[${tag}] Fallback method also failed:`, fallbackError);
+      return res.status(500).json({
+        error: `Failed to open Google search tab for "${topic}". Please try manually opening: https://www.google.com/search?q=${encodeURIComponent(topic)}`
+      });
+    }
+  }
+}
+
+module.exports = [
+  {
+    name: 'google-search-tab',
+    description: 'Open a Google search for a topic in a new tab',
+    priority: 700,
+    examples: ['can you please open a tab on black holes'],
+    match: (ctx) => ctx.queryLower.match(OPEN_TAB_PATTERN),
+    handler: (ctx, res, match) => openSearchTab(ctx, match[1].trim(), res, 'GOOGLE SEARCH HANDLER')
+  },
+  {
+    name: 'web-search',
+    description: 'Search Google for a topic ("search for", "google", "look up", ...)',
+    // below the note-taking commands so "take notes in google docs" is never treated as a search
+    priority: 650,
+    examples: ['search for photosynthesis', 'look up the krebs cycle'],
+    tool: {
+      name: 'web_search',
+      description: 'Open a Google search for something in a new browser tab',
+      parameters: {
+        type: 'object',
+        properties: { query: { type: 'string', description: 'What to search for' } },
+        required: ['query']
+      },
+      toMatch: ({ query }) => [query, String(query || '')]
+    },
+    match: (ctx) => {
+      for (const pattern of SEARCH_PATTERNS) {
+        const match = ctx.queryLower.match(pattern);
+        if (match) return match;
+      }
+      return null;
+    },
+    handler: (ctx, res, match) => openSearchTab(ctx, match[1].trim(), res, 'ALTERNATIVE SEARCH HANDLER')
+  }
+];
@@ -0,0 +1,78 @@
+// youtube search, either for a named topic or for whatever is on screen
+
+const YOUTUBE_TOPIC_PATTERN = /^(?:can you )?(?:please )?(?:get|find|search for|open) (?:a )?youtube video (?:to learn about|about|on) (.+)$/i;
+const YOUTUBE_SCREEN_PATTERN = /^(?:can you )?(?:please )?(?:open|get|find|search for) (?:a )?youtube video (?:to help me understand this|to help me learn this|about this|on this)$/i;
+
+module.exports = [
+  {
+    name: 'youtube-topic',
+    description: 'Search YouTube for videos about a topic',
+    priority: 300,
+    examples: ['find a youtube video about photosynthesis'],
+    tool: {
+      name: 'search_youtube',
+      description: 'Open a YouTube search for videos about a named topic',
+      parameters: {
+        type: 'object',
+        properties: { topic: { type: 'string', description: 'What the videos should be about' } },
+        required: ['topic']
+      },
+      // same shape as the pattern match, the topic is the first group
+      toMatch: ({ topic }) => [topic, String(topic || '')]
+    },
+    match: (ctx) => ctx.queryLower.match(YOUTUBE_TOPIC_PATTERN),
+    handler: async (ctx, res, match) => {
+      const topic = match[1].trim();
+      if (ctx.dryRun) {
+        return res.json({ success: true, content: `Would search YouTube for videos about "${topic}" (dry run).` });
+      }
+      try {
+        await ctx.services.searchAndOpenYouTubeVideo(topic, false);
+        return res.json({
+          success: true,
+          content: `I've opened a new tab and searched for YouTube videos about "${topic}". You should see educational videos that can help you learn about this topic.`
+        });
+      } catch (error) {
+        console.error('Error searching YouTube:', error);
+        return res.status(500).json({
+          error: `Failed to search YouTube for "${topic}". ${error.message}`
+        });
+      }
+    }
+  },
+  {
+    name: 'youtube-screen',
+    description: 'Find a YouTube video that explains what is on screen',
+    priority: 290,
+    requires: ['screenCapture'],
+    examples: ['open a youtube video to help me understand this'],
+    tool: {
+      name: 'youtube_for_screen',
+      description: 'Open a YouTube video that explains whatever is currently on the user\'s screen',
+      parameters: { type: 'object', properties: {} },
+      toMatch: () => ['youtube video about this']
+    },
+    match: (ctx) => ctx.queryLower.match(YOUTUBE_SCREEN_PATTERN),
+    handler: async (ctx, res) => {
+      const { generateYouTubeSearchQuery, searchAndOpenYouTubeVideo } = ctx.services;
+      try {
+        // Use AI to analyze screen content and generate search query
+        const searchQuery = await generateYouTubeSearchQuery(ctx.capture, ctx.query);
+        // a dry run still picks the video, it just doesn't open it
+        if (ctx.dryRun) {
+          return res.json({ success: true, content: `Would open a YouTube video about "${searchQuery}" (dry run).` });
+        }
+        await searchAndOpenYouTubeVideo(searchQuery, true);
+        return res.json({
+          success: true,
+          content: `I've analyzed your screen and opened a YouTube video about "${searchQuery}" that should help you understand what you're looking at.`
+        });
+      } catch (error) {
+        console.error('Error searching YouTube for screen content:', error);
+        return res.status(500).json({
+          error: `Failed to find relevant YouTube video. ${error.message}`
+        });
+      }
+    }
+  }
+];
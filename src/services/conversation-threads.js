@@ -0,0 +1,115 @@
+// per-thread chat history for /api/ai, so follow-ups ("and the second one?") reach the model as
+// real user/assistant turns instead of the truncated summaries in the memory system.
+// threads live in memory only; the client can re-seed a thread after a server restart.
+
+const MAX_MESSAGES = 20;       // 10 exchanges
+const MAX_HISTORY_IMAGES = 1;  // earlier screenshots are large, only the latest ones go back to the model
+const MAX_THREADS = 50;
+const THREAD_TTL_MS = 2 * 60 * 60 * 1000;
+
+class ConversationThreads {
+  constructor({ maxMessages = MAX_MESSAGES, maxHistoryImages = MAX_HISTORY_IMAGES } = {}) {
+    this.threads = new Map();
+    this.maxMessages = maxMessages;
+    this.maxHistoryImages = maxHistoryImages;
+  }
+
+  get(threadId) {
+    if (!threadId) return null;
+    const thread = this.threads.get(threadId);
+    if (thread && Date.now() - thread.updatedAt > THREAD_TTL_MS) {
+      this.threads.delete(threadId);
+      return null;
+    }
+    return thread || null;
+  }
+
+  getOrCreate(threadId) {
+    let thread = this.get(threadId);
+    if (!thread) {
+      thread = { id: threadId, messages: [], createdAt: Date.now(), updatedAt: Date.now() };
+      this.threads.set(threadId, thread);
+      this.evict();
+    }
+    return thread;
+  }
+
+  // drop the least recently used threads beyond MAX_THREADS
+  evict() {
+    if (this.threads.size <= MAX_THREADS) return;
+    const oldest = [...this.threads.values()].sort((a, b) => a.updatedAt - b.updatedAt);
+    for (const thread of oldest.slice(0, this.threads.size - MAX_THREADS)) {
+      this.threads.delete(thread.id);
+    }
+  }
+
+  // rebuild a thread the server no longer knows from the client's own transcript
+  // (`[{ type: 'user' | 'ai', content }]`, as kept by SidebarAssistant); text only
+  seed(threadId, clientHistory) {
+    if (!threadId || this.get(threadId)?.messages.length || !Array.isArray(clientHistory)) {
+      return;
+    }
+    const messages = clientHistory
+      .filter(message => (message.type === 'user' || message.type === 'ai') && typeof message.content === 'string' && message.content.trim())
+      .map(message => ({ role: message.type === 'user' ? 'user' : 'assistant', content: message.content }));
+    if (messages.length === 0) return;
+
+    const thread = this.getOrCreate(threadId);
+    thread.messages = messages.slice(-this.maxMessages);
+    console.log(`[THREADS] Seeded thread ${threadId} with ${thread.messages.length} messages from the client`);
+  }
+
+  appendExchange(threadId, { query, response, screenCapture }) {
+    if (!threadId || !query || !response) return;
+    const thread = this.getOrCreate(threadId);
+    thread.messages.push(
+      { role: 'user', content: query, ...(screenCapture?.dataURL ? { screenshot: screenCapture.dataURL } : {}) },
+      { role: 'assistant', content: response }
+    );
+    thread.messages = thread.messages.slice(-this.maxMessages);
+    thread.updatedAt = Date.now();
+  }
+
+  // earlier turns in chat-completions format, oldest first; only the most recent screenshots are attached
+  buildHistory(threadId) {
+    const thread = this.get(threadId);
+    if (!thread) return [];
+
+    let imagesLeft = this.maxHistoryImages;
+    return thread.messages
+      .slice()
+      .reverse()
+      .map(message => {
+        if (message.role === 'user' && message.screenshot && imagesLeft > 0) {
+          imagesLeft--;
+          return {
+            role: 'user',
+            content: [
+              { type: 'text', text: message.content },
+              { type: 'image_url', image_url: { url: message.screenshot } }
+            ]
+          };
+        }
+        return { role: message.role, content: message.content };
+      })
+      .reverse();
+  }
+
+  clear(threadId) {
+    return this.threads.delete(threadId);
+  }
+
+  // thread contents without screenshot data, for the API
+  describe(threadId) {
+    const thread = this.get(threadId);
+    if (!thread) return null;
+    return {
+      id: thread.id,
+      createdAt: thread.createdAt,
+      updatedAt: thread.updatedAt,
+      messages: thread.messages.map(({ role, content, screenshot }) => ({ role, content, hasScreenshot: !!screenshot }))
+    };
+  }
+}
+
+module.exports = ConversationThreads;
@@ -1,28 +1,15 @@
 // google docs editing service
 // handles direct editing of google docs including grammar fixes, synthesis, and polishing
 
-const Tesseract = require('tesseract.js');
-const OpenAI = require('openai');
+const llm = require('./llm-provider');
+const ocr = require('./ocr');
 const { exec } = require('child_process');
+const { cancelledError, isCancelled, throwIfCancelled, delay } = require('./cancellation');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 
 class GoogleDocsEditor {
-  constructor() {
-    // lazy initialization - only create openai client when needed
-    this._openai = null;
-  }
-  
-  get openai() {
-    if (!this._openai) {
-      this._openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY,
-      });
-    }
-    return this._openai;
-  }
-
   // detect if user wants to edit/polish the document
   isEditRequest(query) {
     if (!query) return false;
@@ -75,20 +62,15 @@ class GoogleDocsEditor {
         throw new Error('No screen capture data available');
       }
 
-      console.log('[GOOGLE DOCS EDITOR] Extracting text from screen capture using OCR...');
-      
-      // use tesseract to extract text with better configuration for document text
-      const { data: { text, words } } = await Tesseract.recognize(
-        screenCapture.dataURL,
-        'eng',
-        {
-          logger: m => {
-            if (m.status === 'recognizing text') {
-              console.log(`[GOOGLE DOCS EDITOR] OCR progress: ${Math.round(m.progress * 100)}%`);
-            }
-          }
-        }
-      );
+      // the text layer read from the full-resolution original comes with the capture when it was ready
+      // in time; otherwise read the uploaded image with the shared OCR pool
+      let text = screenCapture.textLayer?.text;
+      if (text) {
+        console.log('[GOOGLE DOCS EDITOR] Using the text layer sent with the screen capture');
+      } else {
+        console.log('[GOOGLE DOCS EDITOR] Extracting text from screen capture using OCR...');
+        ({ text } = await ocr.recognize(screenCapture.dataURL));
+      }
 
       let extractedText = text.trim();
       
@@ -118,7 +100,7 @@ class GoogleDocsEditor {
   }
 
   // improve text based on edit type
-  async improveText(originalText, editType, userQuery) {
+  async improveText(originalText, editType, userQuery, { signal, onRetry } = {}) {
     try {
       console.log(`[GOOGLE DOCS EDITOR] Improving text with edit type: ${editType}`);
       
@@ -143,15 +125,14 @@ class GoogleDocsEditor {
           break;
       }
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
+      const response = await llm.chat('docs-edit', {
         messages: [
           { role: 'system', content: systemPrompt },
           { role: 'user', content: userPrompt }
         ],
         temperature: 0.3,
         max_tokens: 4000
-      });
+      }, { signal, onRetry });
 
       let improvedText = response.choices[0].message.content.trim();
       
@@ -181,6 +162,7 @@ class GoogleDocsEditor {
       
       return improvedText;
     } catch (error) {
+      if (isCancelled(error, signal)) throw error;
       console.error('[GOOGLE DOCS EDITOR] Text improvement failed:', error);
       throw new Error(`Failed to improve text: ${error.message}`);
     }
@@ -250,7 +232,7 @@ class GoogleDocsEditor {
   }
 
   // replace all text in google docs with improved version
-  async replaceTextInGoogleDoc(improvedText) {
+  async replaceTextInGoogleDoc(improvedText, signal) {
     try {
       console.log('[GOOGLE DOCS EDITOR] Replacing text in Google Doc...');
       console.log('[GOOGLE DOCS EDITOR] Improved text length:', improvedText.length);
@@ -285,7 +267,11 @@ class GoogleDocsEditor {
       
       // use pbcopy with proper encoding
       await new Promise((resolve, reject) => {
-        exec(`cat "${tempFile}" | pbcopy`, { encoding: 'utf8' }, (error, stdout, stderr) => {
+        exec(`cat "${tempFile}" | pbcopy`, { encoding: 'utf8', signal }, (error, stdout, stderr) => {
+          if (error && signal?.aborted) {
+            reject(cancelledError());
+            return;
+          }
           if (error) {
             console.error('[GOOGLE DOCS EDITOR] pbcopy error:', error);
             console.error('[GOOGLE DOCS EDITOR] stderr:', stderr);
@@ -297,7 +283,7 @@ class GoogleDocsEditor {
       });
 
       // wait for clipboard to be ready
-      await new Promise(resolve => setTimeout(resolve, 500));
+      await delay(500, signal);
 
       // verify clipboard content (optional but helpful for debugging)
       await new Promise((resolve, reject) => {
@@ -361,7 +347,12 @@ class GoogleDocsEditor {
       `;
 
       await new Promise((resolve, reject) => {
-        exec(`osascript -e '${replaceScript.replace(/'/g, "'\\''")}'`, { encoding: 'utf8' }, (error, stdout, stderr) => {
+        // killed if the request is cancelled, before it selects and overwrites the document
+        exec(`osascript -e '${replaceScript.replace(/'/g, "'\\''")}'`, { encoding: 'utf8', signal }, (error, stdout, stderr) => {
+          if (error && signal?.aborted) {
+            reject(cancelledError());
+            return;
+          }
           if (error) {
             console.error('[GOOGLE DOCS EDITOR] AppleScript error:', error);
             console.error('[GOOGLE DOCS EDITOR] stderr:', stderr);
@@ -387,8 +378,9 @@ class GoogleDocsEditor {
     }
   }
 
-  // main editing workflow
-  async editGoogleDoc(screenCapture, userQuery) {
+  // main editing workflow; `signal` cancels the model call and the paste automation, `onRetry` reports model retries.
+  // `dryRun` stops short of the paste and returns the `improvedText` instead
+  async editGoogleDoc(screenCapture, userQuery, { signal, onRetry, dryRun = false } = {}) {
     try {
       console.log('[GOOGLE DOCS EDITOR] Starting Google Doc editing workflow...');
       
@@ -404,7 +396,7 @@ class GoogleDocsEditor {
       console.log(`[GOOGLE DOCS EDITOR] Edit type: ${editType}`);
 
       // improve the text
-      const improvedText = await this.improveText(originalText, editType, userQuery);
+      const improvedText = await this.improveText(originalText, editType, userQuery, { signal, onRetry });
       
       // validate improved text before pasting
       if (!improvedText || improvedText.trim().length < 5) {
@@ -415,8 +407,13 @@ class GoogleDocsEditor {
       console.log('[GOOGLE DOCS EDITOR] Original length:', originalText.length);
       console.log('[GOOGLE DOCS EDITOR] Improved length:', improvedText.length);
 
+      if (dryRun) {
+        return { success: true, editType, improvedText };
+      }
+
       // replace in google docs
-      await this.replaceTextInGoogleDoc(improvedText);
+      throwIfCancelled(signal);
+      await this.replaceTextInGoogleDoc(improvedText, signal);
 
       return {
         success: true,
@@ -1,7 +1,7 @@
 const { exec } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const OpenAI = require('openai');
+const llm = require('./llm-provider');
 
 // Import PDF.js for PDF parsing
 const pdfjsLib = require('pdfjs-dist/build/pdf.js');
@@ -10,9 +10,6 @@ const mammoth = require('mammoth');
 
 class InternshipApplicationService {
   constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
     this.resumeData = null;
     this.currentJob = null;
     this.coverLetterPath = null;
@@ -60,9 +57,8 @@ class InternshipApplicationService {
       
       console.log('[INTERNSHIP SERVICE] Extracted content length:', resumeContent.length);
       
-      // Use OpenAI to analyze resume and extract key information
-      const analysis = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
+      // Use the model to analyze resume and extract key information
+      const analysis = await llm.chat('resume-analysis', {
         messages: [
           {
             role: 'system',
@@ -546,9 +542,8 @@ Return this structure:
     console.log('[INTERNSHIP SERVICE] Creating cover letter...');
     
     try {
-      // Generate cover letter using OpenAI
-      const coverLetter = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
+      // Generate cover letter
+      const coverLetter = await llm.chat('internship-cover-letter', {
         messages: [
           {
             role: 'system',
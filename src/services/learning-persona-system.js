@@ -1,10 +1,134 @@
 const fs = require('fs');
 const path = require('path');
+const { openStore } = require('./local-store');
+const MemorySystem = require('./memory-system');
+
+// The learning persona lives in the `learning-persona` store (see local-store.js): the persona
+// itself as a document, and the learning sessions and insights as collections indexed by
+// timestamp and topic/type, so they can grow without rewriting the persona.
+
+const MAX_SESSIONS = 500;
+const MAX_INSIGHTS = 500;
+
+function defaultPersona() {
+  return {
+    userId: null,
+    profile: {
+      name: null,
+      currentRole: null,
+      careerGoals: [],
+      learningObjectives: [],
+      timeConstraints: null,
+      preferredLearningTimes: [],
+      stressTriggers: [],
+      motivationFactors: []
+    },
+    learningProfile: {
+      primaryLearningStyle: "balanced",
+      secondaryLearningStyle: null,
+      cognitiveLoadCapacity: "medium",
+      attentionSpan: "medium",
+      processingSpeed: "medium",
+      memoryType: "balanced",
+      confidenceLevel: "medium",
+      anxietyLevel: "low",
+      perfectionism: "medium"
+    },
+    knowledgeMap: {
+      masteredConcepts: [],
+      strugglingConcepts: [],
+      misconceptions: {},
+      knowledgeGaps: [],
+      prerequisiteGaps: {},
+      crossConnections: {}
+    },
+    learningPatterns: {
+      optimalSessionLength: 45,
+      preferredBreakPattern: "pomodoro",
+      bestTimeOfDay: "morning",
+      focusQuality: "medium",
+      retentionRate: 0.7,
+      applicationRate: 0.6,
+      mistakeRecoveryTime: 5,
+      conceptMasteryTime: 30
+    },
+    mistakeProfile: {
+      commonMistakes: {},
+      mistakePatterns: {},
+      recoveryStrategies: {},
+      preventionTechniques: {},
+      confidenceImpact: {}
+    },
+    adaptiveStrategies: {
+      difficultyAdjustment: "dynamic",
+      contentPresentation: "adaptive",
+      feedbackStyle: "constructive",
+      encouragementLevel: "moderate",
+      challengeLevel: "optimal",
+      reviewFrequency: "adaptive"
+    },
+    lifeContext: {
+      currentStressors: [],
+      availableTime: "moderate",
+      supportSystem: "good",
+      careerPhase: "growth",
+      personalGoals: [],
+      workLifeBalance: "balanced"
+    },
+    progressMetrics: {
+      totalLearningSessions: 0,
+      averageSessionLength: 0,
+      successRate: 0,
+      improvementRate: 0,
+      confidenceGrowth: 0,
+      knowledgeRetention: 0,
+      applicationSuccess: 0,
+      mistakeReduction: 0
+    },
+    sessionHistory: [],
+    insights: [],
+    recommendations: [],
+    lastUpdated: new Date().toISOString()
+  };
+}
+
+// learning-persona.json next to server.js, where the persona was kept before
+function readLegacyPersona() {
+  const file = path.join(__dirname, '../../learning-persona.json');
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`Could not import ${file}:`, error.message);
+    return null;
+  }
+}
+
+const MIGRATIONS = [
+  // 1: import the legacy file; it is left in place
+  (tx) => {
+    const legacy = readLegacyPersona();
+    if (!legacy) return;
+    const { sessionHistory = [], insights = [], ...persona } = legacy;
+    tx.setDoc('persona', { ...defaultPersona(), ...persona });
+    sessionHistory.slice(-MAX_SESSIONS)
+      .forEach(session => tx.insert('sessions', { ...session, topic: MemorySystem.topicOf(session.query) }));
+    insights.slice(-MAX_INSIGHTS).forEach(insight => tx.insert('insights', insight));
+    console.log(`🧠 Imported learning persona from learning-persona.json (${sessionHistory.length} sessions, ${insights.length} insights)`);
+  }
+];
 
 class LearningPersonaSystem {
   constructor() {
-    this.personaFile = path.join(__dirname, '../../learning-persona.json');
-    this.persona = this.loadPersona();
+    this.store = openStore('learning-persona', {
+      migrations: MIGRATIONS,
+      collections: {
+        sessions: { indexes: ['timestamp', 'topic'], max: MAX_SESSIONS },
+        insights: { indexes: ['timestamp', 'type'], max: MAX_INSIGHTS }
+      },
+      docs: { persona: defaultPersona }
+    });
+    this.persona = structuredClone(this.store.doc('persona'));
+    this.attachHistory();
     this.memorySystem = null; // Will be set by the main server
   }
 
@@ -12,102 +136,22 @@ class LearningPersonaSystem {
     this.memorySystem = memorySystem;
   }
 
-  loadPersona() {
-    try {
-      if (fs.existsSync(this.personaFile)) {
-        const data = fs.readFileSync(this.personaFile, 'utf8');
-        return JSON.parse(data);
-      }
-    } catch (error) {
-      console.error('Error loading learning persona:', error);
-    }
-    
-    // Return default persona structure
-    return {
-      userId: null,
-      profile: {
-        name: null,
-        currentRole: null,
-        careerGoals: [],
-        learningObjectives: [],
-        timeConstraints: null,
-        preferredLearningTimes: [],
-        stressTriggers: [],
-        motivationFactors: []
-      },
-      learningProfile: {
-        primaryLearningStyle: "balanced",
-        secondaryLearningStyle: null,
-        cognitiveLoadCapacity: "medium",
-        attentionSpan: "medium",
-        processingSpeed: "medium",
-        memoryType: "balanced",
-        confidenceLevel: "medium",
-        anxietyLevel: "low",
-        perfectionism: "medium"
-      },
-      knowledgeMap: {
-        masteredConcepts: [],
-        strugglingConcepts: [],
-        misconceptions: {},
-        knowledgeGaps: [],
-        prerequisiteGaps: {},
-        crossConnections: {}
-      },
-      learningPatterns: {
-        optimalSessionLength: 45,
-        preferredBreakPattern: "pomodoro",
-        bestTimeOfDay: "morning",
-        focusQuality: "medium",
-        retentionRate: 0.7,
-        applicationRate: 0.6,
-        mistakeRecoveryTime: 5,
-        conceptMasteryTime: 30
-      },
-      mistakeProfile: {
-        commonMistakes: {},
-        mistakePatterns: {},
-        recoveryStrategies: {},
-        preventionTechniques: {},
-        confidenceImpact: {}
-      },
-      adaptiveStrategies: {
-        difficultyAdjustment: "dynamic",
-        contentPresentation: "adaptive",
-        feedbackStyle: "constructive",
-        encouragementLevel: "moderate",
-        challengeLevel: "optimal",
-        reviewFrequency: "adaptive"
-      },
-      lifeContext: {
-        currentStressors: [],
-        availableTime: "moderate",
-        supportSystem: "good",
-        careerPhase: "growth",
-        personalGoals: [],
-        workLifeBalance: "balanced"
-      },
-      progressMetrics: {
-        totalLearningSessions: 0,
-        averageSessionLength: 0,
-        successRate: 0,
-        improvementRate: 0,
-        confidenceGrowth: 0,
-        knowledgeRetention: 0,
-        applicationSuccess: 0,
-        mistakeReduction: 0
-      },
-      sessionHistory: [],
-      insights: [],
-      recommendations: [],
-      lastUpdated: new Date().toISOString()
-    };
+  // sessionHistory and insights are the store's collections, read-only; add to them through savePersona
+  attachHistory() {
+    this.persona.sessionHistory = this.store.all('sessions');
+    this.persona.insights = this.store.all('insights');
   }
 
-  savePersona() {
+  savePersona({ sessions = [], insights = [] } = {}) {
     try {
       this.persona.lastUpdated = new Date().toISOString();
-      fs.writeFileSync(this.personaFile, JSON.stringify(this.persona, null, 2));
+      const { sessionHistory, insights: savedInsights, ...persona } = this.persona;
+      this.store.transaction(tx => {
+        tx.setDoc('persona', persona);
+        sessions.forEach(session => tx.insert('sessions', session));
+        insights.forEach(insight => tx.insert('insights', insight));
+      });
+      this.attachHistory();
       console.log('🧠 Learning persona saved successfully');
     } catch (error) {
       console.error('Error saving learning persona:', error);
@@ -177,22 +221,20 @@ class LearningPersonaSystem {
     }
 
     // Track learning sessions
+    const sessions = [];
     if (this.isLearningContext(userMessage)) {
       this.persona.progressMetrics.totalLearningSessions++;
-      this.persona.sessionHistory.push({
+      sessions.push({
         timestamp: new Date().toISOString(),
+        topic: MemorySystem.topicOf(userMessage),
         query: userMessage,
         response: aiResponse,
         sessionType: this.classifySessionType(userMessage)
       });
     }
 
-    // Add insights
-    if (insights.length > 0) {
-      this.persona.insights.push(...insights);
-    }
-
-    this.savePersona();
+    // Save with the new sessions and insights
+    this.savePersona({ sessions, insights });
     return insights;
   }
 
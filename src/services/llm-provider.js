@@ -0,0 +1,515 @@
+const OpenAI = require('openai');
+const fs = require('fs');
+const path = require('path');
+const LLMRecorder = require('./llm-recorder');
+const UsageTracker = require('./usage-tracker');
+const { Resilience } = require('./llm-resilience');
+const { provenance } = require('./prompt-templates');
+
+// Single entry point for every model call in the app. Each call names a feature ("chat",
+// "cover-letter", "tab-grouping", ...) and the feature decides which provider and model serve it.
+//
+// Configuration, lowest to highest precedence:
+//   1. FEATURE_DEFAULTS below
+//   2. llm-config.json next to server.js (or LLM_CONFIG_PATH), see llm-config.example.json
+//   3. env: LLM_PROVIDER / LLM_MODEL for every feature, LLM_PROVIDER_<FEATURE> / LLM_MODEL_<FEATURE>
+//      for one feature (feature name upper-cased, dashes as underscores, e.g. LLM_MODEL_COVER_LETTER)
+//
+// Built-in providers: "openai" (OPENAI_API_KEY) and, when LLM_BASE_URL is set, "local" — any
+// OpenAI-compatible server such as llama.cpp, Ollama or vLLM.
+//
+// LLM_RECORD_MODE=record|replay captures or serves every call from fixtures, see llm-recorder.js.
+// Every real call is logged with its tokens, latency and cost, and budget caps apply, see usage-tracker.js.
+//
+// Transient failures are retried with backoff and may fall back to a second model, see llm-resilience.js.
+// The fallback is set per feature ("fallback": { "provider", "model" } or LLM_FALLBACK_MODEL_<FEATURE>)
+// or for every feature (defaults.fallback, LLM_FALLBACK_PROVIDER / LLM_FALLBACK_MODEL) and uses the
+// feature's provider unless it names another one.
+
+const DEFAULT_MODEL = 'gpt-4o';
+const DEFAULT_TRANSCRIPTION_MODEL = 'whisper-1';
+const DEFAULT_EMBEDDING_MODEL = 'text-embedding-3-small';
+
+// context windows of known models, matched by prefix; anything else (local models in particular)
+// gets the conservative default unless `contextWindow` or LLM_CONTEXT_WINDOW says otherwise
+const MODEL_CONTEXT_WINDOWS = [
+  ['gpt-4o', 128000],
+  ['gpt-4.1', 1000000],
+  ['gpt-4-turbo', 128000],
+  ['gpt-4', 8192],
+  ['gpt-3.5-turbo', 16385],
+  ['o1', 200000],
+  ['o3', 200000],
+  ['o4', 200000]
+];
+const DEFAULT_CONTEXT_WINDOW = 8192;
+
+const FEATURE_DEFAULTS = {
+  'tab-grouping': { model: 'gpt-4o-mini' },
+  // transcription runs through the local whisper script unless a provider is configured for it
+  transcription: { provider: null, model: DEFAULT_TRANSCRIPTION_MODEL },
+  // memory recall embeds locally (see memory-retrieval.js) unless a provider is configured for it
+  embeddings: { provider: null, model: DEFAULT_EMBEDDING_MODEL }
+};
+
+// features the global chat model (LLM_MODEL, defaults.model) never applies to
+const NON_CHAT_FEATURES = ['transcription', 'embeddings'];
+
+class OpenAIAdapter {
+  constructor(name, settings) {
+    this.name = name;
+    this.type = 'openai';
+    this.settings = settings;
+    this._client = null;
+  }
+
+  get client() {
+    if (!this._client) {
+      this._client = new OpenAI({
+        apiKey: this.settings.apiKey,
+        // retries are handled (and reported) by llm-resilience.js
+        maxRetries: 0,
+        ...(this.settings.baseURL ? { baseURL: this.settings.baseURL } : {})
+      });
+    }
+    return this._client;
+  }
+
+  get supportsVision() {
+    return this.settings.vision !== false;
+  }
+
+  // function calling, used to offer commands to the model as tools (see tool-calling.js)
+  get supportsTools() {
+    return this.settings.tools !== false;
+  }
+
+  // response_format json_schema (see structured-output.js); without it json_object is asked for instead
+  get supportsJsonSchema() {
+    return this.settings.jsonSchema !== false;
+  }
+
+  isConfigured() {
+    return !!this.settings.apiKey;
+  }
+
+  // streamed answers end with a usage chunk so /api/ai can report token counts in its done event
+  prepareParams(params) {
+    const prepared = downgradeJsonSchema(params, this.supportsJsonSchema);
+    if (prepared.stream && !prepared.stream_options) {
+      return { ...prepared, stream_options: { include_usage: true } };
+    }
+    return prepared;
+  }
+
+  createChatCompletion(params, requestOptions) {
+    return this.client.chat.completions.create(this.prepareParams(params), requestOptions);
+  }
+
+  async transcribe(filePath, model, requestOptions) {
+    const result = await this.client.audio.transcriptions.create({
+      file: fs.createReadStream(filePath),
+      model
+    }, requestOptions);
+    return result.text || '';
+  }
+
+  // the raw response, { data: [{ index, embedding }], usage }
+  embed(input, model, requestOptions) {
+    return this.client.embeddings.create({ model, input }, requestOptions);
+  }
+}
+
+// llama.cpp, Ollama, vLLM and friends speak the OpenAI wire format but differ in what they accept
+class OpenAICompatibleAdapter extends OpenAIAdapter {
+  constructor(name, settings) {
+    super(name, {
+      ...settings,
+      // most local servers ignore the key, but the SDK insists on one
+      apiKey: settings.apiKey || 'not-needed'
+    });
+    this.type = 'openai-compatible';
+  }
+
+  isConfigured() {
+    return !!this.settings.baseURL;
+  }
+
+  // plenty of local servers reject or mangle `tools`, so they are opt-in with "tools": true
+  get supportsTools() {
+    return this.settings.tools === true;
+  }
+
+  // likewise json_schema, with "jsonSchema": true
+  get supportsJsonSchema() {
+    return this.settings.jsonSchema === true;
+  }
+
+  prepareParams(params) {
+    const prepared = downgradeJsonSchema(params, this.supportsJsonSchema);
+
+    // response_format: text is the default everywhere and several servers reject the field outright
+    if (prepared.response_format?.type === 'text') {
+      delete prepared.response_format;
+    }
+
+    if (!this.supportsVision) {
+      prepared.messages = prepared.messages.map(stripImages);
+    }
+    return prepared;
+  }
+}
+
+// json_object for providers without json_schema; structured-output.js validates the result either way
+function downgradeJsonSchema(params, supported) {
+  if (supported || params.response_format?.type !== 'json_schema') {
+    return { ...params };
+  }
+  return { ...params, response_format: { type: 'json_object' } };
+}
+
+// text-only models get the text parts of a multimodal message
+function stripImages(message) {
+  if (!Array.isArray(message.content)) {
+    return message;
+  }
+  const text = message.content
+    .filter(part => part.type === 'text')
+    .map(part => part.text)
+    .join('\n\n');
+  return { ...message, content: text };
+}
+
+function knownContextWindow(model) {
+  const known = MODEL_CONTEXT_WINDOWS.find(([prefix]) => model.startsWith(prefix));
+  return known ? known[1] : DEFAULT_CONTEXT_WINDOW;
+}
+
+function envKey(feature) {
+  return feature.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+}
+
+function loadConfigFile() {
+  const configPath = process.env.LLM_CONFIG_PATH || path.join(__dirname, '../../llm-config.json');
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    console.log('[LLM] Loaded provider config from', configPath);
+    return config;
+  } catch (error) {
+    console.error('[LLM] Ignoring unreadable config file', configPath, error.message);
+    return {};
+  }
+}
+
+function createAdapter(name, settings) {
+  if (settings.type === 'openai-compatible') {
+    return new OpenAICompatibleAdapter(name, settings);
+  }
+  return new OpenAIAdapter(name, settings);
+}
+
+class LLMProvider {
+  constructor() {
+    // loaded on first use so callers that require this before dotenv runs still see .env
+    this.adapters = null;
+    this.recorder = new LLMRecorder();
+    this.usage = new UsageTracker();
+    this.resilience = new Resilience();
+  }
+
+  ensureLoaded() {
+    if (!this.adapters) {
+      this.reload();
+    }
+  }
+
+  // re-reads env and llm-config.json; adapters (and their HTTP clients) are rebuilt
+  reload() {
+    const config = loadConfigFile();
+    this.recorder.configure();
+    this.usage.configure(config.budget);
+    this.resilience.configure(config.retry);
+    this.featureConfig = config.features || {};
+    this.defaults = config.defaults || {};
+    this.adapters = new Map();
+
+    const providerSettings = {
+      openai: {
+        type: 'openai',
+        apiKey: process.env.OPENAI_API_KEY,
+        ...(process.env.OPENAI_BASE_URL ? { baseURL: process.env.OPENAI_BASE_URL } : {})
+      },
+      ...(process.env.LLM_BASE_URL ? {
+        local: {
+          type: 'openai-compatible',
+          baseURL: process.env.LLM_BASE_URL,
+          apiKey: process.env.LLM_API_KEY,
+          vision: process.env.LLM_VISION !== 'false',
+          tools: process.env.LLM_TOOLS === 'true',
+          jsonSchema: process.env.LLM_JSON_SCHEMA === 'true'
+        }
+      } : {}),
+      ...(config.providers || {})
+    };
+
+    for (const [name, settings] of Object.entries(providerSettings)) {
+      // config files may reference keys indirectly so secrets stay in .env
+      const apiKey = settings.apiKeyEnv ? process.env[settings.apiKeyEnv] : settings.apiKey;
+      this.adapters.set(name, createAdapter(name, { ...settings, apiKey }));
+    }
+  }
+
+  defaultProvider() {
+    if (process.env.LLM_PROVIDER || this.defaults.provider) {
+      return process.env.LLM_PROVIDER || this.defaults.provider;
+    }
+    // with only a local server configured, use it without further setup
+    return process.env.LLM_BASE_URL && !process.env.OPENAI_API_KEY ? 'local' : 'openai';
+  }
+
+  resolve(feature) {
+    this.ensureLoaded();
+    const key = envKey(feature);
+    const featureDefaults = FEATURE_DEFAULTS[feature] || {};
+    const featureConfig = this.featureConfig[feature] || {};
+
+    let providerName = process.env[`LLM_PROVIDER_${key}`] || featureConfig.provider;
+    if (!providerName) {
+      providerName = 'provider' in featureDefaults ? featureDefaults.provider : this.defaultProvider();
+    }
+
+    // the global chat model never applies to transcription or embeddings
+    const globalModel = NON_CHAT_FEATURES.includes(feature) ? null : (process.env.LLM_MODEL || this.defaults.model);
+    const model = process.env[`LLM_MODEL_${key}`] || featureConfig.model || globalModel ||
+      featureDefaults.model || DEFAULT_MODEL;
+
+    if (!providerName) {
+      return { feature, provider: null, adapter: null, model, params: {}, contextWindow: DEFAULT_CONTEXT_WINDOW };
+    }
+
+    const adapter = this.adapters.get(providerName);
+    if (!adapter) {
+      throw new Error(`Unknown LLM provider "${providerName}" for feature "${feature}"`);
+    }
+    const contextWindow = Number(featureConfig.contextWindow || process.env.LLM_CONTEXT_WINDOW ||
+      this.defaults.contextWindow || adapter.settings.contextWindow) || knownContextWindow(model);
+    const fallback = this.resolveFallback(feature, providerName, model);
+    return { feature, provider: providerName, adapter, model, params: featureConfig.params || {}, contextWindow, fallback };
+  }
+
+  // the model to try when the primary one keeps failing, or null
+  resolveFallback(feature, primaryProvider, primaryModel) {
+    const key = envKey(feature);
+    const featureFallback = this.featureConfig[feature]?.fallback || {};
+    const defaultFallback = this.defaults.fallback || {};
+    const model = process.env[`LLM_FALLBACK_MODEL_${key}`] || featureFallback.model ||
+      process.env.LLM_FALLBACK_MODEL || defaultFallback.model;
+    if (!model) {
+      return null;
+    }
+
+    const provider = process.env[`LLM_FALLBACK_PROVIDER_${key}`] || featureFallback.provider ||
+      process.env.LLM_FALLBACK_PROVIDER || defaultFallback.provider || primaryProvider;
+    if (provider === primaryProvider && model === primaryModel) {
+      return null;
+    }
+    const adapter = this.adapters.get(provider);
+    if (!adapter) {
+      console.warn(`[LLM] Ignoring fallback for "${feature}": unknown provider "${provider}"`);
+      return null;
+    }
+    return { provider, adapter, model };
+  }
+
+  // primary target plus the fallback, when its provider has credentials and can take the request
+  targets({ provider, adapter, model, fallback }, request = {}) {
+    const targets = [{ provider, adapter, model }];
+    if (fallback && fallback.adapter.isConfigured() && (!request.tools || fallback.adapter.supportsTools)) {
+      targets.push(fallback);
+    }
+    return targets;
+  }
+
+  contextWindow(feature) {
+    return this.resolve(feature).contextWindow;
+  }
+
+  isConfigured(feature) {
+    try {
+      const { adapter } = this.resolve(feature);
+      // replayed responses need no credentials
+      return !!adapter && (this.recorder.replaying || adapter.isConfigured());
+    } catch (error) {
+      return false;
+    }
+  }
+
+  supportsVision(feature) {
+    const { adapter } = this.resolve(feature);
+    return !!adapter && adapter.supportsVision;
+  }
+
+  supportsTools(feature) {
+    const { adapter } = this.resolve(feature);
+    return !!adapter && adapter.supportsTools;
+  }
+
+  supportsJsonSchema(feature) {
+    const { adapter } = this.resolve(feature);
+    return !!adapter && adapter.supportsJsonSchema;
+  }
+
+  // non-streaming chat completion; `params` is an OpenAI chat request without `model`.
+  // `requestOptions` go to the SDK (e.g. `signal`), apart from `onRetry`, which is told about every
+  // retry or fallback (see llm-resilience.js), and `prompts`, the rendered prompt templates the request
+  // was built from, which are logged with its usage (see prompt-templates.js)
+  chat(feature, params, requestOptions = {}) {
+    const resolved = this.resolve(feature);
+    const { adapter, model, params: configParams, provider } = resolved;
+    if (!adapter) {
+      throw new Error(`No LLM provider configured for feature "${feature}"`);
+    }
+    console.log(`[LLM] ${feature} -> ${provider}/${model}${params.stream ? ' (stream)' : ''}`);
+    const request = { ...params, ...configParams, model };
+    // replayed responses cost nothing and aren't counted
+    if (this.recorder.replaying) {
+      return this.recorder.chat(feature, request, null);
+    }
+
+    this.usage.checkBudget(feature);
+    const { onRetry, prompts, ...options } = requestOptions;
+    const details = { feature, provider, model, adapter, messages: request.messages, prompts: provenance(prompts), startedAt: Date.now() };
+    const call = () => this.resilient(this.targets(resolved, request), details, { ...options, onRetry },
+      target => target.adapter.createChatCompletion({ ...request, model: target.model }, options));
+    return this.track(this.recorder.mode ? this.recorder.chat(feature, request, call) : call(), !!request.stream, details);
+  }
+
+  // records usage for a completion, or for a stream once it has been read
+  async track(pending, stream, details) {
+    try {
+      const result = await pending;
+      if (stream) {
+        return this.usage.trackStream(result, details);
+      }
+      this.usage.record({ ...details, usage: details.usage || result.usage, outputText: result.choices?.[0]?.message?.content || '' });
+      return result;
+    } catch (error) {
+      this.usage.recordFailure(details, error);
+      throw error;
+    }
+  }
+
+  // runs `attempt` with retries and fallback; usage is then recorded against the model that answered
+  async resilient(targets, details, { signal, onRetry }, attempt) {
+    const { result, target } = await this.resilience.run(targets, attempt, { signal, onRetry });
+    Object.assign(details, { provider: target.provider, model: target.model, adapter: target.adapter });
+    return result;
+  }
+
+  // streaming chat completion, returns an async iterable of chunks
+  stream(feature, params, requestOptions) {
+    return this.chat(feature, { ...params, stream: true }, requestOptions);
+  }
+
+  // convenience for the common "system prompt + text + optional screenshot" shape
+  vision(feature, { systemPrompt, text, imageDataURL, ...params }, requestOptions) {
+    const messages = [
+      ...(systemPrompt ? [{ role: 'system', content: systemPrompt }] : []),
+      this.buildUserMessage(text, imageDataURL)
+    ];
+    return this.chat(feature, { ...params, messages }, requestOptions);
+  }
+
+  buildUserMessage(text, imageDataURL) {
+    if (!imageDataURL) {
+      return { role: 'user', content: text };
+    }
+    return {
+      role: 'user',
+      content: [
+        { type: 'text', text },
+        { type: 'image_url', image_url: { url: imageDataURL } }
+      ]
+    };
+  }
+
+  transcriptionEnabled() {
+    return this.isConfigured('transcription');
+  }
+
+  transcribe(filePath, requestOptions = {}) {
+    const { adapter, model, provider } = this.resolve('transcription');
+    if (!adapter) {
+      throw new Error('No LLM provider configured for transcription');
+    }
+    console.log(`[LLM] transcription -> ${provider}/${model}`);
+    if (this.recorder.replaying) {
+      return this.recorder.transcribe(filePath, null);
+    }
+
+    this.usage.checkBudget('transcription');
+    // billed per audio minute rather than per token, so only calls and latency are recorded
+    const details = { feature: 'transcription', provider, model, adapter, usage: { prompt_tokens: 0, completion_tokens: 0 }, startedAt: Date.now() };
+    const { onRetry, ...options } = requestOptions;
+    const call = () => this.resilient([{ provider, adapter, model }], details, { ...options, onRetry },
+      target => target.adapter.transcribe(filePath, target.model, options));
+    return this.track(this.recorder.mode ? this.recorder.transcribe(filePath, call) : call(), false, details);
+  }
+
+  // replays have no fixtures for embeddings, so memory recall falls back to lexical matching while replaying
+  embeddingsEnabled() {
+    return !this.recorder.replaying && this.isConfigured('embeddings');
+  }
+
+  // one vector per input string. a single attempt, without retries or fallback: memory recall would
+  // rather embed locally than hold up the answer. calls are not recorded in record mode
+  async embed(input, requestOptions = {}) {
+    const { adapter, model, provider } = this.resolve('embeddings');
+    if (!adapter) {
+      throw new Error('No LLM provider configured for embeddings');
+    }
+    console.log(`[LLM] embeddings -> ${provider}/${model} (${input.length} input${input.length === 1 ? '' : 's'})`);
+    this.usage.checkBudget('embeddings');
+    const details = { feature: 'embeddings', provider, model, adapter, startedAt: Date.now() };
+    const result = await this.track(adapter.embed(input, model, requestOptions), false, details);
+    return [...result.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  // resolved configuration with secrets left out, for /api/llm
+  describe(features = []) {
+    this.ensureLoaded();
+    const providers = [...this.adapters.values()].map(adapter => ({
+      name: adapter.name,
+      type: adapter.type,
+      baseURL: adapter.settings.baseURL || null,
+      vision: adapter.supportsVision,
+      tools: adapter.supportsTools,
+      jsonSchema: adapter.supportsJsonSchema,
+      configured: adapter.isConfigured()
+    }));
+
+    const names = new Set([...features, ...Object.keys(FEATURE_DEFAULTS), ...Object.keys(this.featureConfig)]);
+    const resolved = {};
+    for (const feature of names) {
+      try {
+        const { provider, model, contextWindow, fallback } = this.resolve(feature);
+        resolved[feature] = {
+          provider,
+          model,
+          contextWindow,
+          ...(fallback ? { fallback: { provider: fallback.provider, model: fallback.model } } : {})
+        };
+      } catch (error) {
+        resolved[feature] = { error: error.message };
+      }
+    }
+    return { providers, features: resolved, recordMode: this.recorder.mode };
+  }
+}
+
+module.exports = new LLMProvider();
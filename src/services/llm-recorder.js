@@ -0,0 +1,220 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Record/replay for model calls so every flow can run without a network or API key.
+//
+//   LLM_RECORD_MODE=record  calls the real provider and writes each request/response pair to a fixture
+//   LLM_RECORD_MODE=replay  serves responses from fixtures only, never touching the network
+//   LLM_FIXTURES_DIR        where fixtures live (default: fixtures/llm in the project root)
+//
+// Fixtures are keyed by the normalized prompt plus a hash of any attached image. Memory and learning
+// context make system prompts drift between runs, so replay falls back to a looser key built from
+// the user turn (text + image) and the feature when the exact prompt was never recorded.
+
+const MODES = ['record', 'replay'];
+
+// long-form and ISO dates end up in prompts and would otherwise change the key every day
+const DATE_PATTERNS = [
+  /\b\d{4}-\d{2}-\d{2}(?:T[\d:.]+Z?)?\b/g,
+  /\b(?:January|February|March|April|May|June|July|August|September|October|November|December) \d{1,2}, \d{4}\b/g
+];
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function normalizeText(text) {
+  let normalized = String(text).replace(/\s+/g, ' ').trim();
+  for (const pattern of DATE_PATTERNS) {
+    normalized = normalized.replace(pattern, '<date>');
+  }
+  return normalized;
+}
+
+// messages with whitespace collapsed, dates masked and images replaced by their hash
+function normalizeMessages(messages = []) {
+  return messages.map(message => {
+    if (!Array.isArray(message.content)) {
+      return { role: message.role, content: normalizeText(message.content ?? '') };
+    }
+    return {
+      role: message.role,
+      content: message.content.map(part => {
+        if (part.type === 'image_url') {
+          return { type: 'image', hash: sha256(part.image_url?.url || '') };
+        }
+        return { type: part.type, text: normalizeText(part.text ?? '') };
+      })
+    };
+  });
+}
+
+function lastUserMessage(messages) {
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i].role === 'user') return messages[i];
+  }
+  return null;
+}
+
+function requestKeys(feature, params) {
+  const messages = normalizeMessages(params.messages);
+  const shape = { stream: !!params.stream, format: params.response_format?.type || 'text' };
+  return {
+    messages,
+    key: sha256(JSON.stringify({ messages, ...shape })),
+    looseKey: sha256(JSON.stringify({ feature, user: lastUserMessage(messages), ...shape }))
+  };
+}
+
+// async iterable over recorded chunks, shaped like the SDK's stream for `for await` consumers
+function replayStream(chunks) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      for (const chunk of chunks) {
+        yield chunk;
+      }
+    }
+  };
+}
+
+class LLMRecorder {
+  constructor() {
+    this.mode = null;
+    this.dir = null;
+    this.index = null;
+  }
+
+  configure() {
+    const mode = (process.env.LLM_RECORD_MODE || '').toLowerCase();
+    this.mode = MODES.includes(mode) ? mode : null;
+    this.dir = process.env.LLM_FIXTURES_DIR || path.join(__dirname, '../../fixtures/llm');
+    this.index = null;
+
+    if (mode && !this.mode) {
+      console.warn(`[LLM RECORDER] Ignoring unknown LLM_RECORD_MODE "${mode}" (expected record or replay)`);
+    } else if (this.mode) {
+      console.log(`[LLM RECORDER] ${this.mode} mode, fixtures in ${this.dir}`);
+    }
+  }
+
+  get recording() {
+    return this.mode === 'record';
+  }
+
+  get replaying() {
+    return this.mode === 'replay';
+  }
+
+  fixturePath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  // looseKey -> fixture file, built on first lookup miss
+  loadIndex() {
+    if (this.index) return this.index;
+    this.index = new Map();
+    if (!fs.existsSync(this.dir)) return this.index;
+
+    for (const file of fs.readdirSync(this.dir)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const fixture = JSON.parse(fs.readFileSync(path.join(this.dir, file), 'utf8'));
+        if (fixture.looseKey) {
+          this.index.set(fixture.looseKey, path.join(this.dir, file));
+        }
+      } catch (error) {
+        console.error('[LLM RECORDER] Skipping unreadable fixture', file, error.message);
+      }
+    }
+    return this.index;
+  }
+
+  findFixture(key, looseKey) {
+    const exact = this.fixturePath(key);
+    if (fs.existsSync(exact)) {
+      return JSON.parse(fs.readFileSync(exact, 'utf8'));
+    }
+    const loose = this.loadIndex().get(looseKey);
+    if (loose) {
+      console.log(`[LLM RECORDER] No exact fixture for ${key.slice(0, 12)}, using closest match ${path.basename(loose)}`);
+      return JSON.parse(fs.readFileSync(loose, 'utf8'));
+    }
+    return null;
+  }
+
+  saveFixture(fixture) {
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.fixturePath(fixture.key), JSON.stringify(fixture, null, 2));
+    if (this.index && fixture.looseKey) {
+      this.index.set(fixture.looseKey, this.fixturePath(fixture.key));
+    }
+    console.log(`[LLM RECORDER] Recorded ${fixture.feature} -> ${fixture.key.slice(0, 12)}`);
+  }
+
+  missing(feature, key) {
+    const error = new Error(`No recorded response for feature "${feature}" (fixture ${key}). Run once with LLM_RECORD_MODE=record to capture it.`);
+    error.code = 'LLM_FIXTURE_MISSING';
+    return error;
+  }
+
+  // wraps a chat completion; `call` performs the real request and is skipped entirely on replay
+  async chat(feature, params, call) {
+    const { key, looseKey, messages } = requestKeys(feature, params);
+
+    if (this.replaying) {
+      const fixture = this.findFixture(key, looseKey);
+      if (!fixture) {
+        throw this.missing(feature, key);
+      }
+      return fixture.stream ? replayStream(fixture.chunks) : fixture.response;
+    }
+
+    const result = await call();
+    const fixture = {
+      key,
+      looseKey,
+      feature,
+      model: params.model,
+      stream: !!params.stream,
+      messages,
+      recordedAt: new Date().toISOString()
+    };
+
+    if (!params.stream) {
+      this.saveFixture({ ...fixture, response: result });
+      return result;
+    }
+
+    // pass chunks through as they arrive and write the fixture once the stream completes
+    const recorder = this;
+    return {
+      async *[Symbol.asyncIterator]() {
+        const chunks = [];
+        for await (const chunk of result) {
+          chunks.push(chunk);
+          yield chunk;
+        }
+        recorder.saveFixture({ ...fixture, chunks });
+      }
+    };
+  }
+
+  // transcriptions are keyed by the audio bytes
+  async transcribe(filePath, call) {
+    const key = `transcription-${sha256(fs.readFileSync(filePath))}`;
+
+    if (this.replaying) {
+      if (!fs.existsSync(this.fixturePath(key))) {
+        throw this.missing('transcription', key);
+      }
+      return JSON.parse(fs.readFileSync(this.fixturePath(key), 'utf8')).text;
+    }
+
+    const text = await call();
+    this.saveFixture({ key, feature: 'transcription', text, recordedAt: new Date().toISOString() });
+    return text;
+  }
+}
+
+module.exports = LLMRecorder;
@@ -0,0 +1,239 @@
+const { delay, isCancelled } = require('./cancellation');
+
+// Retries, backoff and circuit breaking for model calls, used by llm-provider.js around every request.
+//
+// A call is retried on rate limits (429), server errors (5xx), timeouts and dropped connections, with
+// exponential backoff plus jitter; a `retry-after` header from the provider is honoured instead when it
+// fits within the longest allowed wait. Each provider/model pair has a circuit breaker: after
+// `failureThreshold` consecutive failures it stops sending requests for `cooldownMs`, then lets one
+// trial request through. When the primary model gives up (or its circuit is open) the provider moves on
+// to the feature's fallback model, if one is configured.
+//
+// Streams are only retried until the provider accepts the request; once tokens are flowing a failure
+// ends the answer instead of replaying it from the start.
+//
+// Settings, lowest to highest precedence: RETRY_DEFAULTS, "retry" in llm-config.json, then
+// LLM_MAX_RETRIES / LLM_RETRY_BASE_DELAY_MS / LLM_RETRY_MAX_DELAY_MS / LLM_CIRCUIT_THRESHOLD / LLM_CIRCUIT_COOLDOWN_MS.
+
+const RETRY_DEFAULTS = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 20000,
+  failureThreshold: 5,
+  cooldownMs: 30000
+};
+
+const RETRYABLE_STATUSES = [408, 409, 429];
+
+const ENV_SETTINGS = {
+  retries: 'LLM_MAX_RETRIES',
+  baseDelayMs: 'LLM_RETRY_BASE_DELAY_MS',
+  maxDelayMs: 'LLM_RETRY_MAX_DELAY_MS',
+  failureThreshold: 'LLM_CIRCUIT_THRESHOLD',
+  cooldownMs: 'LLM_CIRCUIT_COOLDOWN_MS'
+};
+
+function retrySettings(config = {}) {
+  const settings = { ...RETRY_DEFAULTS };
+  for (const [key, envName] of Object.entries(ENV_SETTINGS)) {
+    const value = process.env[envName] ?? config[key];
+    if (value !== undefined && value !== '' && Number.isFinite(Number(value))) {
+      settings[key] = Math.max(0, Number(value));
+    }
+  }
+  return settings;
+}
+
+// transient failures worth another attempt; client errors (bad request, auth, budget) are not
+function isRetryable(error) {
+  if (isCancelled(error)) return false;
+  if (error?.code === 'LLM_CIRCUIT_OPEN') return true;
+  if (error?.name === 'APIConnectionError' || error?.name === 'APIConnectionTimeoutError') return true;
+  if (['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN'].includes(error?.code)) return true;
+  const status = error?.status;
+  return typeof status === 'number' && (status >= 500 || RETRYABLE_STATUSES.includes(status));
+}
+
+// the provider's requested wait in ms, from retry-after-ms or retry-after (seconds or an HTTP date)
+function retryAfterMs(error) {
+  const headers = error?.headers || {};
+  const header = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const milliseconds = header('retry-after-ms');
+  if (milliseconds && Number.isFinite(Number(milliseconds))) return Math.max(0, Number(milliseconds));
+
+  const retryAfter = header('retry-after');
+  if (!retryAfter) return null;
+  const seconds = Number(retryAfter);
+  if (Number.isFinite(seconds)) return seconds * 1000;
+  const date = Date.parse(retryAfter);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// exponential backoff with jitter: somewhere between half and all of base * 2^attempt
+function backoffMs(attempt, { baseDelayMs, maxDelayMs }) {
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+function describeError(error) {
+  if (error?.status === 429) return 'rate limited';
+  if (typeof error?.status === 'number') return `HTTP ${error.status}`;
+  if (error?.name === 'APIConnectionTimeoutError') return 'timed out';
+  return error?.message || 'request failed';
+}
+
+// closed: calls go through, counting consecutive failures. open (after failureThreshold of them):
+// calls fail fast for cooldownMs. half-open (once the cooldown has passed): the next call goes through
+// as the one trial request while every other still fails fast; it closes the circuit if it succeeds
+// and opens it for another cooldown if it fails
+class CircuitBreaker {
+  constructor(key) {
+    this.key = key;
+    this.failures = 0;
+    this.openUntil = 0;
+    this.probing = false; // a trial request is in flight
+  }
+
+  get state() {
+    if (!this.openUntil) return 'closed';
+    return this.openUntil > Date.now() || this.probing ? 'open' : 'half-open';
+  }
+
+  // whether a call may be sent now; in half-open the caller becomes the trial request
+  tryAcquire() {
+    const state = this.state;
+    if (state === 'half-open') {
+      this.probing = true;
+      console.log(`[LLM RETRY] ${this.key} cooled down, sending one trial request`);
+    }
+    return state !== 'open';
+  }
+
+  // a call that ended without saying whether the model works (cancelled, rejected as invalid): a
+  // trial request hands its turn to the next call
+  release() {
+    this.probing = false;
+  }
+
+  succeeded() {
+    if (this.openUntil) {
+      console.log(`[LLM RETRY] ${this.key} recovered, circuit closed`);
+    }
+    this.failures = 0;
+    this.openUntil = 0;
+    this.probing = false;
+  }
+
+  failed({ failureThreshold, cooldownMs }) {
+    this.failures++;
+    if (this.probing) {
+      this.probing = false;
+      this.openUntil = Date.now() + cooldownMs;
+      console.warn(`[LLM RETRY] ${this.key} trial request failed, circuit open for another ${Math.round(cooldownMs / 1000)}s`);
+    } else if (failureThreshold > 0 && this.failures >= failureThreshold && this.state === 'closed') {
+      this.openUntil = Date.now() + cooldownMs;
+      console.warn(`[LLM RETRY] ${this.key} failed ${this.failures} times in a row, circuit open for ${Math.round(cooldownMs / 1000)}s`);
+    }
+  }
+
+  rejection() {
+    const seconds = Math.ceil((this.openUntil - Date.now()) / 1000);
+    const error = new Error(seconds > 0
+      ? `${this.key} is failing repeatedly, not sending requests for another ${seconds}s`
+      : `${this.key} is failing repeatedly, not sending requests until a trial request succeeds`);
+    error.code = 'LLM_CIRCUIT_OPEN';
+    return error;
+  }
+}
+
+class Resilience {
+  constructor() {
+    this.settings = { ...RETRY_DEFAULTS };
+    this.breakers = new Map();
+  }
+
+  // called by llm-provider on reload; breaker state survives so a reload doesn't hammer a failing model
+  configure(config) {
+    this.settings = retrySettings(config);
+  }
+
+  breaker(provider, model) {
+    const key = `${provider}/${model}`;
+    if (!this.breakers.has(key)) {
+      this.breakers.set(key, new CircuitBreaker(key));
+    }
+    return this.breakers.get(key);
+  }
+
+  // runs `call` against each target in turn ({ provider, model, ... }), retrying transient failures.
+  // `onRetry` gets { step, detail, attempt, delayMs, provider, model, fallback } before every wait or
+  // switch so callers can show it, e.g. as a progress event. resolves with { result, target }
+  async run(targets, call, { signal, onRetry } = {}) {
+    const settings = this.settings;
+    let lastError = null;
+
+    for (let index = 0; index < targets.length; index++) {
+      const target = targets[index];
+      const label = `${target.provider}/${target.model}`;
+      const breaker = this.breaker(target.provider, target.model);
+
+      if (!breaker.tryAcquire()) {
+        lastError = breaker.rejection();
+        console.warn(`[LLM RETRY] ${lastError.message}`);
+        continue;
+      }
+
+      if (lastError) {
+        console.warn(`[LLM RETRY] Falling back to ${label}`);
+        onRetry?.({ step: `Switching to ${target.model}`, detail: `${targets[index - 1].model} is unavailable`, attempt: 0, delayMs: 0, provider: target.provider, model: target.model, fallback: true });
+      }
+
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await call(target);
+          breaker.succeeded();
+          return { result, target };
+        } catch (error) {
+          if (isCancelled(error, signal) || !isRetryable(error)) {
+            breaker.release();
+            throw error;
+          }
+          lastError = error;
+          breaker.failed(settings);
+
+          const requested = retryAfterMs(error);
+          // a provider asking for a longer wait than we allow is better served by the fallback
+          const waitTooLong = requested !== null && requested > settings.maxDelayMs;
+          if (attempt >= settings.retries || waitTooLong || breaker.state !== 'closed') {
+            console.warn(`[LLM RETRY] ${label} gave up after ${attempt + 1} attempt${attempt ? 's' : ''}: ${describeError(error)}`);
+            break;
+          }
+
+          const delayMs = requested ?? backoffMs(attempt, settings);
+          console.warn(`[LLM RETRY] ${label} ${describeError(error)}, retry ${attempt + 1}/${settings.retries} in ${delayMs}ms`);
+          onRetry?.({
+            step: `Retrying ${target.model} (${attempt + 1}/${settings.retries})`,
+            detail: `${describeError(error)}, waiting ${(delayMs / 1000).toFixed(1)}s`,
+            attempt: attempt + 1,
+            delayMs,
+            provider: target.provider,
+            model: target.model,
+            fallback: index > 0
+          });
+          await delay(delayMs, signal);
+        }
+      }
+    }
+
+    throw lastError;
+  }
+}
+
+module.exports = {
+  Resilience,
+  isRetryable,
+  retryAfterMs,
+  backoffMs,
+  RETRY_DEFAULTS
+};
@@ -0,0 +1,376 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// A small transactional document store for the app's own data (long-term memory, the learning
+// persona, the usage log, settings, capture rules). Each store is one JSON file in the data directory: `data/` under the Electron userData
+// folder, which main.js passes to the server as APP_DATA_DIR (the same folder is worked out here when
+// the server runs on its own, as with `npm run dev`).
+//
+//   const store = openStore('memory', {
+//     migrations: [tx => { ... }],                      // migrations[n] takes the data from version n to n + 1
+//     collections: { conversations: { indexes: ['timestamp', 'topic'], max: 100 } },
+//     docs: { profile: () => defaultProfile() }
+//   });
+//   store.doc('profile');                               // read-only outside a transaction
+//   store.find('conversations', 'topic', 'finance');    // through the topic index
+//   store.range('conversations', 'timestamp', since);   // through the timestamp index
+//   store.transaction(tx => {
+//     tx.insert('conversations', { timestamp, topic, user, ai });
+//     tx.setDoc('profile', profile);
+//   });
+//
+// A transaction works on a copy of the data and is saved in one write when its function returns;
+// if it throws, nothing changes. Writes go to a temp file that is fsynced and renamed over the old
+// one, so a crash leaves the previous version, never half a file. Writers hold `<file>.lock`, and a
+// transaction that finds the file changed by another process since it was last read reloads it
+// (under the lock) before its function runs, so two processes sharing a data directory don't drop
+// each other's records (documents are last-writer-wins).
+//
+// The file keeps its `schemaVersion`; pending migrations run on open, after the old file is copied
+// to `<name>.v<version>.bak`. A file from a newer version of the app is opened read-only.
+
+const APP_NAME = 'ai-desktop-overlay'; // package.json name, which Electron names the userData folder after
+const LOCK_WAIT_MS = 2000;
+const LOCK_STALE_MS = 10000;
+const LOCK_RETRY_MS = 25;
+
+const stores = new Map();
+
+// Electron's default userData folder for this app
+function defaultUserDataDir() {
+  const home = os.homedir();
+  if (process.platform === 'darwin') {
+    return path.join(home, 'Library', 'Application Support', APP_NAME);
+  }
+  if (process.platform === 'win32') {
+    return path.join(process.env.APPDATA || path.join(home, 'AppData', 'Roaming'), APP_NAME);
+  }
+  return path.join(process.env.XDG_CONFIG_HOME || path.join(home, '.config'), APP_NAME);
+}
+
+function dataDir() {
+  return path.join(process.env.APP_DATA_DIR || defaultUserDataDir(), 'data');
+}
+
+// blocks the thread: transactions are synchronous, so callers need no await and two transactions of
+// one process can never interleave. the lock is only ever waited on while another process is
+// writing the same store, which takes milliseconds; a holder that crashed costs at most LOCK_WAIT_MS
+// before the transaction fails, and none once the lock is LOCK_STALE_MS old
+function sleep(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function compareKeys(a, b) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : 1;
+}
+
+// first position in a sorted index whose key is not below `key`
+function lowerBound(entries, key) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (compareKeys(entries[middle].key, key) < 0) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+// first position whose key is above `key`
+function upperBound(entries, key) {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (compareKeys(entries[middle].key, key) <= 0) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+}
+
+class LocalStore {
+  constructor(name, schema = {}, { dir = dataDir() } = {}) {
+    this.name = name;
+    this.dir = dir;
+    this.file = path.join(dir, `${name}.json`);
+    this.lockFile = `${this.file}.lock`;
+    this.migrations = schema.migrations || [];
+    this.collections = schema.collections || {};
+    this.docs = schema.docs || {};
+    this.readOnly = false;
+    this.data = null;
+    this.stamp = null; // size and mtime of the file as last read or written
+    this.indexes = {};
+    this.open();
+  }
+
+  get version() {
+    return this.migrations.length;
+  }
+
+  emptyData() {
+    return { schemaVersion: 0, revision: 0, docs: {}, collections: {} };
+  }
+
+  readFile() {
+    try {
+      const raw = fs.readFileSync(this.file, 'utf8');
+      const data = JSON.parse(raw);
+      return { ...this.emptyData(), ...data };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      // keep the unreadable file for inspection and start over
+      const aside = `${this.file}.corrupt-${Date.now()}`;
+      console.error(`[STORE] ${this.name}: could not read ${this.file} (${error.message}), moved it to ${aside}`);
+      try {
+        fs.renameSync(this.file, aside);
+      } catch (renameError) {
+        console.error(`[STORE] ${this.name}: could not move the unreadable file:`, renameError.message);
+      }
+      return null;
+    }
+  }
+
+  readStamp() {
+    try {
+      const stat = fs.statSync(this.file);
+      return `${stat.size}:${stat.mtimeMs}`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  open() {
+    fs.mkdirSync(this.dir, { recursive: true });
+    const existing = this.readFile();
+    const data = existing || this.emptyData();
+
+    if (data.schemaVersion > this.version) {
+      console.error(`[STORE] ${this.name}: ${this.file} is schema version ${data.schemaVersion}, newer than this app (${this.version}); opened read-only`);
+      this.readOnly = true;
+    }
+
+    const pending = this.readOnly ? 0 : this.version - data.schemaVersion;
+    this.data = this.normalize(data);
+    this.stamp = this.readStamp();
+    this.buildIndexes();
+
+    if (!this.readOnly && (pending > 0 || !existing)) {
+      if (existing && pending > 0) {
+        fs.copyFileSync(this.file, path.join(this.dir, `${this.name}.v${data.schemaVersion}.bak`));
+      }
+      this.transaction(tx => {
+        for (let version = tx.data.schemaVersion; version < this.version; version++) {
+          this.migrations[version](tx);
+          console.log(`[STORE] ${this.name}: migrated to schema version ${version + 1}`);
+        }
+        tx.data.schemaVersion = this.version;
+      });
+    }
+
+    const counts = Object.keys(this.collections).map(name => `${this.all(name).length} ${name}`);
+    console.log(`[STORE] ${this.name}: opened ${this.file}${counts.length ? ` (${counts.join(', ')})` : ''}`);
+  }
+
+  // fills in collections and documents the schema has but the data doesn't (yet)
+  normalize(data) {
+    for (const name of Object.keys(this.collections)) {
+      const collection = data.collections[name];
+      if (!collection || !Array.isArray(collection.records)) {
+        data.collections[name] = { nextId: 1, records: [] };
+      }
+    }
+    for (const [name, createDefault] of Object.entries(this.docs)) {
+      if (data.docs[name] === undefined) data.docs[name] = createDefault();
+    }
+    return data;
+  }
+
+  buildIndexes() {
+    this.indexes = {};
+    for (const [name, options] of Object.entries(this.collections)) {
+      this.indexes[name] = {};
+      for (const field of options.indexes || []) {
+        this.indexes[name][field] = this.all(name)
+          .map(record => ({ key: record[field], record }))
+          .sort((a, b) => compareKeys(a.key, b.key));
+      }
+    }
+  }
+
+  index(collection, field) {
+    const index = this.indexes[collection]?.[field];
+    if (!index) throw new Error(`No index on ${collection}.${field} in the ${this.name} store`);
+    return index;
+  }
+
+  // --- reads: the returned objects are the store's own and must not be changed ---
+
+  doc(name) {
+    return this.data.docs[name];
+  }
+
+  // a collection's records, oldest first
+  all(collection) {
+    const records = this.data.collections[collection]?.records;
+    if (!records) throw new Error(`No collection ${collection} in the ${this.name} store`);
+    return records;
+  }
+
+  latest(collection, count) {
+    return count > 0 ? this.all(collection).slice(-count) : [];
+  }
+
+  find(collection, field, value) {
+    const index = this.index(collection, field);
+    return index.slice(lowerBound(index, value), upperBound(index, value)).map(entry => entry.record);
+  }
+
+  // records whose `field` is within [from, to]; either end may be left out
+  range(collection, field, from, to) {
+    const index = this.index(collection, field);
+    const start = from === undefined ? 0 : lowerBound(index, from);
+    const end = to === undefined ? index.length : upperBound(index, to);
+    return index.slice(start, end).map(entry => entry.record);
+  }
+
+  // --- writes ---
+
+  /**
+   * Runs `fn(tx)` once, under the lock, against a copy of the data (reloaded first if another
+   * process changed the file since it was last read) and saves the result in one atomic write,
+   * returning what `fn` returned. If `fn` throws, the store is left as it was. `fn` must be
+   * synchronous and should only change the data through `tx`.
+   */
+  transaction(fn) {
+    if (this.readOnly) {
+      throw new Error(`The ${this.name} store is read-only (its file is from a newer version of the app)`);
+    }
+    this.lock();
+    try {
+      const stamp = this.readStamp();
+      if (stamp !== this.stamp && stamp !== null) {
+        const current = this.readFile();
+        if (current) {
+          console.log(`[STORE] ${this.name}: ${this.file} changed on disk, reloading`);
+          this.data = this.normalize(current);
+        }
+      }
+
+      const draft = structuredClone(this.data);
+      const result = fn(this.transactionFor(draft));
+      this.trim(draft);
+      draft.revision = (draft.revision || 0) + 1;
+      this.write(draft);
+      this.data = draft;
+      this.stamp = this.readStamp();
+      this.buildIndexes();
+      return result;
+    } finally {
+      this.unlock();
+    }
+  }
+
+  transactionFor(draft) {
+    const records = (collection) => {
+      const target = draft.collections[collection];
+      if (!target) throw new Error(`No collection ${collection} in the ${this.name} store`);
+      return target;
+    };
+    return {
+      data: draft,
+      doc: (name) => draft.docs[name],
+      setDoc: (name, value) => {
+        draft.docs[name] = structuredClone(value);
+      },
+      all: (collection) => records(collection).records,
+      insert: (collection, record) => {
+        const target = records(collection);
+        const saved = { id: target.nextId++, ...structuredClone(record) };
+        target.records.push(saved);
+        return saved;
+      },
+      update: (collection, id, changes) => {
+        const saved = records(collection).records.find(record => record.id === id);
+        if (saved) Object.assign(saved, structuredClone(changes), { id });
+        return saved || null;
+      },
+      remove: (collection, id) => {
+        const target = records(collection);
+        const before = target.records.length;
+        target.records = target.records.filter(record => record.id !== id);
+        return target.records.length < before;
+      },
+      clear: (collection) => {
+        records(collection).records = [];
+      }
+    };
+  }
+
+  // drops the oldest records of collections over their `max`
+  trim(draft) {
+    for (const [name, options] of Object.entries(this.collections)) {
+      const collection = draft.collections[name];
+      if (options.max && collection.records.length > options.max) {
+        collection.records = collection.records.slice(-options.max);
+      }
+    }
+  }
+
+  write(data) {
+    const temp = `${this.file}.${process.pid}.tmp`;
+    const fd = fs.openSync(temp, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(data, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(temp, this.file);
+  }
+
+  lock() {
+    const deadline = Date.now() + LOCK_WAIT_MS;
+    for (;;) {
+      try {
+        fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx' });
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      // a writer that crashed holding the lock
+      try {
+        if (Date.now() - fs.statSync(this.lockFile).mtimeMs > LOCK_STALE_MS) {
+          fs.unlinkSync(this.lockFile);
+          continue;
+        }
+      } catch (error) {
+        continue; // released in the meantime
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`The ${this.name} store is locked by another process (${this.lockFile})`);
+      }
+      sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  unlock() {
+    try {
+      fs.unlinkSync(this.lockFile);
+    } catch (error) {
+      console.error(`[STORE] ${this.name}: could not release the lock:`, error.message);
+    }
+  }
+}
+
+// the store called `name`, opened once per process
+function openStore(name, schema) {
+  if (!stores.has(name)) stores.set(name, new LocalStore(name, schema));
+  return stores.get(name);
+}
+
+module.exports = { openStore, dataDir, LocalStore };
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const llm = require('./llm-provider');
+const { openStore } = require('./local-store');
+const sentenceEncoder = require('./sentence-encoder');
+
+// Retrieval for long-term memory: ranks stored conversations and profile facts by how close they are
+// to the current query, so the prompt gets the relevant ones rather than the latest ones.
+//
+// Texts are embedded by the "embeddings" feature's provider when one is configured (any
+// OpenAI-compatible /embeddings endpoint, e.g. `LLM_PROVIDER_EMBEDDINGS=openai`, see llm-provider.js),
+// and otherwise on this machine by the Universal Sentence Encoder in TensorFlow.js (see
+// sentence-encoder.js). Either way matches are semantic ("my car" / "the vehicle"). Both kinds of
+// vectors are cached in the `embeddings` store by model and text, so each text is only embedded once.
+//
+// Lexical vectors are the fallback, for a provider that fails or is slow and while the local model is
+// still loading (or can't be downloaded): a hashed bag of words, word pairs and character trigrams,
+// which needs no model but only matches on shared words and near-misses ("sreen" / "screen").
+//
+// Scores are cosine similarities (dot products, as every vector is normalized).
+
+const LEXICAL_DIMENSIONS = 512;
+const LEXICAL_METHOD = `lexical-hash-${LEXICAL_DIMENSIONS}`;
+const EMBED_TIMEOUT_MS = 1500;
+const MAX_EMBED_CHARS = 2000;
+const MAX_CACHED_VECTORS = 2000;
+
+// the lowest similarity still worth putting in the prompt; model vectors score higher overall
+const MIN_SCORE = { lexical: 0.12, local: 0.3, provider: 0.3 };
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'could', 'do', 'does', 'for', 'from',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'of', 'on', 'or', 'so', 'that', 'the',
+  'this', 'to', 'was', 'we', 'what', 'whats', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'would', 'you', 'your', 'please', 'hi', 'hey'
+]);
+
+function stem(word) {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3);
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+  return word;
+}
+
+function tokenize(text) {
+  return (text.toLowerCase().replace(/['’]/g, '').match(/[a-z0-9]+/g) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// FNV-1a
+function hash(feature) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < feature.length; i++) {
+    value ^= feature.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const value of vector) norm += value * value;
+  norm = Math.sqrt(norm);
+  return norm > 0 ? Float32Array.from(vector, value => value / norm) : Float32Array.from(vector);
+}
+
+// the feature hashing trick: each word, word pair and trigram adds to one of LEXICAL_DIMENSIONS slots
+function lexicalVector(text) {
+  const vector = new Float32Array(LEXICAL_DIMENSIONS);
+  const add = (feature, weight) => {
+    const hashed = hash(feature);
+    // the sign bit spreads collisions around zero instead of piling them up
+    vector[hashed % LEXICAL_DIMENSIONS] += hashed & 0x80000000 ? -weight : weight;
+  };
+  const words = tokenize(text);
+  words.forEach((word, index) => {
+    add(`w:${word}`, 1);
+    if (index > 0) add(`b:${words[index - 1]} ${word}`, 0.5);
+    const padded = `<${word}>`;
+    for (let i = 0; i + 3 <= padded.length; i++) add(`c:${padded.slice(i, i + 3)}`, 0.25);
+  });
+  return normalize(vector);
+}
+
+function encodeVector(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+  // copied, as a pooled Buffer's offset need not be a multiple of 4
+  return new Float32Array(Uint8Array.from(Buffer.from(encoded, 'base64')).buffer);
+}
+
+// cosine similarity of `query` with each of `vectors` (all normalized)
+function similarities(query, vectors) {
+  return vectors.map(vector => vector.reduce((sum, value, i) => sum + value * query[i], 0));
+}
+
+function withTimeout(promise, ms) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+class MemoryRetrieval {
+  constructor() {
+    this.store = null; // opened on first model use
+  }
+
+  vectorStore() {
+    if (!this.store) {
+      this.store = openStore('embeddings', {
+        collections: { vectors: { indexes: ['key'], max: MAX_CACHED_VECTORS } }
+      });
+    }
+    return this.store;
+  }
+
+  // vectors for the query and `texts` from `embedTexts` (list => vectors); the texts' vectors are
+  // cached under `method`, the query's isn't
+  async cachedEmbeddings(query, texts, method, embedTexts) {
+    const store = this.vectorStore();
+    const keys = texts.map(text => `${method}:${crypto.createHash('sha1').update(text).digest('hex')}`);
+    const vectors = keys.map(key => {
+      const cached = store.find('vectors', 'key', key)[0];
+      return cached ? decodeVector(cached.vector) : null;
+    });
+
+    const missing = [...new Set(texts.filter((_, index) => !vectors[index]))];
+    const embedded = await embedTexts([query, ...missing]);
+    const [queryVector, ...missingVectors] = embedded.map(normalize);
+
+    if (missing.length > 0) {
+      const byText = new Map(missing.map((text, index) => [text, missingVectors[index]]));
+      texts.forEach((text, index) => {
+        if (!vectors[index]) vectors[index] = byText.get(text);
+      });
+      store.transaction(tx => {
+        missing.forEach(text => {
+          tx.insert('vectors', { key: keys[texts.indexOf(text)], vector: encodeVector(byText.get(text)) });
+        });
+      });
+    }
+    return { queryVector, vectors };
+  }
+
+  providerEmbeddings(texts) {
+    const controller = new AbortController();
+    return withTimeout(llm.embed(texts, { signal: controller.signal }), EMBED_TIMEOUT_MS)
+      .catch(error => {
+        controller.abort();
+        throw error;
+      });
+  }
+
+  async embed(query, texts) {
+    const prepared = texts.map(text => text.slice(0, MAX_EMBED_CHARS));
+    const trimmedQuery = query.slice(0, MAX_EMBED_CHARS);
+    if (llm.embeddingsEnabled()) {
+      const { provider, model } = llm.resolve('embeddings');
+      const method = `${provider}/${model}`;
+      try {
+        return { method, kind: 'provider', ...await this.cachedEmbeddings(trimmedQuery, prepared, method, list => this.providerEmbeddings(list)) };
+      } catch (error) {
+        console.warn('[RECALL] Provider embeddings failed, using lexical vectors:', error.message);
+      }
+    } else if (sentenceEncoder.isReady()) {
+      const { method } = sentenceEncoder;
+      try {
+        return { method, kind: 'local', ...await this.cachedEmbeddings(trimmedQuery, prepared, method, list => sentenceEncoder.embed(list)) };
+      } catch (error) {
+        console.warn('[RECALL] Local embeddings failed, using lexical vectors:', error.message);
+      }
+    } else {
+      // ready for a later recall; this one doesn't wait for it
+      sentenceEncoder.load();
+    }
+    return { method: LEXICAL_METHOD, kind: 'lexical', queryVector: lexicalVector(query), vectors: prepared.map(lexicalVector) };
+  }
+
+  /**
+   * Ranks groups of items against `query`, e.g. `{ conversations: { items, limit: 3 }, facts: { items,
+   * limit: 5 } }`, each item having a `text`. Resolves with `{ method, <group>: [{ item, score }] }`,
+   * each group's results at or above the method's minimum score, best first, at most `limit`.
+   */
+  async rank(query, groups) {
+    const names = Object.keys(groups);
+    const items = names.flatMap(name => groups[name].items);
+    const ranked = { method: null };
+    names.forEach(name => {
+      ranked[name] = [];
+    });
+    if (!query || !query.trim() || items.length === 0) return ranked;
+
+    const { method, kind, queryVector, vectors } = await this.embed(query, items.map(item => item.text));
+    const scores = similarities(queryVector, vectors);
+    ranked.method = method;
+    let offset = 0;
+    for (const name of names) {
+      const { items: groupItems, limit = 3 } = groups[name];
+      ranked[name] = groupItems
+        .map((item, index) => ({ item, score: scores[offset + index] }))
+        .filter(result => result.score >= MIN_SCORE[kind])
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+      offset += groupItems.length;
+    }
+    return ranked;
+  }
+}
+
+module.exports = new MemoryRetrieval();
@@ -1,99 +1,138 @@
 const fs = require('fs');
 const path = require('path');
+const { EMAIL_PATTERN, PHONE_PATTERN } = require('./redaction');
+const { openStore } = require('./local-store');
+const memoryRetrieval = require('./memory-retrieval');
+
+// Long-term memory: the last conversations and a profile of the user built from them, kept in the
+// `memory` store (see local-store.js). Conversations are indexed by timestamp and topic. A prompt
+// gets the conversations and profile facts closest to its query (see recall and memory-retrieval.js).
+
+const MAX_CONVERSATIONS = 100; // Keep last 100 conversations
+const RECALLED_CONVERSATIONS = 3;
+const RECALLED_FACTS = 5;
+
+// Rough topics for the topic index, picked by keyword; a message matching none is 'general'
+const TOPIC_KEYWORDS = {
+  coding: ['code', 'function', 'bug', 'error', 'javascript', 'python', 'java', 'react', 'api', 'compile', 'git', 'sql', 'debug'],
+  math: ['math', 'equation', 'integral', 'derivative', 'calculus', 'algebra', 'proof', 'matrix', 'probability', 'statistics'],
+  finance: ['finance', 'investment', 'stock', 'valuation', 'private equity', 'investment banking', 'dcf', 'accounting', 'portfolio'],
+  career: ['resume', 'interview', 'internship', 'job', 'cover letter', 'linkedin', 'recruiter', 'career', 'application'],
+  writing: ['essay', 'paragraph', 'grammar', 'draft', 'rewrite', 'proofread', 'email'],
+  research: ['research', 'paper', 'article', 'citation', 'study', 'literature'],
+  music: ['spotify', 'song', 'playlist', 'album', 'music']
+};
+
+function topicOf(text = '') {
+  const lowerText = text.toLowerCase();
+  let best = { topic: 'general', score: 0 };
+  for (const [topic, keywords] of Object.entries(TOPIC_KEYWORDS)) {
+    const score = keywords.filter(keyword => new RegExp(`\\b${keyword}\\b`).test(lowerText)).length;
+    if (score > best.score) best = { topic, score };
+  }
+  return best.topic;
+}
+
+function defaultUserProfile() {
+  return {
+    personal: {
+      name: null,
+      email: null,
+      phone: null,
+      location: null,
+      age: null
+    },
+    professional: {
+      currentRole: null,
+      company: null,
+      industry: null,
+      yearsOfExperience: null,
+      education: null,
+      certifications: []
+    },
+    skills: [],
+    experiences: [],
+    preferences: {
+      learningStyle: 'balanced',
+      communicationStyle: 'professional',
+      preferredTopics: [],
+      avoidTopics: []
+    },
+    patterns: {
+      frequentlyUsedApps: [],
+      commonTasks: [],
+      workSchedule: null,
+      timezone: null
+    },
+    metadata: {
+      totalInteractions: 0,
+      firstInteraction: new Date().toISOString(),
+      lastInteraction: new Date().toISOString(),
+      profileConfidence: 0.0,
+      lastUpdated: new Date().toISOString()
+    }
+  };
+}
+
+// conversation-history.json and user-memory.json next to server.js, where memory was kept before
+function readLegacyFile(name) {
+  const file = path.join(__dirname, '../..', name);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`[MEMORY] Could not import ${file}:`, error.message);
+    return null;
+  }
+}
+
+const MIGRATIONS = [
+  // 1: import the legacy files; they are left in place
+  (tx) => {
+    const history = readLegacyFile('conversation-history.json');
+    if (Array.isArray(history)) {
+      history.slice(-MAX_CONVERSATIONS)
+        .filter(conv => conv && conv.timestamp)
+        .forEach(conv => tx.insert('conversations', { ...conv, topic: topicOf(conv.user) }));
+      console.log('[MEMORY] Imported', history.length, 'conversations from conversation-history.json');
+    }
+    const profile = readLegacyFile('user-memory.json');
+    if (profile && profile.personal) {
+      tx.setDoc('profile', { ...defaultUserProfile(), ...profile });
+      console.log('[MEMORY] Imported user profile from user-memory.json');
+    }
+  }
+];
 
 class MemorySystem {
   constructor() {
-    this.conversationFile = path.join(__dirname, '../../conversation-history.json');
-    this.userProfileFile = path.join(__dirname, '../../user-memory.json');
-    this.conversationHistory = this.loadConversationHistory();
-    this.userProfile = this.loadUserProfile();
-    this.maxHistoryLength = 100; // Keep last 100 conversations
+    this.store = openStore('memory', {
+      migrations: MIGRATIONS,
+      collections: {
+        conversations: { indexes: ['timestamp', 'topic'], max: MAX_CONVERSATIONS }
+      },
+      docs: { profile: defaultUserProfile }
+    });
+    this.userProfile = structuredClone(this.store.doc('profile'));
+    this.maxHistoryLength = MAX_CONVERSATIONS;
+    console.log('[MEMORY] Loaded', this.conversationHistory.length, 'conversations and the user profile');
     
     // Analyze all conversation history to build comprehensive user profile
     this.analyzeConversationHistory();
   }
 
-  loadConversationHistory() {
-    try {
-      if (fs.existsSync(this.conversationFile)) {
-        const data = fs.readFileSync(this.conversationFile, 'utf8');
-        const parsed = JSON.parse(data);
-        console.log('[MEMORY] Loaded conversation history:', parsed.length, 'conversations');
-        return Array.isArray(parsed) ? parsed : [];
-      }
-    } catch (error) {
-      console.error('[MEMORY] Error loading conversation history:', error);
-    }
-    console.log('[MEMORY] No existing conversation history found, starting fresh');
-    return [];
+  static topicOf(text) {
+    return topicOf(text);
   }
 
-  loadUserProfile() {
-    try {
-      if (fs.existsSync(this.userProfileFile)) {
-        const data = fs.readFileSync(this.userProfileFile, 'utf8');
-        const profile = JSON.parse(data);
-        console.log('[MEMORY] Loaded user profile');
-        return profile;
-      }
-    } catch (error) {
-      console.error('[MEMORY] Error loading user profile:', error);
-    }
-    
-    // Return default profile structure
-    return {
-      personal: {
-        name: null,
-        email: null,
-        phone: null,
-        location: null,
-        age: null
-      },
-      professional: {
-        currentRole: null,
-        company: null,
-        industry: null,
-        yearsOfExperience: null,
-        education: null,
-        certifications: []
-      },
-      skills: [],
-      experiences: [],
-      preferences: {
-        learningStyle: 'balanced',
-        communicationStyle: 'professional',
-        preferredTopics: [],
-        avoidTopics: []
-      },
-      patterns: {
-        frequentlyUsedApps: [],
-        commonTasks: [],
-        workSchedule: null,
-        timezone: null
-      },
-      metadata: {
-        totalInteractions: 0,
-        firstInteraction: new Date().toISOString(),
-        lastInteraction: new Date().toISOString(),
-        profileConfidence: 0.0,
-        lastUpdated: new Date().toISOString()
-      }
-    };
-  }
-
-  saveConversationHistory() {
-    try {
-      fs.writeFileSync(this.conversationFile, JSON.stringify(this.conversationHistory, null, 2));
-      console.log('[MEMORY] Saved conversation history successfully');
-    } catch (error) {
-      console.error('[MEMORY] Error saving conversation history:', error);
-    }
+  // oldest first; read-only, changes go through the store
+  get conversationHistory() {
+    return this.store.all('conversations');
   }
 
   saveUserProfile() {
     try {
       this.userProfile.metadata.lastUpdated = new Date().toISOString();
-      fs.writeFileSync(this.userProfileFile, JSON.stringify(this.userProfile, null, 2));
+      this.store.transaction(tx => tx.setDoc('profile', this.userProfile));
       console.log('[MEMORY] Saved user profile successfully');
     } catch (error) {
       console.error('[MEMORY] Error saving user profile:', error);
@@ -117,16 +156,14 @@ class MemorySystem {
       }
     });
 
-    // Extract email patterns
-    const emailPattern = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/gi;
-    const emailMatches = text.matchAll(emailPattern);
+    // Extract email patterns (shared with capture redaction)
+    const emailMatches = text.matchAll(EMAIL_PATTERN);
     for (const match of emailMatches) {
       facts.push({ type: 'email', value: match[1], confidence: 0.95 });
     }
 
     // Extract phone patterns
-    const phonePattern = /(\+?1?[-.\s]?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4})/gi;
-    const phoneMatches = text.matchAll(phonePattern);
+    const phoneMatches = text.matchAll(PHONE_PATTERN);
     for (const match of phoneMatches) {
       facts.push({ type: 'phone', value: match[1], confidence: 0.8 });
     }
@@ -328,18 +365,18 @@ class MemorySystem {
 
     const conversation = {
       timestamp: new Date().toISOString(),
+      topic: topicOf(userMessage),
       user: userMessage,
       ai: aiResponse
     };
 
-    this.conversationHistory.push(conversation);
-
-    // Keep only the last maxHistoryLength conversations
-    if (this.conversationHistory.length > this.maxHistoryLength) {
-      this.conversationHistory = this.conversationHistory.slice(-this.maxHistoryLength);
+    // The store keeps only the last maxHistoryLength conversations
+    try {
+      this.store.transaction(tx => tx.insert('conversations', conversation));
+    } catch (error) {
+      console.error('[MEMORY] Error saving conversation history:', error);
+      return;
     }
-
-    this.saveConversationHistory();
     console.log('[MEMORY] Added conversation to history. Total conversations:', this.conversationHistory.length);
   }
 
@@ -369,61 +406,115 @@ class MemorySystem {
     this.saveUserProfile();
   }
 
-  // Generate comprehensive memory context
-  generateMemoryContext(query = '') {
+  // Profile facts retrieval can pick from, one per education, role, skill, experience and so on
+  profileFacts() {
+    const { professional, skills, experiences, preferences } = this.userProfile;
+    const facts = [];
+    const add = (label, value) => {
+      if (value) facts.push({ label, value: String(value), text: `${label}: ${value}` });
+    };
+    add('Education', professional.education);
+    add('GPA', professional.gpa);
+    add('Current Role', professional.currentRole);
+    add('Company', professional.company);
+    add('Years of Experience', professional.yearsOfExperience);
+    skills.forEach(skill => add('Skills', skill));
+    experiences.forEach(experience => add('Key Experiences', experience));
+    (preferences.careerInterests || []).forEach(interest => add('Career Interests', interest));
+    return facts;
+  }
+
+  // The conversations and profile facts closest to the query (see memory-retrieval.js), or the latest
+  // conversations and the whole profile when there is no query or retrieval fails
+  async recallItems(query) {
+    const conversations = this.conversationHistory.filter(conv => conv.user && conv.ai);
+    const facts = this.profileFacts();
+    if (query && query.trim()) {
+      try {
+        const ranked = await memoryRetrieval.rank(query, {
+          conversations: {
+            // matched on what the prompt would quote, so a long answer doesn't drown the question
+            items: conversations.map(conv => ({ conv, text: `${conv.user}\n${conv.ai.substring(0, 200)}` })),
+            limit: RECALLED_CONVERSATIONS
+          },
+          facts: { items: facts, limit: RECALLED_FACTS }
+        });
+        return {
+          method: ranked.method,
+          // oldest first, like the history itself
+          conversations: ranked.conversations
+            .map(({ item, score }) => ({ conv: item.conv, score }))
+            .sort((a, b) => a.conv.timestamp.localeCompare(b.conv.timestamp)),
+          facts: ranked.facts.map(({ item, score }) => ({ fact: item, score }))
+        };
+      } catch (error) {
+        console.error('[MEMORY] Retrieval failed, using the latest conversations:', error.message);
+      }
+    }
+    return {
+      method: 'recent',
+      conversations: conversations.slice(-RECALLED_CONVERSATIONS).map(conv => ({ conv, score: null })),
+      facts: facts.map(fact => ({ fact, score: null }))
+    };
+  }
+
+  /**
+   * Memory context for a query, with what it was built from. Resolves with `{ context, method, items }`,
+   * `items` being `{ type: 'conversation', id, timestamp, topic, text, score }` and
+   * `{ type: 'fact', text, score }` (score null when not ranked), for the response metadata.
+   */
+  async recall(query = '') {
+    const recalled = await this.recallItems(query);
     let context = '';
 
-    // Add user profile information
+    // Add user profile information: the name and learning style always, other facts when relevant
     if (this.userProfile.personal.name) {
       context += `🧠 USER PROFILE:\n`;
       context += `Name: ${this.userProfile.personal.name}\n`;
-      
-      if (this.userProfile.professional.education) {
-        context += `Education: ${this.userProfile.professional.education}\n`;
-      }
-      if (this.userProfile.professional.gpa) {
-        context += `GPA: ${this.userProfile.professional.gpa}\n`;
-      }
-      if (this.userProfile.professional.currentRole) {
-        context += `Current Role: ${this.userProfile.professional.currentRole}\n`;
-      }
-      if (this.userProfile.professional.company) {
-        context += `Company: ${this.userProfile.professional.company}\n`;
-      }
-      if (this.userProfile.professional.yearsOfExperience) {
-        context += `Years of Experience: ${this.userProfile.professional.yearsOfExperience}\n`;
-      }
-      if (this.userProfile.skills.length > 0) {
-        context += `Skills: ${this.userProfile.skills.join(', ')}\n`;
-      }
-      if (this.userProfile.experiences.length > 0) {
-        context += `Key Experiences: ${this.userProfile.experiences.slice(0, 3).join('; ')}\n`;
-      }
-      if (this.userProfile.preferences.careerInterests && this.userProfile.preferences.careerInterests.length > 0) {
-        context += `Career Interests: ${this.userProfile.preferences.careerInterests.join(', ')}\n`;
-      }
+
+      const byLabel = new Map();
+      recalled.facts.forEach(({ fact }) => {
+        byLabel.set(fact.label, [...(byLabel.get(fact.label) || []), fact.value]);
+      });
+      byLabel.forEach((values, label) => {
+        context += `${label}: ${values.join(label === 'Key Experiences' ? '; ' : ', ')}\n`;
+      });
       context += `Learning Style: ${this.userProfile.preferences.learningStyle}\n`;
       context += `Total Interactions: ${this.userProfile.metadata.totalInteractions}\n\n`;
     }
 
-    // Add recent conversation history
-    if (this.conversationHistory.length > 0) {
-      const recentConversations = this.conversationHistory.slice(-3);
-      context += `📝 RECENT CONVERSATION HISTORY:\n\n`;
-      
-      recentConversations.forEach((conv, index) => {
-        if (conv.user && conv.ai) {
-          context += `Conversation ${index + 1}:\n`;
-          context += `User: ${conv.user.substring(0, 150)}${conv.user.length > 150 ? '...' : ''}\n`;
-          context += `AI: ${conv.ai.substring(0, 200)}${conv.ai.length > 200 ? '...' : ''}\n\n`;
-        }
+    if (recalled.conversations.length > 0) {
+      context += recalled.method === 'recent'
+        ? `📝 RECENT CONVERSATION HISTORY:\n\n`
+        : `📝 RELEVANT PAST CONVERSATIONS:\n\n`;
+
+      recalled.conversations.forEach(({ conv }, index) => {
+        context += `Conversation ${index + 1} (${conv.timestamp.slice(0, 10)}):\n`;
+        context += `User: ${conv.user.substring(0, 150)}${conv.user.length > 150 ? '...' : ''}\n`;
+        context += `AI: ${conv.ai.substring(0, 200)}${conv.ai.length > 200 ? '...' : ''}\n\n`;
       });
     }
 
     context += `🎯 INSTRUCTIONS: Use this user profile and conversation history to provide highly personalized responses. Reference the user's name, background, skills, and previous conversations when relevant. Tailor your communication style to their learning preferences and professional context.\n\n`;
-    
-    console.log('[MEMORY] Generated comprehensive context with user profile and conversation history');
-    return context;
+
+    const items = [
+      ...recalled.conversations.map(({ conv, score }) => ({
+        type: 'conversation',
+        id: conv.id,
+        timestamp: conv.timestamp,
+        topic: conv.topic,
+        text: conv.user.substring(0, 150),
+        score
+      })),
+      ...(this.userProfile.personal.name ? recalled.facts : []).map(({ fact, score }) => ({ type: 'fact', text: fact.text, score }))
+    ];
+    console.log(`[MEMORY] Recalled ${recalled.conversations.length} conversation(s) and ${recalled.facts.length} profile fact(s) (${recalled.method})`);
+    return { context, method: recalled.method, items };
+  }
+
+  // Generate comprehensive memory context
+  async generateMemoryContext(query = '') {
+    return (await this.recall(query)).context;
   }
 
   // Get user profile
@@ -436,10 +527,26 @@ class MemorySystem {
     return this.conversationHistory;
   }
 
+  // Conversations on a topic (see topicOf), oldest first
+  getConversationsByTopic(topic) {
+    return this.store.find('conversations', 'topic', topic);
+  }
+
+  // Conversations between two dates (Date or ISO string, either may be left out), oldest first
+  getConversationsBetween(from, to) {
+    const key = (date) => (date instanceof Date ? date.toISOString() : date);
+    return this.store.range('conversations', 'timestamp', key(from), key(to));
+  }
+
   // Get memory summary for API endpoint
   getMemorySummary() {
+    const topics = {};
+    this.conversationHistory.forEach(conv => {
+      topics[conv.topic] = (topics[conv.topic] || 0) + 1;
+    });
     return {
       totalConversations: this.conversationHistory.length,
+      topics,
       recentConversations: this.conversationHistory.slice(-5),
       userProfile: this.userProfile,
       lastUpdated: this.conversationHistory.length > 0 ? this.conversationHistory[this.conversationHistory.length - 1].timestamp : null
@@ -448,10 +555,11 @@ class MemorySystem {
 
   // Clear all memory
   clearMemory() {
-    this.conversationHistory = [];
-    this.userProfile = this.loadUserProfile(); // Reset to default
-    this.saveConversationHistory();
-    this.saveUserProfile();
+    this.userProfile = defaultUserProfile();
+    this.store.transaction(tx => {
+      tx.clear('conversations');
+      tx.setDoc('profile', this.userProfile);
+    });
     console.log('[MEMORY] All memory cleared');
   }
 
@@ -0,0 +1,166 @@
+// shared OCR: a pool of tesseract.js workers kept alive between captures (starting a recognizer loads
+// the language data, which costs more than reading a screen) and a cache of text layers by image hash,
+// so the same frame is never read twice. used by the main process for the text layer of captures and
+// by the server for the google docs editor.
+//
+// a text layer is `{ hash, text, confidence, wordCount, words: [{ text, confidence, bbox: { x, y, width, height } }], durationMs }`
+// with boxes in pixels of the image that was read.
+//
+// OCR_WORKERS (default 1-2 depending on cores), OCR_LANGUAGE (default eng) and OCR_MODE (see
+// screenTextPlan) tune it.
+
+const crypto = require('crypto');
+const os = require('os');
+
+const CACHE_SIZE = 20;
+// the pool is shut down after this long without a job, to give back its memory (~100 MB a worker)
+const IDLE_SHUTDOWN_MS = 10 * 60 * 1000;
+const MODES = ['auto', 'image', 'text', 'both'];
+// with OCR_MODE=auto, a screen with at least this many words read at MIN_CONFIDENCE or better is
+// sent as text plus a low detail screenshot for the layout
+const TEXT_HEAVY_WORDS = 80;
+const MIN_CONFIDENCE = 75;
+
+function poolSize(env = process.env) {
+  const configured = parseInt(env.OCR_WORKERS, 10);
+  if (configured >= 1) return configured;
+  return Math.max(1, Math.min(2, os.cpus().length - 1));
+}
+
+function ocrMode(env = process.env) {
+  const mode = (env.OCR_MODE || 'auto').toLowerCase();
+  return MODES.includes(mode) ? mode : 'auto';
+}
+
+// the bytes of a data URL or buffer, hashed; two captures of the same frame hash the same
+function imageHash(image) {
+  const data = typeof image === 'string' ? image.slice(image.indexOf(',') + 1) : image;
+  return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+function textLayer(data, hash, durationMs) {
+  const words = (data.words || [])
+    .filter(word => word.text && word.text.trim())
+    .map(word => ({
+      text: word.text,
+      confidence: Math.round(word.confidence),
+      bbox: {
+        x: word.bbox.x0,
+        y: word.bbox.y0,
+        width: word.bbox.x1 - word.bbox.x0,
+        height: word.bbox.y1 - word.bbox.y0
+      }
+    }));
+  return {
+    hash,
+    text: (data.text || '').trim(),
+    confidence: Math.round(data.confidence || 0),
+    wordCount: words.length,
+    words,
+    durationMs
+  };
+}
+
+class OcrService {
+  constructor() {
+    this.scheduler = null;
+    this.starting = null;
+    this.cache = new Map(); // hash -> promise of a text layer, oldest first
+    this.idleTimer = null;
+  }
+
+  async pool() {
+    if (this.scheduler) return this.scheduler;
+    if (!this.starting) {
+      this.starting = this.startPool().finally(() => {
+        this.starting = null;
+      });
+    }
+    return this.starting;
+  }
+
+  async startPool() {
+    // loaded on first use, so processes that never read a screen don't pay for it
+    const Tesseract = require('tesseract.js');
+    const language = process.env.OCR_LANGUAGE || 'eng';
+    const size = poolSize();
+    const scheduler = Tesseract.createScheduler();
+    const workers = await Promise.all(Array.from({ length: size }, () => Tesseract.createWorker(language)));
+    workers.forEach(worker => scheduler.addWorker(worker));
+    console.log(`[OCR] Started ${size} worker(s) for "${language}"`);
+    this.scheduler = scheduler;
+    return scheduler;
+  }
+
+  keepAlive() {
+    clearTimeout(this.idleTimer);
+    this.idleTimer = setTimeout(() => this.shutdown(), IDLE_SHUTDOWN_MS);
+    // an idle pool shouldn't keep a process from exiting
+    if (this.idleTimer.unref) this.idleTimer.unref();
+  }
+
+  async shutdown() {
+    clearTimeout(this.idleTimer);
+    const scheduler = this.scheduler;
+    this.scheduler = null;
+    if (scheduler) {
+      await scheduler.terminate();
+      console.log('[OCR] Worker pool shut down');
+    }
+  }
+
+  /**
+   * How a capture with `layer` (a text layer, or its `{ text, confidence, wordCount }` summary) goes to
+   * the model: `{ image: 'as-is' | 'low' | 'none', text: boolean }`.
+   *   image  the screenshot only (the default without usable text)
+   *   both   the screenshot and the text
+   *   text   the text instead of the screenshot
+   *   auto   text-heavy screens as text plus a low detail screenshot, the rest as screenshots
+   */
+  screenTextPlan(layer, mode = ocrMode()) {
+    const usable = layer && layer.text && layer.confidence >= MIN_CONFIDENCE;
+    if (!usable || mode === 'image') return { image: 'as-is', text: false };
+    if (mode === 'both') return { image: 'as-is', text: true };
+    if (mode === 'text') return { image: 'none', text: true };
+    return layer.wordCount >= TEXT_HEAVY_WORDS
+      ? { image: 'low', text: true }
+      : { image: 'as-is', text: false };
+  }
+
+  /**
+   * Reads `image` (a data URL or an encoded image buffer) and resolves with its text layer.
+   * Results are cached by image hash; a read already in flight for the same image is shared.
+   */
+  recognize(image) {
+    const hash = imageHash(image);
+    const cached = this.cache.get(hash);
+    if (cached) {
+      // most recently used last
+      this.cache.delete(hash);
+      this.cache.set(hash, cached);
+      return cached;
+    }
+
+    const job = this.read(image, hash);
+    this.cache.set(hash, job);
+    while (this.cache.size > CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    // a failed read is retried next time rather than cached
+    job.catch(() => this.cache.delete(hash));
+    return job;
+  }
+
+  async read(image, hash) {
+    const scheduler = await this.pool();
+    this.keepAlive();
+    const started = Date.now();
+    const { data } = await scheduler.addJob('recognize', image, {}, { text: true, blocks: true, hocr: false, tsv: false });
+    this.keepAlive();
+    const layer = textLayer(data, hash, Date.now() - started);
+    console.log(`[OCR] Read ${layer.wordCount} words (${layer.confidence}% confidence) in ${layer.durationMs}ms`);
+    return layer;
+  }
+}
+
+module.exports = new OcrService();
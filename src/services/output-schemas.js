@@ -0,0 +1,119 @@
+// JSON schemas of the structured answers (see structured-output.js). They follow OpenAI's strict mode:
+// every property is listed in `required`, optional ones are nullable, and objects set
+// additionalProperties: false. minItems/maxItems/minLength are checked by the validator but not sent,
+// since not every provider accepts them.
+
+const STEP = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'explanation', 'question', 'hints', 'expectedAnswer'],
+  properties: {
+    title: { type: 'string', minLength: 1, description: 'Short title of the step, without "Step N:"' },
+    explanation: { type: 'string', minLength: 1, description: 'Markdown teaching what to do in this step and why' },
+    question: { type: 'string', minLength: 1, description: 'What the student answers to complete this step' },
+    hints: { type: 'array', maxItems: 3, items: { type: 'string' }, description: 'Hints, from gentle to specific' },
+    expectedAnswer: { type: 'string', description: 'The answer to the step question; hidden until the student has answered' }
+  }
+};
+
+const SCHEMAS = {
+  // active mode quiz tutoring: the question on screen broken into steps
+  'quiz-steps': {
+    type: 'object',
+    additionalProperties: false,
+    required: ['question', 'steps', 'keyStrategy'],
+    properties: {
+      question: { type: 'string', minLength: 1, description: 'The quiz or test question on screen, quoted' },
+      steps: { type: 'array', minItems: 1, maxItems: 10, items: STEP },
+      keyStrategy: { type: 'string', description: 'Markdown summary of the approach for this type of question' }
+    }
+  },
+
+  // feedback on the student's answer to one step, and the step after it
+  'quiz-step': {
+    type: 'object',
+    additionalProperties: false,
+    required: ['correct', 'feedback', 'done', 'nextStep', 'summary'],
+    properties: {
+      correct: { type: 'boolean', description: 'Whether the answer to this step is right' },
+      feedback: { type: 'string', minLength: 1, description: 'Markdown feedback on the answer, 2-4 sentences' },
+      done: { type: 'boolean', description: 'True when the question is solved and there is no next step' },
+      nextStep: { anyOf: [STEP, { type: 'null' }] },
+      summary: { type: ['string', 'null'], description: 'Markdown wrap-up when done, otherwise null' }
+    }
+  },
+
+  // conversational tutoring reply
+  'tutoring-feedback': {
+    type: 'object',
+    additionalProperties: false,
+    required: ['correct', 'feedback', 'misconception', 'followUpQuestion'],
+    properties: {
+      correct: { type: ['boolean', 'null'], description: 'Whether the student\'s reasoning is right; null when there is nothing to judge' },
+      feedback: { type: 'string', minLength: 1, description: 'Markdown reply acknowledging and assessing their thinking, 1-2 paragraphs' },
+      misconception: { type: ['string', 'null'], description: 'The misconception to correct, if any' },
+      followUpQuestion: { type: 'string', minLength: 1, description: 'One question that moves them to the next step' }
+    }
+  },
+
+  // whether an active mode query is about a quiz question, for screens without text to tell by
+  'screen-kind': {
+    type: 'object',
+    additionalProperties: false,
+    required: ['kind'],
+    properties: {
+      kind: { type: 'string', enum: ['quiz', 'other'], description: 'quiz when the screen shows a question for the user to answer' }
+    }
+  },
+
+  // study notes about the screen
+  notes: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['hasContent', 'title', 'summary', 'sections'],
+    properties: {
+      hasContent: { type: 'boolean', description: 'False when the screen has no substantial content to take notes on' },
+      title: { type: 'string', description: 'Title of the notes' },
+      summary: { type: 'string', description: 'Two or three sentence overview' },
+      sections: {
+        type: 'array',
+        maxItems: 12,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['heading', 'points'],
+          properties: {
+            heading: { type: 'string', minLength: 1 },
+            points: { type: 'array', minItems: 1, items: { type: 'string' }, description: 'Key points, one sentence each' }
+          }
+        }
+      }
+    }
+  }
+};
+
+// markdown for the structured answers, in the layout the chat clients already split into cards
+// ("**Step N: Title**" headers, the "📝 Your Response (Required):" answer box)
+function stepMarkdown(step, number) {
+  const hints = step.hints.length > 0 ? `\n\n${step.hints.map(hint => `💡 ${hint}`).join('\n')}` : '';
+  return `**Step ${number}: ${step.title}**\n${step.explanation}\n\n**Question:** ${step.question}${hints}\n\n📝 Your Response (Required):`;
+}
+
+function quizMarkdown(quiz) {
+  const steps = quiz.steps.map((step, index) => stepMarkdown(step, index + 1)).join('\n\n');
+  const strategy = quiz.keyStrategy ? `\n\n**Key Strategy**\n${quiz.keyStrategy}` : '';
+  return `**Question**\n${quiz.question}\n\n${steps}${strategy}`;
+}
+
+// plain text, since notes are pasted into apps that don't read markdown
+function notesText(notes) {
+  const sections = notes.sections.map(section => `${section.heading}\n${section.points.map(point => `• ${point}`).join('\n')}`);
+  return [notes.title, notes.summary, ...sections].filter(Boolean).join('\n\n').trim();
+}
+
+module.exports = {
+  SCHEMAS,
+  stepMarkdown,
+  quizMarkdown,
+  notesText
+};
@@ -0,0 +1,108 @@
+const { screen } = require('electron');
+
+// keeps the overlay window covering one display's work area: the display under the mouse ("follow",
+// the default) or one the user pinned it to. in follow mode the cursor is checked every FOLLOW_INTERVAL
+// and the overlay moves once the cursor has stayed on another display for FOLLOW_DWELL checks, so
+// brushing past a screen edge doesn't throw the sidebar across
+const FOLLOW_INTERVAL = 400;
+const FOLLOW_DWELL = 2;
+
+class OverlayPlacement {
+  constructor() {
+    this.window = null;
+    this.mode = 'follow'; // or a display id
+    this.displayId = null;
+    this.pendingDisplayId = null;
+    this.pendingChecks = 0;
+    this.timer = null;
+  }
+
+  attach(window) {
+    this.window = window;
+    this.moveTo(this.targetDisplay());
+    this.timer = setInterval(() => this.follow(), FOLLOW_INTERVAL);
+    window.on('closed', () => this.detach());
+
+    // a pinned display that goes away, or a resolution change, needs new bounds
+    screen.on('display-removed', () => this.refresh());
+    screen.on('display-metrics-changed', () => this.refresh());
+  }
+
+  detach() {
+    clearInterval(this.timer);
+    this.timer = null;
+    this.window = null;
+  }
+
+  isAttached() {
+    return !!this.window && !this.window.isDestroyed();
+  }
+
+  cursorDisplay() {
+    return screen.getDisplayNearestPoint(screen.getCursorScreenPoint());
+  }
+
+  // where the overlay belongs in the current mode; a pinned display that was unplugged counts as follow
+  targetDisplay() {
+    const displays = screen.getAllDisplays();
+    const pinned = this.mode !== 'follow' && displays.find(display => display.id === this.mode);
+    if (pinned) return pinned;
+    // following: stay put until follow() sees the cursor settle elsewhere
+    return displays.find(display => display.id === this.displayId) || this.cursorDisplay();
+  }
+
+  moveTo(display) {
+    if (!this.isAttached()) return;
+    const { x, y, width, height } = display.workArea || display.bounds;
+    this.displayId = display.id;
+    const current = this.window.getBounds();
+    if (current.x === x && current.y === y && current.width === width && current.height === height) return;
+    this.window.setBounds({ x, y, width, height });
+    console.log(`Overlay placed on display ${display.id} (${width}x${height} at ${x},${y})`);
+  }
+
+  // back to the right bounds, e.g. after something moved the window
+  refresh() {
+    this.moveTo(this.targetDisplay());
+  }
+
+  follow() {
+    if (this.mode !== 'follow' || !this.isAttached() || !this.window.isVisible()) return;
+    const display = this.cursorDisplay();
+    if (display.id === this.displayId) {
+      this.pendingDisplayId = null;
+      return;
+    }
+    if (display.id !== this.pendingDisplayId) {
+      this.pendingDisplayId = display.id;
+      this.pendingChecks = 0;
+    }
+    if (++this.pendingChecks >= FOLLOW_DWELL) {
+      this.pendingDisplayId = null;
+      this.moveTo(display);
+    }
+  }
+
+  // 'follow' or a display id
+  setMode(mode) {
+    if (mode !== 'follow' && !screen.getAllDisplays().some(display => display.id === mode)) {
+      throw new Error(`Unknown display "${mode}"`);
+    }
+    this.mode = mode;
+    this.refresh();
+    return mode;
+  }
+
+  // pins the overlay to the next display to the right, wrapping around
+  moveToNext() {
+    const displays = screen.getAllDisplays().slice().sort((a, b) => a.bounds.x - b.bounds.x || a.bounds.y - b.bounds.y);
+    const index = displays.findIndex(display => display.id === this.displayId);
+    return this.setMode(displays[(index + 1) % displays.length].id);
+  }
+
+  describe() {
+    return { mode: this.mode, displayId: this.displayId };
+  }
+}
+
+module.exports = new OverlayPlacement();
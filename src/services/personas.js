@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const { openStore } = require('./local-store');
+
+// Assistant personas: the voice, regular-mode formatting, answer length and temperature of the
+// screen-aware assistant. The wording of each persona lives in src/prompts/partials/persona-<id>.md
+// (voice) and persona-<id>-format.md (regular mode rules), so both can be overridden like any other
+// template. Active mode keeps its section and step structure, which the UI renders as cards; the
+// persona only changes its voice there.
+//
+// The selected persona is saved in the `settings` store (see local-store.js) and applies to every
+// client; /api/ai accepts a `persona` to override it for one request.
+
+// user-settings.json next to server.js (or USER_SETTINGS_PATH), where settings were kept before
+const LEGACY_FILE = process.env.USER_SETTINGS_PATH || path.join(__dirname, '../../user-settings.json');
+const DEFAULT_PERSONA = 'friendly-coach';
+
+const MIGRATIONS = [
+  // 1: import the legacy file; it is left in place
+  (tx) => {
+    try {
+      tx.setDoc('user', { ...tx.doc('user'), ...JSON.parse(fs.readFileSync(LEGACY_FILE, 'utf8')) });
+      console.log('[PERSONA] Imported user settings from', LEGACY_FILE);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('[PERSONA] Could not import user settings:', error.message);
+    }
+  }
+];
+
+// temperature and words per mode; words: null leaves the length to the mode's own instructions
+const PERSONAS = {
+  'friendly-coach': {
+    label: 'Friendly coach',
+    description: 'Warm, encouraging explanations in flowing prose',
+    temperature: { regular: 0.05, active: 0.2 },
+    words: null
+  },
+  'concise-engineer': {
+    label: 'Concise engineer',
+    description: 'Terse technical answers with lists and code blocks',
+    temperature: { regular: 0.1, active: 0.1 },
+    words: { regular: 150, active: 400 }
+  },
+  'socratic-tutor': {
+    label: 'Socratic tutor',
+    description: 'Hints and guiding questions instead of answers',
+    temperature: { regular: 0.4, active: 0.3 },
+    words: { regular: 150, active: 500 }
+  },
+  'formal-editor': {
+    label: 'Formal editor',
+    description: 'Formal, specific edits with the reason for each',
+    temperature: { regular: 0.2, active: 0.2 },
+    words: { regular: 300, active: 700 }
+  }
+};
+
+// rough tokens per English word, with headroom so a length target isn't cut off mid-sentence
+const TOKENS_PER_WORD = 3;
+
+class PersonaSettings {
+  constructor() {
+    this.store = openStore('settings', { migrations: MIGRATIONS, docs: { user: () => ({}) } });
+    this.selected = this.store.doc('user').persona || DEFAULT_PERSONA;
+  }
+
+  list() {
+    return Object.keys(PERSONAS).map(id => ({ ...this.get(id), selected: id === this.selected }));
+  }
+
+  // the persona with its id, or the default one for ids that no longer exist
+  get(id) {
+    if (!PERSONAS[id]) {
+      if (id) console.warn(`[PERSONA] Unknown persona "${id}", using ${DEFAULT_PERSONA}`);
+      id = DEFAULT_PERSONA;
+    }
+    return { id, ...PERSONAS[id] };
+  }
+
+  current() {
+    return this.get(this.selected);
+  }
+
+  // a request's persona, falling back to the saved one
+  resolve(id) {
+    return id ? this.get(id) : this.current();
+  }
+
+  select(id) {
+    if (!PERSONAS[id]) {
+      const error = new Error(`Unknown persona "${id}" (known: ${Object.keys(PERSONAS).join(', ')})`);
+      error.code = 'UNKNOWN_PERSONA';
+      throw error;
+    }
+    // other settings in the document are kept
+    this.store.transaction(tx => tx.setDoc('user', { ...tx.doc('user'), persona: id }));
+    this.selected = id;
+    console.log(`[PERSONA] Selected ${id}`);
+    return this.current();
+  }
+
+  // the `persona` variable of the assistant-system template
+  promptVars(persona, isActiveMode) {
+    return {
+      id: persona.id,
+      voice: `persona-${persona.id}`,
+      format: `persona-${persona.id}-format`,
+      words: persona.words ? persona.words[isActiveMode ? 'active' : 'regular'] : null
+    };
+  }
+
+  temperature(persona, isActiveMode) {
+    return persona.temperature[isActiveMode ? 'active' : 'regular'];
+  }
+
+  // the mode's output limit, lowered to fit the persona's length target
+  outputTokens(persona, isActiveMode, modeDefault) {
+    const words = this.promptVars(persona, isActiveMode).words;
+    return words ? Math.min(modeDefault, words * TOKENS_PER_WORD) : modeDefault;
+  }
+}
+
+module.exports = new PersonaSettings();
@@ -0,0 +1,386 @@
+const fs = require('fs');
+const path = require('path');
+const { prompts } = require('./prompt-templates');
+
+// Prompt regression evals, run by evals/run.js (npm run eval).
+//
+// A suite is a JSON file of cases. Each case is sent to /api/ai exactly like the overlay sends a query
+// (same routing, commands, prompt templates and model calls), with `dryRun` set so memory, the learning
+// persona and desktop automation stay out of it, and the answer is scored against the case's `expect`:
+//
+//   {
+//     "id": "quiz-steps",
+//     "query": "how do I solve this?",
+//     "screenshot": "../screens/quiz-question.png",   // relative to the suite file
+//     "screenText": "Which of these is a prime number? A) 21 B) 23 ...",   // for quotesScreen
+//     "activeMode": true,
+//     "expect": { "route": "understanding", "steps": { "min": 3, "max": 4 }, "noRefusal": true }
+//   }
+//
+// Cases can also set continuationOnly, selectedText, contextTabs, resumeData and persona. Every check in
+// `expect` scores one point; see CHECKS for what each one takes. Running the suite once per prompt
+// version (the built-in templates, or a prompt-overrides directory) gives a report comparing the two.
+
+const CASE_TIMEOUT_MS = 120000;
+
+const IMAGE_TYPES = { '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.webp': 'image/webp', '.gif': 'image/gif' };
+
+const REFUSAL_PHRASES = [
+  "i'm sorry",
+  "i can't assist",
+  'i cannot assist',
+  "i'm unable to",
+  'i cannot see',
+  "i can't see",
+  'could you please provide the text'
+];
+
+const LIST_LINE = /^\s*(?:[-*•+]|\d+[.)])\s+\S/m;
+
+function normalizeWords(text) {
+  return String(text).toLowerCase().replace(/[^\p{L}\p{N}\s]/gu, ' ').split(/\s+/).filter(Boolean);
+}
+
+function wordCount(text) {
+  return normalizeWords(text).length;
+}
+
+const asList = value => (Array.isArray(value) ? value : [value]);
+
+// expect key -> (expected, { text, outcome, testCase }) => { pass, detail }
+const CHECKS = {
+  // the command that answered ("chat" when none matched)
+  route: (expected, { outcome }) => ({
+    pass: outcome.route === expected,
+    detail: `routed to ${outcome.route || 'nothing'}`
+  }),
+
+  // false for answers where the command declined (e.g. "I need to see your screen")
+  success: (expected, { outcome }) => ({
+    pass: outcome.success === expected,
+    detail: `success was ${outcome.success}`
+  }),
+
+  contains: (expected, { text }) => {
+    const missing = asList(expected).filter(phrase => !text.toLowerCase().includes(phrase.toLowerCase()));
+    return { pass: missing.length === 0, detail: missing.length ? `missing ${missing.map(phrase => `"${phrase}"`).join(', ')}` : 'all present' };
+  },
+
+  notContains: (expected, { text }) => {
+    const found = asList(expected).filter(phrase => text.toLowerCase().includes(phrase.toLowerCase()));
+    return { pass: found.length === 0, detail: found.length ? `found ${found.map(phrase => `"${phrase}"`).join(', ')}` : 'none present' };
+  },
+
+  // regular expressions (strings, case-insensitive) that must all match
+  matches: (expected, { text }) => {
+    const failed = asList(expected).filter(pattern => !new RegExp(pattern, 'i').test(text));
+    return { pass: failed.length === 0, detail: failed.length ? `no match for /${failed.join('/, /')}/` : 'all matched' };
+  },
+
+  noRefusal: (expected, { text }) => {
+    const lower = text.toLowerCase();
+    const found = REFUSAL_PHRASES.find(phrase => lower.includes(phrase));
+    return { pass: expected ? !found : !!found, detail: found ? `refused ("${found}")` : 'no refusal' };
+  },
+
+  // "Step 1" .. "Step n" in order; a number for an exact count or { min, max }
+  steps: (expected, { text }) => {
+    const numbers = [...text.matchAll(/\bstep\s+(\d+)\b/gi)].map(match => Number(match[1]));
+    let count = 0;
+    while (numbers.includes(count + 1)) count++;
+    const { min, max } = typeof expected === 'number' ? { min: expected, max: expected } : expected;
+    return {
+      pass: count >= (min ?? 1) && count <= (max ?? Infinity),
+      detail: count ? `steps 1-${count}` : 'no numbered steps'
+    };
+  },
+
+  // bold headers that must appear in this order, e.g. the six Active Understanding sections
+  sections: (expected, { text }) => {
+    let from = 0;
+    for (const header of expected) {
+      const index = text.indexOf(`**${header}**`, from);
+      if (index === -1) {
+        return { pass: false, detail: `missing or out of order: **${header}**` };
+      }
+      from = index + header.length;
+    }
+    return { pass: true, detail: `${expected.length} sections in order` };
+  },
+
+  // regular mode promises flowing prose: no bullet or numbered lines
+  noLists: (expected, { text }) => {
+    const line = text.match(LIST_LINE);
+    return { pass: expected ? !line : !!line, detail: line ? `list line "${line[0].trim().slice(0, 60)}"` : 'no list lines' };
+  },
+
+  // the answer repeats at least `minWords` consecutive words (default 4) of the case's screenText
+  quotesScreen: (expected, { text, testCase }) => {
+    if (!testCase.screenText) {
+      return { pass: false, detail: 'case has no screenText to compare against' };
+    }
+    const minWords = (typeof expected === 'object' && expected.minWords) || 4;
+    const screenWords = normalizeWords(testCase.screenText);
+    const phrases = new Set();
+    for (let i = 0; i + minWords <= screenWords.length; i++) {
+      phrases.add(screenWords.slice(i, i + minWords).join(' '));
+    }
+    const answerWords = normalizeWords(text);
+    for (let i = 0; i + minWords <= answerWords.length; i++) {
+      const phrase = answerWords.slice(i, i + minWords).join(' ');
+      if (phrases.has(phrase)) return { pass: true, detail: `quotes "${phrase}"` };
+    }
+    return { pass: false, detail: `no ${minWords}-word phrase from the screen` };
+  },
+
+  minWords: (expected, { text }) => ({ pass: wordCount(text) >= expected, detail: `${wordCount(text)} words` }),
+
+  maxWords: (expected, { text }) => ({ pass: wordCount(text) <= expected, detail: `${wordCount(text)} words` }),
+
+  // prompt templates the answer must have been built from (see the `prompts` field of done)
+  prompts: (expected, { outcome }) => {
+    const used = outcome.prompts.map(prompt => prompt.name);
+    const missing = asList(expected).filter(name => !used.includes(name));
+    return { pass: missing.length === 0, detail: missing.length ? `did not use ${missing.join(', ')}` : `used ${used.join(', ')}` };
+  }
+};
+
+function loadSuite(file) {
+  const suitePath = path.resolve(file);
+  const suite = JSON.parse(fs.readFileSync(suitePath, 'utf8'));
+  if (!Array.isArray(suite.cases) || suite.cases.length === 0) {
+    throw new Error(`${file} has no cases`);
+  }
+
+  const ids = new Set();
+  const cases = suite.cases.map((testCase, index) => {
+    const id = testCase.id || `case-${index + 1}`;
+    if (ids.has(id)) throw new Error(`${file}: duplicate case id "${id}"`);
+    ids.add(id);
+    if (!testCase.query && !testCase.continuationOnly) throw new Error(`${file}: case "${id}" needs a query`);
+    const unknown = Object.keys(testCase.expect || {}).filter(check => !CHECKS[check]);
+    if (unknown.length > 0) {
+      throw new Error(`${file}: case "${id}" uses unknown checks ${unknown.join(', ')} (known: ${Object.keys(CHECKS).join(', ')})`);
+    }
+    return {
+      ...testCase,
+      id,
+      expect: testCase.expect || {},
+      screenshot: testCase.screenshot ? path.resolve(path.dirname(suitePath), testCase.screenshot) : null
+    };
+  });
+
+  return { name: suite.name || path.basename(file, '.json'), description: suite.description || '', file: suitePath, cases };
+}
+
+function screenshotDataURL(file) {
+  const type = IMAGE_TYPES[path.extname(file).toLowerCase()];
+  if (!type) throw new Error(`Unsupported screenshot type ${path.extname(file)} (use png, jpg, webp or gif)`);
+  return `data:${type};base64,${fs.readFileSync(file).toString('base64')}`;
+}
+
+// reads an /api/ai event stream into { text, route, prompts, success, error }
+async function readEvents(response) {
+  const outcome = { text: '', route: null, prompts: [], success: true, error: null };
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handle = (frame) => {
+    let type = 'message';
+    let data = '';
+    for (const line of frame.split('\n')) {
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+    if (!data) return;
+    const payload = JSON.parse(data);
+    if (type === 'route') outcome.route = payload.command;
+    else if (type === 'token') outcome.text += payload.content || '';
+    else if (type === 'error') outcome.error = payload.message;
+    else if (type === 'done') {
+      outcome.prompts = payload.prompts || [];
+      if (payload.success === false) outcome.success = false;
+    }
+  };
+
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let end;
+    while ((end = buffer.indexOf('\n\n')) !== -1) {
+      handle(buffer.slice(0, end));
+      buffer = buffer.slice(end + 2);
+    }
+  }
+  if (buffer.trim()) handle(buffer);
+  if (outcome.error) outcome.success = false;
+  return outcome;
+}
+
+async function runCase(baseURL, testCase) {
+  const startedAt = Date.now();
+  if (testCase.screenshot && !fs.existsSync(testCase.screenshot)) {
+    return { skipped: `screenshot ${path.relative(process.cwd(), testCase.screenshot)} not found` };
+  }
+
+  const body = {
+    query: testCase.query || '',
+    isActiveMode: !!testCase.activeMode,
+    continuationOnly: !!testCase.continuationOnly,
+    selectedText: testCase.selectedText,
+    contextTabs: testCase.contextTabs,
+    resumeData: testCase.resumeData,
+    persona: testCase.persona,
+    screenCapture: testCase.screenshot ? screenshotDataURL(testCase.screenshot) : null,
+    dryRun: true
+  };
+
+  try {
+    const response = await fetch(`${baseURL}/api/ai`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(CASE_TIMEOUT_MS)
+    });
+    return { ...(await readEvents(response)), durationMs: Date.now() - startedAt };
+  } catch (error) {
+    return { text: '', route: null, prompts: [], success: false, error: error.message, durationMs: Date.now() - startedAt };
+  }
+}
+
+function scoreCase(testCase, outcome) {
+  // a run that failed has no answer to score, and empty text would pass the checks that only rule
+  // things out (noRefusal, notContains, maxWords, ...), so every check fails instead
+  if (outcome.error) {
+    const checks = Object.keys(testCase.expect).map(name => ({ name, pass: false, detail: 'not checked, the run errored' }));
+    return { checks, passed: 0, total: checks.length, errored: true };
+  }
+  const checks = Object.entries(testCase.expect).map(([name, expected]) => {
+    try {
+      return { name, ...CHECKS[name](expected, { text: outcome.text, outcome, testCase }) };
+    } catch (error) {
+      return { name, pass: false, detail: `check failed: ${error.message}` };
+    }
+  });
+  const passed = checks.filter(check => check.pass).length;
+  return { checks, passed, total: checks.length };
+}
+
+/**
+ * Runs every case of `suite` against the server at `baseURL` with the prompt templates of `variant`
+ * ({ label, overrides }: overrides is a prompt-overrides directory, or null for the built-in ones).
+ * Each case runs `repeat` times, since one sample says little about a nondeterministic model.
+ */
+async function runVariant(baseURL, suite, variant, { repeat = 1, onCase } = {}) {
+  prompts.useOverrides(variant.overrides);
+  const cases = [];
+
+  for (const testCase of suite.cases) {
+    const runs = [];
+    for (let run = 0; run < repeat; run++) {
+      const outcome = await runCase(baseURL, testCase);
+      if (outcome.skipped) {
+        runs.push({ skipped: outcome.skipped });
+        break;
+      }
+      runs.push({ ...outcome, ...scoreCase(testCase, outcome) });
+    }
+
+    const scored = runs.filter(run => !run.skipped);
+    const entry = {
+      id: testCase.id,
+      skipped: scored.length === 0 ? runs[0].skipped : undefined,
+      errored: scored.filter(run => run.errored).length,
+      passed: scored.reduce((sum, run) => sum + run.passed, 0),
+      total: scored.reduce((sum, run) => sum + run.total, 0),
+      runs
+    };
+    entry.score = entry.total ? entry.passed / entry.total : null;
+    cases.push(entry);
+    onCase?.(variant, entry);
+  }
+
+  const passed = cases.reduce((sum, entry) => sum + entry.passed, 0);
+  const total = cases.reduce((sum, entry) => sum + entry.total, 0);
+  const errored = cases.filter(entry => entry.errored > 0).map(entry => entry.id);
+  return { ...variant, cases, passed, total, errored, score: total ? passed / total : null };
+}
+
+// per-case score changes from baseline to candidate; skipped cases are left out of both. a case the
+// candidate errored on is a regression even if the baseline errored too, as nothing was compared
+function compareVariants(baseline, candidate) {
+  const changes = baseline.cases.map((before, index) => {
+    const after = candidate.cases[index];
+    const comparable = before.score !== null && after.score !== null;
+    return {
+      id: before.id,
+      before: before.score,
+      after: after.score,
+      delta: comparable ? after.score - before.score : null,
+      errored: after.errored > 0
+    };
+  });
+  return {
+    regressions: changes.filter(change => change.delta < 0 || change.errored),
+    improvements: changes.filter(change => change.delta > 0),
+    delta: baseline.score !== null && candidate.score !== null ? candidate.score - baseline.score : null
+  };
+}
+
+const percent = score => (score === null ? '  -  ' : `${Math.round(score * 100)}%`.padStart(5));
+
+// plain-text report for the terminal
+function formatReport(report) {
+  const { suite, variants, comparison } = report;
+  const width = Math.max(12, ...suite.cases.map(testCase => testCase.id.length)) + 2;
+  const columns = variants.map(variant => Math.max(variant.label.length, 9) + 2);
+  const row = (label, cells) => label.padEnd(width) + cells.map((cell, index) => String(cell).padEnd(columns[index])).join('');
+
+  const lines = [
+    `${suite.name}: ${suite.cases.length} cases x ${report.repeat} run${report.repeat === 1 ? '' : 's'}, ${report.model}`,
+    '',
+    row('case', variants.map(variant => variant.label))
+  ];
+  suite.cases.forEach((testCase, index) => {
+    lines.push(row(testCase.id, variants.map(variant => {
+      const entry = variant.cases[index];
+      if (entry.skipped) return 'skipped';
+      return `${entry.passed}/${entry.total} ${percent(entry.score).trim()}${entry.errored ? ' errored' : ''}`;
+    })));
+  });
+  lines.push(row('total', variants.map(variant => `${variant.passed}/${variant.total} ${percent(variant.score).trim()}`)));
+
+  // what failed, so a regression can be read without opening the json
+  for (const variant of variants) {
+    const failures = variant.cases.flatMap(entry => entry.runs
+      .filter(run => !run.skipped)
+      .flatMap((run, runIndex) => [
+        ...(run.error ? [`  ${entry.id}${report.repeat > 1 ? ` #${runIndex + 1}` : ''}: error: ${run.error}`] : []),
+        ...run.checks.filter(check => !check.pass)
+          .map(check => `  ${entry.id}${report.repeat > 1 ? ` #${runIndex + 1}` : ''}: ${check.name} - ${check.detail}`)
+      ]));
+    const skipped = variant.cases.filter(entry => entry.skipped).map(entry => `  ${entry.id}: ${entry.skipped}`);
+    if (failures.length || skipped.length) {
+      lines.push('', `${variant.label}:`, ...failures, ...skipped);
+    }
+  }
+
+  if (comparison) {
+    lines.push('');
+    if (comparison.delta !== null) {
+      const points = Math.round(comparison.delta * 100);
+      lines.push(`${variants[1].label} vs ${variants[0].label}: ${points > 0 ? '+' : ''}${points} points`);
+    }
+    comparison.regressions.forEach(change => lines.push(`  worse  ${change.id}: ${percent(change.before).trim()} -> ${percent(change.after).trim()}${change.errored ? ' (errored)' : ''}`));
+    comparison.improvements.forEach(change => lines.push(`  better ${change.id}: ${percent(change.before).trim()} -> ${percent(change.after).trim()}`));
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  CHECKS,
+  loadSuite,
+  runVariant,
+  compareVariants,
+  formatReport
+};
@@ -0,0 +1,259 @@
+const fs = require('fs');
+const path = require('path');
+
+// Prompt templates: the wording of every system and user prompt lives in src/prompts/*.md instead of
+// in the code that sends it, so it can be tuned per use case without touching the server.
+//
+// Each template is a markdown file whose name (without .md) is the template name, with front matter:
+//
+//   ---
+//   version: 3
+//   description: what the prompt is for
+//   ---
+//   You are writing a cover letter for {{resume.name}}...
+//
+// Syntax:
+//   {{name}} / {{job.title}}          a variable; arrays are joined with ", ", objects printed as JSON
+//   {{name || "fallback"}}            the fallback when the variable is empty
+//   {{> partial}}                     another template rendered with the same variables
+//   {{> (name)}}                      the template named by a variable (e.g. the persona's voice)
+//   {{#if name}}...{{else}}...{{/if}} a block kept only when the variable is set (else is optional)
+//
+// Files under src/prompts/partials are shared blocks ("never refuse", "you can see the screen") meant
+// for {{> ...}}; they share one namespace with the rest. A file with the same name in prompt-overrides/
+// (or PROMPT_OVERRIDES_DIR), flat or under partials/, replaces the built-in one. Files are re-read when
+// they change, so edits apply to the next request. Every render reports the template's name, version and
+// source (builtin/override), which ends up in the usage log and the `done` event of /api/ai.
+
+const BUILTIN_DIR = path.join(__dirname, '../prompts');
+const OVERRIDE_DIR = process.env.PROMPT_OVERRIDES_DIR || path.join(__dirname, '../../prompt-overrides');
+
+const TAG_PATTERN = /\{\{\s*(#if\s+[\w.]+|else|\/if|>\s*(?:[\w-]+|\(\s*[\w.]+\s*\))|[\w.]+(?:\s*\|\|\s*"[^"]*")?)\s*\}\}/g;
+// block tags alone on their line take the line with them
+const STANDALONE_PATTERN = /^[ \t]*(\{\{\s*(?:#if\s+[\w.]+|else|\/if)\s*\}\})[ \t]*\r?\n/gm;
+const MAX_DEPTH = 10;
+
+function parseFrontMatter(source) {
+  const match = source.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?/);
+  if (!match) return { meta: {}, body: source };
+  const meta = {};
+  for (const line of match[1].split(/\r?\n/)) {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      meta[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  }
+  return { meta, body: source.slice(match[0].length) };
+}
+
+// template text -> tree of { text } / { variable, fallback } / { partial } / { condition, then, otherwise }
+function parse(body, name) {
+  const root = [];
+  const stack = [{ nodes: root }];
+  const source = body.replace(STANDALONE_PATTERN, '$1');
+  let last = 0;
+
+  for (const match of source.matchAll(TAG_PATTERN)) {
+    const current = stack[stack.length - 1];
+    if (match.index > last) current.nodes.push({ text: source.slice(last, match.index) });
+    last = match.index + match[0].length;
+
+    const tag = match[1];
+    if (tag.startsWith('#if')) {
+      const block = { condition: tag.slice(3).trim(), then: [], otherwise: [] };
+      current.nodes.push(block);
+      stack.push({ block, nodes: block.then });
+    } else if (tag === 'else') {
+      if (!current.block) throw new Error(`{{else}} outside {{#if}} in prompt template "${name}"`);
+      current.nodes = current.block.otherwise;
+    } else if (tag === '/if') {
+      if (!current.block) throw new Error(`{{/if}} without {{#if}} in prompt template "${name}"`);
+      stack.pop();
+    } else if (tag.startsWith('>')) {
+      current.nodes.push({ partial: tag.slice(1).trim() });
+    } else {
+      const [variable, fallback] = tag.split(/\s*\|\|\s*/);
+      current.nodes.push({ variable, fallback: fallback === undefined ? undefined : fallback.slice(1, -1) });
+    }
+  }
+
+  if (stack.length > 1) throw new Error(`Unclosed {{#if ${stack[stack.length - 1].block.condition}}} in prompt template "${name}"`);
+  if (last < source.length) stack[0].nodes.push({ text: source.slice(last) });
+  return root;
+}
+
+function lookup(vars, variable) {
+  return variable.split('.').reduce((value, key) => (value == null ? undefined : value[key]), vars);
+}
+
+function isSet(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== undefined && value !== null && value !== false && value !== '';
+}
+
+function stringify(value) {
+  if (Array.isArray(value)) return value.join(', ');
+  if (value && typeof value === 'object') return JSON.stringify(value, null, 2);
+  return String(value);
+}
+
+class PromptLibrary {
+  constructor({ builtinDir = BUILTIN_DIR, overrideDir = OVERRIDE_DIR } = {}) {
+    this.builtinDir = builtinDir;
+    this.overrideDir = overrideDir;
+    this.cache = new Map(); // file -> { mtimeMs, template }
+    this.warned = new Set();
+  }
+
+  // where overrides are read from; null for the built-in templates only. the eval runner switches
+  // this to compare two prompt versions within one process
+  useOverrides(dir) {
+    this.overrideDir = dir ? path.resolve(dir) : null;
+    console.log(`[PROMPTS] Overrides: ${this.overrideDir || 'none'}`);
+  }
+
+  // name -> file for every template in a directory and its partials/ folder
+  scan(dir) {
+    const files = {};
+    if (!dir) return files;
+    for (const folder of [dir, path.join(dir, 'partials')]) {
+      if (!fs.existsSync(folder)) continue;
+      for (const entry of fs.readdirSync(folder)) {
+        if (entry.endsWith('.md')) files[entry.slice(0, -3)] = path.join(folder, entry);
+      }
+    }
+    return files;
+  }
+
+  read(file, source) {
+    const { mtimeMs } = fs.statSync(file);
+    const cached = this.cache.get(file);
+    if (cached && cached.mtimeMs === mtimeMs) return cached.template;
+
+    const name = path.basename(file, '.md');
+    const { meta, body } = parseFrontMatter(fs.readFileSync(file, 'utf8'));
+    const template = {
+      name,
+      version: meta.version || '1',
+      description: meta.description || '',
+      source,
+      partial: path.basename(path.dirname(file)) === 'partials',
+      nodes: parse(body, name)
+    };
+    this.cache.set(file, { mtimeMs, template });
+    return template;
+  }
+
+  // the override when there is a usable one, else the built-in template
+  load(name) {
+    for (const [dir, source] of [[this.overrideDir, 'override'], [this.builtinDir, 'builtin']]) {
+      if (!dir) continue;
+      const file = [path.join(dir, `${name}.md`), path.join(dir, 'partials', `${name}.md`)].find(candidate => fs.existsSync(candidate));
+      if (!file) continue;
+      try {
+        return this.read(file, source);
+      } catch (error) {
+        // a broken override shouldn't take the feature down with it
+        if (source === 'builtin') throw error;
+        console.error(`[PROMPTS] Ignoring override ${file}:`, error.message);
+      }
+    }
+    const error = new Error(`Unknown prompt template "${name}"`);
+    error.code = 'PROMPT_NOT_FOUND';
+    throw error;
+  }
+
+  renderNodes(nodes, vars, context, depth) {
+    let text = '';
+    for (const node of nodes) {
+      if (node.text !== undefined) {
+        text += node.text;
+      } else if (node.condition) {
+        text += this.renderNodes(isSet(lookup(vars, node.condition)) ? node.then : node.otherwise, vars, context, depth);
+      } else if (node.partial) {
+        if (depth >= MAX_DEPTH) throw new Error(`Prompt partials nested too deep at "${node.partial}" (a partial including itself?)`);
+        const partial = this.load(this.partialName(node.partial, vars, context.template));
+        context.partials.set(partial.name, partial);
+        text += this.renderNodes(partial.nodes, vars, { ...context, template: partial.name }, depth + 1).trim();
+      } else {
+        const value = lookup(vars, node.variable);
+        if (isSet(value)) {
+          text += stringify(value);
+        } else if (node.fallback !== undefined) {
+          text += node.fallback;
+        } else if (!(node.variable.split('.')[0] in vars)) {
+          this.warnMissing(context.template, node.variable);
+        }
+      }
+    }
+    return text;
+  }
+
+  // "(persona.voice)" names the partial through a variable
+  partialName(partial, vars, template) {
+    if (!partial.startsWith('(')) return partial;
+    const variable = partial.slice(1, -1).trim();
+    const name = lookup(vars, variable);
+    if (typeof name !== 'string' || !name) {
+      throw new Error(`{{> ${partial}}} in prompt template "${template}" needs ${variable} to name a template`);
+    }
+    return name;
+  }
+
+  // overrides with a typo'd variable would otherwise silently lose text
+  warnMissing(template, variable) {
+    const key = `${template}:${variable}`;
+    if (this.warned.has(key)) return;
+    this.warned.add(key);
+    console.warn(`[PROMPTS] ${template} uses {{${variable}}}, which was not provided`);
+  }
+
+  /**
+   * Renders a template. Returns { name, version, source, partials, text }, where partials lists the
+   * { name, version, source } of every partial used; pass the result (or several) as `prompts` in
+   * llm.chat's request options or to EventStream.prompt() to record which wording produced an answer.
+   */
+  render(name, vars = {}) {
+    const template = this.load(name);
+    const context = { template: name, partials: new Map() };
+    const text = this.renderNodes(template.nodes, vars, context, 0)
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+    const partials = [...context.partials.values()].map(({ name: partialName, version, source }) => ({ name: partialName, version, source }));
+    console.log(`[PROMPTS] ${name} v${template.version}${template.source === 'override' ? ' (override)' : ''}`);
+    return { name, version: template.version, source: template.source, partials, text };
+  }
+
+  text(name, vars) {
+    return this.render(name, vars).text;
+  }
+
+  // every template with the version in use, for GET /api/prompts
+  list() {
+    const builtin = this.scan(this.builtinDir);
+    const overrides = this.scan(this.overrideDir);
+    return [...new Set([...Object.keys(builtin), ...Object.keys(overrides)])].sort().map(name => {
+      const entry = { name, overridden: !!overrides[name] };
+      try {
+        const { version, description, source, partial } = this.load(name);
+        Object.assign(entry, { version, description, source, partial });
+        if (builtin[name] && source === 'override') {
+          entry.builtinVersion = this.read(builtin[name], 'builtin').version;
+        }
+      } catch (error) {
+        entry.error = error.message;
+      }
+      return entry;
+    });
+  }
+}
+
+// { name, version, source, partials } of each rendered prompt (without the text), for logs and events
+function provenance(rendered = []) {
+  return rendered.filter(Boolean).map(({ name, version, source, partials = [] }) => ({ name, version, source, partials }));
+}
+
+module.exports = {
+  prompts: new PromptLibrary(),
+  provenance
+};
@@ -0,0 +1,177 @@
+// finds sensitive text on a capture so it can be blurred before the capture leaves the machine. the
+// detectors run over the OCR text layer (see ocr.js) line by line, and every match is turned back into
+// a box around the words it covers. the text sent along with a capture is redacted the same way.
+//
+// only what OCR reads can be found: a misread "@" hides an email from the email detector, so this
+// narrows what is uploaded, it doesn't guarantee it.
+//
+// off until categories are picked, from the sidebar or with REDACT_CATEGORIES (comma separated, or
+// "all" for every one of CATEGORIES): reading a full-resolution capture before it is sent makes each
+// question wait for OCR.
+
+const EMAIL_PATTERN = /([a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,})/gi;
+const PHONE_PATTERN = /(\+?1?[-.\s]?\(?[0-9]{3}\)?[-.\s]?[0-9]{3}[-.\s]?[0-9]{4})/gi;
+// 13-19 digits, optionally grouped by spaces or dashes; only kept when the Luhn checksum passes
+const CARD_PATTERN = /\b(?:\d[ -]?){12,18}\d\b/g;
+const API_KEY_PATTERN = new RegExp([
+  /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/,
+  /\bgh[pousr]_[A-Za-z0-9]{30,}/,
+  /\bgithub_pat_[A-Za-z0-9_]{30,}/,
+  /\bAKIA[0-9A-Z]{16}\b/,
+  /\bAIza[0-9A-Za-z_-]{35}/,
+  /\bxox[abposr]-[A-Za-z0-9-]{10,}/,
+  /\beyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/,
+  /\b(?:api[_-]?key|secret|token|password|passwd)\s*[:=]\s*\S{8,}/
+].map(pattern => pattern.source).join('|'), 'gi');
+
+// checked in this order, so a card number is not also reported as a phone number
+const DETECTORS = [
+  { category: 'card', label: 'card numbers', pattern: CARD_PATTERN, accept: luhnValid },
+  { category: 'api-key', label: 'API keys and secrets', pattern: API_KEY_PATTERN },
+  { category: 'email', label: 'email addresses', pattern: EMAIL_PATTERN },
+  { category: 'phone', label: 'phone numbers', pattern: PHONE_PATTERN }
+];
+const CATEGORIES = DETECTORS.map(detector => detector.category);
+// boxes are grown by this much of the line height, so the edges of the glyphs are covered too
+const BOX_PADDING = 0.25;
+
+function luhnValid(match) {
+  const digits = match.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+function configuredCategories(env = process.env) {
+  const value = (env.REDACT_CATEGORIES || '').trim().toLowerCase();
+  if (!value || value === 'none' || value === 'off') return [];
+  if (value === 'all') return CATEGORIES.slice();
+  return value.split(',').map(category => category.trim()).filter(category => CATEGORIES.includes(category));
+}
+
+// [{ start, end, category }] of `text`, earlier detectors winning where matches overlap
+function findMatches(text, categories) {
+  const matches = [];
+  for (const detector of DETECTORS) {
+    if (!categories.includes(detector.category)) continue;
+    for (const match of text.matchAll(detector.pattern)) {
+      // patterns that allow a leading separator shouldn't swallow the space before the match
+      const start = match.index + match[0].length - match[0].trimStart().length;
+      const end = match.index + match[0].length;
+      if (detector.accept && !detector.accept(match[0])) continue;
+      if (matches.some(other => start < other.end && end > other.start)) continue;
+      matches.push({ start, end, category: detector.category });
+    }
+  }
+  return matches.sort((a, b) => a.start - b.start);
+}
+
+// OCR words in reading order, grouped into lines: a word starts a new line when it doesn't overlap
+// the previous one vertically or sits to its left
+function groupLines(words) {
+  const lines = [];
+  let line = null;
+  for (const word of words) {
+    const previous = line && line.words[line.words.length - 1];
+    const overlap = previous
+      ? Math.min(previous.bbox.y + previous.bbox.height, word.bbox.y + word.bbox.height) - Math.max(previous.bbox.y, word.bbox.y)
+      : 0;
+    if (!previous || overlap < Math.min(previous.bbox.height, word.bbox.height) / 2 || word.bbox.x < previous.bbox.x) {
+      line = { words: [] };
+      lines.push(line);
+    }
+    line.words.push(word);
+  }
+  return lines;
+}
+
+function unionBox(words) {
+  const left = Math.min(...words.map(word => word.bbox.x));
+  const top = Math.min(...words.map(word => word.bbox.y));
+  const right = Math.max(...words.map(word => word.bbox.x + word.bbox.width));
+  const bottom = Math.max(...words.map(word => word.bbox.y + word.bbox.height));
+  const padding = Math.round((bottom - top) * BOX_PADDING);
+  return {
+    x: Math.max(0, left - padding),
+    y: Math.max(0, top - padding),
+    width: right - left + padding * 2,
+    height: bottom - top + padding * 2
+  };
+}
+
+class Redaction {
+  constructor() {
+    this.categories = configuredCategories();
+  }
+
+  isEnabled() {
+    return this.categories.length > 0;
+  }
+
+  // whether something redacted for `categories` is redacted for the current ones too
+  covers(categories = []) {
+    return this.categories.every(category => categories.includes(category));
+  }
+
+  setCategories(categories) {
+    const unknown = categories.filter(category => !CATEGORIES.includes(category));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown redaction categories: ${unknown.join(', ')}`);
+    }
+    this.categories = CATEGORIES.filter(category => categories.includes(category));
+    console.log('[REDACTION] Categories:', this.categories.join(', ') || 'none');
+    return this.describe();
+  }
+
+  describe() {
+    return {
+      categories: this.categories.slice(),
+      available: DETECTORS.map(({ category, label }) => ({ category, label }))
+    };
+  }
+
+  // `text` with every match replaced by "[redacted <category>]"
+  redactText(text) {
+    let result = '';
+    let position = 0;
+    for (const match of findMatches(text, this.categories)) {
+      result += `${text.slice(position, match.start)}[redacted ${match.category}]`;
+      position = match.end;
+    }
+    return result + text.slice(position);
+  }
+
+  /**
+   * Finds the sensitive words of an OCR text layer. Returns `{ regions, text }`: the boxes to blur
+   * (`{ category, bbox }`, in pixels of the image that was read) and the layer's text, redacted.
+   */
+  redactLayer(layer) {
+    const regions = [];
+    for (const line of groupLines(layer.words || [])) {
+      // the line as one string, remembering where each word sits in it
+      let text = '';
+      const spans = line.words.map(word => {
+        if (text) text += ' ';
+        const start = text.length;
+        text += word.text;
+        return { word, start, end: text.length };
+      });
+      for (const match of findMatches(text, this.categories)) {
+        const covered = spans.filter(span => span.start < match.end && span.end > match.start).map(span => span.word);
+        regions.push({ category: match.category, bbox: unionBox(covered) });
+      }
+    }
+    return { regions, text: this.redactText(layer.text || '') };
+  }
+}
+
+module.exports = new Redaction();
+module.exports.EMAIL_PATTERN = EMAIL_PATTERN;
+module.exports.PHONE_PATTERN = PHONE_PATTERN;
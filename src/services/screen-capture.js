@@ -1,12 +1,171 @@
-const { desktopCapturer, screen } = require('electron');
+const { desktopCapturer, screen, nativeImage } = require('electron');
+const EventEmitter = require('events');
+const { prepareUpload } = require('./capture-image');
+const screenChange = require('./screen-change');
+const ocr = require('./ocr');
+const redaction = require('./redaction');
+const captureRules = require('./capture-rules');
+const screenHistory = require('./screen-history');
 
-class ScreenCaptureService {
+// full-resolution originals kept for OCR, by capture uniqueId; the oldest are dropped first.
+// a raw 5K frame is ~60 MB, so only a few
+const MAX_ORIGINALS = 3;
+// how long getTextLayer waits for a read still in progress before answering { pending: true }
+const TEXT_LAYER_WAIT_MS = 2500;
+// redaction can't skip the read, so it waits much longer before giving up on a capture
+const REDACTION_WAIT_MS = 20000;
+// smaller drags are treated as clicks
+const MIN_REGION_SIZE = 8;
+// which screen captures show: the display under the mouse, every display side by side, or a display id
+const CAPTURE_TARGETS = ['cursor', 'all'];
+// background capture: a PROBE_WIDTH-wide thumbnail is compared with the last frame that changed (see
+// screen-change.js) and only a change is grabbed in full. the wait between probes grows by
+// IDLE_BACKOFF on every unchanged one, up to MAX_INTERVAL, and drops back to MIN_INTERVAL on a change
+const PROBE_WIDTH = 320;
+const MIN_INTERVAL = 1000;
+const MAX_INTERVAL = 8000;
+const IDLE_BACKOFF = 1.5;
+// while a capture rule has capture paused, how often the background loop looks whether it can resume
+const PAUSED_CHECK_INTERVAL = 1500;
+
+// the part of a text layer a request carries
+function summarizeTextLayer(layer) {
+  return { text: layer.text, confidence: layer.confidence, wordCount: layer.wordCount };
+}
+
+// a copy of `image` with every box ({ x, y, width, height } in its pixels) pixelated into blocks the
+// height of the box, about a character and a half wide, which nothing can be read back from
+function pixelateRegions(image, boxes) {
+  const { width, height } = image.getSize();
+  const bitmap = image.toBitmap();
+  for (const box of boxes) {
+    const left = Math.max(0, Math.floor(box.x));
+    const top = Math.max(0, Math.floor(box.y));
+    const right = Math.min(width, Math.ceil(box.x + box.width));
+    const bottom = Math.min(height, Math.ceil(box.y + box.height));
+    const block = Math.max(8, bottom - top);
+    for (let blockX = left; blockX < right; blockX += block) {
+      const blockRight = Math.min(right, blockX + block);
+      const sum = [0, 0, 0];
+      let count = 0;
+      for (let y = top; y < bottom; y++) {
+        for (let x = blockX; x < blockRight; x++) {
+          const offset = (y * width + x) * 4;
+          sum[0] += bitmap[offset];
+          sum[1] += bitmap[offset + 1];
+          sum[2] += bitmap[offset + 2];
+          count++;
+        }
+      }
+      if (count === 0) continue;
+      for (let y = top; y < bottom; y++) {
+        for (let x = blockX; x < blockRight; x++) {
+          const offset = (y * width + x) * 4;
+          bitmap[offset] = Math.round(sum[0] / count);
+          bitmap[offset + 1] = Math.round(sum[1] / count);
+          bitmap[offset + 2] = Math.round(sum[2] / count);
+        }
+      }
+    }
+  }
+  return nativeImage.createFromBitmap(bitmap, { width, height });
+}
+
+// prepareForUpload's answer for `image` and its text layer (with word boxes) when redaction is on
+function redactForUpload(image, layer, uniqueId) {
+  const { regions, text } = redaction.redactLayer(layer);
+  const textLayer = text ? { ...summarizeTextLayer(layer), text } : null;
+  const categories = {};
+  regions.forEach(region => {
+    categories[region.category] = (categories[region.category] || 0) + 1;
+  });
+  if (regions.length === 0) {
+    return { textLayer, redactions: { total: 0, categories, regions: [] } };
+  }
+
+  const upload = prepareUpload(pixelateRegions(image, regions.map(region => region.bbox)));
+  const scale = upload.width / upload.original.width;
+  console.log(`Redacted ${regions.length} region(s) of capture ${uniqueId}:`, categories);
+  return {
+    ...upload,
+    textLayer,
+    redactions: {
+      total: regions.length,
+      categories,
+      regions: regions.map(({ category, bbox }) => ({
+        category,
+        bbox: {
+          x: Math.round(bbox.x * scale),
+          y: Math.round(bbox.y * scale),
+          width: Math.round(bbox.width * scale),
+          height: Math.round(bbox.height * scale)
+        }
+      }))
+    }
+  };
+}
+
+// the text layer, and the redacted upload when redaction is on, of `image` once its text is read
+function withTextLayer(image, layer, uniqueId) {
+  if (redaction.isEnabled()) return redactForUpload(image, layer, uniqueId);
+  return { textLayer: layer.text ? summarizeTextLayer(layer) : null };
+}
+
+// emits 'screen-changed' ({ timestamp, uniqueId, displayIds, distance, changedRatio, interval }) after
+// a background capture of a changed screen; the capture itself is getLastCapture()
+class ScreenCaptureService extends EventEmitter {
   constructor() {
+    super();
     this.lastCapture = null;
-    this.captureInterval = null;
+    this.captureTimer = null;
+    this.captureDelay = MIN_INTERVAL;
+    this.lastSignatures = null; // of the last frame that counted as changed
     this.isCapturing = false;
     this.isUserActive = false; // Track if user is actively using the app
     this.userCaptureCache = null; // Separate cache for user captures
+    this.originals = new Map();
+    this.textLayers = new Map(); // uniqueId -> promise of the OCR text layer of its original
+    this.lastRegion = null; // screen coordinates (DIP) of the last region capture, for "repeat last region"
+    this.captureTarget = 'cursor';
+    this.isRecordingHistory = false;
+  }
+
+  // the displays, numbered left to right, for pickers
+  listDisplays() {
+    const primaryId = screen.getPrimaryDisplay().id;
+    return screen.getAllDisplays()
+      .slice()
+      .sort((a, b) => a.bounds.x - b.bounds.x || a.bounds.y - b.bounds.y)
+      .map((display, index) => ({
+        id: display.id,
+        label: `Display ${index + 1}${display.id === primaryId ? ' (primary)' : ''} · ${display.size.width}×${display.size.height}`,
+        bounds: display.bounds,
+        scaleFactor: display.scaleFactor,
+        primary: display.id === primaryId
+      }));
+  }
+
+  setCaptureTarget(target) {
+    const known = CAPTURE_TARGETS.includes(target) || screen.getAllDisplays().some(display => display.id === target);
+    if (!known) {
+      throw new Error(`Unknown capture target "${target}"`);
+    }
+    this.captureTarget = target;
+    // cached captures show the old target
+    this.lastCapture = null;
+    this.userCaptureCache = null;
+    this.lastSignatures = null;
+    console.log('Capture target set to:', target);
+    return target;
+  }
+
+  // the displays the next capture shows; a chosen display that was unplugged falls back to the cursor's
+  targetDisplays() {
+    if (this.captureTarget === 'all') {
+      return screen.getAllDisplays();
+    }
+    const chosen = screen.getAllDisplays().find(display => display.id === this.captureTarget);
+    return [chosen || screen.getDisplayNearestPoint(screen.getCursorScreenPoint())];
   }
 
   validateCapture(capture) {
@@ -14,11 +173,11 @@ class ScreenCaptureService {
     if (!capture.thumbnail) return { error: 'No thumbnail in capture' };
     
     try {
-      const dataURL = capture.thumbnail.toDataURL();
-      if (!dataURL) return { error: 'Failed to convert thumbnail to data URL' };
+      const upload = prepareUpload(capture.thumbnail);
+      if (!upload.dataURL) return { error: 'Failed to convert thumbnail to data URL' };
       
       return {
-        dataURL,
+        ...upload,
         timestamp: Date.now(),
         name: capture.name || 'screen',
         id: capture.id || 'main'
@@ -46,7 +205,7 @@ class ScreenCaptureService {
     }
   }
 
-  async startCapturing(interval = 1000) {
+  async startCapturing() {
     if (this.isCapturing) {
       console.log('Already capturing, skipping start');
       return;
@@ -59,33 +218,264 @@ class ScreenCaptureService {
     
     console.log('Starting background captures');
     this.isCapturing = true;
-    
-    // Only do background captures when user is not active
-    this.captureInterval = setInterval(() => {
+    this.captureDelay = MIN_INTERVAL;
+    this.captureRun = (this.captureRun || 0) + 1;
+    this.scheduleBackgroundCapture(0, this.captureRun);
+  }
+
+  // `run` keeps a probe that was in flight across a stop and restart from starting a second loop
+  scheduleBackgroundCapture(delay, run) {
+    this.captureTimer = setTimeout(async () => {
       // Double-check user is still inactive before capturing
-      if (!this.isUserActive) {
-        this.captureOnce(true);
-      } else {
+      if (this.isUserActive) {
         console.log('Skipping background capture - user is active');
-        // If user became active, stop the interval
         this.stopCapturing();
+        return;
       }
-    }, interval);
+      await this.backgroundCapture();
+      if (this.isCapturing && run === this.captureRun) {
+        this.scheduleBackgroundCapture(this.captureDelay, run);
+      }
+    }, delay);
   }
 
   stopCapturing() {
-    if (this.captureInterval) {
+    if (this.captureTimer) {
       console.log('Stopping background captures');
-      clearInterval(this.captureInterval);
-      this.captureInterval = null;
+      clearTimeout(this.captureTimer);
+      this.captureTimer = null;
     }
     this.isCapturing = false;
   }
 
-  getLastCapture() {
+  // one signature per display the next capture shows, from thumbnails PROBE_WIDTH wide
+  async probeDisplays(displays) {
+    const widest = Math.max(...displays.map(display => display.size.width));
+    const parts = await this.getDisplaySources(displays, PROBE_WIDTH / widest);
+    return parts.map(({ display, source }) => ({ displayId: display.id, ...screenChange.signature(source.thumbnail) }));
+  }
+
+  // probes the screen and captures it in full only if it changed since the last change
+  async backgroundCapture() {
+    try {
+      if (await this.captureBlocked()) {
+        // start over from a fresh frame once the window is gone
+        this.lastSignatures = null;
+        this.captureDelay = PAUSED_CHECK_INTERVAL;
+        return;
+      }
+
+      const displays = this.targetDisplays();
+      const signatures = await this.probeDisplays(displays);
+      const previous = this.lastSignatures;
+      const changes = signatures.map((current, index) => {
+        const before = previous && previous.length === signatures.length && previous[index].displayId === current.displayId
+          ? previous[index]
+          : null;
+        return screenChange.compare(before, current);
+      });
+      const changed = changes.some(change => change.changed);
+
+      if (!changed && this.lastCapture) {
+        this.captureDelay = Math.min(MAX_INTERVAL, Math.round(this.captureDelay * IDLE_BACKOFF));
+        return;
+      }
+
+      const capture = await this.captureOnce(true);
+      if (!capture || capture.error) return;
+      this.lastSignatures = signatures;
+      this.captureDelay = MIN_INTERVAL;
+      if (screenHistory.wants(capture.timestamp)) {
+        // in the background: reading the text takes longer than the next probe is away
+        this.recordHistory(capture);
+      }
+      this.emit('screen-changed', {
+        timestamp: capture.timestamp,
+        uniqueId: capture.uniqueId,
+        displayIds: capture.displayIds,
+        distance: Math.max(...changes.map(change => change.distance)),
+        changedRatio: Math.max(...changes.map(change => change.changedRatio)),
+        interval: this.captureDelay
+      });
+    } catch (error) {
+      console.error('Background capture failed:', error);
+      this.captureDelay = MAX_INTERVAL;
+    }
+  }
+
+  // keeps a background capture in the screen history (see screen-history.js) with its text and the
+  // window in front, redacted like an upload would be; one at a time, later changes are skipped meanwhile
+  async recordHistory(capture) {
+    if (this.isRecordingHistory) return;
+    // held here, the original can't be dropped for newer captures while it is read
+    const image = this.originals.get(capture.uniqueId);
+    const job = this.readText(capture.uniqueId);
+    if (!image || !job) return;
+    this.isRecordingHistory = true;
+    try {
+      const window = captureRules.status().window;
+      const layer = await job;
+      const redactedFor = redaction.categories.slice();
+      const prepared = withTextLayer(image, layer, capture.uniqueId);
+      await screenHistory.record({ ...capture, ...prepared, redactedFor, window });
+    } catch (error) {
+      // without its text a frame can't be searched, or redacted, so it isn't kept
+      console.error('Screen history frame not recorded:', error.message || error);
+    } finally {
+      this.isRecordingHistory = false;
+    }
+  }
+
+  async getLastCapture() {
+    const blocked = await this.captureBlocked();
+    if (blocked) return blocked;
     return this.lastCapture || { error: 'No capture available' };
   }
 
+  // { error, paused: true, rule, window } while a capture rule (see capture-rules.js) matches the window
+  // in front, or the window in front can't be read to check, otherwise null. every capture entry point asks first
+  async captureBlocked() {
+    const status = await captureRules.check();
+    if (!status.paused) return null;
+    return {
+      error: status.unavailable
+        ? `Screen capture is paused because capture rules can't check the window in front (${status.unavailable})`
+        : `Screen capture is paused while ${status.window.app} is in front ("${status.rule.name}" capture rule)`,
+      paused: true,
+      rule: status.rule,
+      window: status.window
+    };
+  }
+
+  keepOriginal(uniqueId, image) {
+    this.originals.set(uniqueId, image);
+    while (this.originals.size > MAX_ORIGINALS) {
+      const oldest = this.originals.keys().next().value;
+      this.originals.delete(oldest);
+      this.textLayers.delete(oldest);
+    }
+  }
+
+  // starts (once) reading the text of a capture's original; null when the original is gone
+  readText(uniqueId) {
+    if (!this.textLayers.has(uniqueId)) {
+      const image = this.originals.get(uniqueId);
+      if (!image) return null;
+      const { width, height } = image.getSize();
+      const job = Promise.resolve()
+        .then(() => ocr.recognize(image.toPNG()))
+        .then(layer => ({ ...layer, uniqueId, width, height }));
+      // failures are reported by getTextLayer
+      job.catch(error => console.error('Capture OCR failed:', error));
+      this.textLayers.set(uniqueId, job);
+    }
+    return this.textLayers.get(uniqueId);
+  }
+
+  // the OCR text layer of a capture (see ocr.js), with word boxes in pixels of the original. user
+  // captures start reading as soon as they are taken; if that is still running after `waitMs` this
+  // answers { pending: true } so a question is never held up for long. `words: false` leaves out the
+  // word boxes when only the text is needed
+  async getTextLayer(uniqueId, { waitMs = TEXT_LAYER_WAIT_MS, words = true } = {}) {
+    const job = this.readText(uniqueId);
+    if (!job) return { error: 'Original capture not available' };
+
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(() => resolve(null), waitMs);
+    });
+    try {
+      const layer = await Promise.race([job, timeout]);
+      if (!layer) return { pending: true, uniqueId };
+      if (words) return layer;
+      const summary = { ...layer };
+      delete summary.words;
+      return summary;
+    } catch (error) {
+      return { error: error.message || 'OCR failed' };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * What goes to the server with a capture besides the image: `{ textLayer }` (text, confidence and
+   * word count, or null when the text wasn't ready in time). With redaction on (see redaction.js) the
+   * sensitive regions are pixelated first, so this also returns the replacement upload fields
+   * (`dataURL`, `width`, `height`, `detail`, `bytes`) when anything was found, the redacted text, and
+   * `redactions: { total, categories: { email: 2, ... }, regions }` with the regions in upload pixels.
+   * Every error comes with `withheld`, true when redaction is on: a capture that can't be read (or
+   * whose original was already dropped for newer ones) can't be redacted either, and must not be sent.
+   */
+  async prepareForUpload(uniqueId) {
+    const withheld = redaction.isEnabled();
+    const image = this.originals.get(uniqueId);
+    if (!image) {
+      if (withheld) console.error(`Capture ${uniqueId} withheld, its original is gone so it can't be redacted`);
+      return {
+        error: withheld ? 'The capture could not be redacted, so it was not sent' : 'Original capture not available',
+        withheld
+      };
+    }
+
+    if (!withheld) {
+      const layer = await this.getTextLayer(uniqueId, { words: false });
+      return { textLayer: layer.text ? summarizeTextLayer(layer) : null };
+    }
+
+    try {
+      const layer = await this.getTextLayer(uniqueId, { waitMs: REDACTION_WAIT_MS });
+      if (layer.error || layer.pending) throw new Error(layer.error || 'timed out');
+      return redactForUpload(image, layer, uniqueId);
+    } catch (error) {
+      console.error('Capture withheld, could not read it to redact it:', error.message || error);
+      return { error: 'Could not read the screen to redact it, so the capture was not sent', withheld: true };
+    }
+  }
+
+  // prepareForUpload for an image that isn't kept as an original (a watch session's keyframes, see
+  // screen-watch.js): reads it in full, however long that takes
+  async prepareImage(image, uniqueId) {
+    let layer;
+    try {
+      const { width, height } = image.getSize();
+      layer = { ...(await ocr.recognize(image.toPNG())), width, height };
+    } catch (error) {
+      console.error(`Could not read ${uniqueId}:`, error.message || error);
+      if (redaction.isEnabled()) {
+        return { error: 'Could not read the screen to redact it, so the capture was not sent', withheld: true };
+      }
+      return { textLayer: null };
+    }
+    try {
+      return withTextLayer(image, layer, uniqueId);
+    } catch (error) {
+      console.error(`Could not redact ${uniqueId}:`, error.message || error);
+      return { error: 'Could not redact the screen, so the capture was not sent', withheld: true };
+    }
+  }
+
+  /**
+   * prepareForUpload for a screen history frame (see screen-history.js). A frame is kept redacted for
+   * the categories that were on at the time; one kept before redaction was turned on, or with fewer
+   * categories than now, is read and redacted again from its stored image before it is sent.
+   */
+  async prepareHistoryFrame(id) {
+    const frame = await screenHistory.get(id);
+    if (frame.error) return { error: frame.error, withheld: redaction.isEnabled() };
+    if (redaction.covers(frame.redactedFor)) return {};
+    console.log(`Redacting screen history frame ${id} again for: ${redaction.categories.join(', ')}`);
+    return this.prepareImage(nativeImage.createFromDataURL(frame.dataURL), id);
+  }
+
+  // the capture as grabbed, before it was scaled down for upload: a PNG data URL for OCR
+  getOriginal(uniqueId) {
+    const image = this.originals.get(uniqueId);
+    if (!image) return { error: 'Original capture not available' };
+    const { width, height } = image.getSize();
+    return { dataURL: image.toDataURL(), width, height, uniqueId };
+  }
+
   async forceRefreshCapture() {
     try {
       console.log('Forcing complete refresh of desktop capturer...');
@@ -99,6 +489,7 @@ class ScreenCaptureService {
       // Clear all caches to force a completely fresh start
       this.lastCapture = null;
       this.userCaptureCache = null;
+      this.lastSignatures = null;
       
       // Only restart capturing if user is not active
       if (!this.isUserActive) {
@@ -114,27 +505,86 @@ class ScreenCaptureService {
     }
   }
 
-  // Helper method to get a simple hash of the dataURL for comparison
-  getDataURLHash(dataURL) {
-    let hash = 0;
-    for (let i = 0; i < dataURL.length; i++) {
-      const char = dataURL.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash; // Convert to 32-bit integer
+  // desktopCapturer sources for `displays`, with thumbnails at `scale` × their size in DIP (their own
+  // scale factor by default, so the original kept for OCR has every pixel of a high-DPI display)
+  async getDisplaySources(displays, scale = null) {
+    const scaleOf = display => scale || display.scaleFactor;
+    // Get screen sources (overlay should be hidden by main.js before this is called)
+    const sources = await desktopCapturer.getSources({
+      types: ['screen'],
+      thumbnailSize: {
+        width: Math.max(...displays.map(display => Math.round(display.size.width * scaleOf(display)))),
+        height: Math.max(...displays.map(display => Math.round(display.size.height * scaleOf(display))))
+      },
+      fetchWindowIcons: false,
+    });
+
+    return displays.map(display => {
+      // some platforms leave display_id empty; with a single screen there is no ambiguity
+      const source = sources.find(
+        (candidate) => candidate.display_id && parseInt(candidate.display_id, 10) === display.id
+      ) || (sources.length === 1 ? sources[0] : null);
+
+      if (!source) {
+        throw new Error(`Screen source for display ${display.id} not found.`);
+      }
+      return { display, source };
+    });
+  }
+
+  // every display in one image, laid out as they are arranged, at 1x so the layout is in DIP
+  async captureAllDisplays(displays) {
+    const parts = await this.getDisplaySources(displays, 1);
+    const left = Math.min(...displays.map(display => display.bounds.x));
+    const top = Math.min(...displays.map(display => display.bounds.y));
+    const width = Math.max(...displays.map(display => display.bounds.x + display.bounds.width)) - left;
+    const height = Math.max(...displays.map(display => display.bounds.y + display.bounds.height)) - top;
+
+    // BGRA; gaps between displays stay black
+    const canvas = Buffer.alloc(width * height * 4);
+    for (const { display, source } of parts) {
+      const { bounds } = display;
+      const bitmap = source.thumbnail.resize({ width: bounds.width, height: bounds.height }).toBitmap();
+      const rowBytes = bounds.width * 4;
+      for (let row = 0; row < bounds.height; row++) {
+        const target = ((bounds.y - top + row) * width + (bounds.x - left)) * 4;
+        bitmap.copy(canvas, target, row * rowBytes, (row + 1) * rowBytes);
+      }
     }
-    return hash;
+    return {
+      image: nativeImage.createFromBitmap(canvas, { width, height }),
+      source: parts[0].source,
+      displayIds: displays.map(display => display.id)
+    };
+  }
+
+  // the target displays as one image, for a capture or a watch keyframe. this is where every full
+  // capture is produced, so the capture rules are checked here too: while one matches it throws with
+  // `blocked` (see captureBlocked) instead of grabbing the screen
+  async grabDisplays(displays) {
+    const blocked = await this.captureBlocked();
+    if (blocked) throw Object.assign(new Error(blocked.error), { blocked });
+    if (displays.length > 1) {
+      return this.captureAllDisplays(displays);
+    }
+    const [{ display, source }] = await this.getDisplaySources(displays);
+    return { image: source.thumbnail, source, displayIds: [display.id] };
   }
 
   async captureOnce(isBackgroundCapture = false) {
     try {
       console.log('captureOnce called, isBackgroundCapture:', isBackgroundCapture);
+
+      // before the cached capture is handed out too, as it may show what the rule now hides
+      const blocked = await this.captureBlocked();
+      if (blocked) return blocked;
       
       // If this is a background capture and user is active, skip it completely
       if (isBackgroundCapture && this.isUserActive) {
         console.log('Skipping background capture - user is active');
         return this.lastCapture;
       }
-      
+
       // For user captures, always get a completely fresh capture
       if (!isBackgroundCapture) {
         console.log('User capture requested - forcing completely fresh capture');
@@ -146,47 +596,36 @@ class ScreenCaptureService {
         await new Promise(resolve => setTimeout(resolve, 50));
       }
       
-      const primaryDisplay = screen.getPrimaryDisplay();
-      
-      // Get screen sources (overlay should be hidden by main.js before this is called)
-      const sources = await desktopCapturer.getSources({
-        types: ['screen'],
-        thumbnailSize: {
-          width: primaryDisplay.size.width,
-          height: primaryDisplay.size.height
-        },
-        fetchWindowIcons: false,
-      });
+      const grab = await this.grabDisplays(this.targetDisplays());
+      const primarySource = grab.source;
 
-      // Find the primary screen source
-      const primarySource = sources.find(
-        (source) => source.display_id && parseInt(source.display_id, 10) === primaryDisplay.id
-      );
-
-      if (!primarySource) {
-        throw new Error('Primary screen source not found.');
-      }
-
-      // Get the thumbnail data
-      const dataURL = primarySource.thumbnail.toDataURL();
+      // Scale and re-encode for upload (see capture-image.js)
+      const upload = prepareUpload(grab.image);
       
-      if (!dataURL) {
+      if (!upload.dataURL) {
         throw new Error('Failed to convert thumbnail to data URL');
       }
       
-      console.log('Screen capture successful, dataURL length:', dataURL.length);
+      console.log(`Screen capture successful: ${upload.original.width}x${upload.original.height} -> ${upload.width}x${upload.height} JPEG, ${(upload.bytes / 1024).toFixed(0)} KB, ${upload.detail} detail`);
 
       // Create capture object with all properties
       const capture = {
-        dataURL,
+        ...upload,
         timestamp: Date.now(),
         name: primarySource.name || 'screen',
         id: primarySource.id || 'main',
         uniqueId: `capture_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        displayId: primarySource.display_id,
+        displayId: grab.displayIds.length === 1 ? grab.displayIds[0] : null,
+        displayIds: grab.displayIds,
         sourceId: primarySource.id
       };
       
+      this.keepOriginal(capture.uniqueId, grab.image);
+      if (!isBackgroundCapture) {
+        // ready by the time the question is sent, with luck
+        this.readText(capture.uniqueId);
+      }
+
       // Update appropriate cache based on capture type
       if (isBackgroundCapture) {
         this.lastCapture = capture;
@@ -199,10 +638,69 @@ class ScreenCaptureService {
       
       return capture;
     } catch (error) {
+      // a rule matched between the check above and the grab
+      if (error.blocked) return error.blocked;
       console.error('One-time screen capture failed:', error);
       return { error: error.message || 'Screen capture failed' };
     }
   }
+
+  // captures just `region` ({ x, y, width, height } in screen coordinates, DIP) of the display it is
+  // mostly on, cropped from a fresh full-resolution grab
+  async captureRegion(region) {
+    try {
+      const blocked = await this.captureBlocked();
+      if (blocked) return blocked;
+
+      const [{ display, source }] = await this.getDisplaySources([screen.getDisplayMatching(region)]);
+      const { bounds } = display;
+      const image = source.thumbnail;
+      const size = image.getSize();
+      const scaleX = size.width / bounds.width;
+      const scaleY = size.height / bounds.height;
+
+      // to thumbnail pixels, clamped to the display
+      const left = Math.max(0, Math.round((region.x - bounds.x) * scaleX));
+      const top = Math.max(0, Math.round((region.y - bounds.y) * scaleY));
+      const right = Math.min(size.width, Math.round((region.x + region.width - bounds.x) * scaleX));
+      const bottom = Math.min(size.height, Math.round((region.y + region.height - bounds.y) * scaleY));
+      if (right - left < MIN_REGION_SIZE || bottom - top < MIN_REGION_SIZE) {
+        throw new Error('Selected region is too small or off screen');
+      }
+
+      const crop = image.crop({ x: left, y: top, width: right - left, height: bottom - top });
+      const upload = prepareUpload(crop);
+      console.log(`Region capture successful: ${upload.original.width}x${upload.original.height} -> ${upload.width}x${upload.height} JPEG, ${(upload.bytes / 1024).toFixed(0)} KB, ${upload.detail} detail`);
+
+      const capture = {
+        ...upload,
+        timestamp: Date.now(),
+        name: source.name || 'screen',
+        id: source.id || 'main',
+        uniqueId: `region_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        displayId: display.id,
+        displayIds: [display.id],
+        sourceId: source.id,
+        region: { ...region }
+      };
+      this.keepOriginal(capture.uniqueId, crop);
+      this.readText(capture.uniqueId);
+      this.lastRegion = { ...region };
+      this.userCaptureCache = capture;
+      return capture;
+    } catch (error) {
+      console.error('Region capture failed:', error);
+      return { error: error.message || 'Region capture failed' };
+    }
+  }
+
+  // the last selected region again, with what is on screen now
+  captureLastRegion() {
+    if (!this.lastRegion) {
+      return { error: 'No region has been selected yet' };
+    }
+    return this.captureRegion(this.lastRegion);
+  }
 }
 
 module.exports = new ScreenCaptureService(); 
\ No newline at end of file
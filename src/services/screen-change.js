@@ -0,0 +1,88 @@
+// tells whether the screen changed in a way worth a new capture, from a small probe image instead of
+// the full-resolution grab. each frame gets a signature:
+// - a 64 bit difference hash (dHash) of a 9x8 grayscale thumbnail, which moves when the layout does
+//   (switching windows, scrolling, a slide change)
+// - a coarse GRID_WIDTH-wide luma grid, which catches what the hash is too coarse for, like a new
+//   paragraph of text, while a blinking caret or the menu bar clock stay under CELL_DELTA / MIN_CHANGED_CELLS
+// comparing two signatures is a few thousand byte comparisons, against hashing megabytes of base64.
+
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+const GRID_WIDTH = 64;
+// bits of the 64 that have to flip for the layout to count as changed
+const HASH_DISTANCE = 6;
+// luma difference (0-255) for a grid cell to count as changed, and how many such cells make a change
+const CELL_DELTA = 8;
+const MIN_CHANGED_CELLS = 4;
+
+// grayscale values of `image` scaled to width x height. toBitmap is BGRA on every platform Electron
+// supports, and either channel order would do as long as both frames use the same one
+function luma(image, width, height) {
+  const bitmap = image.resize({ width, height, quality: 'good' }).toBitmap();
+  const values = new Uint8Array(width * height);
+  for (let i = 0; i < values.length; i++) {
+    const offset = i * 4;
+    values[i] = (bitmap[offset] * 29 + bitmap[offset + 1] * 150 + bitmap[offset + 2] * 77) >> 8;
+  }
+  return values;
+}
+
+// one bit per horizontally adjacent pair: is the left pixel brighter than the right one
+function differenceHash(image) {
+  const values = luma(image, HASH_WIDTH, HASH_HEIGHT);
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const index = y * HASH_WIDTH + x;
+      hash = (hash << 1n) | (values[index] > values[index + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+}
+
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+/**
+ * Returns `{ hash, grid, width, height }` for `image` (an Electron NativeImage, ideally already small).
+ */
+function signature(image) {
+  const size = image.getSize();
+  const width = GRID_WIDTH;
+  const height = Math.max(1, Math.round(GRID_WIDTH * size.height / size.width));
+  return { hash: differenceHash(image), grid: luma(image, width, height), width, height };
+}
+
+/**
+ * Compares two signatures. Returns `{ changed, distance, changedCells, changedRatio }`; signatures of
+ * different shapes (a display was swapped) always count as changed.
+ */
+function compare(previous, current) {
+  if (!previous || previous.width !== current.width || previous.height !== current.height) {
+    return { changed: true, distance: 64, changedCells: current.grid.length, changedRatio: 1 };
+  }
+  const distance = hammingDistance(previous.hash, current.hash);
+  let changedCells = 0;
+  for (let i = 0; i < current.grid.length; i++) {
+    if (Math.abs(current.grid[i] - previous.grid[i]) > CELL_DELTA) changedCells++;
+  }
+  return {
+    changed: distance >= HASH_DISTANCE || changedCells >= MIN_CHANGED_CELLS,
+    distance,
+    changedCells,
+    changedRatio: changedCells / current.grid.length
+  };
+}
+
+module.exports = {
+  signature,
+  compare,
+  hammingDistance
+};
@@ -0,0 +1,315 @@
+const { app } = require('electron');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./local-store');
+
+// an opt-in record of what was on screen, so "what was the error message 5 minutes ago" can be
+// answered from the frame it was on. a background capture that saw the screen change is kept, at most
+// one every SCREEN_HISTORY_INTERVAL seconds (default 10), with its OCR text, the time and the app,
+// window title and URL in front.
+//
+// a frame is the capture as it would have been uploaded: the scaled JPEG, redacted when redaction is
+// on (a frame that couldn't be redacted isn't kept). frames live in screen-history/ in the data
+// folder (see local-store.js), a .jpg and a .json each, and the oldest go once they add up to more than
+// SCREEN_HISTORY_MAX_MB (default 200). nothing is recorded until it is turned on from the sidebar;
+// SCREEN_HISTORY=on makes on the default.
+//
+// emits 'change' with summary() whenever a frame is added or removed, or recording is turned on or off.
+
+const DEFAULT_INTERVAL_S = 10;
+const DEFAULT_MAX_MB = 200;
+const MAX_FRAMES = 2000;
+// questions about "earlier" without a time skip frames this recent: the live screen still shows them
+const RECENT_MS = 30 * 1000;
+// how far from the time a question names a frame can be and still count, at least
+const MIN_TOLERANCE_MS = 60 * 1000;
+const CLOCK_TOLERANCE_MS = 5 * 60 * 1000;
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, couple: 2, 'couple of': 2, two: 2, three: 3, few: 3, four: 4, five: 5,
+  ten: 10, fifteen: 15, twenty: 20, thirty: 30
+};
+const UNIT_MS = { sec: 1000, second: 1000, min: 60 * 1000, minute: 60 * 1000, hr: 60 * 60 * 1000, hour: 60 * 60 * 1000 };
+const AGO_PATTERN = /\b(\d+|an?|one|couple(?: of)?|two|three|few|four|five|ten|fifteen|twenty|thirty)\s+(sec|second|min|minute|hr|hour)s?\s+ago\b/i;
+const CLOCK_PATTERN = /\b(?:at|around)\s+(\d{1,2})(?::(\d{2}))?\s*(am|pm)?\b/i;
+const PAST_PATTERN = /\b(earlier|previously|a (?:little |short )?while ago|a moment ago|just now|was (?:on (?:the |my )?screen|showing|open)|did i (?:see|have)|had open|went away|disappeared|used to (?:be|say))\b/i;
+const STOPWORDS = new Set((
+  'the and was were are this that there then what which who whom when where why how did does have had ' +
+  'with from for about into onto your you mine ago earlier previously before while moment just now ' +
+  'minute minutes min mins second seconds sec secs hour hours screen showing shown show open opened see saw ' +
+  'tell say said used around last time again can could would please'
+).split(' '));
+
+function settingsFromEnv(env = process.env) {
+  const interval = parseFloat(env.SCREEN_HISTORY_INTERVAL);
+  const maxMb = parseFloat(env.SCREEN_HISTORY_MAX_MB);
+  return {
+    enabled: /^(1|on|true|yes)$/i.test(env.SCREEN_HISTORY || ''),
+    intervalMs: (interval > 0 ? interval : DEFAULT_INTERVAL_S) * 1000,
+    maxBytes: (maxMb > 0 ? maxMb : DEFAULT_MAX_MB) * 1024 * 1024
+  };
+}
+
+// the time a question is about: { target, tolerance } for "5 minutes ago" or "at 3:15pm",
+// { target: null } for a plain "earlier", and null for a question that isn't about the past
+function timeReference(query, now = Date.now()) {
+  const ago = AGO_PATTERN.exec(query);
+  if (ago) {
+    const amount = /^\d+$/.test(ago[1]) ? parseInt(ago[1], 10) : NUMBER_WORDS[ago[1].toLowerCase().replace(/\s+/g, ' ')];
+    const offset = amount * UNIT_MS[ago[2].toLowerCase()];
+    return { target: now - offset, tolerance: Math.max(MIN_TOLERANCE_MS, offset / 2) };
+  }
+
+  const clock = CLOCK_PATTERN.exec(query);
+  // a bare "at 3" is more likely a count than a time
+  if (clock && (clock[2] || clock[3]) && parseInt(clock[1], 10) < 24) {
+    const hour = parseInt(clock[1], 10);
+    const minutes = clock[2] ? parseInt(clock[2], 10) : 0;
+    const meridiem = clock[3] && clock[3].toLowerCase();
+    const hours = meridiem ? [hour % 12 + (meridiem === 'pm' ? 12 : 0)] : hour >= 12 ? [hour] : [hour, hour + 12];
+    // the last time the clock showed it, today or yesterday
+    const times = hours.flatMap(h => [0, 1].map(daysBack => {
+      const date = new Date(now);
+      date.setDate(date.getDate() - daysBack);
+      date.setHours(h, minutes, 0, 0);
+      return date.getTime();
+    })).filter(time => time <= now);
+    return { target: Math.max(...times), tolerance: CLOCK_TOLERANCE_MS };
+  }
+
+  return PAST_PATTERN.test(query) ? { target: null, tolerance: null } : null;
+}
+
+// the words of a question worth looking for in a frame's text
+function searchTerms(query) {
+  const words = query.toLowerCase().match(/[a-z0-9][a-z0-9._-]*[a-z0-9]/g) || [];
+  return [...new Set(words)].filter(word => word.length >= 3 && !STOPWORDS.has(word) && !/^\d{1,2}$/.test(word));
+}
+
+// what lists and events carry of a frame: no text
+function frameSummary(frame) {
+  return {
+    id: frame.id,
+    timestamp: frame.timestamp,
+    app: frame.app,
+    title: frame.title,
+    wordCount: frame.wordCount
+  };
+}
+
+class ScreenHistory extends EventEmitter {
+  constructor() {
+    super();
+    this.settings = settingsFromEnv();
+    this.frames = null; // oldest first
+    this.lastRecordedAt = 0;
+  }
+
+  dir() {
+    return path.join(dataDir(), 'screen-history');
+  }
+
+  // frames used to be kept in screen-history/ directly under userData
+  moveLegacyDir() {
+    const legacy = path.join(app.getPath('userData'), 'screen-history');
+    if (legacy === this.dir() || !fs.existsSync(legacy) || fs.existsSync(this.dir())) return;
+    try {
+      fs.mkdirSync(path.dirname(this.dir()), { recursive: true });
+      fs.renameSync(legacy, this.dir());
+      console.log(`Moved screen history to ${this.dir()}`);
+    } catch (error) {
+      console.error('Could not move the screen history folder:', error.message);
+    }
+  }
+
+  settingsPath() {
+    return path.join(this.dir(), 'settings.json');
+  }
+
+  load() {
+    if (this.frames) return this.frames;
+    this.frames = [];
+    this.moveLegacyDir();
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.settingsPath(), 'utf8'));
+      if (typeof saved.enabled === 'boolean') this.settings.enabled = saved.enabled;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to load screen history settings:', error.message);
+    }
+
+    let files = [];
+    try {
+      files = fs.readdirSync(this.dir()).filter(file => file.startsWith('frame_') && file.endsWith('.json'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('Failed to read screen history:', error.message);
+    }
+    for (const file of files) {
+      try {
+        const frame = JSON.parse(fs.readFileSync(path.join(this.dir(), file), 'utf8'));
+        frame.size = fs.statSync(path.join(this.dir(), `${frame.id}.jpg`)).size + Buffer.byteLength(JSON.stringify(frame));
+        this.frames.push(frame);
+      } catch (error) {
+        console.error(`Skipping unreadable screen history frame ${file}:`, error.message);
+      }
+    }
+    this.frames.sort((a, b) => a.timestamp - b.timestamp);
+    return this.frames;
+  }
+
+  isEnabled() {
+    this.load();
+    return this.settings.enabled;
+  }
+
+  setEnabled(enabled) {
+    this.load();
+    this.settings.enabled = !!enabled;
+    fs.mkdirSync(this.dir(), { recursive: true });
+    fs.writeFileSync(this.settingsPath(), JSON.stringify({ enabled: this.settings.enabled }, null, 2));
+    console.log(`Screen history ${this.settings.enabled ? 'on' : 'off'}`);
+    this.emit('change', this.summary());
+    return this.list();
+  }
+
+  // whether a capture taken at `timestamp` should be recorded
+  wants(timestamp) {
+    return this.isEnabled() && timestamp - this.lastRecordedAt >= this.settings.intervalMs;
+  }
+
+  /**
+   * Keeps a capture: its upload fields (`dataURL`, `width`, `height`, `detail`), `timestamp`,
+   * `textLayer` and `redactions` as prepared for upload, `redactedFor` (the redaction categories that
+   * were on), and `window` ({ app, title, url }) in front.
+   */
+  async record(capture) {
+    this.load();
+    this.lastRecordedAt = capture.timestamp;
+    const image = Buffer.from(capture.dataURL.split(',')[1], 'base64');
+    const frame = {
+      id: `frame_${capture.timestamp}`,
+      timestamp: capture.timestamp,
+      app: capture.window?.app || '',
+      title: capture.window?.title || '',
+      url: capture.window?.url || '',
+      text: capture.textLayer?.text || '',
+      confidence: capture.textLayer?.confidence ?? null,
+      wordCount: capture.textLayer?.wordCount || 0,
+      width: capture.width,
+      height: capture.height,
+      detail: capture.detail,
+      redactions: capture.redactions || null,
+      redactedFor: capture.redactedFor || []
+    };
+    const json = JSON.stringify(frame);
+    await fs.promises.mkdir(this.dir(), { recursive: true });
+    await fs.promises.writeFile(path.join(this.dir(), `${frame.id}.jpg`), image);
+    await fs.promises.writeFile(path.join(this.dir(), `${frame.id}.json`), json);
+    frame.size = image.length + Buffer.byteLength(json);
+    this.frames.push(frame);
+    await this.prune();
+    this.emit('change', this.summary());
+    return frameSummary(frame);
+  }
+
+  // drops the oldest frames until the rest fit the size cap
+  async prune() {
+    let total = this.frames.reduce((sum, frame) => sum + frame.size, 0);
+    while (this.frames.length > 0 && (total > this.settings.maxBytes || this.frames.length > MAX_FRAMES)) {
+      const oldest = this.frames.shift();
+      total -= oldest.size;
+      await this.removeFiles(oldest.id);
+    }
+  }
+
+  async removeFiles(id) {
+    for (const extension of ['jpg', 'json']) {
+      try {
+        await fs.promises.unlink(path.join(this.dir(), `${id}.${extension}`));
+      } catch (error) {
+        if (error.code !== 'ENOENT') console.error(`Failed to delete screen history frame ${id}:`, error.message);
+      }
+    }
+  }
+
+  async clear() {
+    const frames = this.load().splice(0);
+    for (const frame of frames) {
+      await this.removeFiles(frame.id);
+    }
+    console.log(`Cleared ${frames.length} screen history frames`);
+    this.emit('change', this.summary());
+    return this.list();
+  }
+
+  summary() {
+    const frames = this.load();
+    return {
+      enabled: this.settings.enabled,
+      count: frames.length,
+      bytes: frames.reduce((sum, frame) => sum + frame.size, 0),
+      maxBytes: this.settings.maxBytes
+    };
+  }
+
+  list() {
+    return { ...this.summary(), frames: this.load().map(frameSummary) };
+  }
+
+  /**
+   * A frame as a capture that can be sent in place of the live screen: upload fields, `textLayer`,
+   * `redactions`, `redactedFor`, and `history: { id, timestamp, app, title }` to say when it was on screen.
+   */
+  async get(id) {
+    const frame = this.load().find(candidate => candidate.id === id);
+    if (!frame) return { error: 'That screen history frame is gone' };
+    try {
+      const image = await fs.promises.readFile(path.join(this.dir(), `${frame.id}.jpg`));
+      return {
+        dataURL: `data:image/jpeg;base64,${image.toString('base64')}`,
+        width: frame.width,
+        height: frame.height,
+        detail: frame.detail,
+        bytes: image.length,
+        timestamp: frame.timestamp,
+        textLayer: frame.text ? { text: frame.text, confidence: frame.confidence, wordCount: frame.wordCount } : null,
+        redactions: frame.redactions || undefined,
+        redactedFor: frame.redactedFor || [],
+        history: { id: frame.id, timestamp: frame.timestamp, app: frame.app, title: frame.title }
+      };
+    } catch (error) {
+      console.error(`Failed to read screen history frame ${id}:`, error.message);
+      return { error: 'Could not read that screen history frame' };
+    }
+  }
+
+  /**
+   * The frame a question about the past is most likely about. The words of the question are looked
+   * for in each frame's text, app, title and URL, and a time in it ("5 minutes ago", "at 3:15pm")
+   * favours the frames around then. Returns null when the question isn't about the past, otherwise
+   * `{ frame, matchedTerms }`, `frame` being null when nothing fits.
+   */
+  find(query, now = Date.now()) {
+    const when = timeReference(query || '', now);
+    if (!when) return null;
+
+    const terms = searchTerms(query);
+    let best = null;
+    for (const frame of this.load()) {
+      if (when.target === null && frame.timestamp > now - RECENT_MS) continue;
+      const haystack = `${frame.app}\n${frame.title}\n${frame.url}\n${frame.text}`.toLowerCase();
+      const matchedTerms = terms.filter(term => haystack.includes(term));
+      const termScore = terms.length > 0 ? matchedTerms.length / terms.length : 0;
+      const timeScore = when.target === null ? 0 : Math.exp(-Math.abs(frame.timestamp - when.target) / when.tolerance);
+      const score = termScore * 2 + timeScore;
+      // ties go to the later frame, the last time it was on screen
+      if (score > 0 && (!best || score >= best.score)) {
+        best = { frame, matchedTerms, score };
+      }
+    }
+    if (!best) return { frame: null, matchedTerms: [] };
+    return { frame: frameSummary(best.frame), matchedTerms: best.matchedTerms };
+  }
+}
+
+module.exports = new ScreenHistory();
@@ -0,0 +1,228 @@
+const EventEmitter = require('events');
+const screenCapture = require('./screen-capture');
+const screenChange = require('./screen-change');
+const { prepareUpload } = require('./capture-image');
+
+// watch sessions, for questions one screenshot can't answer: a slideshow stepped through, a document
+// scrolled, an animation played. while a session runs the screen is probed every WATCH_PROBE_MS and
+// once it settles after a change it is kept as a keyframe, unless it looks like a keyframe already
+// kept (scrolling back up, returning to a slide). something that never settles is kept every
+// MAX_UNSETTLED_MS. a session stops by itself after WATCH_MAX_SECONDS (default 180) or MAX_KEYFRAMES.
+//
+// each keyframe is read and, with redaction on, redacted as soon as it is taken (see
+// ScreenCaptureService.prepareImage), so a stopped session is ready to send. a keyframe that couldn't
+// be redacted is left out. `newText` is a frame's text minus the lines earlier frames already had,
+// so a scrolled document isn't read to the model three times over.
+//
+// capture rules apply as everywhere else: while one has capture paused, nothing is kept.
+//
+// emits 'change' with status() when a session starts, keeps a frame, stops, or is taken.
+
+const WATCH_PROBE_MS = 700;
+const MAX_UNSETTLED_MS = 2500;
+const MAX_KEYFRAMES = 20;
+const DEFAULT_MAX_SECONDS = 180;
+
+function maxDurationMs(env = process.env) {
+  const seconds = parseFloat(env.WATCH_MAX_SECONDS);
+  return (seconds > 0 ? seconds : DEFAULT_MAX_SECONDS) * 1000;
+}
+
+// whether any display differs between two probes (see ScreenCaptureService.probeDisplays)
+function differs(before, after) {
+  if (!before || before.length !== after.length) return true;
+  return after.some((signature, index) => screenChange.compare(before[index], signature).changed);
+}
+
+// the lines of each frame's text that no earlier frame had
+function addNewText(frames) {
+  const seen = new Set();
+  for (const frame of frames) {
+    const lines = (frame.textLayer?.text || '').split('\n');
+    const fresh = lines.filter(line => {
+      const key = line.trim().replace(/\s+/g, ' ').toLowerCase();
+      if (!key || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    frame.newText = fresh.join('\n');
+  }
+  return frames;
+}
+
+class ScreenWatch extends EventEmitter {
+  constructor() {
+    super();
+    this.session = null; // the running session
+    this.finished = null; // promise of the last stopped session, until it is taken
+    this.finishedSummary = null;
+  }
+
+  status() {
+    const session = this.session;
+    return {
+      watching: !!session,
+      startedAt: session ? session.startedAt : null,
+      frameCount: session ? session.keyframes.length : 0,
+      maxDurationMs: session ? session.maxDurationMs : maxDurationMs(),
+      ready: this.finishedSummary
+    };
+  }
+
+  start() {
+    if (this.session) return this.status();
+    // a new session replaces one stopped but never sent
+    this.finished = null;
+    this.finishedSummary = null;
+    const session = {
+      id: `watch_${Date.now()}`,
+      startedAt: Date.now(),
+      maxDurationMs: maxDurationMs(),
+      // the displays are fixed for the session, so its frames line up
+      displays: screenCapture.targetDisplays(),
+      keyframes: [],
+      lastProbe: null,
+      movingSince: null,
+      pausedProbes: 0,
+      timer: null
+    };
+    this.session = session;
+    console.log(`[WATCH] Session ${session.id} started (up to ${session.maxDurationMs / 1000}s)`);
+    this.schedule(session, 0);
+    this.emit('change', this.status());
+    return this.status();
+  }
+
+  schedule(session, delay) {
+    session.timer = setTimeout(() => this.tick(session), delay);
+  }
+
+  async tick(session) {
+    if (session !== this.session) return;
+    const now = Date.now();
+    if (now - session.startedAt >= session.maxDurationMs) {
+      this.stop('time');
+      return;
+    }
+
+    try {
+      if (await screenCapture.captureBlocked()) {
+        // the frame after the window goes counts as a change
+        session.pausedProbes++;
+        session.lastProbe = null;
+      } else {
+        const signatures = await screenCapture.probeDisplays(session.displays);
+        const settled = session.lastProbe && !differs(session.lastProbe, signatures);
+        session.lastProbe = signatures;
+        if (settled) {
+          session.movingSince = null;
+        } else if (session.movingSince === null) {
+          session.movingSince = now;
+        }
+        const stillMoving = session.movingSince !== null && now - session.movingSince < MAX_UNSETTLED_MS;
+        const isNew = session.keyframes.every(keyframe => differs(keyframe.signatures, signatures));
+        if (!stillMoving && isNew && session === this.session) {
+          await this.keep(session, signatures);
+          if (session.movingSince !== null) session.movingSince = Date.now();
+        }
+      }
+    } catch (error) {
+      if (error.blocked) {
+        // a rule matched while the screen was probed, so the keyframe wasn't grabbed
+        session.pausedProbes++;
+        session.lastProbe = null;
+      } else {
+        console.error('[WATCH] Probe failed:', error.message || error);
+      }
+    }
+
+    if (session !== this.session) return;
+    if (session.keyframes.length >= MAX_KEYFRAMES) {
+      this.stop('frames');
+      return;
+    }
+    this.schedule(session, WATCH_PROBE_MS);
+  }
+
+  async keep(session, signatures) {
+    const grab = await screenCapture.grabDisplays(session.displays);
+    const upload = prepareUpload(grab.image);
+    const timestamp = Date.now();
+    const id = `${session.id}_${session.keyframes.length + 1}`;
+    const keyframe = {
+      signatures,
+      frame: {
+        ...upload,
+        timestamp,
+        offsetMs: timestamp - session.startedAt,
+        displayIds: grab.displayIds
+      }
+    };
+    // read while the session goes on; the full image is only held until then
+    keyframe.ready = screenCapture.prepareImage(grab.image, id)
+      .then(prepared => ({ ...keyframe.frame, ...prepared }));
+    session.keyframes.push(keyframe);
+    console.log(`[WATCH] Keyframe ${session.keyframes.length} at ${(keyframe.frame.offsetMs / 1000).toFixed(1)}s`);
+    this.emit('change', this.status());
+  }
+
+  // ends the running session; `reason` is 'stopped', 'time' or 'frames'
+  stop(reason = 'stopped') {
+    const session = this.session;
+    if (!session) return this.status();
+    clearTimeout(session.timer);
+    this.session = null;
+    const endedAt = Date.now();
+    console.log(`[WATCH] Session ${session.id} ${reason === 'stopped' ? 'stopped' : `stopped (${reason} limit)`} with ${session.keyframes.length} keyframe(s)`);
+
+    this.finishedSummary = {
+      id: session.id,
+      frameCount: session.keyframes.length,
+      durationMs: endedAt - session.startedAt,
+      reason
+    };
+    this.finished = Promise.all(session.keyframes.map(keyframe => keyframe.ready)).then(prepared => {
+      const withheld = prepared.filter(frame => frame.error).length;
+      if (withheld > 0) {
+        console.error(`[WATCH] ${withheld} keyframe(s) left out, they could not be read to redact them`);
+      }
+      return {
+        id: session.id,
+        startedAt: session.startedAt,
+        endedAt,
+        durationMs: endedAt - session.startedAt,
+        reason,
+        withheld,
+        pausedProbes: session.pausedProbes,
+        frames: addNewText(prepared.filter(frame => !frame.error))
+      };
+    });
+    this.emit('change', this.status());
+    return this.status();
+  }
+
+  /**
+   * The last session, stopping it first if it is still running, and forgets it. Resolves with null
+   * when there is none, otherwise `{ id, startedAt, endedAt, durationMs, reason, withheld, frames }`,
+   * the frames in order: upload fields, `timestamp`, `offsetMs`, `textLayer`, `newText`, `redactions`.
+   */
+  async take() {
+    if (this.session) this.stop();
+    const finished = this.finished;
+    this.finished = null;
+    this.finishedSummary = null;
+    if (!finished) return null;
+    this.emit('change', this.status());
+    return finished;
+  }
+
+  discard() {
+    if (this.session) this.stop();
+    this.finished = null;
+    this.finishedSummary = null;
+    this.emit('change', this.status());
+    return this.status();
+  }
+}
+
+module.exports = new ScreenWatch();
@@ -0,0 +1,132 @@
+const fs = require('fs');
+const path = require('path');
+const { dataDir } = require('./local-store');
+
+// Local sentence embeddings for long-term memory: the Universal Sentence Encoder (lite) running in
+// TensorFlow.js, 512 numbers per text that are close for texts that mean the same thing ("my car" /
+// "the vehicle"), with no provider or network once the model is on disk.
+//
+// The model (about 25 MB with its vocabulary) is read from models/universal-sentence-encoder-lite/ in
+// the app, where `npm run fetch-models` puts it so packaged builds ship with it, and otherwise from the
+// data folder, where it is downloaded the first time it is needed (like tesseract's language data).
+// Loading starts on first use and never holds up a request: until the model is ready, or when it
+// can't be had (offline on first run), memory-retrieval.js falls back to lexical vectors.
+
+const MODEL_NAME = 'universal-sentence-encoder-lite';
+const MODEL_URL = 'https://tfhub.dev/tensorflow/tfjs-model/universal-sentence-encoder-lite/1/default/1';
+const VOCAB_URL = 'https://storage.googleapis.com/tfjs-models/savedmodel/universal_sentence_encoder/vocab.json';
+const BUNDLED_DIR = path.join(__dirname, '../../models', MODEL_NAME);
+const DOWNLOAD_TIMEOUT_MS = 120000;
+// after a failed load (e.g. offline), how long before the next recall tries again
+const RETRY_AFTER_MS = 10 * 60 * 1000;
+
+function hasModel(dir) {
+  return fs.existsSync(path.join(dir, 'model.json')) && fs.existsSync(path.join(dir, 'vocab.json'));
+}
+
+async function fetchFile(url, file) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(DOWNLOAD_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`${url} answered ${response.status}`);
+  const temp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, Buffer.from(await response.arrayBuffer()));
+  fs.renameSync(temp, file);
+}
+
+// the model.json, its weight shards and the vocabulary, into `dir`; model.json goes last, so a
+// download cut short is never taken for a model
+async function download(dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  console.log(`[ENCODER] Downloading ${MODEL_NAME} to ${dir}...`);
+  const modelFile = path.join(dir, 'model.json');
+  const manifestFile = `${modelFile}.download`;
+  await fetchFile(`${MODEL_URL}/model.json?tfjs-format=file`, manifestFile);
+  const { weightsManifest } = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  for (const shard of weightsManifest.flatMap(group => group.paths)) {
+    await fetchFile(`${MODEL_URL}/${shard}?tfjs-format=file`, path.join(dir, path.basename(shard)));
+  }
+  await fetchFile(VOCAB_URL, path.join(dir, 'vocab.json'));
+  fs.renameSync(manifestFile, modelFile);
+  console.log(`[ENCODER] ${MODEL_NAME} downloaded`);
+}
+
+class SentenceEncoder {
+  constructor() {
+    this.method = MODEL_NAME;
+    this.encoder = null;
+    this.loading = null;
+    this.failedAt = null;
+  }
+
+  isReady() {
+    return !!this.encoder;
+  }
+
+  // starts loading the model unless it is loaded, loading, or failed a moment ago; resolves with
+  // whether it is ready, never rejects
+  load() {
+    if (this.encoder || this.loading) return this.loading || Promise.resolve(true);
+    if (this.failedAt && Date.now() - this.failedAt < RETRY_AFTER_MS) return Promise.resolve(false);
+    this.loading = this.open()
+      .then(encoder => {
+        this.encoder = encoder;
+        this.failedAt = null;
+        console.log(`[ENCODER] ${MODEL_NAME} ready`);
+        return true;
+      })
+      .catch(error => {
+        this.failedAt = Date.now();
+        console.warn(`[ENCODER] ${MODEL_NAME} unavailable, recall stays lexical for now:`, error.message);
+        return false;
+      })
+      .finally(() => {
+        this.loading = null;
+      });
+    return this.loading;
+  }
+
+  async open() {
+    let dir = BUNDLED_DIR;
+    if (!hasModel(dir)) {
+      dir = path.join(dataDir(), 'models', MODEL_NAME);
+      if (!hasModel(dir)) await download(dir);
+    }
+
+    const tf = require('@tensorflow/tfjs');
+    const { UniversalSentenceEncoder, Tokenizer } = require('@tensorflow-models/universal-sentence-encoder');
+    // model.json as tf.io.fromMemory takes it: the weight shards read and joined in manifest order
+    const { weightsManifest, ...artifacts } = JSON.parse(fs.readFileSync(path.join(dir, 'model.json'), 'utf8'));
+    const weights = Buffer.concat(weightsManifest.flatMap(group => group.paths)
+      .map(shard => fs.readFileSync(path.join(dir, path.basename(shard)))));
+    const model = await tf.loadGraphModel(tf.io.fromMemory({
+      ...artifacts,
+      weightSpecs: weightsManifest.flatMap(group => group.weights),
+      weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength)
+    }));
+
+    // the package's encoder, given the model and vocabulary it would otherwise fetch itself
+    const encoder = new UniversalSentenceEncoder();
+    encoder.model = model;
+    encoder.tokenizer = new Tokenizer(JSON.parse(fs.readFileSync(path.join(dir, 'vocab.json'), 'utf8')));
+    return encoder;
+  }
+
+  // one Float32Array per text; only call once isReady()
+  async embed(texts) {
+    const embeddings = await this.encoder.embed(texts);
+    try {
+      return (await embeddings.array()).map(vector => Float32Array.from(vector));
+    } finally {
+      embeddings.dispose();
+    }
+  }
+}
+
+// `npm run fetch-models`: puts the model where packaged builds pick it up
+if (require.main === module) {
+  download(BUNDLED_DIR).catch(error => {
+    console.error(`❌ Could not download ${MODEL_NAME}:`, error.message);
+    process.exit(1);
+  });
+}
+
+module.exports = new SentenceEncoder();
@@ -0,0 +1,169 @@
+const llm = require('./llm-provider');
+const { SCHEMAS } = require('./output-schemas');
+
+// Structured outputs for the flows whose answers the UI takes apart (quiz steps, step feedback,
+// tutoring replies, notes). The request carries the schema from output-schemas.js as a json_schema
+// response_format, and the answer is validated here whatever the provider promised: a model without
+// json_schema support gets json_object plus the schema in the prompt, and strict mode still lets
+// through answers that break the limits it doesn't enforce (minItems, minLength, ...).
+//
+// An invalid answer is sent back with the list of problems and the model asked to fix it, at most
+// MAX_REPAIRS times; after that the call fails with code LLM_INVALID_OUTPUT.
+
+const MAX_REPAIRS = 2;
+const MAX_REPORTED_ERRORS = 10;
+
+// checked here but left out of the schema sent to the provider
+const VALIDATION_ONLY = ['minLength', 'maxLength', 'minItems', 'maxItems', 'minimum', 'maximum'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(type, value) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+// problems with `value` against the subset of JSON schema output-schemas.js uses, as "$.path: ..." lines
+function validate(schema, value, at = '$') {
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map(option => validate(option, value, at));
+    if (attempts.some(errors => errors.length === 0)) return [];
+    // an option of the right type says the most about what went wrong, the closest of them if several
+    const typeMismatch = `${at}: expected `;
+    const sameType = attempts.filter(errors => !errors[0].startsWith(typeMismatch));
+    return (sameType.length > 0 ? sameType : attempts).reduce((best, errors) => (errors.length < best.length ? errors : best));
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(type, value))) {
+      return [`${at}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+
+  const errors = [];
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) errors.push(`${at}: must not be empty`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength} characters`);
+  } else if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${at}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${at}: above ${schema.maximum}`);
+  } else if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${at}: needs at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${at}: allows at most ${schema.maxItems} items`);
+    if (schema.items) value.forEach((item, index) => errors.push(...validate(schema.items, item, `${at}[${index}]`)));
+  } else if (value && typeof value === 'object') {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${at}.${key}: missing`);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) errors.push(...validate(properties[key], item, `${at}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${at}.${key}: not allowed`);
+    }
+  }
+  return errors;
+}
+
+// the schema as sent to the provider
+function wireSchema(schema) {
+  if (Array.isArray(schema)) return schema.map(wireSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema)
+    .filter(([key]) => !VALIDATION_ONLY.includes(key))
+    .map(([key, value]) => [key, key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, property]) => [name, wireSchema(property)]))
+      : wireSchema(value)]));
+}
+
+// models in json_object mode (and some in none) wrap the object in prose or code fences
+function parseJSON(text) {
+  const trimmed = (text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  try {
+    return { value: JSON.parse(trimmed) };
+  } catch (error) {
+    const start = trimmed.indexOf('{');
+    const end = trimmed.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return { value: JSON.parse(trimmed.slice(start, end + 1)) };
+      } catch (innerError) {
+        // reported below
+      }
+    }
+    return { error: error.message };
+  }
+}
+
+function repairMessage(errors) {
+  return `Your last answer did not match the required JSON schema:\n${errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`).join('\n')}\n\n` +
+    'Reply with the corrected JSON object only, keeping everything that was already right.';
+}
+
+/**
+ * Asks `feature`'s model for an answer matching SCHEMAS[schema] and returns it parsed and validated.
+ * `params` is a chat request (messages, temperature, ...) without response_format or stream;
+ * `requestOptions` go to llm.chat as usual (signal, onRetry, prompts), apart from `onUsage`, called with
+ * each completion's usage (e.g. EventStream.addUsage). Throws with code
+ * LLM_INVALID_OUTPUT (and `errors`) when the answer is still invalid after MAX_REPAIRS repairs.
+ */
+async function generateStructured(feature, { schema: name, messages, ...params }, requestOptions = {}) {
+  const schema = SCHEMAS[name];
+  if (!schema) {
+    throw new Error(`Unknown output schema "${name}"`);
+  }
+
+  const { onUsage, ...options } = requestOptions;
+  const sent = wireSchema(schema);
+  const request = {
+    ...params,
+    response_format: { type: 'json_schema', json_schema: { name: name.replace(/[^\w-]/g, '_'), strict: true, schema: sent } }
+  };
+  // json_object mode needs the shape spelled out (and the word JSON somewhere in the messages)
+  const baseMessages = llm.supportsJsonSchema(feature) ? messages : [
+    ...messages,
+    { role: 'system', content: `Respond with a single JSON object matching this JSON schema:\n${JSON.stringify(sent)}` }
+  ];
+
+  let conversation = baseMessages;
+  let errors = [];
+  for (let attempt = 0; attempt <= MAX_REPAIRS; attempt++) {
+    const completion = await llm.chat(feature, { ...request, messages: conversation }, options);
+    onUsage?.(completion.usage);
+    const message = completion.choices?.[0]?.message || {};
+    const raw = message.content || '';
+
+    if (message.refusal) {
+      errors = [`the model refused: ${message.refusal}`];
+    } else {
+      const parsed = parseJSON(raw);
+      errors = parsed.error ? [`not valid JSON (${parsed.error})`] : validate(schema, parsed.value);
+      if (errors.length === 0) {
+        if (attempt > 0) console.log(`[STRUCTURED] ${name} repaired after ${attempt} ${attempt === 1 ? 'retry' : 'retries'}`);
+        return parsed.value;
+      }
+    }
+
+    console.warn(`[STRUCTURED] ${name} answer ${attempt + 1} is invalid:`, errors.slice(0, MAX_REPORTED_ERRORS));
+    // only the latest attempt goes back, so repairs don't pile up context
+    conversation = [...baseMessages, { role: 'assistant', content: raw }, { role: 'user', content: repairMessage(errors) }];
+  }
+
+  const error = new Error(`The ${name} answer did not match its schema after ${MAX_REPAIRS} repairs: ${errors.slice(0, 3).join('; ')}`);
+  error.code = 'LLM_INVALID_OUTPUT';
+  error.errors = errors;
+  throw error;
+}
+
+module.exports = {
+  generateStructured,
+  validate,
+  wireSchema
+};
@@ -0,0 +1,270 @@
+// token budgeting for prompt assembly: estimates every section of a request, keeps the most
+// important ones within the model window, picks the screenshot detail level and sizes max_tokens so
+// the answer has room to finish.
+//
+//   const budget = new TokenBudget({ contextWindow: 128000, outputTokens: 800 });
+//   budget.require('system', basePrompt);
+//   budget.add('memory', memoryContext, { priority: 1, render: buildMemoryInstruction }); // lowest priority goes first
+//   budget.addMessages('history', threadMessages, { priority: 2 }); // oldest messages go first
+//   budget.image(screenCapture.dataURL, screenCapture.detail);
+//   const plan = budget.plan();
+//   plan.get('memory'), plan.get('history'), plan.maxTokens, plan.imageDetail
+//
+// several screenshots (a watch session's keyframes) go through `budget.images([{ dataURL, maxDetail }])`
+// instead; they drop to low detail together, and `plan.imageDetails` has the detail of each.
+//
+// `render` wraps a section's text in its surrounding instructions; the wrapper is counted but only
+// the text itself is ever trimmed, and `plan.raw(name)` returns the trimmed text before rendering.
+//
+// token counts are estimates (about 4 characters per token) with a safety margin, not a tokenizer.
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const SAFETY_MARGIN = 0.05;
+const MIN_SECTION_TOKENS = 64;
+const DEFAULT_MIN_OUTPUT_TOKENS = 256;
+const TRIM_MARKER = '\n[... trimmed to fit the context window ...]\n';
+
+// OpenAI vision pricing: low detail is flat, high detail is 512px tiles after scaling
+const LOW_DETAIL_IMAGE_TOKENS = 85;
+const TILE_TOKENS = 170;
+const FALLBACK_IMAGE_SIZE = { width: 1920, height: 1080 };
+
+function estimateTokens(text) {
+  if (!text) return 0;
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+// reads width/height from the header of a base64 PNG or JPEG data URL without decoding the image
+function imageDimensions(dataURL) {
+  const base64 = typeof dataURL === 'string' ? dataURL.slice(dataURL.indexOf(',') + 1) : '';
+  if (!base64) return null;
+
+  try {
+    if (base64.startsWith('iVBORw0KGgo')) {
+      const header = Buffer.from(base64.slice(0, 44), 'base64');
+      return { width: header.readUInt32BE(16), height: header.readUInt32BE(20) };
+    }
+
+    if (base64.startsWith('/9j/')) {
+      // SOF markers sit after the EXIF/JFIF segments, usually well within the first 64KB
+      const bytes = Buffer.from(base64.slice(0, 87384), 'base64');
+      let offset = 2;
+      while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xff) return null;
+        const marker = bytes[offset + 1];
+        const length = bytes.readUInt16BE(offset + 2);
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+          return { height: bytes.readUInt16BE(offset + 5), width: bytes.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + length;
+      }
+    }
+  } catch (error) {
+    console.error('[TOKEN BUDGET] Could not read image dimensions:', error.message);
+  }
+  return null;
+}
+
+function imageTokens(dataURL, detail = 'high') {
+  if (detail === 'low') return LOW_DETAIL_IMAGE_TOKENS;
+
+  let { width, height } = imageDimensions(dataURL) || FALLBACK_IMAGE_SIZE;
+  // fit within 2048x2048, then scale the shortest side down to 768
+  const fit = Math.min(1, 2048 / Math.max(width, height));
+  width *= fit;
+  height *= fit;
+  const shortest = Math.min(1, 768 / Math.min(width, height));
+  width *= shortest;
+  height *= shortest;
+  return LOW_DETAIL_IMAGE_TOKENS + TILE_TOKENS * Math.ceil(width / 512) * Math.ceil(height / 512);
+}
+
+function messageTokens(message) {
+  if (!Array.isArray(message.content)) {
+    return MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content);
+  }
+  return MESSAGE_OVERHEAD_TOKENS + message.content.reduce((total, part) => total + (part.type === 'image_url'
+    ? imageTokens(part.image_url?.url, part.image_url?.detail)
+    : estimateTokens(part.text)), 0);
+}
+
+// cut text down to about `tokens`, at a line break where possible
+function trimText(text, tokens, keep = 'start') {
+  const chars = Math.max(0, tokens * CHARS_PER_TOKEN - TRIM_MARKER.length);
+  if (keep === 'end') {
+    let tail = text.slice(-chars);
+    const lineBreak = tail.indexOf('\n');
+    if (lineBreak > 0 && lineBreak < tail.length / 4) tail = tail.slice(lineBreak + 1);
+    return TRIM_MARKER.trimStart() + tail;
+  }
+  let head = text.slice(0, chars);
+  const lineBreak = head.lastIndexOf('\n');
+  if (lineBreak > head.length * 0.75) head = head.slice(0, lineBreak);
+  return head + TRIM_MARKER.trimEnd();
+}
+
+// drop the oldest messages until the rest fit, never starting on an assistant turn
+function trimMessages(messages, tokens) {
+  let kept = messages.slice();
+  let used = kept.reduce((total, message) => total + messageTokens(message), 0);
+  while (kept.length > 0 && (used > tokens || kept[0].role === 'assistant')) {
+    used -= messageTokens(kept.shift());
+  }
+  return { value: kept, tokens: used };
+}
+
+class TokenBudget {
+  constructor({ contextWindow, outputTokens, minOutputTokens = DEFAULT_MIN_OUTPUT_TOKENS }) {
+    this.contextWindow = contextWindow;
+    this.outputTokens = outputTokens;
+    this.minOutputTokens = Math.min(minOutputTokens, outputTokens);
+    this.sections = [];
+    this.imageList = [];
+  }
+
+  // counted in full and never trimmed
+  require(name, text) {
+    this.sections.push({ name, kind: 'text', value: text || '', tokens: estimateTokens(text), required: true });
+    return this;
+  }
+
+  // optional text; lower `priority` is dropped first. `keep` picks which end survives a trim
+  add(name, text, { priority = 0, keep = 'start', render = value => value } = {}) {
+    const value = text || '';
+    this.sections.push({
+      name,
+      kind: 'text',
+      value,
+      render,
+      tokens: value ? estimateTokens(render(value)) : 0,
+      overhead: estimateTokens(render('')),
+      priority,
+      keep
+    });
+    return this;
+  }
+
+  // optional chat turns, trimmed oldest first
+  addMessages(name, messages = [], { priority = 0, required = false } = {}) {
+    const tokens = messages.reduce((total, message) => total + messageTokens(message), 0);
+    this.sections.push({ name, kind: 'messages', value: messages, tokens, priority, required });
+    return this;
+  }
+
+  // `maxDetail` is the detail the capture was prepared for (capture-image.js); a capture scaled for low
+  // detail never goes out as high
+  image(dataURL, maxDetail = 'high') {
+    return this.images(dataURL ? [{ dataURL, maxDetail }] : []);
+  }
+
+  images(list) {
+    this.imageList = list
+      .filter(image => image.dataURL)
+      .map(({ dataURL, maxDetail }) => ({ dataURL, maxDetail: maxDetail === 'low' ? 'low' : 'high' }));
+    return this;
+  }
+
+  plan() {
+    const usable = Math.floor(this.contextWindow * (1 - SAFETY_MARGIN));
+    const required = this.sections.filter(section => section.required);
+    const requiredTokens = required.reduce((total, section) => total + section.tokens, 0);
+
+    // high detail screenshots only when they leave room for the full answer
+    let imageDetail = null;
+    let imageDetails = [];
+    let imageCost = 0;
+    const costAt = (ceiling) => {
+      const details = this.imageList.map(image => (ceiling === 'low' ? 'low' : image.maxDetail));
+      const tokens = this.imageList.reduce((total, image, index) => total + imageTokens(image.dataURL, details[index]), 0);
+      return { details, tokens };
+    };
+    if (this.imageList.length > 0) {
+      imageDetail = this.imageList.some(image => image.maxDetail === 'high') ? 'high' : 'low';
+      let cost = costAt(imageDetail);
+      if (imageDetail === 'high' && requiredTokens + cost.tokens + this.outputTokens > usable) {
+        imageDetail = 'low';
+        cost = costAt('low');
+      }
+      imageDetails = cost.details;
+      imageCost = cost.tokens;
+    }
+
+    const values = new Map(required.map(section => [section.name, section.value]));
+    const raw = new Map(values);
+    const keep = (section, value, rawValue = value) => {
+      values.set(section.name, value);
+      raw.set(section.name, rawValue);
+    };
+    const report = required.map(section => ({ name: section.name, tokens: section.tokens, status: 'kept' }));
+    let remaining = usable - requiredTokens - imageCost - this.outputTokens;
+
+    const optional = this.sections
+      .filter(section => !section.required)
+      .sort((a, b) => b.priority - a.priority);
+
+    for (const section of optional) {
+      if (section.tokens === 0) {
+        keep(section, section.value);
+        continue;
+      }
+      if (section.tokens <= remaining) {
+        keep(section, section.kind === 'text' ? section.render(section.value) : section.value, section.value);
+        report.push({ name: section.name, tokens: section.tokens, status: 'kept' });
+        remaining -= section.tokens;
+        continue;
+      }
+      if (section.kind === 'messages' && remaining >= MIN_SECTION_TOKENS) {
+        const trimmed = trimMessages(section.value, remaining);
+        if (trimmed.value.length > 0) {
+          keep(section, trimmed.value);
+          report.push({ name: section.name, tokens: trimmed.tokens, status: 'trimmed', originalTokens: section.tokens });
+          remaining -= trimmed.tokens;
+          continue;
+        }
+      }
+      if (section.kind === 'text' && remaining - section.overhead >= MIN_SECTION_TOKENS) {
+        const text = trimText(section.value, remaining - section.overhead, section.keep);
+        keep(section, section.render(text), text);
+        report.push({ name: section.name, tokens: remaining, status: 'trimmed', originalTokens: section.tokens });
+        remaining = 0;
+        continue;
+      }
+      keep(section, section.kind === 'messages' ? [] : '');
+      report.push({ name: section.name, tokens: 0, status: 'dropped', originalTokens: section.tokens });
+    }
+
+    const promptTokens = report.reduce((total, entry) => total + entry.tokens, 0) + imageCost;
+    // when even the required parts crowd the window, give the answer whatever is left
+    const maxTokens = Math.max(this.minOutputTokens, Math.min(this.outputTokens, usable - promptTokens));
+
+    return {
+      get: (name) => values.get(name),
+      raw: (name) => raw.get(name),
+      imageDetail,
+      imageDetails,
+      imageTokens: imageCost,
+      promptTokens,
+      maxTokens,
+      contextWindow: this.contextWindow,
+      report
+    };
+  }
+}
+
+// one-line summary of a plan for the logs
+function describePlan(plan) {
+  const changed = plan.report
+    .filter(entry => entry.status !== 'kept')
+    .map(entry => `${entry.name} ${entry.status} (${entry.originalTokens}->${entry.tokens})`);
+  return `~${plan.promptTokens}/${plan.contextWindow} prompt tokens, max_tokens ${plan.maxTokens}` +
+    `${plan.imageDetails.length > 1 ? `, ${plan.imageDetails.length} images ${plan.imageDetail}` : plan.imageDetail ? `, image ${plan.imageDetail}` : ''}${changed.length ? `, ${changed.join(', ')}` : ''}`;
+}
+
+module.exports = {
+  TokenBudget,
+  estimateTokens,
+  imageTokens,
+  imageDimensions,
+  describePlan
+};
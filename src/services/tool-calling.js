@@ -0,0 +1,154 @@
+const llm = require('./llm-provider');
+const { isCancelled } = require('./cancellation');
+
+// Model tool calling for the main /api/ai chat flow. Queries that no command pattern recognised still
+// reach the model, which is offered every command that declares a `tool` (see command-router.js) and
+// can call one from any phrasing ("could you put on some taylor swift", "pull up a video on this").
+// The command runs as if it had matched, its JSON answer goes back to the model as the tool result,
+// and the model writes the reply. Each call is announced to the client as a `tool` event.
+//
+// Providers without function calling are never sent tools (see supportsTools in llm-provider.js).
+
+const MAX_TOOL_ROUNDS = 3;
+const MAX_RESULT_LENGTH = 2000;
+
+// tool definitions for this request, or none when the feature's model can't call them
+function availableTools(ctx, router, feature) {
+  return llm.supportsTools(feature) ? router.tools(ctx) : [];
+}
+
+// passes a stream through while assembling the tool call deltas it carries into `calls`
+function collectToolCalls(stream, calls) {
+  return {
+    async *[Symbol.asyncIterator]() {
+      for await (const chunk of stream) {
+        for (const delta of chunk.choices?.[0]?.delta?.tool_calls || []) {
+          const index = delta.index ?? calls.length;
+          const call = calls[index] || (calls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+          if (delta.id) call.id = delta.id;
+          if (delta.function?.name) call.function.name += delta.function.name;
+          if (delta.function?.arguments) call.function.arguments += delta.function.arguments;
+        }
+        yield chunk;
+      }
+    }
+  };
+}
+
+// stands in for `res` so a command's JSON answer becomes the tool result rather than the response
+function captureResponse() {
+  return {
+    statusCode: 200,
+    body: undefined,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+function toolMessage(call, result) {
+  const content = JSON.stringify(result);
+  return {
+    role: 'tool',
+    tool_call_id: call.id,
+    content: content.length > MAX_RESULT_LENGTH ? `${content.slice(0, MAX_RESULT_LENGTH)}...` : content
+  };
+}
+
+// runs one tool call through its command and returns the tool message for the model
+async function runToolCall(ctx, router, call) {
+  const { events } = ctx;
+  const name = call.function.name;
+
+  let args;
+  try {
+    args = JSON.parse(call.function.arguments || '{}');
+  } catch (error) {
+    console.warn(`[TOOLS] ${name} called with invalid arguments:`, call.function.arguments);
+    return toolMessage(call, { error: 'Arguments were not valid JSON' });
+  }
+
+  const routing = router.routeTool(ctx, name, args);
+  if (!routing.command) {
+    console.warn(`[TOOLS] Model called unknown tool "${name}"`);
+    return toolMessage(call, { error: `Unknown tool "${name}"` });
+  }
+
+  const info = { tool: name, command: routing.command.name, arguments: args };
+  console.log(`[TOOLS] ${name} -> ${routing.command.name}`, args);
+  events.tool({ ...info, status: 'running' });
+
+  const res = captureResponse();
+  if (routing.missing.length > 0 && !routing.command.onMissing) {
+    res.status(400).json({ error: `This needs ${routing.missing.join(', ')}, which the request doesn't have.` });
+  } else {
+    try {
+      await router.dispatch(ctx, res, routing);
+    } catch (error) {
+      if (isCancelled(error, ctx.signal)) throw error;
+      console.error(`[TOOLS] ${name} failed:`, error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+
+  const body = res.body && typeof res.body === 'object' ? res.body : { success: true, content: res.body };
+  const failed = res.statusCode >= 400 || !!body.error || body.success === false;
+  // auth links, upload prompts and the like still reach the client
+  events.actionsFromJSON(body);
+  events.tool({ ...info, status: failed ? 'failed' : 'done', message: body.error || body.content || body.response || '' });
+  return toolMessage(call, body);
+}
+
+/**
+ * Streams a chat answer with the commands offered as `tools`. When the model calls tools they are
+ * run, their results fed back and the model asked again, at most MAX_TOOL_ROUNDS times; after that
+ * tool_choice is "none" so it has to answer. `pipe` are EventStream.pipe options, `prompts` the
+ * rendered templates the request was built from (logged with each round's usage).
+ * Returns the text streamed to the client.
+ */
+async function streamWithTools(ctx, router, { feature, request, tools, pipe = {}, prompts }) {
+  let stopped = false;
+  const pipeOptions = {
+    ...pipe,
+    onContent: pipe.onContent && (text => {
+      const keepGoing = pipe.onContent(text);
+      stopped = keepGoing === false;
+      return keepGoing;
+    })
+  };
+
+  let messages = request.messages;
+  let text = '';
+  for (let round = 0; ; round++) {
+    const deltas = [];
+    const stream = await llm.chat(feature, {
+      ...request,
+      messages,
+      ...(tools.length > 0 ? { tools, tool_choice: round < MAX_TOOL_ROUNDS ? 'auto' : 'none' } : {})
+    }, { ...ctx.requestOptions, prompts });
+    const roundText = await ctx.events.pipe(collectToolCalls(stream, deltas), pipeOptions);
+    text += roundText;
+
+    const calls = deltas.filter(Boolean);
+    if (stopped || calls.length === 0) {
+      return text;
+    }
+
+    const results = [];
+    for (const call of calls) {
+      results.push(await runToolCall(ctx, router, call));
+    }
+    messages = [...messages, { role: 'assistant', content: roundText || null, tool_calls: calls }, ...results];
+  }
+}
+
+module.exports = {
+  availableTools,
+  streamWithTools,
+  collectToolCalls
+};
@@ -0,0 +1,289 @@
+const fs = require('fs');
+const path = require('path');
+const { estimateTokens } = require('./token-budget');
+const { openStore } = require('./local-store');
+
+// Token, latency and cost accounting for every model call, recorded by llm-provider.js and kept in
+// the `usage` store (see local-store.js), indexed by timestamp.
+//
+// Optional spending caps in USD block further calls once reached, until the day/month rolls over:
+//   LLM_DAILY_BUDGET / LLM_MONTHLY_BUDGET, or "budget": { "daily": 1, "monthly": 20 } in llm-config.json
+//
+// Costs use list prices for known OpenAI models; OpenAI-compatible providers (local servers) are free
+// unless their provider config sets "pricing": { "input": <usd per 1M>, "output": <usd per 1M> }.
+
+const RETENTION_DAYS = 62; // enough for this month and the previous one
+const SAVE_DELAY_MS = 2000;
+
+// USD per 1M tokens, matched by model prefix (longest prefixes first)
+const MODEL_PRICING = [
+  ['gpt-4o-mini', { input: 0.15, output: 0.6 }],
+  ['gpt-4o', { input: 2.5, output: 10 }],
+  ['gpt-4.1-nano', { input: 0.1, output: 0.4 }],
+  ['gpt-4.1-mini', { input: 0.4, output: 1.6 }],
+  ['gpt-4.1', { input: 2, output: 8 }],
+  ['gpt-4-turbo', { input: 10, output: 30 }],
+  ['gpt-4', { input: 30, output: 60 }],
+  ['gpt-3.5-turbo', { input: 0.5, output: 1.5 }],
+  ['o4-mini', { input: 1.1, output: 4.4 }],
+  ['o3-mini', { input: 1.1, output: 4.4 }],
+  ['o3', { input: 2, output: 8 }],
+  ['o1', { input: 15, output: 60 }],
+  ['text-embedding-3-small', { input: 0.02, output: 0 }],
+  ['text-embedding-3-large', { input: 0.13, output: 0 }],
+  ['text-embedding-ada-002', { input: 0.1, output: 0 }]
+];
+
+// usage-log.json next to server.js (or USAGE_LOG_PATH), where usage was kept before
+const LEGACY_FILE = process.env.USAGE_LOG_PATH || path.join(__dirname, '../../usage-log.json');
+
+const MIGRATIONS = [
+  // 1: import the legacy log; it is left in place
+  (tx) => {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(LEGACY_FILE, 'utf8'));
+      const records = Array.isArray(parsed.records) ? parsed.records : [];
+      records.forEach(record => tx.insert('records', record));
+      console.log('[USAGE] Imported', records.length, 'records from', LEGACY_FILE);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error('[USAGE] Could not import the usage log:', error.message);
+    }
+  }
+];
+
+// in local time, so the daily budget resets at the user's midnight rather than UTC's
+function monthKey(date = new Date()) {
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
+
+function dayKey(date = new Date()) {
+  return `${monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function statusOf(error) {
+  return error?.name === 'AbortError' || error?.name === 'APIUserAbortError' ? 'cancelled' : 'error';
+}
+
+// "assistant-system@2", "writing-tasks@1 (override)": each template and partial a call was built from
+function promptIds(prompts = []) {
+  const id = ({ name, version, source }) => `${name}@${version}${source === 'override' ? ' (override)' : ''}`;
+  return [...new Set(prompts.flatMap(prompt => [prompt, ...(prompt.partials || [])]).map(id))];
+}
+
+function roundCost(cost) {
+  return Math.round(cost * 1e6) / 1e6;
+}
+
+// prompt size when the provider didn't report usage (local servers, older streams)
+function estimatePromptTokens(messages = []) {
+  return messages.reduce((total, message) => {
+    const parts = Array.isArray(message.content) ? message.content : [{ type: 'text', text: message.content }];
+    return total + 4 + parts.reduce((sum, part) => sum + (part.type === 'text' ? estimateTokens(part.text) : 0), 0);
+  }, 0);
+}
+
+class UsageTracker {
+  constructor() {
+    this.store = openStore('usage', {
+      migrations: MIGRATIONS,
+      collections: { records: { indexes: ['timestamp'] } }
+    });
+    this.pending = []; // recorded since the last save
+    this.budget = {};
+    this.saveTimer = null;
+  }
+
+  // every record, oldest first; read-only
+  get records() {
+    const saved = this.store.all('records');
+    return this.pending.length > 0 ? saved.concat(this.pending) : saved;
+  }
+
+  // writes are batched, a streamed answer can finish several calls within a second
+  scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref?.();
+  }
+
+  save() {
+    const pending = this.pending;
+    this.pending = [];
+    try {
+      const cutoff = Date.now() - RETENTION_DAYS * 24 * 60 * 60 * 1000;
+      const expired = this.store.range('records', 'timestamp', undefined, cutoff - 1);
+      this.store.transaction(tx => {
+        expired.forEach(record => tx.remove('records', record.id));
+        pending.forEach(record => tx.insert('records', record));
+      });
+    } catch (error) {
+      console.error('[USAGE] Error saving usage log:', error);
+      // kept for the next save
+      this.pending = pending.concat(this.pending);
+    }
+  }
+
+  // budget caps from llm-config.json, overridden by env; called by llm-provider on reload
+  configure(budget = {}) {
+    const daily = Number(process.env.LLM_DAILY_BUDGET || budget.daily) || null;
+    const monthly = Number(process.env.LLM_MONTHLY_BUDGET || budget.monthly) || null;
+    this.budget = { daily, monthly };
+    if (daily || monthly) {
+      console.log(`[USAGE] Budget caps: ${daily ? `$${daily}/day` : 'no daily cap'}, ${monthly ? `$${monthly}/month` : 'no monthly cap'}`);
+    }
+  }
+
+  pricing(model, adapter) {
+    if (adapter?.settings.pricing) return adapter.settings.pricing;
+    if (adapter?.type === 'openai-compatible') return null;
+    const known = MODEL_PRICING.find(([prefix]) => model.startsWith(prefix));
+    return known ? known[1] : null;
+  }
+
+  cost(model, adapter, promptTokens, completionTokens) {
+    const pricing = this.pricing(model, adapter);
+    if (!pricing) return 0;
+    return roundCost((promptTokens * pricing.input + completionTokens * pricing.output) / 1e6);
+  }
+
+  // `usage` is the provider's { prompt_tokens, completion_tokens }; without it tokens are estimated.
+  // `prompts` is the provenance of the prompt templates used, kept so answers can be traced to a version
+  record({ feature, provider, model, adapter, usage, messages, prompts, outputText = '', startedAt, firstTokenAt, stream = false, status = 'ok' }) {
+    // failed calls are logged for latency and error counts; a cut-off stream is estimated from what arrived
+    const estimated = !usage && (status === 'ok' || !!outputText);
+    const promptTokens = usage?.prompt_tokens ?? (estimated ? estimatePromptTokens(messages) : 0);
+    const completionTokens = usage?.completion_tokens ?? (estimated ? estimateTokens(outputText) : 0);
+    const record = {
+      timestamp: Date.now(),
+      feature,
+      provider,
+      model,
+      stream,
+      status,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated,
+      cost: this.cost(model, adapter, promptTokens, completionTokens),
+      latencyMs: Date.now() - startedAt,
+      ...(firstTokenAt ? { firstTokenMs: firstTokenAt - startedAt } : {}),
+      ...(prompts?.length ? { prompts: promptIds(prompts) } : {})
+    };
+    this.pending.push(record);
+    this.scheduleSave();
+    console.log(`[USAGE] ${feature} ${model}: ${record.totalTokens} tokens${estimated ? ' (estimated)' : ''}, $${record.cost}, ${record.latencyMs}ms${status !== 'ok' ? ` [${status}]` : ''}`);
+    return record;
+  }
+
+  recordFailure(details, error) {
+    return this.record({ ...details, status: statusOf(error) });
+  }
+
+  spent(period, date = new Date()) {
+    const key = period === 'daily' ? dayKey(date) : monthKey(date);
+    const keyOf = period === 'daily' ? dayKey : monthKey;
+    return roundCost(this.records
+      .filter(record => keyOf(new Date(record.timestamp)) === key)
+      .reduce((total, record) => total + record.cost, 0));
+  }
+
+  // the cap that is already used up, if any
+  exceededBudget() {
+    for (const period of ['daily', 'monthly']) {
+      const limit = this.budget[period];
+      if (limit && this.spent(period) >= limit) {
+        return { period, limit, spent: this.spent(period) };
+      }
+    }
+    return null;
+  }
+
+  // throws before a call is made when a cap has been reached
+  checkBudget(feature) {
+    const exceeded = this.exceededBudget();
+    if (!exceeded) return;
+    const error = new Error(`The ${exceeded.period} model budget of $${exceeded.limit} has been reached ($${exceeded.spent} spent), so "${feature}" was not sent. Raise LLM_${exceeded.period.toUpperCase()}_BUDGET or wait for the ${exceeded.period === 'daily' ? 'day' : 'month'} to roll over.`);
+    error.code = 'LLM_BUDGET_EXCEEDED';
+    error.budget = exceeded;
+    throw error;
+  }
+
+  // passes a streamed completion through and records usage once it has been fully read
+  trackStream(stream, details) {
+    const tracker = this;
+    return {
+      async *[Symbol.asyncIterator]() {
+        let usage = null;
+        let outputText = '';
+        let firstTokenAt = null;
+        // a consumer that stops early (moderation check, cancelled pipe) still used the tokens sent so far
+        let status = 'ok';
+        try {
+          for await (const chunk of stream) {
+            if (chunk.usage) usage = chunk.usage;
+            const content = chunk.choices?.[0]?.delta?.content;
+            if (content) {
+              firstTokenAt = firstTokenAt || Date.now();
+              outputText += content;
+            }
+            yield chunk;
+          }
+        } catch (error) {
+          status = statusOf(error);
+          throw error;
+        } finally {
+          tracker.record({ ...details, usage, outputText, firstTokenAt, stream: true, status });
+        }
+      }
+    };
+  }
+
+  summary({ days = 30 } = {}) {
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const records = this.records.filter(record => record.timestamp >= since);
+
+    const features = {};
+    for (const record of records) {
+      const entry = features[record.feature] || (features[record.feature] = {
+        calls: 0, errors: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, totalLatencyMs: 0, models: [], prompts: []
+      });
+      entry.calls++;
+      if (record.status !== 'ok') entry.errors++;
+      entry.promptTokens += record.promptTokens;
+      entry.completionTokens += record.completionTokens;
+      entry.totalTokens += record.totalTokens;
+      entry.cost += record.cost;
+      entry.totalLatencyMs += record.latencyMs;
+      if (!entry.models.includes(record.model)) entry.models.push(record.model);
+      for (const id of record.prompts || []) {
+        if (!entry.prompts.includes(id)) entry.prompts.push(id);
+      }
+    }
+    for (const entry of Object.values(features)) {
+      entry.cost = roundCost(entry.cost);
+      entry.averageLatencyMs = Math.round(entry.totalLatencyMs / entry.calls);
+      delete entry.totalLatencyMs;
+    }
+
+    const totals = {
+      calls: records.length,
+      totalTokens: records.reduce((total, record) => total + record.totalTokens, 0),
+      cost: roundCost(records.reduce((total, record) => total + record.cost, 0))
+    };
+
+    return {
+      days,
+      totals,
+      features,
+      today: { date: dayKey(), cost: this.spent('daily'), limit: this.budget.daily },
+      month: { month: monthKey(), cost: this.spent('monthly'), limit: this.budget.monthly },
+      blocked: this.exceededBudget(),
+      recent: records.slice(-20).reverse()
+    };
+  }
+}
+
+module.exports = UsageTracker;
@@ -0,0 +1,146 @@
+// Client for the /api/ai event stream (protocol documented in src/services/ai-events.js).
+//
+//   const result = await streamAI(body, {
+//     onToken: (content, text) => setResponse(text),
+//     onProgress: ({ step, detail }) => setStatus(step),
+//     onAction: ({ action, ...data }) => { if (action === 'authenticate') openAuth(data.url); },
+//     onTool: (call, tools) => setTools(tools),
+//     onStructured: ({ kind, data }) => { if (kind === 'quiz-steps') setQuiz(data); }
+//   });
+//   result.text, result.usage, result.route, result.actions, result.tools, result.structured, result.prompts, result.memory, result.error
+//
+// A `structured` answer (quiz steps) also arrives as markdown tokens, so result.text is always usable.
+//
+// Pass an AbortSignal to stop a request (a new query, Cmd+E); the server cancels the model stream and
+// any automation still running. A stopped request resolves with `stopped: true` and whatever text had
+// arrived, instead of throwing.
+//
+// Frames can be split across network chunks, so lines are buffered until a blank line ends the event.
+
+export const AI_ENDPOINT = 'http://localhost:3000/api/ai';
+
+const parseData = (data) => {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return { content: data };
+  }
+};
+
+export const streamAI = async (body, handlers = {}, { signal, endpoint = AI_ENDPOINT } = {}) => {
+  const result = { text: '', usage: null, route: null, actions: [], citations: [], tools: [], structured: null, prompts: [], memory: null, error: null, success: true, stopped: false };
+
+  const dispatch = (type, payload) => {
+    switch (type) {
+      case 'route':
+        result.route = payload;
+        handlers.onRoute?.(payload);
+        break;
+      case 'token':
+        result.text += payload.content || '';
+        handlers.onToken?.(payload.content || '', result.text);
+        break;
+      case 'progress':
+        handlers.onProgress?.(payload);
+        break;
+      case 'action':
+        result.actions.push(payload);
+        handlers.onAction?.(payload);
+        break;
+      case 'tool': {
+        // one entry per call, updated as it goes from running to done/failed
+        const index = result.tools.findIndex(call => call.tool === payload.tool && call.status === 'running');
+        if (index === -1 || payload.status === 'running') result.tools.push(payload);
+        else result.tools[index] = payload;
+        handlers.onTool?.(payload, [...result.tools]);
+        break;
+      }
+      case 'structured':
+        result.structured = payload;
+        handlers.onStructured?.(payload);
+        break;
+      case 'citation':
+        result.citations.push(payload);
+        handlers.onCitation?.(payload);
+        break;
+      case 'error':
+        result.error = payload;
+        handlers.onError?.(payload);
+        break;
+      case 'done':
+        result.usage = payload.usage || null;
+        result.prompts = payload.prompts || [];
+        result.memory = payload.memory || null;
+        if (payload.success === false) result.success = false;
+        if (payload.cancelled) result.stopped = true;
+        handlers.onDone?.(payload);
+        break;
+      default:
+        break;
+    }
+  };
+
+  try {
+    const response = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal
+    });
+
+    // anything that isn't an event stream (proxies, an older server) is treated as a single JSON answer
+    if (!response.headers.get('content-type')?.includes('text/event-stream')) {
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok || data.error) {
+        dispatch('error', { message: data.error || `HTTP error! status: ${response.status}`, code: 'internal', status: response.status });
+      }
+      if (data.content || data.response) dispatch('token', { content: data.content || data.response });
+      dispatch('done', data.success === false ? { success: false } : {});
+      return result;
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let type = 'message';
+    let data = [];
+
+    const flush = () => {
+      if (data.length > 0) {
+        const payload = parseData(data.join('\n'));
+        // unnamed frames come from older servers that only sent { content }
+        dispatch(type === 'message' ? 'token' : type, payload);
+      }
+      type = 'message';
+      data = [];
+    };
+
+    const readLine = (line) => {
+      if (line === '') return flush();
+      if (line.startsWith(':')) return;
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') type = value;
+      if (field === 'data' && value !== '[DONE]') data.push(value);
+    };
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+      const lines = buffer.split(/\r?\n/);
+      buffer = lines.pop();
+      lines.forEach(readLine);
+    }
+    buffer += decoder.decode();
+    if (buffer) readLine(buffer);
+    flush();
+  } catch (error) {
+    if (error.name !== 'AbortError') throw error;
+    result.stopped = true;
+    handlers.onStopped?.(result);
+  }
+
+  return result;
+};
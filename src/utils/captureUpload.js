@@ -0,0 +1,54 @@
+// Gets a capture ready to send (main process, see ScreenCaptureService.prepareForUpload):
+//
+//   const { capture, error } = await prepareCaptureUpload(await window.electron.captureScreenOnce());
+//   capture.textLayer   // { text, confidence, wordCount } when the OCR text was ready in time
+//   capture.redactions  // { total, categories, regions } when redaction is on
+//
+// With redaction on, `capture` is the redacted image and text, and anything short of that (a capture
+// that couldn't be read, whose original is gone, or a failed call) comes back as
+// `{ capture: null, error }` and must not be sent. Without redaction a capture whose text isn't
+// ready is sent as it is. A screen history frame (`capture.history`) goes through the same, and is
+// redacted again when it was kept with fewer categories on than there are now.
+
+const PREPARE_FAILED = 'Could not prepare the capture to send';
+
+// only a positive "no categories" counts as off; not knowing is treated as on
+async function redactionOff() {
+  try {
+    const settings = await window.electron.getRedaction();
+    return Array.isArray(settings?.categories) && settings.categories.length === 0;
+  } catch (err) {
+    return false;
+  }
+}
+
+export async function prepareCaptureUpload(capture) {
+  let prepare = null;
+  if (capture?.history && window.electron?.prepareHistoryUpload) {
+    prepare = () => window.electron.prepareHistoryUpload(capture.history.id);
+  } else if (capture?.uniqueId && window.electron?.prepareCaptureUpload) {
+    prepare = () => window.electron.prepareCaptureUpload(capture.uniqueId);
+  }
+  if (!prepare) return { capture };
+  let prepared;
+  try {
+    prepared = await prepare();
+  } catch (err) {
+    console.error('Error preparing capture upload:', err);
+  }
+  if (prepared && !prepared.error) return { capture: { ...capture, ...prepared } };
+
+  if (prepared?.withheld === false || (!prepared?.withheld && await redactionOff())) return { capture };
+  return { capture: null, error: prepared?.error || PREPARE_FAILED };
+}
+
+// a fresh capture of the screen, prepared to send: `{ capture }`, or `{ capture: null, error }` when it
+// failed or was withheld, with `paused: true` when a capture rule has capture paused (see capture-rules.js)
+export async function captureForUpload() {
+  const result = await window.electron.captureScreenOnce();
+  if (result?.paused) return { capture: null, error: result.error, paused: true };
+  if (!result || result.error || !result.dataURL) {
+    return { capture: null, error: result?.error || 'Screen capture unavailable' };
+  }
+  return prepareCaptureUpload(result);
+}